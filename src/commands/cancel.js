@@ -0,0 +1,39 @@
+const logger = require("../utils/logger");
+
+/**
+ * End the conversation the user is in, e.g. a prompt for an address.
+ * Any command ends it; this one says so.
+ */
+async function handleCancelCommand(bot, msg, match, endedState) {
+  try {
+    const chatId = msg.chat.id;
+
+    // A state without a step wasn't waiting for a reply
+    if (!endedState?.step) {
+      await bot.sendMessage(chatId, "Nothing to cancel.");
+      return;
+    }
+
+    await bot.sendMessage(chatId, `✅ Cancelled /${endedState.command}.`);
+    logger.info(`User ${msg.from.id} cancelled /${endedState.command} in chat ${chatId}`);
+  } catch (error) {
+    logger.error("Error in cancel command:", error);
+    await bot.sendMessage(
+      msg.chat.id,
+      "Sorry, something went wrong. Please try again later."
+    );
+  }
+}
+
+module.exports = {
+  handleCancelCommand,
+  commands: [
+    {
+      name: "cancel",
+      description: "Cancel the current prompt",
+      help: "Cancel the command waiting for your reply",
+      section: "General Commands",
+      handler: handleCancelCommand,
+    },
+  ],
+};
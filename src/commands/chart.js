@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const vybeApi = require('../services/vybeApi');
+const { formatPercentage } = require('../utils/formatter');
+const { CHART_RANGES, DEFAULT_CHART_RANGE, getTokenOhlcv } = require('../services/vybeApi/tokenOhlcv');
+const { CHART_STYLES, getRangeChange, renderPriceChart } = require('../services/charts');
+
+/**
+ * Token price charts
+ *
+ * `/chart <mint> [range]` sends a PNG price chart, and /token and /whale send
+ * one after their analysis. Buttons under the chart switch its range or
+ * style by replacing the image in place.
+ *
+ * Callback data: `chart:<range>:<style>:<mint>`
+ */
+
+const DEFAULT_CHART_STYLE = 'candle';
+
+const STYLE_BUTTONS = {
+    candle: '🕯 Candles',
+    line: '📈 Line'
+};
+
+/**
+ * Fetch candles and render a chart with its caption and buttons
+ *
+ * @returns {Promise<Object|null>} - { image, caption, keyboard }, or null without trades in the range
+ */
+async function buildChart(mintAddress, range, style) {
+    const [candles, tokenInfo] = await Promise.all([
+        getTokenOhlcv(mintAddress, range),
+        vybeApi.getTokenInfo(mintAddress).catch(() => ({}))
+    ]);
+    if (!candles.length) return null;
+
+    const symbol = tokenInfo?.symbol || 'Unknown';
+    const rangeChange = formatPercentage(getRangeChange(candles));
+
+    return {
+        image: renderPriceChart(candles, { title: symbol, range, style }),
+        caption: `📈 ${symbol} ${range} chart: ${rangeChange} (times in UTC)`,
+        keyboard: buildChartKeyboard(mintAddress, range, style)
+    };
+}
+
+function buildChartKeyboard(mintAddress, range, style) {
+    const rangeButtons = Object.keys(CHART_RANGES).map(option => ({
+        text: option === range ? `• ${option.toUpperCase()} •` : option.toUpperCase(),
+        callback_data: `chart:${option}:${style}:${mintAddress}`
+    }));
+
+    const otherStyle = CHART_STYLES.find(option => option !== style);
+    const styleButton = {
+        text: STYLE_BUTTONS[otherStyle],
+        callback_data: `chart:${range}:${otherStyle}:${mintAddress}`
+    };
+
+    return { inline_keyboard: [rangeButtons, [styleButton]] };
+}
+
+/**
+ * Send a price chart for a token
+ *
+ * Errors are logged rather than thrown, so commands can send a chart after
+ * their own reply without failing with it.
+ *
+ * @returns {Promise<boolean>} - True when a chart was sent
+ */
+async function sendTokenChart(bot, chatId, mintAddress, range = DEFAULT_CHART_RANGE, style = DEFAULT_CHART_STYLE) {
+    try {
+        const chart = await buildChart(mintAddress, range, style);
+        if (!chart) return false;
+
+        await bot.sendPhoto(chatId, chart.image, {
+            caption: chart.caption,
+            reply_markup: chart.keyboard
+        }, { filename: 'chart.png', contentType: 'image/png' });
+        return true;
+    } catch (error) {
+        logger.error(`Error sending chart for ${mintAddress}:`, error);
+        return false;
+    }
+}
+
+async function handleChartCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [mintAddress, rangeArg] = match[1].trim().split(/\s+/);
+    const range = (rangeArg || DEFAULT_CHART_RANGE).toLowerCase();
+
+    await bot.sendChatAction(chatId, 'upload_photo');
+    const sent = await sendTokenChart(bot, chatId, mintAddress, range);
+    if (!sent) {
+        await bot.sendMessage(chatId, `ℹ️ No ${range} price data is available for this token.`);
+    }
+}
+
+/**
+ * Handle range and style buttons under a chart
+ */
+async function handleChartCallback(bot, query) {
+    const chatId = query.message.chat.id;
+    const [, range, style, mintAddress] = query.data.split(':');
+
+    if (!CHART_RANGES[range] || !CHART_STYLES.includes(style) || !mintAddress) {
+        await bot.answerCallbackQuery(query.id, { text: 'Unknown chart' });
+        return;
+    }
+
+    let file = null;
+    try {
+        const chart = await buildChart(mintAddress, range, style);
+        if (!chart) {
+            await bot.answerCallbackQuery(query.id, { text: `No ${range} price data for this token.` });
+            return;
+        }
+
+        // editMessageMedia can only upload from a file path
+        file = path.join(os.tmpdir(), `chart-${chatId}-${query.message.message_id}-${Date.now()}.png`);
+        await fs.promises.writeFile(file, chart.image);
+
+        await bot.editMessageMedia(
+            { type: 'photo', media: `attach://${file}`, caption: chart.caption },
+            { chat_id: chatId, message_id: query.message.message_id, reply_markup: chart.keyboard }
+        );
+        await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+        logger.error(`Error updating chart for ${mintAddress}:`, error);
+        await bot.answerCallbackQuery(query.id, { text: '❌ Error updating chart. Please try again.' });
+    } finally {
+        if (file) {
+            await fs.promises.unlink(file).catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    sendTokenChart,
+    handleChartCommand,
+    handleChartCallback,
+    commands: [
+        {
+            name: 'chart',
+            description: 'Token price chart',
+            help: 'Price chart with volume for the last 1h, 4h, 1d or 7d',
+            section: 'Token Analysis',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'range', choices: Object.keys(CHART_RANGES) }
+            ],
+            examples: ['/chart So11111111111111111111111111111111111111112 7d'],
+            handler: handleChartCommand,
+            callbacks: [{ prefixes: ['chart:'], handler: handleChartCallback }]
+        }
+    ]
+};
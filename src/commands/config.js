@@ -1,23 +1,49 @@
 const logger = require('../utils/logger');
-const redisManager = require('../utils/redis');
+const { tracking, alertPrefs, watchlist, isReady, TRACK_RESULTS } = require('../repositories');
+const { ALERT_MODES, DEFAULT_ALERT_MODE } = require('../services/walletDiff');
+const { getWalletLimit } = require('../services/walletLimits');
+const { seedWalletGems } = require('../services/gemAlerts');
 
+// Alert types a chat can enable
+const ALERT_TYPES = ['whale', 'holder', 'concentration', 'wallet', 'gem'];
+
+// Direction filters available for per-token whale rules
+const WHALE_DIRECTION_FILTERS = ['all', 'inflow', 'outflow', 'wallet'];
+
+/**
+ * Set the whale alert threshold
+ * 
+ * `/setthreshold <usd>` sets the chat-wide default, while
+ * `/setthreshold <mint> <usd> [all|inflow|outflow|wallet]` stores a rule for one token
+ * and `/setthreshold <mint> reset` removes it again.
+ */
 async function handleSetThreshold(bot, msg, match) {
     const chatId = msg.chat.id;
-    const threshold = parseFloat(match[1]);
+    const args = match[1].trim().split(/\s+/);
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
-        if (isNaN(threshold) || threshold <= 0) {
-            await bot.sendMessage(chatId, '❌ Please provide a valid positive number for the threshold.');
+        // Per-token rule
+        if (args[0].match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+            await setTokenWhaleRule(bot, chatId, args);
+            return;
+        }
+
+        const threshold = parseFloat(args[0]);
+        if (args.length > 1 || !args[0].match(/^\d+(\.\d+)?$/) || threshold <= 0) {
+            await bot.sendMessage(
+                chatId,
+                '❌ Please provide a valid positive number for the threshold.\n\n' +
+                'Examples:\n/setthreshold 10000\n/setthreshold <token address> 50000 inflow'
+            );
             return;
         }
 
-        await redis.set(`threshold:${chatId}`, threshold);
+        await alertPrefs.setThreshold(chatId, threshold);
         await bot.sendMessage(chatId, `✅ Whale alert threshold set to $${threshold.toLocaleString()}`);
         logger.info(`Threshold set for chat ${chatId}: $${threshold}`);
     } catch (error) {
@@ -26,18 +52,77 @@ async function handleSetThreshold(bot, msg, match) {
     }
 }
 
+/**
+ * Store or remove the whale rule for a single token in this chat
+ */
+async function setTokenWhaleRule(bot, chatId, args) {
+    const [mintAddress, amountArg, directionArg = 'all'] = args;
+
+    if (amountArg && amountArg.toLowerCase() === 'reset') {
+        await alertPrefs.deleteWhaleRule(chatId, mintAddress);
+        await bot.sendMessage(chatId, `✅ Whale rule for \`${mintAddress}\` removed. The chat default applies again.`, { parse_mode: 'Markdown' });
+        logger.info(`Whale rule removed for chat ${chatId}, token ${mintAddress}`);
+        return;
+    }
+
+    const threshold = parseFloat(amountArg);
+    const direction = directionArg.toLowerCase();
+
+    if (!amountArg || !amountArg.match(/^\d+(\.\d+)?$/) || threshold <= 0) {
+        await bot.sendMessage(chatId, '❌ Please provide a valid positive USD amount.\n\nExample: /setthreshold <token address> 50000 inflow');
+        return;
+    }
+
+    if (!WHALE_DIRECTION_FILTERS.includes(direction) || args.length > 3) {
+        await bot.sendMessage(chatId, `❌ Invalid filter. Available filters: ${WHALE_DIRECTION_FILTERS.join(', ')}`);
+        return;
+    }
+
+    await alertPrefs.setWhaleRule(chatId, mintAddress, { threshold, direction });
+
+    const isWatching = await watchlist.isWatching(chatId, mintAddress);
+
+    let message = `✅ Whale rule for \`${mintAddress}\` set to $${threshold.toLocaleString()} (${formatWhaleDirection(direction)})`;
+    if (!isWatching) {
+        message += `\n\nℹ️ This token is not watched yet. Use /watchtoken ${mintAddress} to start receiving alerts.`;
+    }
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    logger.info(`Whale rule set for chat ${chatId}, token ${mintAddress}: $${threshold} ${direction}`);
+}
+
+/**
+ * Describe a whale direction filter for display
+ */
+function formatWhaleDirection(direction) {
+    switch (direction) {
+        case 'inflow':
+            return 'exchange inflows only';
+        case 'outflow':
+            return 'exchange outflows only';
+        case 'wallet':
+            return 'wallet-to-wallet only';
+        default:
+            return 'all transfers';
+    }
+}
+
 async function handleAddWallet(bot, msg, match) {
     const chatId = msg.chat.id;
     const wallet = match[1];
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
-        await redis.sAdd(`wallets:${chatId}`, wallet);
+        const { limit } = await getWalletLimit(chatId);
+        const result = await tracking.trackWallet(chatId, wallet, limit);
+        if (result === TRACK_RESULTS.LIMIT_REACHED) {
+            await bot.sendMessage(chatId, `❌ You can track up to ${limit} wallets. Remove one before adding another.`);
+            return;
+        }
         await bot.sendMessage(chatId, `✅ Added wallet ${wallet} to tracking list`);
     } catch (error) {
         logger.error('Error adding wallet:', error);
@@ -50,13 +135,12 @@ async function handleRemoveWallet(bot, msg, match) {
     const wallet = match[1];
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
-        await redis.sRem(`wallets:${chatId}`, wallet);
+        await tracking.untrackWallet(chatId, wallet);
         await bot.sendMessage(chatId, `✅ Removed wallet ${wallet} from tracking list`);
     } catch (error) {
         logger.error('Error removing wallet:', error);
@@ -69,36 +153,30 @@ async function handleEnableAlerts(bot, msg, match) {
     const alertType = match[1].toLowerCase();
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
         // Validate alert type
-        if (!['whale', 'wallet', 'gem', 'all'].includes(alertType)) {
-            await bot.sendMessage(chatId, '❌ Invalid alert type. Available types: whale, wallet, gem, all');
+        if (alertType !== 'all' && !ALERT_TYPES.includes(alertType)) {
+            await bot.sendMessage(chatId, '❌ Invalid alert type. Available types: whale, holder, concentration, wallet, gem, all');
             return;
         }
 
-        // Add chat to enabled alerts
-        await redis.sAdd('alert_enabled_chats', chatId.toString());
-
-        // Set specific alert types
+        // Add chat to enabled alerts with the specific alert types
         if (alertType === 'all') {
-            await redis.sAdd(`alerts:${chatId}`, 'whale');
-            await redis.sAdd(`alerts:${chatId}`, 'wallet');
-            await redis.sAdd(`alerts:${chatId}`, 'gem');
+            await alertPrefs.enableAlerts(chatId, ALERT_TYPES);
             await bot.sendMessage(chatId, '✅ All alerts have been enabled for this chat.');
         } else {
-            await redis.sAdd(`alerts:${chatId}`, alertType);
+            await alertPrefs.enableAlerts(chatId, [alertType]);
             await bot.sendMessage(chatId, `✅ ${alertType.charAt(0).toUpperCase() + alertType.slice(1)} alerts have been enabled for this chat.`);
         }
 
         // Set default threshold if not set
-        const threshold = await redis.get(`threshold:${chatId}`);
+        const threshold = await alertPrefs.getThreshold(chatId);
         if (!threshold) {
-            await redis.set(`threshold:${chatId}`, 10000); // Default $10,000
+            await alertPrefs.setThreshold(chatId, 10000); // Default $10,000
             await bot.sendMessage(chatId, 'ℹ️ Default whale alert threshold set to $10,000. Use /setthreshold to change it.');
         }
 
@@ -114,33 +192,23 @@ async function handleDisableAlerts(bot, msg, match) {
     const alertType = match[1].toLowerCase();
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
         // Validate alert type
-        if (!['whale', 'wallet', 'gem', 'all'].includes(alertType)) {
-            await bot.sendMessage(chatId, '❌ Invalid alert type. Available types: whale, wallet, gem, all');
+        if (alertType !== 'all' && !ALERT_TYPES.includes(alertType)) {
+            await bot.sendMessage(chatId, '❌ Invalid alert type. Available types: whale, holder, concentration, wallet, gem, all');
             return;
         }
 
+        // The chat leaves the alert-enabled set once no alert types remain
         if (alertType === 'all') {
-            await redis.sRem(`alerts:${chatId}`, 'whale');
-            await redis.sRem(`alerts:${chatId}`, 'wallet');
-            await redis.sRem(`alerts:${chatId}`, 'gem');
-            await redis.sRem('alert_enabled_chats', chatId.toString());
+            await alertPrefs.disableAlerts(chatId, ALERT_TYPES);
             await bot.sendMessage(chatId, '✅ All alerts have been disabled for this chat.');
         } else {
-            await redis.sRem(`alerts:${chatId}`, alertType);
-            
-            // Check if any alerts remain enabled
-            const enabledAlerts = await redis.sMembers(`alerts:${chatId}`);
-            if (enabledAlerts.length === 0) {
-                await redis.sRem('alert_enabled_chats', chatId.toString());
-            }
-            
+            await alertPrefs.disableAlerts(chatId, [alertType]);
             await bot.sendMessage(chatId, `✅ ${alertType.charAt(0).toUpperCase() + alertType.slice(1)} alerts have been disabled for this chat.`);
         }
 
@@ -153,16 +221,15 @@ async function handleDisableAlerts(bot, msg, match) {
 
 async function getAlertStatus(chatId) {
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) return null;
+        if (!isReady()) return null;
 
-        const enabledAlerts = await redis.sMembers(`alerts:${chatId}`);
-        const threshold = await redis.get(`threshold:${chatId}`);
+        const enabledAlerts = await alertPrefs.getEnabledAlerts(chatId);
+        const threshold = await alertPrefs.getThreshold(chatId);
 
         return {
             enabled: enabledAlerts.length > 0,
             types: enabledAlerts,
-            threshold: threshold ? parseFloat(threshold) : null
+            threshold
         };
     } catch (error) {
         logger.error('Error getting alert status:', error);
@@ -170,17 +237,77 @@ async function getAlertStatus(chatId) {
     }
 }
 
+/**
+ * Choose what wallet alerts report for one tracked wallet
+ * 
+ * `/walletmode <wallet> balance` only alerts on buys and sells, while
+ * `/walletmode <wallet> value` also alerts when price moves shift the total value.
+ * Without a mode the current setting is shown.
+ */
+async function handleWalletMode(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const [walletAddress, mode] = match[1].trim().split(/\s+/);
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const isFollowing = await tracking.isTracking(chatId, walletAddress);
+        if (!isFollowing) {
+            await bot.sendMessage(chatId, `❌ You are not tracking this wallet. Use /trackwallet ${walletAddress} first.`);
+            return;
+        }
+
+        if (!mode) {
+            const currentMode = await alertPrefs.getWalletMode(chatId, walletAddress) || DEFAULT_ALERT_MODE;
+            await bot.sendMessage(
+                chatId,
+                `🔔 Alert mode for \`${walletAddress}\`: *${formatWalletMode(currentMode)}*\n\n` +
+                `Use /walletmode ${walletAddress} <${ALERT_MODES.join('|')}> to change it.`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+
+        const normalizedMode = mode.toLowerCase();
+        if (!ALERT_MODES.includes(normalizedMode)) {
+            await bot.sendMessage(chatId, `❌ Invalid mode. Use one of: ${ALERT_MODES.join(', ')}`);
+            return;
+        }
+
+        await alertPrefs.setWalletMode(chatId, walletAddress, normalizedMode);
+
+        await bot.sendMessage(
+            chatId,
+            `✅ Wallet alerts for \`${walletAddress}\` set to *${formatWalletMode(normalizedMode)}*.`,
+            { parse_mode: 'Markdown' }
+        );
+        logger.info(`User ${userId} set wallet alert mode for ${walletAddress} to ${normalizedMode}`);
+    } catch (error) {
+        logger.error('Error setting wallet alert mode:', error);
+        await bot.sendMessage(chatId, '❌ Error updating wallet alert mode. Please try again later.');
+    }
+}
+
+/**
+ * Human-readable label for a wallet alert mode
+ */
+function formatWalletMode(mode) {
+    return mode === 'value' ? 'balance and value changes' : 'balance changes only';
+}
+
 /**
  * Track a wallet for gem alerts
  */
 async function handleTrackGemAlerts(bot, msg, match) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
     const walletAddress = match[1];
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
@@ -192,7 +319,7 @@ async function handleTrackGemAlerts(bot, msg, match) {
         }
 
         // Check if user is already following this wallet
-        const isFollowing = await redis.sIsMember(`user:${userId}:wallets`, walletAddress);
+        const isFollowing = await tracking.isTracking(chatId, walletAddress);
         if (!isFollowing) {
             await bot.sendMessage(
                 chatId,
@@ -203,7 +330,7 @@ async function handleTrackGemAlerts(bot, msg, match) {
         }
 
         // Check if gem alerts are already enabled
-        const hasGemAlerts = await redis.sIsMember(`wallet:${walletAddress}:gem_users`, chatId.toString());
+        const hasGemAlerts = await tracking.hasGemAlerts(chatId, walletAddress);
         if (hasGemAlerts) {
             await bot.sendMessage(
                 chatId,
@@ -214,43 +341,14 @@ async function handleTrackGemAlerts(bot, msg, match) {
         }
 
         // Add the wallet to gem alert tracking
-        await Promise.all([
-            redis.sAdd('gem_alert_wallets', walletAddress),
-            redis.sAdd(`wallet:${walletAddress}:gem_users`, chatId.toString()),
-            redis.sAdd('alert_enabled_chats', chatId.toString()),
-            redis.sAdd(`alerts:${chatId}`, 'gem')
-        ]);
+        await tracking.enableGemAlerts(chatId, walletAddress);
         
         // Initialize baseline for gem detection to avoid false positives
         try {
-            // Get required services
-            const AlertService = require('../services/alerts');
-            const { findLowCapGems } = require('../services/vybeApi/lowCapGems');
-            
-            // Create temp instance for accessing static state
-            const alertService = new AlertService();
-            
-            // Initialize service if needed
-            if (!alertService.redis) {
-                await alertService.initialize(redis);
-            }
-            
-            // Make sure cache is initialized
-            if (!alertService.walletGemsCache) {
-                alertService.walletGemsCache = {};
-            }
-            
-            // Set timestamp to prevent immediate check
-            alertService.lastCheck[`gem_${walletAddress}`] = Date.now();
-            
-            // Establish baseline of current gems
-            const currentGems = await findLowCapGems(walletAddress);
-            alertService.walletGemsCache[walletAddress] = currentGems || [];
-            
-            logger.info(`Established baseline of ${currentGems.length} gems for wallet ${walletAddress}`);
+            await seedWalletGems(walletAddress);
         } catch (initError) {
             logger.error(`Error initializing gem baseline: ${initError.message}`, { error: initError });
-            // Continue anyway - this just means the first check might include existing gems
+            // Continue anyway - the first scheduled check will seed the baseline instead
         }
 
         await bot.sendMessage(
@@ -274,21 +372,14 @@ async function handleUntrackGemAlerts(bot, msg, match) {
     const walletAddress = match[1];
 
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
             return;
         }
 
-        // Remove the user from this wallet's gem alerts
-        await redis.sRem(`wallet:${walletAddress}:gem_users`, chatId.toString());
-        
-        // Check if any users are still tracking this wallet for gems
-        const trackingUsers = await redis.sMembers(`wallet:${walletAddress}:gem_users`);
-        if (trackingUsers.length === 0) {
-            // If no users left, remove wallet from gem alert tracking
-            await redis.sRem('gem_alert_wallets', walletAddress);
-        }
+        // Remove the user from this wallet's gem alerts; the wallet stops
+        // being scanned once no users are left
+        await tracking.disableGemAlerts(chatId, walletAddress);
 
         await bot.sendMessage(
             chatId, 
@@ -304,12 +395,75 @@ async function handleUntrackGemAlerts(bot, msg, match) {
 }
 
 module.exports = {
+    WHALE_DIRECTION_FILTERS,
+    formatWhaleDirection,
+    formatWalletMode,
     handleSetThreshold,
+    handleWalletMode,
     handleAddWallet,
     handleRemoveWallet,
     handleEnableAlerts,
     handleDisableAlerts,
     getAlertStatus,
     handleTrackGemAlerts,
-    handleUntrackGemAlerts
+    handleUntrackGemAlerts,
+    commands: [
+        {
+            name: 'setthreshold',
+            description: 'Set whale alert threshold',
+            help: 'Default whale alert threshold (USD), or a per-token threshold and filter',
+            section: 'Alert Settings',
+            args: [
+                { name: 'amount or token address', type: 'text', required: true },
+                { name: 'amount', type: 'text' },
+                { name: 'filter', choices: WHALE_DIRECTION_FILTERS }
+            ],
+            examples: ['/setthreshold 10000', '/setthreshold <token address> 50000 inflow'],
+            settings: true,
+            handler: handleSetThreshold
+        },
+        {
+            name: 'enablealerts',
+            description: 'Enable specific alerts',
+            help: 'Enable alerts',
+            section: 'Alert Settings',
+            args: [{ name: 'type', choices: [...ALERT_TYPES, 'all'], required: true }],
+            examples: ['/enablealerts whale'],
+            settings: true,
+            handler: handleEnableAlerts
+        },
+        {
+            name: 'disablealerts',
+            description: 'Disable specific alerts',
+            help: 'Disable alerts',
+            section: 'Alert Settings',
+            args: [{ name: 'type', choices: [...ALERT_TYPES, 'all'], required: true }],
+            examples: ['/disablealerts whale'],
+            settings: true,
+            handler: handleDisableAlerts
+        },
+        {
+            name: 'untrackgems',
+            description: 'Untrack gem alerts for a wallet',
+            help: 'Stop tracking gem alerts for a wallet',
+            section: 'Alert Settings',
+            args: [{ name: 'wallet address', type: 'address', required: true }],
+            examples: ['/untrackgems 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'],
+            settings: true,
+            handler: handleUntrackGemAlerts
+        },
+        {
+            name: 'walletmode',
+            description: 'Choose balance or value alerts for a wallet',
+            help: 'Wallet alerts on buys/sells only (balance) or also on value moves (value)',
+            section: 'Alert Settings',
+            args: [
+                { name: 'wallet address', type: 'address', required: true },
+                { name: 'mode', choices: ALERT_MODES }
+            ],
+            examples: ['/walletmode <wallet address> balance', '/walletmode <wallet address> value'],
+            settings: true,
+            handler: handleWalletMode
+        }
+    ]
 }; 
\ No newline at end of file
@@ -1,22 +1,33 @@
 const logger = require('../utils/logger');
-const redisManager = require('../utils/redis');
+const { tracking, alertPrefs, watchlist, isReady } = require('../repositories');
+const { formatWhaleDirection, formatWalletMode } = require('./config');
+const { DEFAULT_ALERT_MODE } = require('../services/walletDiff');
+const { parseWhaleRule } = require('./watchToken');
+const { parseHolderRule, describeHolderRule } = require('../services/holderAlerts');
+const { parseConcentrationRule, describeConcentrationRule } = require('../services/concentration');
+const { getWalletLimit, formatWalletUsage } = require('../services/walletLimits');
 
 async function formatConfigMessage(chatId) {
     try {
-        const redis = redisManager.getClient();
-        if (!redis?.isReady) {
+        if (!isReady()) {
             return '⚠️ Unable to fetch configuration - storage service unavailable';
         }
 
         // Fetch current settings
-        const enabledAlerts = await redis.sMembers(`alerts:${chatId}`);
-        const threshold = await redis.get(`threshold:${chatId}`);
-        const trackedWallets = await redis.sMembers(`user:${chatId}:wallets`);
+        const enabledAlerts = await alertPrefs.getEnabledAlerts(chatId);
+        const threshold = await alertPrefs.getThreshold(chatId);
+        const trackedWallets = await tracking.getUserWallets(chatId);
+        const watchedTokens = await watchlist.getChatTokens(chatId);
+        const whaleRules = await alertPrefs.getWhaleRules(chatId);
+        const holderRules = await alertPrefs.getHolderRules(chatId);
+        const concentrationRules = await alertPrefs.getConcentrationRules(chatId);
+        const walletModes = await alertPrefs.getWalletModes(chatId);
+        const walletLimit = await getWalletLimit(chatId);
         
         // Get gem-tracked wallets
         const gemTrackedWallets = [];
         for (const wallet of trackedWallets) {
-            const isTrackedForGems = await redis.sIsMember(`wallet:${wallet}:gem_users`, chatId.toString());
+            const isTrackedForGems = await tracking.hasGemAlerts(chatId, wallet);
             if (isTrackedForGems) {
                 gemTrackedWallets.push(wallet);
             }
@@ -31,6 +42,8 @@ async function formatConfigMessage(chatId) {
             message += '• No alerts enabled\n';
         } else {
             message += `• Whale Alerts: ${enabledAlerts.includes('whale') ? '✅' : '❌'}\n`;
+            message += `• Holder Alerts: ${enabledAlerts.includes('holder') ? '✅' : '❌'}\n`;
+            message += `• Concentration Alerts: ${enabledAlerts.includes('concentration') ? '✅' : '❌'}\n`;
             message += `• Wallet Alerts: ${enabledAlerts.includes('wallet') ? '✅' : '❌'}\n`;
             message += `• Gem Alerts: ${enabledAlerts.includes('gem') ? '✅' : '❌'}\n`;
         }
@@ -38,17 +51,37 @@ async function formatConfigMessage(chatId) {
         // Threshold
         message += '\n*Whale Alert Threshold:*\n';
         message += threshold 
-            ? `• $${parseFloat(threshold).toLocaleString()}\n`
+            ? `• $${threshold.toLocaleString()}\n`
             : '• Not set (default: $10,000)\n';
 
+        // Watched Tokens
+        message += '\n*Watched Tokens:*\n';
+        if (watchedTokens.length === 0) {
+            message += '• No tokens watched\n';
+        } else {
+            watchedTokens.forEach(token => {
+                const rule = parseWhaleRule(whaleRules[token]);
+                const ruleText = rule
+                    ? `$${rule.threshold.toLocaleString()}, ${formatWhaleDirection(rule.direction)}`
+                    : 'default threshold, all transfers';
+                const holderRule = parseHolderRule(holderRules[token]);
+                const holderText = holderRule ? `; ${describeHolderRule(holderRule).join('; ')}` : '';
+                const concentrationText = concentrationRules[token]
+                    ? `; ${describeConcentrationRule(parseConcentrationRule(concentrationRules[token]))}`
+                    : '';
+                message += `• ${token.slice(0, 8)}...${token.slice(-4)} - ${ruleText}${holderText}${concentrationText}\n`;
+            });
+        }
+
         // Tracked Wallets
-        message += '\n*Tracked Wallets:*\n';
+        message += `\n*Tracked Wallets:* ${formatWalletUsage({ used: trackedWallets.length, ...walletLimit })}\n`;
         if (trackedWallets.length === 0) {
             message += '• No wallets tracked\n';
         } else {
             trackedWallets.forEach((wallet, index) => {
                 const gemTrackingStatus = gemTrackedWallets.includes(wallet) ? ' 💎' : '';
-                message += `• ${wallet.slice(0, 8)}...${wallet.slice(-4)}${gemTrackingStatus}\n`;
+                const mode = formatWalletMode(walletModes[wallet] || DEFAULT_ALERT_MODE);
+                message += `• ${wallet.slice(0, 8)}...${wallet.slice(-4)}${gemTrackingStatus} - ${mode}\n`;
             });
             if (gemTrackedWallets.length > 0) {
                 message += '\n_💎 = Gem alerts enabled_\n';
@@ -57,12 +90,19 @@ async function formatConfigMessage(chatId) {
 
         // Available Commands
         message += '\n*Configuration Commands:*\n';
-        message += '• /setthreshold <amount> - Set whale alert threshold\n';
-        message += '• /enablealerts <type> - Enable alerts (whale/wallet/gem/all)\n';
-        message += '• /disablealerts <type> - Disable alerts (whale/wallet/gem/all)\n';
+        message += '• /setthreshold <amount> - Set default whale alert threshold\n';
+        message += '• /setthreshold <token> <amount> [filter] - Set a per-token whale rule\n';
+        message += '• /enablealerts <type> - Enable alerts (whale/holder/concentration/wallet/gem/all)\n';
+        message += '• /disablealerts <type> - Disable alerts (whale/holder/concentration/wallet/gem/all)\n';
+        message += '• /watchtoken <address> - Watch a token for whale alerts\n';
+        message += '• /unwatchtoken <address> - Stop watching a token\n';
+        message += '• /holderalert <token> <change|milestone|reset> - Set holder count alerts for a watched token\n';
+        message += '• /concentration <token> <points|reset> [all|total] - Set top-holder alerts for a watched token\n';
         message += '• /trackwallet <address> - Track a new wallet\n';
         message += '• /untrackwallet <address> - Stop tracking a wallet\n';
         message += '• /untrackgems <address> - Stop tracking gem alerts for a wallet\n';
+        message += '• /walletmode <address> <balance|value> - Choose what wallet alerts report\n';
+        message += '• /walletrules <address> - Set alert rules for a tracked wallet\n';
         message += '• /listwallets - View all tracked wallets\n';
 
         return message;
@@ -89,5 +129,13 @@ async function handleConfigCommand(bot, msg) {
 }
 
 module.exports = {
-    handleConfigCommand
+    handleConfigCommand,
+    commands: [
+        {
+            name: 'config',
+            description: 'View and manage all settings',
+            section: 'General Commands',
+            handler: handleConfigCommand
+        }
+    ]
 }; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+const logger = require('../utils/logger');
+const { labels } = require('../repositories');
+const { getLabeler } = require('../services/labels');
+const { MAX_TRADE_HOURS } = require('../services/tradeFeed');
+const { DEFAULT_FLOW_HOURS, getTokenFlow } = require('../services/tradeFlow');
+const { formatFlowMessage } = require('../messages/flowMessages');
+
+/**
+ * Token trade flow report
+ *
+ * `/flow <mint> [hours]` breaks a token's trading over the window down into
+ * net buy volume, unique buyers and sellers, largest traders, volume by DEX
+ * and activity over time.
+ */
+
+async function handleFlowCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [mintAddress, hoursArg] = match[1].trim().split(/\s+/);
+    const hours = hoursArg ? parseInt(hoursArg) : DEFAULT_FLOW_HOURS;
+
+    if (hours < 1 || hours > MAX_TRADE_HOURS) {
+        // Required lazily: the registry requires this module
+        const commandRegistry = require('./index');
+        const usage = commandRegistry.formatUsageHint(commandRegistry.get('flow'));
+        await bot.sendMessage(chatId, `❌ Hours must be between 1 and ${MAX_TRADE_HOURS}.\n\n${usage}`);
+        return;
+    }
+
+    try {
+        await bot.sendChatAction(chatId, 'typing');
+
+        const [flow, labelFor] = await Promise.all([
+            getTokenFlow(mintAddress, { hours }),
+            getLabeler(labels, chatId).catch(error => {
+                logger.error(`Label lookup error: ${error.message}`);
+                return () => null;
+            })
+        ]);
+
+        await bot.sendMessage(chatId, formatFlowMessage(mintAddress, flow, labelFor), {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+    } catch (error) {
+        logger.error(`Error analyzing trade flow for ${mintAddress}:`, error);
+        await bot.sendMessage(chatId, '❌ Error analyzing trade flow. Please try again later.');
+    }
+}
+
+module.exports = {
+    handleFlowCommand,
+    commands: [
+        {
+            name: 'flow',
+            description: 'Buy/sell flow and DEX breakdown for a token',
+            help: `Net buy volume, unique buyers and sellers, largest traders and volume by DEX over the last 1-${MAX_TRADE_HOURS} hours (default ${DEFAULT_FLOW_HOURS})`,
+            section: 'Token Analysis',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'hours', type: 'integer' }
+            ],
+            examples: ['/flow So11111111111111111111111111111111111111112 6'],
+            handler: handleFlowCommand
+        }
+    ]
+};
@@ -0,0 +1,36 @@
+const CommandRegistry = require('../utils/commandRegistry');
+
+/**
+ * Command registry for the bot
+ *
+ * Modules are registered in the order their commands appear in the
+ * Telegram command menu and in /help.
+ */
+const commandModules = [
+    require('./start'),
+    require('./help'),
+    require('./cancel'),
+    require('./configView'),
+    require('./token'),
+    require('./whale'),
+    require('./chart'),
+    require('./trades'),
+    require('./flow'),
+    require('./walletPerformance'),
+    require('./lowCapGems'),
+    require('./trackWallet'),
+    require('./listWallets'),
+    require('./untrackWallet'),
+    require('./watchToken'),
+    require('./priceAlerts'),
+    require('./config'),
+    require('./walletRules'),
+    require('./labels'),
+    require('./status'),
+    require('./walletLimits')
+];
+
+const commandRegistry = new CommandRegistry();
+commandModules.forEach(commandModule => commandRegistry.registerModule(commandModule));
+
+module.exports = commandRegistry;
@@ -0,0 +1,122 @@
+const logger = require('../utils/logger');
+const { labels, isReady } = require('../repositories');
+const { MAX_LABELS_PER_CHAT, formatLabel, parseLabelName } = require('../services/labels');
+const { getKnownAccounts } = require('../services/vybeApi/knownAccounts');
+
+/**
+ * Custom address labels
+ *
+ * `/label <address> <name>` names any wallet for this chat only; the name
+ * replaces Vybe's known account name in /whale, /token and alerts.
+ * `/label <address> remove` deletes it, and `/labels` lists them.
+ */
+
+async function handleLabelCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [address, ...nameParts] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    // Required lazily: the registry requires this module
+    const commandRegistry = require('./index');
+    const usage = commandRegistry.formatUsageHint(commandRegistry.get('label'));
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        if (!address || !address.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+            await bot.sendMessage(chatId, `❌ Invalid Solana address format.\n\n${usage}`);
+            return;
+        }
+
+        if (nameParts.length === 1 && nameParts[0].toLowerCase() === 'remove') {
+            const removed = await labels.deleteLabel(chatId, address);
+            await bot.sendMessage(chatId, removed
+                ? `✅ Label removed from \`${address}\`.`
+                : `ℹ️ \`${address}\` has no label in this chat.`, { parse_mode: 'Markdown' });
+            if (removed) logger.info(`Chat ${chatId} removed the label of ${address}`);
+            return;
+        }
+
+        const { label, error } = parseLabelName(nameParts.join(' '));
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}\n\n${usage}`);
+            return;
+        }
+
+        const existing = await labels.getLabels(chatId);
+        if (!existing[address] && Object.keys(existing).length >= MAX_LABELS_PER_CHAT) {
+            await bot.sendMessage(chatId, `⚠️ This chat already has ${MAX_LABELS_PER_CHAT} labels. Remove one with /label <address> remove first.`);
+            return;
+        }
+
+        await labels.setLabel(chatId, address, label);
+
+        let message = `✅ \`${address}\` is now labelled *${label}* in this chat.`;
+        const knownAccount = (await getKnownAccounts()).get(address);
+        if (knownAccount?.name) {
+            message += `\n\nℹ️ This replaces its known name here: ${formatLabel({ ...knownAccount, custom: false })}`;
+        }
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        logger.info(`Chat ${chatId} labelled ${address}: ${label}`);
+    } catch (error) {
+        logger.error('Error setting label:', error);
+        await bot.sendMessage(chatId, '❌ Error setting label. Please try again.');
+    }
+}
+
+async function handleLabelsCommand(bot, msg) {
+    const chatId = msg.chat.id;
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const chatLabels = Object.entries(await labels.getLabels(chatId))
+            .sort(([, a], [, b]) => a.localeCompare(b));
+
+        if (chatLabels.length === 0) {
+            await bot.sendMessage(chatId, '🏷 This chat has no labels yet.\n\nUse /label <address> <name> to name a wallet.');
+            return;
+        }
+
+        const lines = chatLabels.map(([address, label]) => `🏷 *${label}*\n    \`${address}\``);
+        await bot.sendMessage(chatId,
+            `🏷 *Labels (${chatLabels.length}/${MAX_LABELS_PER_CHAT}):*\n\n${lines.join('\n')}\n\n` +
+            'Use /label <address> remove to delete one.',
+            { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error listing labels:', error);
+        await bot.sendMessage(chatId, '❌ Error retrieving labels. Please try again later.');
+    }
+}
+
+module.exports = {
+    handleLabelCommand,
+    handleLabelsCommand,
+    commands: [
+        {
+            name: 'label',
+            description: 'Name a wallet for this chat',
+            help: 'Name any address for this chat; it replaces known account names in commands and alerts',
+            section: 'Labels',
+            args: [
+                { name: 'address', type: 'address', required: true },
+                { name: 'name|remove', required: true }
+            ],
+            anyArgs: true,
+            examples: ['/label 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1 Team wallet'],
+            settings: true,
+            handler: handleLabelCommand
+        },
+        {
+            name: 'labels',
+            description: 'List this chat\'s wallet labels',
+            section: 'Labels',
+            handler: handleLabelsCommand
+        }
+    ]
+};
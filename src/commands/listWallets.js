@@ -1,77 +1,21 @@
-const Redis = require('redis');
 const logger = require('../utils/logger');
+const { tracking, isReady } = require('../repositories');
+const { getWalletLimit, formatWalletUsage } = require('../services/walletLimits');
+const { seedWalletGems } = require('../services/gemAlerts');
 const { processWalletPerformance, processWalletPnLDetail } = require('./walletPerformance');
 
-class RedisClient {
-  constructor() {
-    this.client = null;
-    this.isInitialized = false;
-  }
-
-  async initialize() {
-    if (this.isInitialized) return;
-
-    try {
-      this.client = Redis.createClient({
-        url: process.env.REDIS_URL,
-        socket: {
-            reconnectStrategy: (retries) => {
-                if (retries > 10) {
-              logger.error("Redis connection failed after 10 retries");
-                    return false;
-                }
-                return Math.min(retries * 100, 3000);
-          },
-        },
-    });
-
-      this.client.on("error", (err) => {
-        logger.error("Redis Client Error:", err);
-    });
-
-      this.client.on("connect", () => {
-        logger.info("Redis Client Connected");
-    });
-
-      await this.client.connect();
-      this.isInitialized = true;
-} catch (error) {
-      logger.error("Redis Initialization Error:", error);
-      throw error;
-    }
-  }
-
-  async quit() {
-    if (this.client) {
-      await this.client.quit();
-      this.isInitialized = false;
-    }
-  }
-
-  get isReady() {
-    return this.client?.isReady || false;
-  }
-}
-
-const redisClient = new RedisClient();
-
-// Initialize Redis when the module loads
-redisClient.initialize().catch((err) => {
-  logger.error("Failed to initialize Redis:", err);
-});
-
 async function handleListWallets(bot, msg) {
     try {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
         
-        if (!redisClient.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. No tracked wallets are available.');
             return;
         }
 
-        // Get user-specific tracked wallets
-        const wallets = await redisClient.client.sMembers(`user:${userId}:wallets`);
+        // Get the chat's tracked wallets
+        const wallets = await tracking.getUserWallets(chatId);
         
         if (wallets.length === 0) {
             await bot.sendMessage(chatId, '📝 You are not tracking any wallets yet.\n\nUse /trackwallet to start tracking a wallet.');
@@ -81,7 +25,7 @@ async function handleListWallets(bot, msg) {
         // Check which wallets have gem alerts enabled
         const gemTrackedWallets = [];
         for (const wallet of wallets) {
-            const isTrackedForGems = await redisClient.client.sIsMember(`wallet:${wallet}:gem_users`, chatId.toString());
+            const isTrackedForGems = await tracking.hasGemAlerts(chatId, wallet);
             if (isTrackedForGems) {
                 gemTrackedWallets.push(wallet);
             }
@@ -93,8 +37,9 @@ async function handleListWallets(bot, msg) {
             return `${index + 1}. \`${wallet}\`${gemStatus}`;
         }).join('\n\n');
 
+        const walletLimit = await getWalletLimit(chatId);
         let message = `📝 *Your Tracked Wallets:*\n\n${walletList}\n\n` +
-            `Total wallets: ${wallets.length}/5\n\n`;
+            `Total wallets: ${formatWalletUsage({ used: wallets.length, ...walletLimit })}\n\n`;
             
         // Add gem legend if any wallet has gem alerts
         if (gemTrackedWallets.length > 0) {
@@ -108,10 +53,10 @@ async function handleListWallets(bot, msg) {
         const inlineKeyboard = {
             inline_keyboard: [
                 [
-                    { text: "📊 View Performance", callback_data: `wallet_performance_list:${userId}` }
+                    { text: "📊 View Performance", callback_data: `wallet_performance_list:${chatId}` }
                 ],
                 [
-                    { text: "💎 Manage Gem Alerts", callback_data: `wallet_gems_list:${userId}` }
+                    { text: "💎 Manage Gem Alerts", callback_data: `wallet_gems_list:${chatId}` }
                 ]
             ]
         };
@@ -201,8 +146,8 @@ async function handleWalletPerformanceCallback(bot, query) {
             // User clicked back button - show wallet list again
             await bot.answerCallbackQuery(query.id);
             
-            // Get user's tracked wallets
-            const wallets = await redisClient.client.sMembers(`user:${userId}:wallets`);
+            // Get the chat's tracked wallets
+            const wallets = await tracking.getUserWallets(chatId);
             
             if (wallets.length === 0) {
                 await bot.editMessageText(
@@ -218,7 +163,7 @@ async function handleWalletPerformanceCallback(bot, query) {
             // Check which wallets have gem alerts enabled
             const gemTrackedWallets = [];
             for (const wallet of wallets) {
-                const isTrackedForGems = await redisClient.client.sIsMember(`wallet:${wallet}:gem_users`, chatId.toString());
+                const isTrackedForGems = await tracking.hasGemAlerts(chatId, wallet);
                 if (isTrackedForGems) {
                     gemTrackedWallets.push(wallet);
                 }
@@ -234,17 +179,18 @@ async function handleWalletPerformanceCallback(bot, query) {
             const inlineKeyboard = {
                 inline_keyboard: [
                     [
-                        { text: "📊 View Performance", callback_data: `wallet_performance_list:${userId}` }
+                        { text: "📊 View Performance", callback_data: `wallet_performance_list:${chatId}` }
                     ],
                     [
-                        { text: "💎 Manage Gem Alerts", callback_data: `wallet_gems_list:${userId}` }
+                        { text: "💎 Manage Gem Alerts", callback_data: `wallet_gems_list:${chatId}` }
                     ]
                 ]
             };
             
             // Create the message text with gem legend if needed
+            const walletLimit = await getWalletLimit(chatId);
             let messageText = `📝 *Your Tracked Wallets:*\n\n${walletList}\n\n` +
-                `Total wallets: ${wallets.length}/5\n\n`;
+                `Total wallets: ${formatWalletUsage({ used: wallets.length, ...walletLimit })}\n\n`;
                 
             if (gemTrackedWallets.length > 0) {
                 messageText += `_💎 = Gem alerts enabled_\n\n`;
@@ -293,15 +239,15 @@ async function showWalletPerformanceList(bot, query) {
     const userId = query.from.id;
     
     try {
-        if (!redisClient.isReady) {
+        if (!isReady()) {
             await bot.answerCallbackQuery(query.id, { 
                 text: '⚠️ Storage service is currently unavailable.' 
             });
             return;
         }
         
-        // Get user's tracked wallets
-        const wallets = await redisClient.client.sMembers(`user:${userId}:wallets`);
+        // Get the chat's tracked wallets
+        const wallets = await tracking.getUserWallets(chatId);
         
         if (wallets.length === 0) {
             await bot.answerCallbackQuery(query.id, { 
@@ -373,7 +319,7 @@ async function toggleGemAlerts(bot, query, walletAddress, enable) {
     try {
         logger.info(`Toggling gem alerts ${enable ? 'on' : 'off'} for wallet ${walletAddress} by user ${userId}`);
         
-        if (!redisClient.isReady) {
+        if (!isReady()) {
             await bot.answerCallbackQuery(query.id, { 
                 text: '⚠️ Storage service is currently unavailable.' 
             });
@@ -381,49 +327,16 @@ async function toggleGemAlerts(bot, query, walletAddress, enable) {
         }
         
         if (enable) {
-            // Enable gem alerts
-            await Promise.all([
-                // Add the wallet to gem alert tracking
-                redisClient.client.sAdd('gem_alert_wallets', walletAddress),
-                
-                // Associate this chat/user with the wallet's gem alerts
-                redisClient.client.sAdd(`wallet:${walletAddress}:gem_users`, chatId.toString()),
-                
-                // Enable gem alerts for this chat/user
-                redisClient.client.sAdd('alert_enabled_chats', chatId.toString()),
-                redisClient.client.sAdd(`alerts:${chatId}`, 'gem')
-            ]);
+            // Enable gem alerts for this wallet and for the chat
+            await tracking.enableGemAlerts(chatId, walletAddress);
             
-            // Initialize an empty cache for this wallet in the AlertService
+            // Record the wallet's current gems as the baseline
             // This avoids sending alerts for existing gems
-            const alertService = require('../services/alerts');
-            if (alertService && alertService.walletGemsCache) {
-                // Make sure the cache exists with empty array to prevent false positives
-                const redisManager = require('../utils/redis');
-                const alertServiceInstance = new alertService();
-                
-                // Initialize the alert service if not already done
-                if (!alertServiceInstance.redis) {
-                    await alertServiceInstance.initialize(redisManager.getClient());
-                }
-                
-                // Force a check for this wallet to establish baseline
-                const now = Date.now();
-                alertServiceInstance.lastCheck[`gem_${walletAddress}`] = now;
-                
-                // Clear the cache for this wallet to establish a baseline to compare against
-                if (!alertServiceInstance.walletGemsCache) {
-                    alertServiceInstance.walletGemsCache = {};
-                }
-                
-                // Trigger an immediate check for this wallet
-                const { findLowCapGems } = require('../services/vybeApi/lowCapGems');
-                const currentGems = await findLowCapGems(walletAddress);
-                alertServiceInstance.walletGemsCache[walletAddress] = currentGems || [];
-                
-                logger.info(`Set initial gem baseline for wallet ${walletAddress}: ${currentGems.length} gems`);
-            } else {
-                logger.warn('Alert service not available for gem cache initialization');
+            try {
+                await seedWalletGems(walletAddress);
+            } catch (seedError) {
+                // The first scheduled check will seed the baseline instead
+                logger.error(`Error initializing gem baseline for wallet ${walletAddress}:`, seedError);
             }
             
             // Success message
@@ -432,17 +345,9 @@ async function toggleGemAlerts(bot, query, walletAddress, enable) {
             });
             return true;
         } else {
-            // Disable gem alerts
-            await Promise.all([
-                redisClient.client.sRem(`wallet:${walletAddress}:gem_users`, chatId.toString())
-            ]);
-            
-            // Check if any users are still tracking this wallet for gems
-            const trackingUsers = await redisClient.client.sMembers(`wallet:${walletAddress}:gem_users`);
-            if (trackingUsers.length === 0) {
-                // If no users left, remove wallet from gem alert tracking
-                await redisClient.client.sRem('gem_alert_wallets', walletAddress);
-            }
+            // Disable gem alerts; the wallet leaves gem alert tracking
+            // once no users are tracking it for gems
+            await tracking.disableGemAlerts(chatId, walletAddress);
             
             // Success message
             await bot.answerCallbackQuery(query.id, { 
@@ -469,7 +374,7 @@ async function showWalletGemsManagementList(bot, query) {
     try {
         logger.info(`Entering showWalletGemsManagementList for user ${userId}`);
         
-        if (!redisClient.isReady) {
+        if (!isReady()) {
             logger.error(`Redis client not ready in showWalletGemsManagementList for user ${userId}`);
             await bot.answerCallbackQuery(query.id, { 
                 text: '⚠️ Storage service is currently unavailable.' 
@@ -477,8 +382,8 @@ async function showWalletGemsManagementList(bot, query) {
             return;
         }
         
-        // Get user's tracked wallets
-        const wallets = await redisClient.client.sMembers(`user:${userId}:wallets`);
+        // Get the chat's tracked wallets
+        const wallets = await tracking.getUserWallets(chatId);
         logger.info(`Found ${wallets.length} wallets for user ${userId}`);
         
         if (wallets.length === 0) {
@@ -491,7 +396,7 @@ async function showWalletGemsManagementList(bot, query) {
         // Check which wallets have gem alerts enabled
         const gemTrackedWallets = [];
         for (const wallet of wallets) {
-            const isTrackedForGems = await redisClient.client.sIsMember(`wallet:${wallet}:gem_users`, chatId.toString());
+            const isTrackedForGems = await tracking.hasGemAlerts(chatId, wallet);
             if (isTrackedForGems) {
                 gemTrackedWallets.push(wallet);
             }
@@ -562,13 +467,30 @@ async function showWalletGemsManagementList(bot, query) {
     }
 }
 
-// Cleanup function to be called when shutting down the application
-async function cleanup() {
-  await redisClient.quit();
-}
-
 module.exports = { 
   handleListWallets,
   handleWalletPerformanceCallback,
-  cleanup
+  commands: [
+    {
+      name: 'listwallets',
+      description: 'List tracked wallets',
+      help: 'View all tracked wallets with performance tracking options',
+      section: 'Wallet Tracking',
+      handler: handleListWallets,
+      callbacks: [
+        {
+          prefixes: [
+            'wallet_performance_list:',
+            'wallet_performance:',
+            'wallet_list_back',
+            'wallet_period:',
+            'wallet_gems_list:',
+            'wallet_instruction',
+            'wallet_pnl:'
+          ],
+          handler: handleWalletPerformanceCallback
+        }
+      ]
+    }
+  ]
 }; 
\ No newline at end of file
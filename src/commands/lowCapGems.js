@@ -2,6 +2,10 @@ const logger = require('../utils/logger');
 const stateManager = require('../utils/stateManager');
 const { findLowCapGems } = require('../services/vybeApi/lowCapGems');
 const { formatLowCapGemsMessage } = require('../messages/gemMessages');
+const { tracking, isReady, TRACK_RESULTS } = require('../repositories');
+const { getWalletLimit } = require('../services/walletLimits');
+const { handleTrackGemAlerts, handleUntrackGemAlerts } = require('./config');
+const { handleWalletPerformanceCallback } = require('./listWallets');
 
 /**
  * Handle the lowcap command to analyze wallet for low cap gems
@@ -30,11 +34,10 @@ async function handleLowCapCommand(bot, msg) {
       }
     }
 
-    // Set initial state for wallet input
-    stateManager.setState(userId, {
+    // Wait for the wallet address
+    await stateManager.setState(chatId, userId, {
       command: "lowcap",
       step: "awaiting_wallet",
-      timestamp: Date.now(),
     });
 
     const message =
@@ -52,61 +55,35 @@ async function handleLowCapCommand(bot, msg) {
       msg.chat.id,
       "Sorry, something went wrong. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
+    await stateManager.clearState(msg.chat.id, msg.from.id);
   }
 }
 
 /**
- * Handle wallet input for low cap gem analysis
+ * Conversation step: the wallet address to analyze for low cap gems
  */
 async function handleLowCapInput(bot, msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
-
-    if (!userState || userState.command !== "lowcap") {
-      return;
-    }
-
-    // Check for state timeout (e.g., 5 minutes)
-    if (Date.now() - userState.timestamp > 5 * 60 * 1000) {
-      stateManager.clearState(userId);
-      await bot.sendMessage(
-        chatId,
-        "⏰ Low cap gem finder session timed out. Please start again with /lowcap"
-      );
-      return;
-    }
-
     const walletAddress = msg.text.trim();
 
-    // Check if the input is a command
-    if (walletAddress.startsWith("/")) {
-      stateManager.clearState(userId);
-      return;
-    }
-
     // Validate Solana wallet address format
     if (!walletAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
       await bot.sendMessage(
         chatId,
         "❌ Invalid Solana wallet address format. Please enter a valid Solana wallet address."
       );
-      return;
+      return "awaiting_wallet";
     }
 
     await analyzeLowCapGems(bot, chatId, walletAddress, userId);
-    
-    // Clear user state
-    stateManager.clearState(userId);
   } catch (error) {
     logger.error("Error processing low cap gems input:", error);
     await bot.sendMessage(
       msg.chat.id,
       "❌ Error analyzing wallet. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
   }
 }
 
@@ -197,15 +174,12 @@ async function analyzeLowCapGems(bot, chatId, walletAddress, userId) {
     const message = formatLowCapGemsMessage(walletAddress, gems);
     
     // Track user relationships with the wallet for customized UI
-    const redisManager = require('../utils/redis');
-    const redisClient = redisManager.getClient();
-    
     let isFollowing = false;
     let hasGemAlerts = false;
     
-    if (redisClient?.isReady) {
-      isFollowing = await redisClient.sIsMember(`user:${userId}:wallets`, walletAddress);
-      hasGemAlerts = await redisClient.sIsMember(`wallet:${walletAddress}:gem_users`, chatId.toString());
+    if (isReady()) {
+      isFollowing = await tracking.isTracking(chatId, walletAddress);
+      hasGemAlerts = await tracking.hasGemAlerts(chatId, walletAddress);
     }
     
     // Always use the keyboard from the message formatter - this ensures buttons are visible
@@ -251,8 +225,178 @@ async function analyzeLowCapGems(bot, chatId, walletAddress, userId) {
   }
 }
 
+/**
+* Handle callbacks for gem tracking and analysis
+*/
+async function handleGemCallbacks(bot, query) {
+  try {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const callbackData = query.data;
+
+    // Extract the callback action and wallet
+    const [action, walletAddress] = callbackData.split(':');
+
+    if (action === 'track_wallet') {
+      // Add wallet to tracking
+      if (!isReady()) {
+        await bot.answerCallbackQuery(query.id, {
+          text: '⚠️ Storage service unavailable. Try again later.'
+        });
+        return;
+      }
+
+      // Add wallet to user's tracked wallets, within their limit
+      const { limit } = await getWalletLimit(chatId);
+      const result = await tracking.trackWallet(chatId, walletAddress, limit);
+      if (result === TRACK_RESULTS.LIMIT_REACHED) {
+        await bot.answerCallbackQuery(query.id, {
+          text: `You are already tracking ${limit} wallets. Remove one first.`,
+          show_alert: true
+        });
+        return;
+      }
+
+      await bot.answerCallbackQuery(query.id, {
+        text: result === TRACK_RESULTS.ADDED
+          ? `✅ Wallet added to your tracking list`
+          : 'You are already tracking this wallet.'
+      });
+    } else if (action === 'track_gems') {
+      if (!isReady()) {
+        await bot.answerCallbackQuery(query.id, {
+          text: '⚠️ Storage service unavailable. Try again later.'
+        });
+        return;
+      }
+
+      // Check if user is already following this wallet
+      const isFollowing = await tracking.isTracking(chatId, walletAddress);
+      if (!isFollowing) {
+        await bot.answerCallbackQuery(query.id, {
+          text: 'You must first follow this wallet before enabling gem alerts for it.',
+          show_alert: true
+        });
+
+        // Edit the message to add a track wallet button
+        const message = query.message;
+        const keyboard = {
+          inline_keyboard: [
+            [
+              { text: '📋 Track Wallet', callback_data: `track_wallet:${walletAddress}` }
+            ]
+          ]
+        };
+
+        try {
+          await bot.editMessageReplyMarkup(keyboard, {
+            chat_id: chatId,
+            message_id: message.message_id
+          });
+        } catch (err) {
+          logger.error('Error updating keyboard:', err);
+        }
+
+        return;
+      }
+
+      // Check if gem alerts are already enabled for this wallet/user
+      const hasGemAlerts = await tracking.hasGemAlerts(chatId, walletAddress);
+      if (hasGemAlerts) {
+        await bot.answerCallbackQuery(query.id, {
+          text: 'Gem alerts are already enabled for this wallet.',
+          show_alert: true
+        });
+        return;
+      }
+
+      logger.info(`Enabling gem alerts for wallet ${walletAddress} by user ${userId}`);
+
+      // Track wallet for gem alerts using the config handler
+      await handleTrackGemAlerts(bot, {
+        chat: { id: chatId },
+        from: { id: userId }
+      }, [null, walletAddress]);
+
+      await bot.answerCallbackQuery(query.id, {
+        text: `✅ Gem alerts enabled for this wallet`
+      });
+
+      // Refresh the wallet performance list to update buttons
+      if (query.message && query.message.text && query.message.text.includes("Select a wallet to view performance")) {
+        // Get updated wallet list to refresh the UI
+        await handleWalletPerformanceCallback(bot, {
+          ...query,
+          data: `wallet_performance_list:${chatId}`
+        });
+      }
+    } else if (action === 'untrack_gems') {
+      if (!isReady()) {
+        await bot.answerCallbackQuery(query.id, {
+          text: '⚠️ Storage service unavailable. Try again later.'
+        });
+        return;
+      }
+
+      // Untrack wallet for gem alerts
+      await handleUntrackGemAlerts(bot, {
+        chat: { id: chatId },
+        from: { id: userId }
+      }, [null, walletAddress]);
+
+      await bot.answerCallbackQuery(query.id, {
+        text: `✅ Gem alerts disabled for this wallet`
+      });
+
+      // Refresh the wallet performance list to update buttons
+      if (query.message && query.message.text && query.message.text.includes("Select a wallet to view performance")) {
+        // Get updated wallet list to refresh the UI
+        await handleWalletPerformanceCallback(bot, {
+          ...query,
+          data: `wallet_performance_list:${chatId}`
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Error handling gem callback:', error);
+    await bot.answerCallbackQuery(query.id, {
+      text: 'Error processing request. Please try again.'
+    });
+  }
+}
+
+/**
+ * Gem alert toggles are shared with the wallet list's gem management screen,
+ * which refreshes itself
+ */
+async function handleGemToggleCallback(bot, query) {
+  const lastScreen = query.message.text || "";
+
+  if (lastScreen.includes("Low Cap Gem Alert Management")) {
+    await handleWalletPerformanceCallback(bot, query);
+  } else {
+    await handleGemCallbacks(bot, query);
+  }
+}
+
 module.exports = {
   handleLowCapCommand,
   handleLowCapInput,
-  analyzeLowCapGems
+  analyzeLowCapGems,
+  commands: [
+    {
+      name: 'lowcap',
+      description: 'Find low cap gems in a wallet',
+      help: 'Find low cap gems with high growth potential in a wallet',
+      section: 'Wallet Analysis',
+      args: [{ name: 'wallet address', type: 'address' }],
+      examples: ['/lowcap 4QbWA5MChbahM5GqstbfHfbE3HuYX1grg4VB5MhmUcXr'],
+      handler: handleLowCapCommand,
+      steps: { awaiting_wallet: handleLowCapInput },
+      callbacks: [
+        { prefixes: ['track_wallet:'], handler: handleGemCallbacks, settings: true },
+        { prefixes: ['track_gems:', 'untrack_gems:'], handler: handleGemToggleCallback, settings: true }
+      ]
+    }
+  ]
 }; 
\ No newline at end of file
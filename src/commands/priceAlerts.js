@@ -0,0 +1,248 @@
+const logger = require('../utils/logger');
+const { priceAlerts, isReady } = require('../repositories');
+const vybeApi = require('../services/vybeApi');
+const {
+    MAX_ALERTS_PER_CHAT,
+    parsePriceAlertArgs,
+    needsPriceHistory,
+    evaluatePriceAlert,
+    formatAlertValue,
+    describePriceAlert
+} = require('../services/priceAlerts');
+
+/**
+ * Price and market cap alert commands
+ *
+ * `/pricealert` and `/mcapalert` add an alert on any token; `/pricealerts`
+ * lists the chat's alerts with a delete button for each. Alerts are checked
+ * by the alert scheduler (see AlertService.checkPriceAlerts).
+ *
+ * Callback data: `palert:del:<alert id>`
+ */
+
+const MODE_LABELS = {
+    once: 'one-shot',
+    rearm: 're-arming'
+};
+
+/**
+ * Build the handler for /pricealert or /mcapalert
+ *
+ * Arguments are parsed here rather than by the registry, since their shape
+ * depends on the condition and amounts may use k/m/b suffixes.
+ */
+function createAlertHandler(command, metric) {
+    return async function handleAlertCommand(bot, msg, match) {
+        const chatId = msg.chat.id;
+        const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+        // Required lazily: the registry requires this module
+        const commandRegistry = require('./index');
+        const usage = commandRegistry.formatUsageHint(commandRegistry.get(command));
+
+        try {
+            if (!isReady()) {
+                await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+                return;
+            }
+
+            const [mintAddress, ...alertArgs] = args;
+            if (!mintAddress || !mintAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+                await bot.sendMessage(chatId, `❌ Invalid Solana token address format.\n\n${usage}`);
+                return;
+            }
+
+            const parsed = parsePriceAlertArgs(metric, alertArgs);
+            if (parsed.error) {
+                await bot.sendMessage(chatId, `❌ ${parsed.error}\n\n${usage}`);
+                return;
+            }
+
+            const existing = await priceAlerts.getChatAlerts(chatId);
+            if (existing.length >= MAX_ALERTS_PER_CHAT) {
+                await bot.sendMessage(chatId, `⚠️ This chat already has ${MAX_ALERTS_PER_CHAT} price alerts. Delete one with /pricealerts first.`);
+                return;
+            }
+
+            // Make sure the token exists before setting an alert on it
+            let tokenInfo;
+            try {
+                tokenInfo = await vybeApi.getTokenInfo(mintAddress);
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    await bot.sendMessage(chatId, '❌ Token not found. Please check the address and try again.');
+                    return;
+                }
+                tokenInfo = {};
+            }
+
+            const alert = await priceAlerts.addAlert(chatId, {
+                ...parsed.alert,
+                mint: mintAddress,
+                symbol: tokenInfo?.symbol || null,
+                armed: true,
+                createdAt: Date.now()
+            });
+
+            let message = `✅ Alert #${alert.id} set for \`${mintAddress}\`${alert.symbol ? ` (${alert.symbol})` : ''}\n\n`;
+            message += `${describePriceAlert(alert)} (${MODE_LABELS[alert.mode]})\n`;
+
+            const currentValue = parseFloat(metric === 'marketCap' ? tokenInfo?.marketCap : tokenInfo?.price);
+            if (currentValue > 0) {
+                message += `Current ${metric === 'marketCap' ? 'market cap' : 'price'}: ${formatAlertValue(metric, currentValue)}\n`;
+            }
+
+            const evaluation = evaluatePriceAlert(alert, tokenInfo || {});
+            if (needsPriceHistory(alert)) {
+                message += `\nℹ️ Prices are sampled from now on, so this alert can fire once ${alert.window} of prices are recorded.`;
+            } else if (evaluation?.met) {
+                message += '\nℹ️ The condition already holds, so this alert will fire on the next check.';
+            }
+
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            logger.info(`Chat ${chatId} set price alert ${alert.id} on ${mintAddress}: ${describePriceAlert(alert)}`);
+        } catch (error) {
+            logger.error('Error setting price alert:', error);
+            await bot.sendMessage(chatId, '❌ Error setting alert. Please try again.');
+        }
+    };
+}
+
+async function handlePriceAlertsCommand(bot, msg) {
+    const chatId = msg.chat.id;
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const list = await buildAlertList(chatId);
+        await bot.sendMessage(chatId, list.text, {
+            parse_mode: 'Markdown',
+            reply_markup: list.keyboard
+        });
+    } catch (error) {
+        logger.error('Error listing price alerts:', error);
+        await bot.sendMessage(chatId, '❌ Error retrieving price alerts. Please try again later.');
+    }
+}
+
+/**
+ * Handle delete buttons on the alert list
+ */
+async function handlePriceAlertCallback(bot, query) {
+    const chatId = query.message.chat.id;
+    const [, action, alertId] = query.data.split(':');
+
+    try {
+        if (!isReady()) {
+            await bot.answerCallbackQuery(query.id, { text: '⚠️ Storage service is currently unavailable.' });
+            return;
+        }
+
+        if (action !== 'del') {
+            await bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+            return;
+        }
+
+        const deleted = await priceAlerts.deleteAlert(chatId, alertId);
+        await bot.answerCallbackQuery(query.id, {
+            text: deleted ? `✅ Alert #${alertId} deleted` : 'This alert no longer exists.'
+        });
+        if (deleted) {
+            logger.info(`Chat ${chatId} deleted price alert ${alertId}`);
+        }
+
+        const list = await buildAlertList(chatId);
+        await bot.editMessageText(list.text, {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: list.keyboard
+        });
+    } catch (error) {
+        logger.error('Error deleting price alert:', error);
+        await bot.answerCallbackQuery(query.id, { text: '❌ Error deleting alert. Please try again.' });
+    }
+}
+
+/**
+ * Build the alert list and its delete buttons
+ */
+async function buildAlertList(chatId) {
+    const alerts = await priceAlerts.getChatAlerts(chatId);
+
+    if (alerts.length === 0) {
+        return {
+            text: '📝 This chat has no price alerts yet.\n\nUse /pricealert or /mcapalert to add one.',
+            keyboard: { inline_keyboard: [] }
+        };
+    }
+
+    const lines = alerts.map(alert => {
+        const status = alert.armed ? MODE_LABELS[alert.mode] : 'waiting to re-arm';
+        return `#${alert.id} ${alert.symbol || 'Unknown'}: ${describePriceAlert(alert)} (${status})\n    \`${alert.mint}\``;
+    });
+
+    const buttons = alerts.map(alert => ({ text: `🗑 #${alert.id}`, callback_data: `palert:del:${alert.id}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+        rows.push(buttons.slice(i, i + 4));
+    }
+
+    return {
+        text: `🔔 *Price Alerts:*\n\n${lines.join('\n')}\n\n_Tap an alert number to delete it._`,
+        keyboard: { inline_keyboard: rows }
+    };
+}
+
+module.exports = {
+    handlePriceAlertsCommand,
+    handlePriceAlertCallback,
+    commands: [
+        {
+            name: 'pricealert',
+            description: 'Alert on a token price level or move',
+            help: 'Alert when a price crosses a level, or moves by a % (+ rises, - drops) within 15m, 1h, 4h or 24h',
+            section: 'Price Alerts',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'condition', choices: ['above', 'below', 'change'], required: true },
+                { name: 'usd or %', required: true },
+                { name: 'window' },
+                { name: 'mode', choices: ['once', 'rearm'] }
+            ],
+            anyArgs: true,
+            examples: [
+                '/pricealert So11111111111111111111111111111111111111112 above 250',
+                '/pricealert So11111111111111111111111111111111111111112 change -10 1h rearm'
+            ],
+            settings: true,
+            handler: createAlertHandler('pricealert', 'price')
+        },
+        {
+            name: 'mcapalert',
+            description: 'Alert on a token market cap level',
+            help: 'Alert when a market cap crosses a level',
+            section: 'Price Alerts',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'condition', choices: ['above', 'below'], required: true },
+                { name: 'usd', required: true },
+                { name: 'mode', choices: ['once', 'rearm'] }
+            ],
+            anyArgs: true,
+            examples: ['/mcapalert So11111111111111111111111111111111111111112 above 100b'],
+            settings: true,
+            handler: createAlertHandler('mcapalert', 'marketCap')
+        },
+        {
+            name: 'pricealerts',
+            description: 'List and delete price alerts',
+            help: 'List this chat\'s price and market cap alerts, with delete buttons',
+            section: 'Price Alerts',
+            handler: handlePriceAlertsCommand,
+            callbacks: [{ prefixes: ['palert:'], handler: handlePriceAlertCallback, settings: true }]
+        }
+    ]
+};
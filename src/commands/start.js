@@ -46,4 +46,14 @@ Type /help for more commands.`;
 
 module.exports = {
   handler,
+  commands: [
+    {
+      name: "start",
+      description: "Start the bot",
+      help: "Welcome & quick overview",
+      section: "General Commands",
+      anyArgs: true, // Deep links pass a payload
+      handler,
+    },
+  ],
 };
@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
 const monitoringService = require('../services/monitoringService');
+const apiService = require('../services/apiService');
+const responseCache = require('../services/vybeApi/cache');
+const chatCleanup = require('../services/chatCleanup');
 
 /**
  * Professional Status Command
@@ -19,7 +22,7 @@ async function handleStatusCommand(bot, msg) {
         logger.info(`Status command requested by user ${userId}`);
 
         // Get comprehensive health data
-        const healthReport = monitoringService.getHealthReport();
+        const healthReport = await monitoringService.getHealthReport();
 
         // Create status message
         const statusMessage = formatStatusMessage(healthReport);
@@ -46,12 +49,14 @@ function formatStatusMessage(healthReport) {
 
     // Overall status emoji
     const statusEmoji = getStatusEmoji(status.overall);
-    
-    // Component status emojis
-    const botEmoji = getStatusEmoji(status.components.bot);
-    const apiEmoji = getStatusEmoji(status.components.api);
-    const alertsEmoji = getStatusEmoji(status.components.alerts);
-    const dbEmoji = getStatusEmoji(status.components.database);
+
+    // One line per component: status and the signal behind it, in a code
+    // span since details such as error messages may contain Markdown
+    const componentLine = (label, name) => {
+        const component = healthReport.components[name];
+        const detail = component.detail.replace(/`/g, "'");
+        return `${getStatusEmoji(component.status)} ${label}: \`${component.status}, ${detail}\``;
+    };
 
     const message = `
 🤖 *VybeWhale Bot System Status* ${statusEmoji}
@@ -61,10 +66,11 @@ function formatStatusMessage(healthReport) {
 🕐 *Last Check:* \`${new Date(status.lastHealthCheck).toLocaleString()}\`
 
 🔧 *Component Status:*
-${botEmoji} Bot Service: \`${status.components.bot}\`
-${apiEmoji} API Service: \`${status.components.api}\`
-${alertsEmoji} Alert System: \`${status.components.alerts}\`
-${dbEmoji} Database: \`${status.components.database}\`
+${componentLine('Telegram Polling', 'bot')}
+${componentLine('Vybe API', 'api')}
+${componentLine('Alert Scheduler', 'alerts')}
+${componentLine('Message Delivery', 'delivery')}
+${componentLine('Redis', 'database')}
 
 📈 *Performance Metrics:*
 
@@ -74,6 +80,11 @@ ${dbEmoji} Database: \`${status.components.database}\`
 • Active Users: \`${typeof metrics.bot.activeUsers === 'object' ? metrics.bot.activeUsers.size || 0 : metrics.bot.activeUsers}\`
 • Error Rate: \`${parseFloat(metrics.bot.errorRate || 0).toFixed(2)}%\`
 
+*Message Delivery:*
+• Delivered: \`${metrics.delivery.successfulDeliveries.toLocaleString()}\` of \`${metrics.delivery.totalSent.toLocaleString()}\` (${metrics.delivery.successRate}%)
+• Rate Limited: \`${metrics.delivery.rateLimited}\`
+• Average Send / Queue Time: \`${metrics.delivery.averageDeliveryTime}ms\` / \`${metrics.delivery.averageQueueTime}ms\`
+
 _Last updated: ${new Date().toLocaleString()}_
 `;
 
@@ -109,16 +120,8 @@ async function handleHealthCommand(bot, msg) {
 async function handleMetricsCommand(bot, msg) {
     try {
         const chatId = msg.chat.id;
-        const userId = msg.from.id;
 
-        // Check if user is admin (you can implement your own admin check)
-        const isAdmin = await isUserAdmin(userId);
-        if (!isAdmin) {
-            await bot.sendMessage(chatId, '❌ This command is only available to administrators.');
-            return;
-        }
-
-        const healthReport = monitoringService.getHealthReport();
+        const healthReport = await monitoringService.getHealthReport();
         const detailedMetrics = formatDetailedMetrics(healthReport);
 
         await bot.sendMessage(chatId, detailedMetrics, {
@@ -156,19 +159,63 @@ ${performance.map((point, index) =>
 • Bot Errors: \`${healthReport.metrics.bot.errors}\`
 • Error Rate: \`${healthReport.metrics.bot.errorRate.toFixed(2)}%\`
 
+${formatApiMetrics()}
+
+${formatCacheMetrics()}
+
+${formatCleanupMetrics()}
+
 _This data is updated every minute_
 `;
 }
 
 /**
- * Check if user is admin (implement your own logic)
+ * Format Vybe API breaker state and per-endpoint stats
  */
-async function isUserAdmin(userId) {
-    // Implement your admin check logic here
-    // For now, return false (no admin access)
-    // You could check against a list of admin user IDs from environment variables
-    const adminIds = process.env.ADMIN_USER_IDS?.split(',').map(id => parseInt(id.trim())) || [];
-    return adminIds.includes(userId);
+function formatApiMetrics() {
+    const apiHealth = apiService.getHealthStatus();
+    const endpoints = apiService.getEndpointMetrics().slice(0, 10); // Busiest 10
+
+    let message = `🌐 *Vybe API:*
+• Circuit Breaker: \`${apiHealth.circuitBreakerState}\`
+• Success Rate: \`${apiHealth.successRate}%\` of \`${apiHealth.totalCalls}\` calls`;
+
+    endpoints.forEach(stats => {
+        message += `\n• \`${stats.endpoint}\`: ${stats.calls} calls, ${stats.successRate}% ok, ${stats.averageResponseTime}ms avg`;
+    });
+
+    return message;
+}
+
+/**
+ * Format Vybe response cache hit rates
+ */
+function formatCacheMetrics() {
+    const cacheStats = responseCache.getStats();
+
+    let message = `🗄️ *Response Cache:*
+• Hit Rate: \`${cacheStats.hitRate}%\` of \`${cacheStats.lookups}\` lookups
+• Entries in Memory: \`${cacheStats.entries}\``;
+
+    cacheStats.endpoints.forEach(stats => {
+        message += `\n• \`${stats.endpoint}\`: ${stats.hitRate}% hits ` +
+            `(${stats.memoryHits} memory, ${stats.redisHits} Redis, ${stats.coalesced} shared, ${stats.misses} misses)`;
+    });
+
+    return message;
+}
+
+/**
+ * Format counts of unreachable chats cleaned up since startup
+ */
+function formatCleanupMetrics() {
+    const cleanup = chatCleanup.getCleanupStats();
+
+    return `🧹 *Chat Cleanup:*
+• Chats Removed: \`${cleanup.chatsRemoved}\` (${cleanup.removedByReason.blocked} blocked, ${cleanup.removedByReason.chat_not_found} not found)
+• Groups Migrated: \`${cleanup.chatsMigrated}\`
+• No Longer Polled: \`${cleanup.walletsDropped}\` wallets, \`${cleanup.gemWalletsDropped}\` gem wallets, \`${cleanup.tokensDropped}\` tokens, \`${cleanup.priceAlertTokensDropped}\` price alert tokens
+• Last Cleanup: \`${cleanup.lastCleanup ? new Date(cleanup.lastCleanup).toLocaleString() : 'never'}\``;
 }
 
 /**
@@ -177,14 +224,6 @@ async function isUserAdmin(userId) {
 async function handleMemoryCommand(bot, msg) {
     try {
         const chatId = msg.chat.id;
-        const userId = msg.from.id;
-
-        // Check if user is admin
-        const isAdmin = await isUserAdmin(userId);
-        if (!isAdmin) {
-            await bot.sendMessage(chatId, '❌ This command is only available to administrators.');
-            return;
-        }
 
         // Get Redis memory info
         const redisClient = require('../utils/redis').getClient();
@@ -309,5 +348,34 @@ module.exports = {
     handleStatusCommand,
     handleHealthCommand,
     handleMetricsCommand,
-    handleMemoryCommand
+    handleMemoryCommand,
+    commands: [
+        {
+            name: 'status',
+            description: 'View system status and health',
+            help: 'View system health and performance metrics',
+            section: 'System Status',
+            handler: handleStatusCommand
+        },
+        {
+            name: 'health',
+            description: 'View system health (alias for status)',
+            section: 'System Status',
+            handler: handleHealthCommand
+        },
+        {
+            name: 'metrics',
+            description: 'View detailed system metrics (admin only)',
+            section: 'System Status',
+            admin: true,
+            handler: handleMetricsCommand
+        },
+        {
+            name: 'memory',
+            description: 'View Redis memory status (admin only)',
+            section: 'System Status',
+            admin: true,
+            handler: handleMemoryCommand
+        }
+    ]
 };
@@ -3,6 +3,27 @@ const stateManager = require("../utils/stateManager");
 const vybeApi = require("../services/vybeApi");
 const tokenHolders = require("../services/vybeApi/tokenHolders");
 const { getTopTokenHolders } = require("../services/vybeApi/topTokenHolder");
+const { labels } = require("../repositories");
+const { getLabeler, formatLabel } = require("../services/labels");
+const { sendTokenChart } = require("./chart");
+
+// After an analysis, /whale without an address reuses the token for this long (seconds)
+const FOLLOW_UP_TTL = 10 * 60;
+
+/**
+ * State that keeps an analyzed token for the next command, without a step:
+ * the user's other messages are not taken as replies
+ *
+ * @param {Object} analyzed - { lastToken, lastTokenSymbol }
+ */
+function followUp(analyzed) {
+  return { command: "token", step: null, data: analyzed, ttl: FOLLOW_UP_TTL };
+}
+
+async function startFollowUp(chatId, userId, analyzed) {
+  const { ttl, ...state } = followUp(analyzed);
+  await stateManager.setState(chatId, userId, state, ttl);
+}
 
 async function handleTokenCommand(bot, msg) {
   try {
@@ -15,7 +36,8 @@ async function handleTokenCommand(bot, msg) {
       const tokenInput = commandArgs[1].trim();
       // Validate Solana address format
       if (tokenInput.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
-        await processTokenInput(bot, msg, tokenInput);
+        const analyzed = await processTokenInput(bot, msg, tokenInput);
+        if (analyzed) await startFollowUp(chatId, userId, analyzed);
         return;
       } else {
         await bot.sendMessage(
@@ -27,11 +49,10 @@ async function handleTokenCommand(bot, msg) {
       }
     }
 
-    // Set initial state for token input
-    stateManager.setState(userId, {
+    // Wait for the token address
+    await stateManager.setState(chatId, userId, {
       command: "token",
       step: "awaiting_token",
-      lastToken: null, // Initialize lastToken
     });
 
     const message =
@@ -51,7 +72,11 @@ async function handleTokenCommand(bot, msg) {
   }
 }
 
-// Helper function to process token input
+/**
+ * Analyze a token and reply with the results
+ *
+ * @returns {Promise<Object|null>} - { lastToken, lastTokenSymbol } once analyzed, or null on error
+ */
 async function processTokenInput(bot, msg, tokenInput) {
   try {
     const chatId = msg.chat.id;
@@ -130,30 +155,33 @@ async function processTokenInput(bot, msg, tokenInput) {
         `You can try the /whale command to see if there are any recent large transactions for this token.`;
       
       await bot.sendMessage(chatId, helpMessage, { parse_mode: "Markdown" });
-      
-      // Still store the token for later reference
-      stateManager.setState(userId, {
-        command: "token",
+      logger.info(`Limited token info provided for user ${userId}`);
+
+      // Still keep the token for later reference
+      return {
         lastToken: tokenInput,
         lastTokenSymbol: tokenInfo.symbol || "Unknown Token",
-      });
-      
-      logger.info(`Limited token info provided for user ${userId}`);
-      return;
+      };
     }
 
+    // Name the largest holder with the chat's labels or known accounts
+    const labelFor = await getLabeler(labels, chatId).catch((error) => {
+      logger.error(`Label lookup error: ${error.message}`);
+      return () => null;
+    });
+
     // Format and send response
-    const response = formatTokenInfo(tokenInfo, holderData, topHolders);
+    const response = formatTokenInfo(tokenInfo, holderData, topHolders, labelFor);
     await bot.sendMessage(chatId, response, { parse_mode: "Markdown" });
 
-    // Store the last analyzed token
-    stateManager.setState(userId, {
-      command: "token",
-      lastToken: tokenInput,
-      lastTokenSymbol: tokenInfo.symbol || "Unknown Token",
-    });
+    // Follow up with a price chart when the token has trades
+    await sendTokenChart(bot, chatId, tokenInput);
 
     logger.info(`Token info provided for user ${userId}`);
+    return {
+      lastToken: tokenInput,
+      lastTokenSymbol: tokenInfo.symbol || "Unknown Token",
+    };
   } catch (apiError) {
     logger.error(
       "API Error:",
@@ -177,25 +205,16 @@ async function processTokenInput(bot, msg, tokenInput) {
         "⚠️ Error fetching token data. Try again later."
       );
     }
+    return null;
   }
 }
 
+// Conversation step: a token address to analyze
 async function handleTokenInput(bot, msg) {
   try {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
-
-    if (!userState || userState.command !== "token") return;
-
     const tokenInput = msg.text.trim();
 
-    // Check if input is a new command
-    if (tokenInput.startsWith("/")) {
-      stateManager.clearState(userId);
-      return;
-    }
-
     // Validate Solana address format
     if (!tokenInput.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
       await bot.sendMessage(
@@ -203,21 +222,21 @@ async function handleTokenInput(bot, msg) {
         "❌ *Invalid Solana token address format.*\n\nPlease enter a valid address. Example:\n`So11111111111111111111111111111111111111112`",
         { parse_mode: "Markdown" }
       );
-      return;
+      return "awaiting_token";
     }
 
-    await processTokenInput(bot, msg, tokenInput);
+    const analyzed = await processTokenInput(bot, msg, tokenInput);
+    return analyzed ? followUp(analyzed) : null;
   } catch (error) {
     logger.error("Error processing token input:", error);
     await bot.sendMessage(
       msg.chat.id,
       "⚠️ An unexpected error occurred. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
   }
 }
 
-function formatTokenInfo(tokenInfo, holderData, topHolders = []) {
+function formatTokenInfo(tokenInfo, holderData, topHolders = [], labelFor = () => null) {
   const formatNumber = (num) => {
     if (num === null || num === undefined) return "N/A";
 
@@ -424,7 +443,10 @@ function formatTokenInfo(tokenInfo, holderData, topHolders = []) {
     // Display largest holder
     if (topHolders.length > 0) {
       const largestHolder = topHolders[0];
-      const holderName = largestHolder.ownerName || "Unknown Wallet";
+      const holderLabel = labelFor(largestHolder.ownerAddress);
+      const holderName = holderLabel
+        ? formatLabel(holderLabel)
+        : largestHolder.ownerName || "Unknown Wallet";
       const holderPercentage = parseFloat(
         largestHolder.percentageOfSupplyHeld
       ).toFixed(2);
@@ -462,4 +484,18 @@ function formatTokenInfo(tokenInfo, holderData, topHolders = []) {
 module.exports = {
   handleTokenCommand,
   handleTokenInput,
+  followUp,
+  startFollowUp,
+  commands: [
+    {
+      name: "token",
+      description: "Check token info",
+      help: "Token analysis: price, holders & whale distribution",
+      section: "Token Analysis",
+      args: [{ name: "token address", type: "address" }],
+      examples: ["/token So11111111111111111111111111111111111111112"],
+      handler: handleTokenCommand,
+      steps: { awaiting_token: handleTokenInput },
+    },
+  ],
 };
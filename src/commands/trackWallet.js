@@ -1,78 +1,21 @@
-const Redis = require("redis");
 const logger = require("../utils/logger");
 const stateManager = require("../utils/stateManager");
+const { tracking, isReady, TRACK_RESULTS } = require("../repositories");
+const { getWalletLimit, getWalletUsage } = require("../services/walletLimits");
 
-class RedisClient {
-  constructor() {
-    this.client = null;
-    this.isInitialized = false;
-  }
-
-  async initialize() {
-    if (this.isInitialized) return;
-
-    try {
-      this.client = Redis.createClient({
-        url: process.env.REDIS_URL,
-        socket: {
-          reconnectStrategy: (retries) => {
-            if (retries > 10) {
-              logger.error("Redis connection failed after 10 retries");
-              return false;
-            }
-            return Math.min(retries * 100, 3000);
-          },
-        },
-      });
-
-      this.client.on("error", (err) => {
-        logger.error("Redis Client Error:", err);
-      });
-
-      this.client.on("connect", () => {
-        logger.info("Redis Client Connected");
-      });
-
-      await this.client.connect();
-      this.isInitialized = true;
-    } catch (error) {
-      logger.error("Redis Initialization Error:", error);
-      throw error;
-    }
-  }
-
-  async quit() {
-    if (this.client) {
-      await this.client.quit();
-      this.isInitialized = false;
-    }
-  }
-
-  get isReady() {
-    return this.client?.isReady || false;
-  }
+function limitReachedMessage(limit) {
+  return `❌ You have reached the maximum limit of ${limit} tracked wallets. Please remove some wallets using /untrackwallet before adding new ones.`;
 }
 
-const redisClient = new RedisClient();
-
-// Initialize Redis when the module loads
-redisClient.initialize().catch((err) => {
-  logger.error("Failed to initialize Redis:", err);
-});
-
 async function handleTrackWalletCommand(bot, msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
 
-    // Check if user has reached maximum wallet limit (e.g., 5 wallets per user)
-    const userWallets =
-      (await redisClient.client?.sMembers(`user:${userId}:wallets`)) || [];
-    if (userWallets.length >= 5) {
-      await bot.sendMessage(
-        chatId,
-        "❌ You have reached the maximum limit of 5 tracked wallets. Please remove some wallets using /untrackwallet before adding new ones."
-      );
+    // Check if user has reached their wallet limit
+    const usage = isReady() ? await getWalletUsage(chatId) : null;
+    if (usage && usage.used >= usage.limit) {
+      await bot.sendMessage(chatId, limitReachedMessage(usage.limit));
       return;
     }
 
@@ -95,19 +38,20 @@ async function handleTrackWalletCommand(bot, msg) {
       }
     }
 
-    // Set initial state for wallet input
-    stateManager.setState(userId, {
+    // Wait for the wallet address
+    await stateManager.setState(chatId, userId, {
       command: "trackwallet",
       step: "awaiting_wallet",
-      timestamp: Date.now(), // Add timestamp for potential timeout handling
     });
 
-    const message =
+    let message =
       `🔍 *Wallet Tracking Setup*\n\n` +
       `Please enter the *Solana wallet address* you want to track.\n\n` +
       `Example Format:\n` +
-      `\`5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1\`\n\n` +
-      `_You can track up to 5 wallets._`;
+      `\`5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1\``;
+    if (usage) {
+      message += `\n\n_You are tracking ${usage.used} of ${usage.limit} wallets._`;
+    }
 
     await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
     logger.info(`Track wallet command initiated for user ${userId}`);
@@ -117,58 +61,33 @@ async function handleTrackWalletCommand(bot, msg) {
       msg.chat.id,
       "Sorry, something went wrong. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
+    await stateManager.clearState(msg.chat.id, msg.from.id);
   }
 }
 
+// Conversation step: the wallet address to track
 async function handleWalletInput(bot, msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
-
-    if (!userState || userState.command !== "trackwallet") {
-      return;
-    }
-
-    // Check for state timeout (e.g., 5 minutes)
-    if (Date.now() - userState.timestamp > 5 * 60 * 1000) {
-      stateManager.clearState(userId);
-      await bot.sendMessage(
-        chatId,
-        "⏰ Wallet tracking session timed out. Please start again with /trackwallet"
-      );
-      return;
-    }
-
     const walletAddress = msg.text.trim();
 
-    // Check if the input is a command
-    if (walletAddress.startsWith("/")) {
-      stateManager.clearState(userId);
-      return;
-    }
-
     // Validate Solana wallet address format (base58 encoded, typically 32-44 characters)
     if (!walletAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
       await bot.sendMessage(
         chatId,
         "❌ Invalid Solana wallet address format. Please enter a valid Solana wallet address."
       );
-      return;
+      return "awaiting_wallet";
     }
 
     await processWalletTracking(bot, chatId, userId, walletAddress);
-
-    // Clear user state
-    stateManager.clearState(userId);
   } catch (error) {
     logger.error("Error processing wallet input:", error);
     await bot.sendMessage(
       msg.chat.id,
       "❌ Error tracking wallet. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
   }
 }
 
@@ -178,7 +97,7 @@ async function processWalletTracking(bot, chatId, userId, walletAddress) {
     // Show typing indicator
     await bot.sendChatAction(chatId, "typing");
 
-    if (!redisClient.isReady) {
+    if (!isReady()) {
       await bot.sendMessage(
         chatId,
         "⚠️ Storage service is currently unavailable. Please try again later."
@@ -186,26 +105,20 @@ async function processWalletTracking(bot, chatId, userId, walletAddress) {
       return;
     }
 
-    // Check if wallet is already being tracked by this user
-    const userWallets = await redisClient.client.sMembers(
-      `user:${userId}:wallets`
-    );
-    if (userWallets.includes(walletAddress)) {
+    // Add wallet to tracked wallets and create user association,
+    // atomically checking the user's limit
+    const { limit } = await getWalletLimit(chatId);
+    const result = await tracking.trackWallet(chatId, walletAddress, limit);
+    if (result === TRACK_RESULTS.ALREADY_TRACKING) {
       await bot.sendMessage(chatId, "⚠️ You are already tracking this wallet.");
       return;
     }
+    if (result === TRACK_RESULTS.LIMIT_REACHED) {
+      await bot.sendMessage(chatId, limitReachedMessage(limit));
+      return;
+    }
 
-    // Add wallet to tracked wallets and create user association
-    await Promise.all([
-      redisClient.client.sAdd("tracked_wallets", walletAddress),
-      redisClient.client.sAdd(`user:${userId}:wallets`, walletAddress),
-      redisClient.client.sAdd(
-        `wallet:${walletAddress}:users`,
-        userId.toString()
-      ),
-    ]);
-
-    logger.info(`Wallet ${walletAddress} added to tracking for user ${userId}`);
+    logger.info(`Wallet ${walletAddress} added to tracking for chat ${chatId} by user ${userId}`);
 
     await bot.sendMessage(
       chatId,
@@ -220,13 +133,20 @@ async function processWalletTracking(bot, chatId, userId, walletAddress) {
   }
 }
 
-// Cleanup function to be called when shutting down the application
-async function cleanup() {
-  await redisClient.quit();
-}
-
 module.exports = {
   handleTrackWalletCommand,
   handleWalletInput,
-  cleanup,
+  commands: [
+    {
+      name: "trackwallet",
+      description: "Track a wallet",
+      help: "Track wallet for ongoing analysis (up to your wallet limit)",
+      section: "Wallet Tracking",
+      args: [{ name: "wallet address", type: "address" }],
+      examples: ["/trackwallet 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1"],
+      settings: true,
+      handler: handleTrackWalletCommand,
+      steps: { awaiting_wallet: handleWalletInput },
+    },
+  ],
 };
@@ -0,0 +1,184 @@
+const logger = require('../utils/logger');
+const { labels } = require('../repositories');
+const { getLabeler } = require('../services/labels');
+const { SUPPORTED_PROGRAMS } = require('../services/vybeApi/tokenTrades');
+const { DEFAULT_TRADE_HOURS, MAX_TRADE_HOURS, findDex, getTradeFeed } = require('../services/tradeFeed');
+const { formatTradeFeedMessage } = require('../messages/tradeMessages');
+
+/**
+ * Token trade feed
+ *
+ * `/trades <mint> [hours] [dex]` lists a token's recent large swaps with the
+ * buy/sell pressure over the window. Buttons page through the swaps and
+ * refresh the feed.
+ *
+ * Callback data: `trades:<page>:<hours>:<dex index|->:<mint>`, where the
+ * DEX index is its position in SUPPORTED_PROGRAMS (callback data is limited
+ * to 64 bytes).
+ */
+
+const TRADES_PER_PAGE = 8;
+
+const DEX_NAMES = Object.keys(SUPPORTED_PROGRAMS);
+
+/**
+ * Fetch the feed and build one page of it
+ *
+ * @param {number} page - Requested page; clamped to the pages there are
+ * @param {string|null} dex - DEX name, or null for all DEXs
+ * @returns {Promise<Object>} - { text, keyboard }
+ */
+async function buildTradesPage(chatId, mintAddress, hours, dex, page) {
+    const [feed, labelFor] = await Promise.all([
+        getTradeFeed(mintAddress, { hours, programId: dex ? SUPPORTED_PROGRAMS[dex] : null }),
+        getLabeler(labels, chatId).catch(error => {
+            logger.error(`Label lookup error: ${error.message}`);
+            return () => null;
+        })
+    ]);
+
+    const pageCount = Math.max(1, Math.ceil(feed.trades.length / TRADES_PER_PAGE));
+    const view = {
+        page: Math.min(Math.max(0, page), pageCount - 1),
+        pageCount,
+        pageSize: TRADES_PER_PAGE,
+        hours,
+        dex
+    };
+
+    return {
+        text: formatTradeFeedMessage(mintAddress, feed, view, labelFor),
+        keyboard: buildTradesKeyboard(mintAddress, view)
+    };
+}
+
+function buildTradesKeyboard(mintAddress, { page, pageCount, hours, dex }) {
+    const dexIndex = dex ? DEX_NAMES.indexOf(dex) : '-';
+    const data = (target) => `trades:${target}:${hours}:${dexIndex}:${mintAddress}`;
+
+    const navigation = [];
+    if (page > 0) {
+        navigation.push({ text: '« Newer', callback_data: data(page - 1) });
+    }
+    if (pageCount > 1) {
+        navigation.push({ text: `${page + 1}/${pageCount}`, callback_data: data(page) });
+    }
+    if (page < pageCount - 1) {
+        navigation.push({ text: 'Older »', callback_data: data(page + 1) });
+    }
+
+    const rows = navigation.length ? [navigation] : [];
+    rows.push([{ text: '🔄 Refresh', callback_data: data(0) }]);
+    return { inline_keyboard: rows };
+}
+
+async function handleTradesCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [mintAddress, ...rest] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    // Required lazily: the registry requires this module
+    const commandRegistry = require('./index');
+    const usage = commandRegistry.formatUsageHint(commandRegistry.get('trades'));
+
+    if (!mintAddress || !mintAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+        await bot.sendMessage(chatId, `❌ Invalid Solana token address format.\n\n${usage}`);
+        return;
+    }
+
+    let hours = DEFAULT_TRADE_HOURS;
+    if (/^\d+$/.test(rest[0] || '')) {
+        hours = parseInt(rest.shift());
+        if (hours < 1 || hours > MAX_TRADE_HOURS) {
+            await bot.sendMessage(chatId, `❌ Hours must be between 1 and ${MAX_TRADE_HOURS}.\n\n${usage}`);
+            return;
+        }
+    }
+
+    let dex = null;
+    if (rest.length) {
+        const found = findDex(rest.join(' '));
+        if (!found.name) {
+            const options = found.matches.length ? found.matches : DEX_NAMES;
+            await bot.sendMessage(
+                chatId,
+                `❌ ${found.matches.length ? 'More than one DEX matches' : 'Unknown DEX'} "${rest.join(' ')}". Use one of:\n${options.join(', ')}`
+            );
+            return;
+        }
+        dex = found.name;
+    }
+
+    try {
+        await bot.sendChatAction(chatId, 'typing');
+        const page = await buildTradesPage(chatId, mintAddress, hours, dex, 0);
+
+        await bot.sendMessage(chatId, page.text, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: page.keyboard
+        });
+    } catch (error) {
+        logger.error(`Error fetching trades for ${mintAddress}:`, error);
+        await bot.sendMessage(chatId, '❌ Error fetching trades. Please try again later.');
+    }
+}
+
+/**
+ * Handle page and refresh buttons under a trade feed
+ */
+async function handleTradesCallback(bot, query) {
+    const chatId = query.message.chat.id;
+    const [, page, hours, dexIndex, mintAddress] = query.data.split(':');
+    const dex = dexIndex === '-' ? null : DEX_NAMES[parseInt(dexIndex)];
+    const windowHours = parseInt(hours);
+
+    if (!mintAddress || (dexIndex !== '-' && !dex) || !(windowHours >= 1 && windowHours <= MAX_TRADE_HOURS)) {
+        await bot.answerCallbackQuery(query.id, { text: 'Unknown trade feed' });
+        return;
+    }
+
+    try {
+        const tradesPage = await buildTradesPage(chatId, mintAddress, windowHours, dex, parseInt(page) || 0);
+
+        await bot.editMessageText(tradesPage.text, {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: tradesPage.keyboard
+        });
+        await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+        // Refreshing an unchanged page is not an error worth showing
+        if (error.message?.includes('message is not modified')) {
+            await bot.answerCallbackQuery(query.id, { text: 'No new trades' });
+            return;
+        }
+        logger.error(`Error updating trades for ${mintAddress}:`, error);
+        await bot.answerCallbackQuery(query.id, { text: '❌ Error updating trades. Please try again.' });
+    }
+}
+
+module.exports = {
+    handleTradesCommand,
+    handleTradesCallback,
+    commands: [
+        {
+            name: 'trades',
+            description: 'Recent large swaps for a token',
+            help: `Recent large swaps with buy/sell pressure over the last 1-${MAX_TRADE_HOURS} hours (default ${DEFAULT_TRADE_HOURS}), optionally on one DEX`,
+            section: 'Token Analysis',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'hours', type: 'integer' },
+                { name: 'dex' }
+            ],
+            anyArgs: true,
+            examples: [
+                '/trades So11111111111111111111111111111111111111112',
+                '/trades So11111111111111111111111111111111111111112 6 raydium v4'
+            ],
+            handler: handleTradesCommand,
+            callbacks: [{ prefixes: ['trades:'], handler: handleTradesCallback }]
+        }
+    ]
+};
@@ -1,40 +1,21 @@
-const Redis = require('redis');
 const logger = require('../utils/logger');
 const stateManager = require('../utils/stateManager');
+const { tracking, isReady } = require('../repositories');
 
-let redis;
-try {
-    redis = Redis.createClient({
-        url: process.env.REDIS_URL,
-        socket: {
-            reconnectStrategy: (retries) => {
-                if (retries > 10) {
-                    logger.error('Redis connection failed after 10 retries');
-                    return false;
-                }
-                return Math.min(retries * 100, 3000);
-            }
-        }
-    });
-
-    redis.on('error', (err) => {
-        logger.error('Redis Client Error:', err);
-    });
-
-    redis.connect().catch((err) => {
-        logger.error('Redis Connection Error:', err);
-    });
-} catch (error) {
-    logger.error('Redis Initialization Error:', error);
-}
-
-async function handleUntrackWalletCommand(bot, msg) {
+async function handleUntrackWalletCommand(bot, msg, match) {
     try {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
 
-        // Set initial state for wallet input
-        stateManager.setState(userId, {
+        // Untrack directly if a wallet address was given with the command
+        const walletAddress = match?.[1];
+        if (walletAddress) {
+            await processWalletUntracking(bot, chatId, userId, walletAddress);
+            return;
+        }
+
+        // Wait for the wallet address
+        await stateManager.setState(chatId, userId, {
             command: 'untrackwallet',
             step: 'awaiting_wallet'
         });
@@ -51,70 +32,67 @@ async function handleUntrackWalletCommand(bot, msg) {
     }
 }
 
+// Conversation step: the wallet address to stop tracking
 async function handleUntrackWalletInput(bot, msg) {
     try {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
-        const userState = stateManager.getState(userId);
-
-        if (!userState || userState.command !== 'untrackwallet') {
-            return;
-        }
-
         const walletAddress = msg.text.trim();
-        
-        // Check if the input is a command
-        if (walletAddress.startsWith('/')) {
-            // Clear the current state and let the main message handler process the command
-            stateManager.clearState(userId);
-            return;
-        }
-        
+
         // Validate Solana wallet address format (base58 encoded, typically 32-44 characters)
         if (!walletAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
             await bot.sendMessage(chatId, '❌ Invalid Solana wallet address format. Please enter a valid Solana wallet address.');
-            return;
+            return 'awaiting_wallet';
         }
 
+        await processWalletUntracking(bot, chatId, userId, walletAddress);
+    } catch (error) {
+        logger.error('Error processing untrack wallet input:', error);
+        await bot.sendMessage(msg.chat.id, '❌ Error untracking wallet. Please try again later.');
+    }
+}
+
+async function processWalletUntracking(bot, chatId, userId, walletAddress) {
+    try {
         // Show typing indicator
         await bot.sendChatAction(chatId, 'typing');
 
-        if (!redis?.isReady) {
+        if (!isReady()) {
             await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
         } else {
             // Check if wallet is being tracked by this user
-            const isTracked = await redis.sIsMember(`user:${userId}:wallets`, walletAddress);
+            const isTracked = await tracking.isTracking(chatId, walletAddress);
             
             if (!isTracked) {
                 await bot.sendMessage(chatId, `❌ Wallet \`${walletAddress}\` is not being tracked.`, { parse_mode: "Markdown" });
             } else {
-                // Remove wallet from user's tracked wallets
-                await Promise.all([
-                    redis.sRem(`user:${userId}:wallets`, walletAddress),
-                    redis.sRem(`wallet:${walletAddress}:users`, userId.toString())
-                ]);
+                // Removes the user's settings for the wallet, and the wallet
+                // itself from global tracking once no users follow it
+                await tracking.untrackWallet(chatId, walletAddress);
 
-                // If no users are tracking this wallet anymore, remove it from global tracking
-                const remainingUsers = await redis.sMembers(`wallet:${walletAddress}:users`);
-                if (remainingUsers.length === 0) {
-                    await redis.sRem('tracked_wallets', walletAddress);
-                }
-
-                logger.info(`Wallet ${walletAddress} removed from tracking for user ${userId}`);
+                logger.info(`Wallet ${walletAddress} removed from tracking for chat ${chatId} by user ${userId}`);
                 await bot.sendMessage(chatId, `✅ Wallet \`${walletAddress}\` is no longer being tracked.`, { parse_mode: "Markdown" });
             }
         }
-
-        // Clear user state
-        stateManager.clearState(userId);
     } catch (error) {
-        logger.error('Error processing untrack wallet input:', error);
-        await bot.sendMessage(msg.chat.id, '❌ Error untracking wallet. Please try again later.');
-        stateManager.clearState(msg.from.id);
+        logger.error('Error untracking wallet:', error);
+        await bot.sendMessage(chatId, '❌ Error untracking wallet. Please try again later.');
     }
 }
 
 module.exports = {
     handleUntrackWalletCommand,
-    handleUntrackWalletInput
+    handleUntrackWalletInput,
+    commands: [
+        {
+            name: 'untrackwallet',
+            description: 'Stop tracking a wallet',
+            section: 'Wallet Tracking',
+            args: [{ name: 'wallet address', type: 'address' }],
+            examples: ['/untrackwallet 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'],
+            settings: true,
+            handler: handleUntrackWalletCommand,
+            steps: { awaiting_wallet: handleUntrackWalletInput }
+        }
+    ]
 }; 
\ No newline at end of file
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const { limits, isReady } = require('../repositories');
+const {
+    DEFAULT_TIER,
+    MAX_WALLET_LIMIT,
+    getTierLimits,
+    getWalletUsage,
+    parseWalletLimit,
+    isValidTierName,
+    formatWalletUsage
+} = require('../services/walletLimits');
+
+/**
+ * Admin commands for tracked-wallet limits
+ *
+ * /grantlimit <chatId> <limit|reset> - Give one chat its own limit
+ * /settier <chatId> <tier>           - Move a chat to another tier
+ * /tierlimit [tier limit]            - List tiers, or set a tier's limit
+ *
+ * Limits belong to the chat that tracks the wallets: the user's ID for
+ * private chats, the (negative) group ID for groups.
+ */
+
+/**
+ * Run `handler` only with storage available
+ */
+async function withStorage(bot, msg, handler) {
+    const chatId = msg.chat.id;
+
+    if (!isReady()) {
+        await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+        return;
+    }
+
+    await handler(chatId);
+}
+
+function isValidChatId(chatId) {
+    return /^-?\d+$/.test(chatId || '');
+}
+
+async function handleGrantLimitCommand(bot, msg, match) {
+    const [targetId, value] = (match?.[1] || '').trim().split(/\s+/);
+
+    try {
+        await withStorage(bot, msg, async (chatId) => {
+            if (!isValidChatId(targetId) || !value) {
+                await bot.sendMessage(chatId, '❌ Usage: /grantlimit <user or group id> <limit|reset>\n\nExample: /grantlimit 123456789 20');
+                return;
+            }
+
+            if (value.toLowerCase() === 'reset') {
+                await limits.clearUserLimit(targetId);
+            } else {
+                const limit = parseWalletLimit(value);
+                if (limit === null) {
+                    await bot.sendMessage(chatId, `❌ Limit must be a whole number from 0 to ${MAX_WALLET_LIMIT}.`);
+                    return;
+                }
+                await limits.setUserLimit(targetId, limit);
+            }
+
+            const usage = await getWalletUsage(targetId);
+            await bot.sendMessage(chatId, `✅ Wallet limit for ${targetId}: ${formatWalletUsage(usage)}`);
+            logger.info(`Admin ${msg.from.id} set wallet limit for chat ${targetId} to ${value}`);
+        });
+    } catch (error) {
+        logger.error('Error granting wallet limit:', error);
+        await bot.sendMessage(msg.chat.id, '❌ Error updating wallet limit. Please try again later.');
+    }
+}
+
+async function handleSetTierCommand(bot, msg, match) {
+    const [targetId, tier] = (match?.[1] || '').trim().toLowerCase().split(/\s+/);
+
+    try {
+        await withStorage(bot, msg, async (chatId) => {
+            if (!isValidChatId(targetId) || !tier) {
+                await bot.sendMessage(chatId, '❌ Usage: /settier <user or group id> <tier>\n\nExample: /settier 123456789 pro');
+                return;
+            }
+
+            const tierLimits = await getTierLimits();
+            if (tierLimits[tier] === undefined) {
+                await bot.sendMessage(chatId, `❌ Unknown tier. Available tiers: ${Object.keys(tierLimits).join(', ')}`);
+                return;
+            }
+
+            if (tier === DEFAULT_TIER) {
+                await limits.clearUserTier(targetId);
+            } else {
+                await limits.setUserTier(targetId, tier);
+            }
+
+            const usage = await getWalletUsage(targetId);
+            let message = `✅ ${targetId} moved to the ${tier} tier.\n\nWallets: ${formatWalletUsage(usage)}`;
+            if (usage.granted) {
+                message += '\n\n_A granted limit overrides the tier. Use /grantlimit <user or group id> reset to remove it._';
+            }
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            logger.info(`Admin ${msg.from.id} moved chat ${targetId} to tier ${tier}`);
+        });
+    } catch (error) {
+        logger.error('Error setting user tier:', error);
+        await bot.sendMessage(msg.chat.id, '❌ Error updating user tier. Please try again later.');
+    }
+}
+
+async function handleTierLimitCommand(bot, msg, match) {
+    const [tier, value] = (match?.[1] || '').trim().toLowerCase().split(/\s+/);
+
+    try {
+        await withStorage(bot, msg, async (chatId) => {
+            if (tier) {
+                const limit = parseWalletLimit(value);
+                if (!isValidTierName(tier) || limit === null) {
+                    await bot.sendMessage(
+                        chatId,
+                        `❌ Usage: /tierlimit <tier> <limit>\n\nTier names use a-z, 0-9 and -. Limits go from 0 to ${MAX_WALLET_LIMIT}.\n\nExample: /tierlimit pro 25`
+                    );
+                    return;
+                }
+                await limits.setTierLimit(tier, limit);
+                logger.info(`Admin ${msg.from.id} set wallet limit for tier ${tier} to ${limit}`);
+            }
+
+            const tierLimits = await getTierLimits();
+            let message = '🎚️ *Wallet Limit Tiers*\n\n';
+            Object.entries(tierLimits).forEach(([name, limit]) => {
+                const isDefault = name === DEFAULT_TIER ? ' (default)' : '';
+                message += `• ${name}${isDefault}: ${limit} wallets\n`;
+            });
+            message += '\nUse /tierlimit <tier> <limit> to change a tier or add a new one.';
+
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        });
+    } catch (error) {
+        logger.error('Error updating tier limits:', error);
+        await bot.sendMessage(msg.chat.id, '❌ Error updating tier limits. Please try again later.');
+    }
+}
+
+module.exports = {
+    handleGrantLimitCommand,
+    handleSetTierCommand,
+    handleTierLimitCommand,
+    commands: [
+        {
+            name: 'grantlimit',
+            description: 'Grant a user a wallet limit (admin only)',
+            section: 'Admin',
+            args: [
+                { name: 'user or group id', type: 'id', required: true },
+                { name: 'limit|reset', type: 'text', required: true }
+            ],
+            examples: ['/grantlimit 123456789 20'],
+            admin: true,
+            handler: handleGrantLimitCommand
+        },
+        {
+            name: 'settier',
+            description: 'Set a user\'s wallet limit tier (admin only)',
+            section: 'Admin',
+            args: [
+                { name: 'user or group id', type: 'id', required: true },
+                { name: 'tier', type: 'text', required: true }
+            ],
+            examples: ['/settier 123456789 pro'],
+            admin: true,
+            handler: handleSetTierCommand
+        },
+        {
+            name: 'tierlimit',
+            description: 'View or set wallet limit tiers (admin only)',
+            section: 'Admin',
+            args: [
+                { name: 'tier', type: 'text' },
+                { name: 'limit', type: 'integer' }
+            ],
+            examples: ['/tierlimit', '/tierlimit pro 25'],
+            admin: true,
+            handler: handleTierLimitCommand
+        }
+    ]
+};
@@ -1,5 +1,6 @@
 const { getWalletPerformance } = require('../services/vybeApi/walletTokens');
 const { getWalletTradingPerformance } = require('../services/vybeApi/walletPnl');
+const { getMaxDrawdown, renderPortfolioChart } = require('../services/charts');
 const logger = require('../utils/logger');
 const stateManager = require('../utils/stateManager');
 
@@ -68,11 +69,10 @@ async function handleWalletPerformance(bot, msg) {
       }
     }
 
-    // Set initial state for wallet input
-    stateManager.setState(userId, {
+    // Wait for the wallet address
+    await stateManager.setState(chatId, userId, {
       command: "walletperformance",
       step: "awaiting_wallet",
-      timestamp: Date.now(),
     });
 
     const message =
@@ -90,33 +90,16 @@ async function handleWalletPerformance(bot, msg) {
       msg.chat.id,
       "Sorry, something went wrong. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
+    await stateManager.clearState(msg.chat.id, msg.from.id);
   }
 }
 
 /**
- * Handle wallet input for performance analysis
+ * Conversation step: the wallet address (and optional days) to analyze
  */
 async function handleWalletPerformanceInput(bot, msg) {
   try {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
-
-    if (!userState || userState.command !== "walletperformance") {
-      return;
-    }
-
-    // Check for state timeout (e.g., 5 minutes)
-    if (Date.now() - userState.timestamp > 5 * 60 * 1000) {
-      stateManager.clearState(userId);
-      await bot.sendMessage(
-        chatId,
-        "⏰ Wallet performance session timed out. Please start again with /walletperformance"
-      );
-      return;
-    }
-
     const input = msg.text.trim().split(/\s+/);
     const walletAddress = input[0];
     
@@ -126,32 +109,22 @@ async function handleWalletPerformanceInput(bot, msg) {
       days = Math.min(Math.max(1, parseInt(input[1])), 30); // Ensure between 1-30
     }
 
-    // Check if the input is a command
-    if (walletAddress.startsWith("/")) {
-      stateManager.clearState(userId);
-      return;
-    }
-
     // Validate Solana wallet address format
     if (!walletAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
       await bot.sendMessage(
         chatId,
         "❌ Invalid Solana wallet address format. Please enter a valid Solana wallet address."
       );
-      return;
+      return "awaiting_wallet";
     }
 
     await processWalletPerformance(bot, chatId, walletAddress, days);
-    
-    // Clear user state
-    stateManager.clearState(userId);
   } catch (error) {
     logger.error("Error processing wallet performance input:", error);
     await bot.sendMessage(
       msg.chat.id,
       "❌ Error analyzing wallet. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
   }
 }
 
@@ -164,6 +137,27 @@ function daysToResolution(days) {
   return '30d';
 }
 
+/**
+ * Send a chart of the wallet's value over the period
+ *
+ * Errors are logged rather than thrown, so the analysis above it still stands.
+ */
+async function sendPortfolioChart(bot, chatId, walletAddress, dailyValues, days) {
+  try {
+    await bot.sendChatAction(chatId, "upload_photo");
+
+    const drawdown = getMaxDrawdown(dailyValues);
+    const image = renderPortfolioChart(dailyValues, { days });
+    const caption =
+      `📊 Portfolio value over the last ${days} days` +
+      (drawdown < 0 ? `, max drawdown ${drawdown.toFixed(2)}%` : "");
+
+    await bot.sendPhoto(chatId, image, { caption }, { filename: "portfolio.png", contentType: "image/png" });
+  } catch (error) {
+    logger.error(`Error sending portfolio chart for ${walletAddress}:`, error);
+  }
+}
+
 /**
  * Process wallet performance analysis with PnL data
  */
@@ -345,6 +339,9 @@ async function processWalletPerformance(bot, chatId, walletAddress, days = 14) {
       disable_web_page_preview: true,
       reply_markup: inlineKeyboard
     });
+
+    // Sent again for the new period when a period button is pressed
+    await sendPortfolioChart(bot, chatId, walletAddress, dailyValues, days);
     
     logger.info(`Sent wallet performance analysis for ${walletAddress} to chat ${chatId}`);
   } catch (error) {
@@ -466,5 +463,23 @@ module.exports = {
   handleWalletPerformance,
   handleWalletPerformanceInput,
   processWalletPnLDetail, // Export for callback handling
-  processWalletPerformance // Export for wallet performance callback
+  processWalletPerformance, // Export for wallet performance callback
+  commands: [
+    {
+      name: "walletperformance",
+      description: "Analyze wallet performance",
+      help: "Analyze wallet performance, holdings & trading activity (1-30 days)",
+      section: "Wallet Analysis",
+      args: [
+        { name: "wallet address", type: "address" },
+        { name: "days", type: "integer" }
+      ],
+      examples: [
+        "/walletperformance 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1",
+        "/walletperformance 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1 30"
+      ],
+      handler: handleWalletPerformance,
+      steps: { awaiting_wallet: handleWalletPerformanceInput }
+    }
+  ]
 };
\ No newline at end of file
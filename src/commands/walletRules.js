@@ -0,0 +1,261 @@
+const logger = require('../utils/logger');
+const { tracking, alertPrefs, isReady } = require('../repositories');
+const stateManager = require('../utils/stateManager');
+const { ALERT_MODES, DEFAULT_ALERT_MODE } = require('../services/walletDiff');
+const { parseWalletRules, describeWalletRules } = require('../services/walletRules');
+const { formatWalletMode } = require('./config');
+
+/**
+ * Per-wallet alert rules
+ *
+ * `/walletrules <address>` opens an inline menu for one tracked wallet.
+ * Toggles apply immediately; rules that need a value (USD, position and
+ * value %, tokens, quiet hours) prompt for it and read the next message.
+ *
+ * Callback data: `wrule:<action>:<wallet>`
+ */
+
+const MAX_RULE_TOKENS = 10;
+
+// Prompts for rules that take a typed value
+const INPUT_PROMPTS = {
+    usd: 'Send the minimum USD size of a position change to alert on (0 for any).\n\nExample: 500',
+    pct: 'Send the minimum % change in a position\'s size to alert on (0 for any).\n\nExample: 10',
+    valuepct: 'Send the minimum % move of the wallet\'s total value to alert on in value mode.\n\nExample: 10',
+    tokens: `Send up to ${MAX_RULE_TOKENS} token addresses to watch, separated by spaces, or "all" for every token.`,
+    quiet: 'Send quiet hours in UTC as start-end, or "off".\n\nExample: 22-7'
+};
+
+async function handleWalletRulesCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const walletAddress = match[1].trim();
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const isFollowing = await tracking.isTracking(chatId, walletAddress);
+        if (!isFollowing) {
+            await bot.sendMessage(chatId, `❌ You are not tracking this wallet. Use /trackwallet ${walletAddress} first.`);
+            return;
+        }
+
+        const menu = await buildRulesMenu(chatId, walletAddress);
+        await bot.sendMessage(chatId, menu.text, {
+            parse_mode: 'Markdown',
+            reply_markup: menu.keyboard
+        });
+    } catch (error) {
+        logger.error('Error showing wallet rules:', error);
+        await bot.sendMessage(chatId, '❌ Error retrieving wallet rules. Please try again later.');
+    }
+}
+
+/**
+ * Handle presses on the rules menu
+ */
+async function handleWalletRulesCallback(bot, query) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const [, action, walletAddress] = query.data.split(':');
+
+    try {
+        if (!isReady()) {
+            await bot.answerCallbackQuery(query.id, { text: '⚠️ Storage service is currently unavailable.' });
+            return;
+        }
+
+        const isFollowing = await tracking.isTracking(chatId, walletAddress);
+        if (!isFollowing) {
+            await bot.answerCallbackQuery(query.id, { text: 'You are no longer tracking this wallet.', show_alert: true });
+            return;
+        }
+
+        if (INPUT_PROMPTS[action]) {
+            await stateManager.setState(chatId, userId, {
+                command: 'walletrules',
+                step: 'awaiting_value',
+                data: { field: action, walletAddress }
+            });
+            await bot.answerCallbackQuery(query.id);
+            await bot.sendMessage(chatId, INPUT_PROMPTS[action]);
+            return;
+        }
+
+        const rules = await getRules(chatId, walletAddress);
+
+        if (action === 'stable') {
+            rules.ignoreStablecoins = !rules.ignoreStablecoins;
+            await alertPrefs.setWalletRules(chatId, walletAddress, rules);
+        } else if (action === 'mode') {
+            const currentMode = await alertPrefs.getWalletMode(chatId, walletAddress) || DEFAULT_ALERT_MODE;
+            const nextMode = ALERT_MODES[(ALERT_MODES.indexOf(currentMode) + 1) % ALERT_MODES.length];
+            await alertPrefs.setWalletMode(chatId, walletAddress, nextMode);
+        } else if (action === 'reset') {
+            await alertPrefs.deleteWalletRules(chatId, walletAddress);
+        } else {
+            await bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+            return;
+        }
+
+        await bot.answerCallbackQuery(query.id, { text: '✅ Rules updated' });
+
+        const menu = await buildRulesMenu(chatId, walletAddress);
+        await bot.editMessageText(menu.text, {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: menu.keyboard
+        });
+    } catch (error) {
+        logger.error('Error updating wallet rules:', error);
+        await bot.answerCallbackQuery(query.id, { text: '❌ Error updating rules. Please try again.' });
+    }
+}
+
+/**
+ * Conversation step: the value typed after a rule prompt
+ */
+async function handleWalletRulesInput(bot, msg, state) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const { field, walletAddress } = state.data;
+    const input = msg.text.trim();
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const rules = await getRules(chatId, walletAddress);
+        const error = applyRuleInput(rules, field, input);
+        if (error) {
+            // Ask again so the user can correct it
+            await bot.sendMessage(chatId, `❌ ${error}\n\n${INPUT_PROMPTS[field]}`);
+            return 'awaiting_value';
+        }
+
+        await alertPrefs.setWalletRules(chatId, walletAddress, rules);
+
+        const menu = await buildRulesMenu(chatId, walletAddress);
+        await bot.sendMessage(chatId, `✅ Rules updated.\n\n${menu.text}`, {
+            parse_mode: 'Markdown',
+            reply_markup: menu.keyboard
+        });
+        logger.info(`User ${userId} updated ${field} rule for wallet ${walletAddress} in chat ${chatId}`);
+    } catch (error) {
+        logger.error('Error saving wallet rule:', error);
+        await bot.sendMessage(chatId, '❌ Error saving wallet rule. Please try again later.');
+    }
+}
+
+/**
+ * Validate typed input and apply it to the rules
+ *
+ * @returns {string|null} - Error message, or null when applied
+ */
+function applyRuleInput(rules, field, input) {
+    switch (field) {
+        case 'usd': {
+            const minUsd = parseFloat(input.replace(/[$,]/g, ''));
+            if (isNaN(minUsd) || minUsd < 0) return 'Please enter a valid USD amount.';
+            rules.minUsd = minUsd;
+            return null;
+        }
+        case 'pct': {
+            const minPercent = parseFloat(input.replace('%', ''));
+            if (isNaN(minPercent) || minPercent < 0 || minPercent > 100) return 'Please enter a percentage between 0 and 100.';
+            rules.minPercent = minPercent;
+            return null;
+        }
+        case 'valuepct': {
+            const minValuePercent = parseFloat(input.replace('%', ''));
+            if (isNaN(minValuePercent) || minValuePercent < 0 || minValuePercent > 100) return 'Please enter a percentage between 0 and 100.';
+            rules.minValuePercent = minValuePercent;
+            return null;
+        }
+        case 'tokens': {
+            if (input.toLowerCase() === 'all') {
+                rules.tokens = [];
+                return null;
+            }
+            const tokens = [...new Set(input.split(/[\s,]+/).filter(Boolean))];
+            if (tokens.length > MAX_RULE_TOKENS) return `Please enter at most ${MAX_RULE_TOKENS} tokens.`;
+            if (tokens.some(token => !token.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/))) {
+                return 'Invalid Solana token address format.';
+            }
+            rules.tokens = tokens;
+            return null;
+        }
+        case 'quiet': {
+            if (input.toLowerCase() === 'off') {
+                rules.quietHours = null;
+                return null;
+            }
+            const match = input.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+            const start = match ? parseInt(match[1]) : NaN;
+            const end = match ? parseInt(match[2]) : NaN;
+            if (isNaN(start) || isNaN(end) || start > 23 || end > 23 || start === end) {
+                return 'Please enter quiet hours as two different hours from 0 to 23, e.g. 22-7.';
+            }
+            rules.quietHours = { start, end };
+            return null;
+        }
+        default:
+            return 'Unknown rule.';
+    }
+}
+
+async function getRules(chatId, walletAddress) {
+    const storedRules = await alertPrefs.getWalletRules(chatId, walletAddress);
+    return parseWalletRules(storedRules);
+}
+
+/**
+ * Build the rules summary and its inline keyboard
+ */
+async function buildRulesMenu(chatId, walletAddress) {
+    const rules = await getRules(chatId, walletAddress);
+    const mode = await alertPrefs.getWalletMode(chatId, walletAddress) || DEFAULT_ALERT_MODE;
+
+    let text = `⚙️ *Alert Rules*\n\n\`${walletAddress}\`\n\n`;
+    text += `• Alerts on: ${formatWalletMode(mode)}\n`;
+    text += describeWalletRules(rules).map(line => `• ${line}`).join('\n');
+    text += '\n\n_Tap a rule to change it._';
+
+    const button = (label, action) => ({ text: label, callback_data: `wrule:${action}:${walletAddress}` });
+
+    const keyboard = {
+        inline_keyboard: [
+            [button('💵 Min USD', 'usd'), button('🪙 Tokens', 'tokens')],
+            [button('📊 Min Position %', 'pct'), button('📈 Min Value %', 'valuepct')],
+            [button(rules.ignoreStablecoins ? '✅ Ignore Stables' : '❌ Ignore Stables', 'stable'), button('🌙 Quiet Hours', 'quiet')],
+            [button('🔔 Mode', 'mode'), button('♻️ Reset Rules', 'reset')]
+        ]
+    };
+
+    return { text, keyboard };
+}
+
+module.exports = {
+    handleWalletRulesCommand,
+    handleWalletRulesCallback,
+    handleWalletRulesInput,
+    commands: [
+        {
+            name: 'walletrules',
+            description: 'Set alert rules for a tracked wallet',
+            help: 'Min USD/% move, watched tokens, stablecoins & quiet hours for a wallet',
+            section: 'Alert Settings',
+            args: [{ name: 'wallet address', type: 'address', required: true }],
+            examples: ['/walletrules 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'],
+            settings: true,
+            handler: handleWalletRulesCommand,
+            steps: { awaiting_value: handleWalletRulesInput },
+            callbacks: [{ prefixes: ['wrule:'], handler: handleWalletRulesCallback, settings: true }]
+        }
+    ]
+};
@@ -0,0 +1,339 @@
+const logger = require('../utils/logger');
+const { alertPrefs, watchlist, isReady } = require('../repositories');
+const vybeApi = require('../services/vybeApi');
+const { formatWhaleDirection } = require('./config');
+const { parseHolderRule, applyHolderRuleArgs, describeHolderRule } = require('../services/holderAlerts');
+const { CONCENTRATION_SCOPES, parseConcentrationRule, parseConcentrationArgs, describeConcentrationRule } = require('../services/concentration');
+
+/**
+ * Token watchlist commands
+ *
+ * Each chat keeps its own watchlist (see WatchlistRepository); every mint
+ * watched by at least one chat is checked for whale transfers, top-holder
+ * concentration changes, and against any holder rules the chat added with
+ * /holderalert.
+ */
+
+async function handleWatchTokenCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const mintAddress = match[1].trim();
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        if (!mintAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+            await bot.sendMessage(chatId, '❌ Invalid Solana token address format.');
+            return;
+        }
+
+        const isWatching = await watchlist.isWatching(chatId, mintAddress);
+        if (isWatching) {
+            await bot.sendMessage(chatId, '⚠️ This chat is already watching that token.');
+            return;
+        }
+
+        // Make sure the token exists before watching it
+        let tokenInfo;
+        try {
+            tokenInfo = await vybeApi.getTokenInfo(mintAddress);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                await bot.sendMessage(chatId, '❌ Token not found. Please check the address and try again.');
+                return;
+            }
+            tokenInfo = {};
+        }
+
+        await watchlist.watchToken(chatId, mintAddress);
+
+        const hasWhaleAlerts = await alertPrefs.hasAlert(chatId, 'whale');
+        const threshold = await alertPrefs.getThreshold(chatId);
+        const symbol = tokenInfo?.symbol ? ` (${tokenInfo.symbol})` : '';
+
+        let message = `✅ Now watching \`${mintAddress}\`${symbol} for whale transfers.\n\n`;
+        message += `Threshold: $${(threshold || 10000).toLocaleString()}\n`;
+        if (!hasWhaleAlerts) {
+            message += '\nℹ️ Whale alerts are disabled for this chat. Use /enablealerts whale to receive them.';
+        }
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        logger.info(`Chat ${chatId} started watching token ${mintAddress}`);
+    } catch (error) {
+        logger.error('Error watching token:', error);
+        await bot.sendMessage(chatId, '❌ Error watching token. Please try again.');
+    }
+}
+
+async function handleUnwatchTokenCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const mintAddress = match[1].trim();
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const isWatching = await watchlist.isWatching(chatId, mintAddress);
+        if (!isWatching) {
+            await bot.sendMessage(chatId, `❌ Token \`${mintAddress}\` is not being watched.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        // The token stops being checked once no chats are watching it
+        await watchlist.unwatchToken(chatId, mintAddress);
+
+        await bot.sendMessage(chatId, `✅ Stopped watching \`${mintAddress}\`.`, { parse_mode: 'Markdown' });
+        logger.info(`Chat ${chatId} stopped watching token ${mintAddress}`);
+    } catch (error) {
+        logger.error('Error unwatching token:', error);
+        await bot.sendMessage(chatId, '❌ Error updating watchlist. Please try again.');
+    }
+}
+
+async function handleWatchedTokensCommand(bot, msg) {
+    const chatId = msg.chat.id;
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        const tokens = await watchlist.getChatTokens(chatId);
+        if (tokens.length === 0) {
+            await bot.sendMessage(chatId, '📝 This chat is not watching any tokens yet.\n\nUse /watchtoken <address> to start.');
+            return;
+        }
+
+        const threshold = await alertPrefs.getThreshold(chatId);
+        const hasWhaleAlerts = await alertPrefs.hasAlert(chatId, 'whale');
+        const whaleRules = await alertPrefs.getWhaleRules(chatId);
+        const holderRules = await alertPrefs.getHolderRules(chatId);
+        const concentrationRules = await alertPrefs.getConcentrationRules(chatId);
+
+        const tokenList = tokens.map((token, index) => {
+            const rule = parseWhaleRule(whaleRules[token]);
+            const ruleText = rule
+                ? `$${rule.threshold.toLocaleString()}, ${formatWhaleDirection(rule.direction)}`
+                : 'chat default';
+            const holderRule = parseHolderRule(holderRules[token]);
+            const holderText = holderRule
+                ? describeHolderRule(holderRule).map(line => `\n    👥 ${line}`).join('')
+                : '';
+            const concentrationText = concentrationRules[token]
+                ? `\n    🐳 ${describeConcentrationRule(parseConcentrationRule(concentrationRules[token]))}`
+                : '';
+            return `${index + 1}. \`${token}\`\n    ${ruleText}${holderText}${concentrationText}`;
+        }).join('\n');
+
+        let message = `🐋 *Watched Tokens:*\n\n${tokenList}\n\n`;
+        message += `Default Threshold: $${(threshold || 10000).toLocaleString()}\n`;
+        message += `Whale Alerts: ${hasWhaleAlerts ? '✅' : '❌'}\n\n`;
+        message += 'Use /setthreshold <address> <usd> [all|inflow|outflow|wallet] to set a per-token rule.\n';
+        message += 'Use /holderalert <address> <change|milestone> to alert on holder counts.\n';
+        message += 'Use /concentration <address> <points> [all|total] to tune top-holder alerts.\n';
+        message += 'Use /unwatchtoken <address> to stop watching a token.';
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error listing watched tokens:', error);
+        await bot.sendMessage(chatId, '❌ Error retrieving watched tokens. Please try again later.');
+    }
+}
+
+/**
+ * Set or clear holder count alerts for a token
+ *
+ * `/holderalert <mint> change <pct> <1d|7d|30d>` sets the change rule,
+ * `/holderalert <mint> milestone <count>` adds a milestone and
+ * `/holderalert <mint> reset` removes both.
+ */
+async function handleHolderAlertCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [mintAddress, typeArg, value, window] = match[1].trim().split(/\s+/);
+    const type = typeArg.toLowerCase();
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        if (type === 'reset') {
+            await alertPrefs.deleteHolderRule(chatId, mintAddress);
+            await bot.sendMessage(chatId, `✅ Holder alerts for \`${mintAddress}\` removed.`, { parse_mode: 'Markdown' });
+            logger.info(`Holder rule removed for chat ${chatId}, token ${mintAddress}`);
+            return;
+        }
+
+        const rule = parseHolderRule(await alertPrefs.getHolderRule(chatId, mintAddress)) || parseHolderRule('{}');
+        const error = applyHolderRuleArgs(rule, type, value, window);
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}\n\nExamples:\n/holderalert <token address> change -10 7d\n/holderalert <token address> milestone 10000`);
+            return;
+        }
+
+        await alertPrefs.setHolderRule(chatId, mintAddress, rule);
+
+        const isWatching = await watchlist.isWatching(chatId, mintAddress);
+        const hasHolderAlerts = await alertPrefs.hasAlert(chatId, 'holder');
+
+        let message = `✅ Holder alerts for \`${mintAddress}\`:\n`;
+        message += describeHolderRule(rule).map(line => `• ${line}`).join('\n');
+        if (!isWatching) {
+            message += `\n\nℹ️ This token is not watched yet. Use /watchtoken ${mintAddress} to start receiving alerts.`;
+        }
+        if (!hasHolderAlerts) {
+            message += '\n\nℹ️ Holder alerts are disabled for this chat. Use /enablealerts holder to receive them.';
+        }
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        logger.info(`Holder rule set for chat ${chatId}, token ${mintAddress}: ${describeHolderRule(rule).join('; ')}`);
+    } catch (error) {
+        logger.error('Error setting holder alert:', error);
+        await bot.sendMessage(chatId, '❌ Error setting holder alert. Please try again.');
+    }
+}
+
+/**
+ * Set or reset the top-holder concentration rule for a token
+ *
+ * `/concentration <mint> <points> [all|total]` alerts when the top 10 gain or
+ * lose that many percentage points of supply in a day, and with `all` (the
+ * default) when wallets enter, leave or move within the top 10.
+ * `/concentration <mint> reset` returns to the defaults.
+ */
+async function handleConcentrationCommand(bot, msg, match) {
+    const chatId = msg.chat.id;
+    const [mintAddress, thresholdArg, scopeArg] = match[1].trim().split(/\s+/);
+
+    try {
+        if (!isReady()) {
+            await bot.sendMessage(chatId, '⚠️ Storage service is currently unavailable. Please try again later.');
+            return;
+        }
+
+        if (thresholdArg.toLowerCase() === 'reset') {
+            await alertPrefs.deleteConcentrationRule(chatId, mintAddress);
+            const defaults = describeConcentrationRule(parseConcentrationRule(null));
+            await bot.sendMessage(chatId, `✅ Top-holder rule for \`${mintAddress}\` reset to the default (${defaults}).`, { parse_mode: 'Markdown' });
+            logger.info(`Concentration rule removed for chat ${chatId}, token ${mintAddress}`);
+            return;
+        }
+
+        const { rule, error } = parseConcentrationArgs(thresholdArg, scopeArg);
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}\n\nExample: /concentration <token address> 2 all`);
+            return;
+        }
+
+        await alertPrefs.setConcentrationRule(chatId, mintAddress, rule);
+
+        const isWatching = await watchlist.isWatching(chatId, mintAddress);
+        const hasConcentrationAlerts = await alertPrefs.hasAlert(chatId, 'concentration');
+
+        let message = `✅ Top-holder rule for \`${mintAddress}\` set: ${describeConcentrationRule(rule)}`;
+        if (!isWatching) {
+            message += `\n\nℹ️ This token is not watched yet. Use /watchtoken ${mintAddress} to start receiving alerts.`;
+        }
+        if (!hasConcentrationAlerts) {
+            message += '\n\nℹ️ Concentration alerts are disabled for this chat. Use /enablealerts concentration to receive them.';
+        }
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        logger.info(`Concentration rule set for chat ${chatId}, token ${mintAddress}: ${rule.threshold} pts, ${rule.scope}`);
+    } catch (error) {
+        logger.error('Error setting concentration rule:', error);
+        await bot.sendMessage(chatId, '❌ Error setting top-holder rule. Please try again.');
+    }
+}
+
+/**
+ * Parse a stored per-token whale rule, returning null when unset or invalid
+ */
+function parseWhaleRule(storedRule) {
+    if (!storedRule) return null;
+
+    try {
+        const rule = JSON.parse(storedRule);
+        return {
+            threshold: parseFloat(rule.threshold),
+            direction: rule.direction || 'all'
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    parseWhaleRule,
+    handleWatchTokenCommand,
+    handleUnwatchTokenCommand,
+    handleWatchedTokensCommand,
+    handleHolderAlertCommand,
+    handleConcentrationCommand,
+    commands: [
+        {
+            name: 'watchtoken',
+            description: 'Watch a token for whale alerts',
+            help: 'Watch a token for whale transfer alerts',
+            section: 'Token Watchlist',
+            args: [{ name: 'token address', type: 'address', required: true }],
+            examples: ['/watchtoken So11111111111111111111111111111111111111112'],
+            settings: true,
+            handler: handleWatchTokenCommand
+        },
+        {
+            name: 'unwatchtoken',
+            description: 'Stop watching a token',
+            section: 'Token Watchlist',
+            args: [{ name: 'token address', type: 'address', required: true }],
+            examples: ['/unwatchtoken So11111111111111111111111111111111111111112'],
+            settings: true,
+            handler: handleUnwatchTokenCommand
+        },
+        {
+            name: 'watchedtokens',
+            description: 'List watched tokens',
+            help: 'List tokens watched in this chat',
+            section: 'Token Watchlist',
+            handler: handleWatchedTokensCommand
+        },
+        {
+            name: 'holderalert',
+            description: 'Alert on holder count changes',
+            help: 'Alert when a watched token\'s holders move by a % (+ rises, - drops) within 1d, 7d or 30d, or cross a count',
+            section: 'Token Watchlist',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'rule', choices: ['change', 'milestone', 'reset'], required: true },
+                { name: '% or count' },
+                { name: 'window' }
+            ],
+            examples: [
+                '/holderalert So11111111111111111111111111111111111111112 change +10 7d',
+                '/holderalert So11111111111111111111111111111111111111112 milestone 1000000'
+            ],
+            settings: true,
+            handler: handleHolderAlertCommand
+        },
+        {
+            name: 'concentration',
+            description: 'Tune top-holder accumulation alerts',
+            help: 'Alert when a watched token\'s top 10 holders gain or lose this many points of supply in a day (all: also wallets entering, leaving or changing rank)',
+            section: 'Token Watchlist',
+            args: [
+                { name: 'token address', type: 'address', required: true },
+                { name: 'points|reset', required: true },
+                { name: 'scope', choices: CONCENTRATION_SCOPES }
+            ],
+            examples: ['/concentration So11111111111111111111111111111111111111112 2 all'],
+            settings: true,
+            handler: handleConcentrationCommand
+        }
+    ]
+};
@@ -1,14 +1,17 @@
 const { getWhaleTransfers } = require("../services/vybeApi/whaleTransfers");
 const { getTopTokenHolders } = require("../services/vybeApi/topTokenHolder");
 const vybeApi = require("../services/vybeApi");
+const { labels } = require("../repositories");
+const { getLabeler, formatLabel } = require("../services/labels");
+const { sendTokenChart } = require("./chart");
+const { followUp, startFollowUp } = require("./token");
 const logger = require("../utils/logger");
 const stateManager = require("../utils/stateManager");
 
-async function handleWhaleCommand(bot, msg) {
+async function handleWhaleCommand(bot, msg, match, endedState) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
 
     // Check for direct token address in command
     const commandArgs = msg.text.split(" ");
@@ -16,7 +19,8 @@ async function handleWhaleCommand(bot, msg) {
       const tokenAddress = commandArgs[1].trim();
       // Validate Solana address format
       if (tokenAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
-        await processWhaleTransfers(bot, chatId, userId, tokenAddress);
+        const analyzed = await processWhaleTransfers(bot, chatId, userId, tokenAddress);
+        if (analyzed) await startFollowUp(chatId, userId, analyzed);
         return;
       } else {
         await bot.sendMessage(
@@ -27,17 +31,19 @@ async function handleWhaleCommand(bot, msg) {
       }
     }
 
-    // Check if we have a lastToken from previous token analysis
-    if (userState?.lastToken) {
+    // Reuse the token of a follow-up this command ended
+    const lastToken = endedState?.data?.lastToken;
+    if (lastToken) {
       logger.info(
-        `Using last analyzed token ${userState.lastTokenSymbol} for whale tracking`
+        `Using last analyzed token ${endedState.data.lastTokenSymbol} for whale tracking`
       );
-      await processWhaleTransfers(bot, chatId, userId, userState.lastToken);
+      const analyzed = await processWhaleTransfers(bot, chatId, userId, lastToken);
+      if (analyzed) await startFollowUp(chatId, userId, analyzed);
       return;
     }
 
-    // If no previous token, proceed with normal flow
-    stateManager.setState(userId, {
+    // If no previous token, wait for the token address
+    await stateManager.setState(chatId, userId, {
       command: "whale",
       step: "awaiting_token",
     });
@@ -60,44 +66,39 @@ async function handleWhaleCommand(bot, msg) {
   }
 }
 
+// Conversation step: the token address to check for whale activity
 async function handleWhaleInput(bot, msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const userState = stateManager.getState(userId);
-
-    if (!userState || userState.command !== "whale") {
-      return;
-    }
-
     const tokenAddress = msg.text.trim();
 
-    // Check if input is a new command
-    if (tokenAddress.startsWith("/")) {
-      stateManager.clearState(userId);
-      return;
-    }
-
     // Validate Solana address format
     if (!tokenAddress.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
       await bot.sendMessage(
         chatId,
         "❌ Invalid Solana token address format. Please enter a valid Solana token address."
       );
-      return;
+      return "awaiting_token";
     }
 
-    await processWhaleTransfers(bot, chatId, userId, tokenAddress);
+    // Keep the token for a later /whale without an address
+    const analyzed = await processWhaleTransfers(bot, chatId, userId, tokenAddress);
+    return analyzed ? followUp(analyzed) : null;
   } catch (error) {
     logger.error("Error processing whale input:", error);
     await bot.sendMessage(
       msg.chat.id,
       "⚠️ An unexpected error occurred. Please try again later."
     );
-    stateManager.clearState(msg.from.id);
   }
 }
 
+/**
+ * Reply with a token's whale transfers and top holders
+ *
+ * @returns {Promise<Object|null>} - { lastToken, lastTokenSymbol } once shown, or null
+ */
 async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
   try {
     await bot.sendChatAction(chatId, "typing");
@@ -146,7 +147,7 @@ async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
     });
 
     // Race the transfer fetch against a timeout
-    const [transfers, topHolders] = await Promise.all([
+    const [transfers, topHolders, labelFor] = await Promise.all([
       Promise.race([transfersPromise, timeoutPromise]).catch((error) => {
         logger.error(`Whale transfer fetch error: ${error.message}`);
         return [];
@@ -155,6 +156,10 @@ async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
         logger.error(`Top holders fetch error: ${error.message}`);
         return [];
       }),
+      getLabeler(labels, chatId).catch((error) => {
+        logger.error(`Label lookup error: ${error.message}`);
+        return () => null;
+      }),
     ]);
 
     logger.info(
@@ -181,8 +186,7 @@ async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
         `📊 [View Token on Vybe Network](https://alpha.vybenetwork.com/tokens/${tokenAddress}) for all available data`;
 
       await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
-      stateManager.clearState(userId);
-      return;
+      return null;
     }
 
     // Format the transfers and top holders for display
@@ -191,18 +195,19 @@ async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
       topHolders,
       tokenInfo,
       minUsdAmount,
-      tokenAddress
+      tokenAddress,
+      labelFor
     );
 
     await bot.sendMessage(chatId, formattedMessage, { parse_mode: "Markdown" });
+    await sendTokenChart(bot, chatId, tokenAddress);
     logger.info(`Whale transfers and holder data provided for user ${userId}`);
 
-    // Store the token for later use
-    stateManager.setState(userId, {
-      command: "token",
+    // Keep the token for later use
+    return {
       lastToken: tokenAddress,
       lastTokenSymbol: tokenInfo.symbol || "Unknown Token",
-    });
+    };
   } catch (error) {
     logger.error("Error in processWhaleTransfers:", error.message);
 
@@ -224,16 +229,27 @@ async function processWhaleTransfers(bot, chatId, userId, tokenAddress) {
         `📊 [View All Transfers on Vybe Network](https://alpha.vybenetwork.com/tokens/${tokenAddress})`,
       { parse_mode: "Markdown" }
     );
-    stateManager.clearState(userId);
+    return null;
   }
 }
 
+/**
+ * Name an address for display: the chat's label or a known account name,
+ * then the owner name from the holder data, if any
+ */
+function getWalletName(address, labelFor, ownerName = null) {
+  const label = labelFor(address);
+  if (label) return formatLabel(label);
+  return ownerName && ownerName !== "Unknown Wallet" ? ownerName : null;
+}
+
 function formatWhaleData(
   transfers,
   topHolders,
   tokenInfo,
   minUsdAmount,
-  tokenAddress
+  tokenAddress,
+  labelFor = () => null
 ) {
   const tokenSymbol = tokenInfo.symbol || "Unknown";
   const tokenName = tokenInfo.name || "Unknown Token";
@@ -258,7 +274,9 @@ function formatWhaleData(
 
     topHolders.forEach((holder, index) => {
       // Format wallet name/address
-      const walletName = holder.ownerName || "Unknown Wallet";
+      const walletName =
+        getWalletName(holder.ownerAddress, labelFor, holder.ownerName) ||
+        "Unknown Wallet";
       
       // Use full wallet address instead of shortened version
       const walletAddress = holder.ownerAddress;
@@ -380,10 +398,13 @@ function formatWhaleData(
       const fromTrackCmd = `/trackwallet ${fromAddress}`;
       const toTrackCmd = `/trackwallet ${toAddress}`;
 
-      message += `📤 From: \`${fromAddress}\` [⚡ Track](https://t.me/share/url?url=${encodeURIComponent(
+      const fromName = getWalletName(fromAddress, labelFor);
+      const toName = getWalletName(toAddress, labelFor);
+
+      message += `📤 From: ${fromName ? `${fromName} ` : ""}\`${fromAddress}\` [⚡ Track](https://t.me/share/url?url=${encodeURIComponent(
         fromTrackCmd
       )})\n`;
-      message += `📥 To: \`${toAddress}\` [⚡ Track](https://t.me/share/url?url=${encodeURIComponent(
+      message += `📥 To: ${toName ? `${toName} ` : ""}\`${toAddress}\` [⚡ Track](https://t.me/share/url?url=${encodeURIComponent(
         toTrackCmd
       )})\n`;
     }
@@ -445,10 +466,12 @@ function formatWhaleData(
 
     // Add the largest holder info with full copyable address
     const largestHolder = topHolders[0];
-    if (
-      largestHolder.ownerName === "Unknown Wallet" ||
-      !largestHolder.ownerName
-    ) {
+    const largestName = getWalletName(
+      largestHolder.ownerAddress,
+      labelFor,
+      largestHolder.ownerName
+    );
+    if (!largestName) {
       const address = largestHolder.ownerAddress;
       const trackCmd = `/trackwallet ${address}`;
       message += `*Largest:* \`${address}\` (${topHolderPercentage.toFixed(
@@ -457,9 +480,9 @@ function formatWhaleData(
         trackCmd
       )})\n`;
     } else {
-      message += `*Largest:* ${
-        largestHolder.ownerName
-      } (${topHolderPercentage.toFixed(2)}%)\n`;
+      message += `*Largest:* ${largestName} (${topHolderPercentage.toFixed(
+        2
+      )}%)\n`;
     }
 
     message += `*Top 5:* ${top5Percentage.toFixed(2)}% of supply\n\n`;
@@ -485,4 +508,16 @@ function formatWhaleData(
 module.exports = {
   handleWhaleCommand,
   handleWhaleInput,
+  commands: [
+    {
+      name: "whale",
+      description: "View whale transactions",
+      help: "Whale watch: View whale insights, activity & risk assessment",
+      section: "Token Analysis",
+      args: [{ name: "token address", type: "address" }],
+      examples: ["/whale EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v"],
+      handler: handleWhaleCommand,
+      steps: { awaiting_token: handleWhaleInput },
+    },
+  ],
 };
@@ -5,29 +5,20 @@ const https = require('https');
 const logger = require('./utils/logger');
 const stateManager = require('./utils/stateManager');
 const redisManager = require('./utils/redis');
+const { parseCommand } = require('./utils/groupChat');
 const AlertService = require('./services/alerts');
-const config = require('./commands/config');
-const { handleConfigCommand } = require('./commands/configView');
-
-// Import command handlers
-const { handler: handleStartCommand } = require('./commands/start');
-const { handler: handleHelpCommand } = require('./commands/help');
-const { handleTokenInput, handleTokenCommand } = require('./commands/token');
-const { handleWalletInput, handleTrackWalletCommand } = require('./commands/trackWallet');
-const { handleWhaleInput, handleWhaleCommand } = require('./commands/whale');
-const { handleListWallets, handleWalletPerformanceCallback } = require('./commands/listWallets');
-const { handleUntrackWalletCommand, handleUntrackWalletInput } = require('./commands/untrackWallet');
-const { handleWalletPerformance, handleWalletPerformanceInput } = require('./commands/walletPerformance');
-const { handleLowCapCommand, handleLowCapInput, analyzeLowCapGems } = require('./commands/lowCapGems');
-const { handleStatusCommand, handleHealthCommand, handleMetricsCommand, handleMemoryCommand } = require('./commands/status');
+const commandRegistry = require('./commands');
 
 // Import monitoring services
 const monitoringService = require('./services/monitoringService');
 const apiService = require('./services/apiService');
 const messageDeliveryService = require('./services/messageDeliveryService');
+const chatCleanup = require('./services/chatCleanup');
+const metrics = require('./services/metrics');
 
 // Global references for the server routes to access
 let globalBot = null;
+let globalAlertService = null;
 
 async function initializeApp() {
     try {
@@ -48,199 +39,70 @@ async function initializeApp() {
         // Store bot reference globally
         globalBot = bot;
 
-        // Wrap bot.sendMessage to track delivery metrics
-        const originalSendMessage = bot.sendMessage.bind(bot);
-        bot.sendMessage = async (chatId, text, options) => {
-            const startTime = Date.now();
-            try {
-                const result = await originalSendMessage(chatId, text, options);
-                const deliveryTime = Date.now() - startTime;
-
-                // Record successful message delivery
-                messageDeliveryService.recordSuccess(deliveryTime);
-
-                return result;
-            } catch (error) {
-                const deliveryTime = Date.now() - startTime;
+        // Needed to recognise commands addressed as /cmd@BotName in groups
+        const { username: botUsername } = await bot.getMe();
 
-                // Record failed message delivery
-                messageDeliveryService.recordFailure(deliveryTime);
+        // Send replies and alerts through the paced delivery queue
+        messageDeliveryService.attach(bot);
 
-                throw error;
-            }
-        };
+        // Let health checks see when polling last returned
+        monitoringService.watchBot(bot);
 
         // Track bot state
         let botActive = true;
         
-        // Setup alert system
+        // Setup alert system, stopping the scheduler of any previous run first
+        if (globalAlertService) {
+            globalAlertService.stopAlerts();
+        }
         const alertService = new AlertService();
         await alertService.initialize(redisClient);
         alertService.setupAlerts(bot);
+        globalAlertService = alertService;
+        monitoringService.setAlertService(alertService);
+
+        // Deliver alerts still queued when the bot last stopped
+        await messageDeliveryService.restore().catch(error => {
+            logger.error('Error restoring queued messages:', error);
+        });
 
         // Set up command list
-        await bot.setMyCommands([
-            { command: 'start', description: 'Start the bot' },
-            { command: 'help', description: 'Show help message' },
-            { command: 'config', description: 'View and manage all settings' },
-            { command: 'token', description: 'Check token info' },
-            { command: 'whale', description: 'View whale transactions' },
-            { command: 'trackwallet', description: 'Track a wallet' },
-            { command: 'listwallets', description: 'List tracked wallets' },
-            { command: 'untrackwallet', description: 'Stop tracking a wallet' },
-            { command: 'walletperformance', description: 'Analyze wallet performance' },
-            { command: 'lowcap', description: 'Find low cap gems in a wallet' },
-            { command: 'setthreshold', description: 'Set whale alert threshold' },
-            { command: 'enablealerts', description: 'Enable specific alerts' },
-            { command: 'disablealerts', description: 'Disable specific alerts' },
-            { command: 'untrackgems', description: 'Untrack gem alerts for a wallet' },
-            { command: 'status', description: 'View system status and health' },
-            { command: 'health', description: 'View system health (alias for status)' },
-            { command: 'metrics', description: 'View detailed system metrics (admin only)' },
-            { command: 'memory', description: 'View Redis memory status (admin only)' }
-        ]);
+        await bot.setMyCommands(commandRegistry.getBotCommands());
 
         // Handle messages with improved error handling
         bot.on('message', async (msg) => {
             try {
+                // A group upgraded to a supergroup keeps its subscriptions under the new id
+                if (msg.migrate_to_chat_id) {
+                    await chatCleanup.migrateChat(msg.chat.id, msg.migrate_to_chat_id);
+                    return;
+                }
+
                 if (!msg.text) return; // Ignore non-text messages
 
                 const userId = msg.from.id;
-                const userState = stateManager.getState(userId);
 
                 // Track message for monitoring
                 monitoringService.recordMessage(userId);
 
                 // Handle commands
                 if (msg.text.startsWith('/')) {
-                    const text = msg.text;
-                    const command = text.split(' ')[0].slice(1).toLowerCase();
+                    // Drop the @BotName suffix; ignore commands for other bots
+                    const parsedCommand = parseCommand(msg.text, botUsername);
+                    if (!parsedCommand) return;
 
                     // Track command for monitoring
                     monitoringService.recordCommand(userId);
 
-                    // Clear any existing state when a command is received
-                    if (userState) {
-                        stateManager.clearState(userId);
-                    }
-
-                    // Handle commands with parameters
-                    if (text.match(/^\/setthreshold\s+(.+)/)) {
-                        const match = text.match(/^\/setthreshold\s+(.+)/);
-                        if (!match[1].match(/^\d+(\.\d+)?$/)) {
-                            await bot.sendMessage(msg.chat.id, '❌ Please provide a valid number for the threshold.\n\nExample: /setthreshold 10000');
-                            return;
-                        }
-                        await config.handleSetThreshold(bot, msg, match);
-                        return;
-                    }
-                    if (text.match(/^\/enablealerts\s+(.+)/)) {
-                        const match = text.match(/^\/enablealerts\s+(.+)/);
-                        await config.handleEnableAlerts(bot, msg, match);
-                        return;
-                    }
-                    if (text.match(/^\/disablealerts\s+(.+)/)) {
-                        const match = text.match(/^\/disablealerts\s+(.+)/);
-                        await config.handleDisableAlerts(bot, msg, match);
-                        return;
-                    }
-                    if (text.match(/^\/untrackgems\s+(.+)/)) {
-                        const match = text.match(/^\/untrackgems\s+(.+)/);
-                        await config.handleUntrackGemAlerts(bot, msg, match);
-                        return;
-                    }
-
-                    // Handle commands without parameters
-                    if (text === '/setthreshold') {
-                        await bot.sendMessage(msg.chat.id, '❌ Please provide a threshold amount.\n\nExample: /setthreshold 10000');
-                        return;
-                    }
-                    if (text === '/enablealerts') {
-                        await bot.sendMessage(msg.chat.id, '❌ Please specify an alert type: whale, wallet, gem, or all\n\nExample: /enablealerts whale');
-                        return;
-                    }
-                    if (text === '/disablealerts') {
-                        await bot.sendMessage(msg.chat.id, '❌ Please specify an alert type: whale, wallet, gem, or all\n\nExample: /disablealerts whale');
-                        return;
-                    }
-                    if (text === '/untrackgems') {
-                        await bot.sendMessage(msg.chat.id, '❌ Please provide a wallet address.\n\nExample: /untrackgems 5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1');
-                        return;
-                    }
-
-                    // Handle basic commands
-                    switch (command) {
-                        case 'start':
-                            await handleStartCommand(bot, msg);
-                            break;
-                        case 'help':
-                            await handleHelpCommand(bot, msg);
-                            break;
-                        case 'config':
-                            await handleConfigCommand(bot, msg);
-                            break;
-                        case 'token':
-                            await handleTokenCommand(bot, msg);
-                            break;
-                        case 'whale':
-                            await handleWhaleCommand(bot, msg);
-                            break;
-                        case 'trackwallet':
-                            await handleTrackWalletCommand(bot, msg);
-                            break;
-                        case 'listwallets':
-                            await handleListWallets(bot, msg);
-                            break;
-                        case 'untrackwallet':
-                            await handleUntrackWalletCommand(bot, msg);
-                            break;
-                        case 'walletperformance':
-                            await handleWalletPerformance(bot, msg);
-                            break;
-                        case 'lowcap':
-                            await handleLowCapCommand(bot, msg);
-                            break;
-                        case 'status':
-                            await handleStatusCommand(bot, msg);
-                            break;
-                        case 'health':
-                            await handleHealthCommand(bot, msg);
-                            break;
-                        case 'metrics':
-                            await handleMetricsCommand(bot, msg);
-                            break;
-                        case 'memory':
-                            await handleMemoryCommand(bot, msg);
-                            break;
-                        default:
-                            // Handle unknown commands
-                            await bot.sendMessage(msg.chat.id, '❌ Unknown command. Use /help to see available commands.');
-                    }
+                    // Ends any conversation the user is in
+                    await commandRegistry.handleCommand(bot, msg, parsedCommand);
                     return;
                 }
 
-                // Process input based on user state
+                // Pass replies to the conversation the user is in, in this chat
+                const userState = await stateManager.getState(msg.chat.id, userId);
                 if (userState) {
-                    switch (userState.command) {
-                        case 'token':
-                            await handleTokenInput(bot, msg);
-                            break;
-                        case 'trackwallet':
-                            await handleWalletInput(bot, msg);
-                            break;
-                        case 'untrackwallet':
-                            await handleUntrackWalletInput(bot, msg);
-                            break;
-                        case 'whale':
-                            await handleWhaleInput(bot, msg);
-                            break;
-                        case 'walletperformance':
-                            await handleWalletPerformanceInput(bot, msg);
-                            break;
-                        case 'lowcap':
-                            await handleLowCapInput(bot, msg);
-                            break;
-                    }
+                    await commandRegistry.handleInput(bot, msg, userState);
                 }
             } catch (error) {
                 logger.error('Error handling message:', error);
@@ -274,44 +136,12 @@ async function initializeApp() {
                 
                 // Debug log every callback query
                 logger.info(`Received callback query: ${data} from user ${query.from.id}`);
-                
-                // Handle wallet performance related callbacks
-                if (data.startsWith('wallet_performance_list:') || 
-                    data.startsWith('wallet_performance:') || 
-                    data === 'wallet_list_back' ||
-                    data.startsWith('wallet_period:') ||
-                    data.startsWith('wallet_gems_list:') ||
-                    data === 'wallet_instruction' ||
-                    data.startsWith('wallet_pnl:')) {
-                    logger.info(`Routing ${data} to handleWalletPerformanceCallback`);
-                    await handleWalletPerformanceCallback(bot, query);
-                    return;
-                }
-                
-                // Handle gem-related callbacks from the lowcap gem screen
-                if (data.startsWith('track_wallet:')) {
-                    await handleGemCallbacks(bot, query);
-                    return;
-                }
-                
-                // Handle gem alert toggling from both screens
-                if (data.startsWith('track_gems:') || data.startsWith('untrack_gems:')) {
-                    const lastScreen = query.message.text || "";
-                    
-                    // Check if we're in the gem management screen
-                    if (lastScreen.includes("Low Cap Gem Alert Management")) {
-                        // Use the wallet list callback handler for the gem management screen
-                        await handleWalletPerformanceCallback(bot, query);
-                    } else {
-                        // Use gem callbacks for other screens
-                        await handleGemCallbacks(bot, query);
-                    }
+
+                // Route to the command that owns the callback
+                if (await commandRegistry.handleCallback(bot, query)) {
                     return;
                 }
                 
-                // Handle other callback types as needed
-                // ...
-                
                 // Default handler for unrecognized callbacks
                 await bot.answerCallbackQuery(query.id, {
                     text: 'Unknown action'
@@ -331,6 +161,7 @@ async function initializeApp() {
         // Improved error handling for polling errors
         bot.on('polling_error', (error) => {
             logger.error('Polling error:', error.message || error);
+            monitoringService.recordPollingError(error);
             
             // Don't restart if we're deliberately stopping
             if (!botActive) return;
@@ -486,7 +317,9 @@ async function initializeApp() {
 process.on('SIGINT', async () => {
     logger.info('Received SIGINT signal, shutting down...');
     try {
-
+        if (globalAlertService) {
+            globalAlertService.stopAlerts();
+        }
         
         // When running locally, exit properly
         if (!process.env.RENDER) {
@@ -513,6 +346,10 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM signal');
     try {
+        if (globalAlertService) {
+            globalAlertService.stopAlerts();
+        }
+
         // When running locally, exit properly
         if (!process.env.RENDER) {
             logger.info('Shutting down gracefully...');
@@ -547,26 +384,43 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Create HTTP server for Render deployment with health checks
-const server = http.createServer((req, res) => {
-    // Simple health check endpoint
+const server = http.createServer(async (req, res) => {
+    // Health check endpoint: 503 when a local component is unhealthy
     if (req.url === '/health' || req.url === '/') {
-        // Return different status if the bot is not fully operational
         try {
-            const botStatus = globalBot ? 'connected' : 'disconnected';
-            const redisStatus = redisManager.isConnected() ? 'connected' : 'disconnected';
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
+            const healthReport = await monitoringService.getHealthReport();
+            const overall = healthReport.status.overall;
+
+            res.writeHead(overall === 'unhealthy' ? 503 : 200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
-                status: 'up',
+                status: overall,
                 timestamp: new Date().toISOString(),
-                bot: botStatus,
-                redis: redisStatus,
+                components: Object.fromEntries(
+                    Object.entries(healthReport.components).map(([name, component]) =>
+                        [name, { status: component.status, detail: component.detail }])
+                ),
                 uptime: process.uptime() + ' seconds'
             }));
         } catch (err) {
             res.writeHead(500, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ status: 'error', error: err.message }));
         }
+    // Prometheus scrape endpoint, behind a bearer token when METRICS_TOKEN is set
+    } else if (req.url === '/metrics') {
+        if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Unauthorized');
+            return;
+        }
+        try {
+            const body = await metrics.render();
+            res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+            res.end(body);
+        } catch (err) {
+            logger.error('Error rendering metrics:', err);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Error rendering metrics');
+        }
     // Handle ping from uptime monitors
     } else if (req.url === '/ping') {
         res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -745,184 +599,3 @@ function startWithRetry(maxRetries = 5, retryDelay = 30000) {
 
 // Start the application with retry mechanism
 startWithRetry();
-
-/**
- * Handle callbacks for gem tracking and analysis
- */
-async function handleGemCallbacks(bot, query) {
-    try {
-        const chatId = query.message.chat.id;
-        const userId = query.from.id;
-        const callbackData = query.data;
-        
-        // Extract the callback action and wallet
-        const [action, walletAddress] = callbackData.split(':');
-        
-        if (action === 'track_wallet') {
-            // Add wallet to tracking
-            const redisClient = redisManager.getClient();
-            if (!redisClient?.isReady) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: '⚠️ Storage service unavailable. Try again later.'
-                });
-                return;
-            }
-            
-            // Check if user already has 5 wallets
-            const trackedWallets = await redisClient.sMembers(`user:${userId}:wallets`);
-            if (trackedWallets.length >= 5) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: 'You are already tracking 5 wallets. Remove one first.',
-                    show_alert: true
-                });
-                return;
-            }
-            
-            // Add wallet to user's tracked wallets
-            await redisClient.sAdd(`user:${userId}:wallets`, walletAddress);
-            
-            await bot.answerCallbackQuery(query.id, {
-                text: `✅ Wallet added to your tracking list`
-            });
-        } else if (action === 'track_gems') {
-            const redisClient = redisManager.getClient();
-            if (!redisClient?.isReady) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: '⚠️ Storage service unavailable. Try again later.'
-                });
-                return;
-            }
-            
-            // Check if user is already following this wallet
-            const isFollowing = await redisClient.sIsMember(`user:${userId}:wallets`, walletAddress);
-            if (!isFollowing) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: 'You must first follow this wallet before enabling gem alerts for it.',
-                    show_alert: true
-                });
-                
-                // Edit the message to add a track wallet button
-                const message = query.message;
-                const keyboard = {
-                    inline_keyboard: [
-                        [
-                            { text: '📋 Track Wallet', callback_data: `track_wallet:${walletAddress}` }
-                        ]
-                    ]
-                };
-                
-                try {
-                    await bot.editMessageReplyMarkup(keyboard, {
-                        chat_id: chatId,
-                        message_id: message.message_id
-                    });
-                } catch (err) {
-                    logger.error('Error updating keyboard:', err);
-                }
-                
-                return;
-            }
-            
-            // Check if gem alerts are already enabled for this wallet/user
-            const hasGemAlerts = await redisClient.sIsMember(`wallet:${walletAddress}:gem_users`, chatId.toString());
-            if (hasGemAlerts) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: 'Gem alerts are already enabled for this wallet.',
-                    show_alert: true
-                });
-                return;
-            }
-            
-            logger.info(`Enabling gem alerts for wallet ${walletAddress} by user ${userId}`);
-            
-            // Track wallet for gem alerts using the config handler
-            await config.handleTrackGemAlerts(bot, {
-                chat: { id: chatId },
-                from: { id: userId }
-            }, [null, walletAddress]);
-            
-            // Also ensure the wallet is in the gem_alert_wallets set
-            await redisClient.sAdd('gem_alert_wallets', walletAddress);
-            
-            // Initialize the alerts cache baseline for this wallet
-            try {
-                // Import the necessary services
-                const AlertService = require('./services/alerts');
-                const { findLowCapGems } = require('./services/vybeApi/lowCapGems');
-                
-                // Create a temporary instance to access the static state
-                const alertService = new AlertService();
-                
-                // Initialize the alert service
-                if (!alertService.redis) {
-                    await alertService.initialize(redisClient);
-                }
-                
-                // Initialize the wallet gems cache for this wallet
-                if (!alertService.walletGemsCache) {
-                    alertService.walletGemsCache = {};
-                }
-                
-                // Set a timestamp to prevent immediate checks
-                alertService.lastCheck[`gem_${walletAddress}`] = Date.now();
-                
-                // Get current gems as baseline
-                const currentGems = await findLowCapGems(walletAddress);
-                alertService.walletGemsCache[walletAddress] = currentGems || [];
-                
-                logger.info(`Initialized gem baseline for wallet ${walletAddress}: ${currentGems.length} gems`);
-            } catch (cacheError) {
-                logger.error(`Error initializing gem cache: ${cacheError.message}`, { walletAddress, userId });
-                // Continue anyway, the alerts might be slightly off but will still work
-            }
-            
-            await bot.answerCallbackQuery(query.id, {
-                text: `✅ Gem alerts enabled for this wallet`
-            });
-            
-            // Refresh the wallet performance list to update buttons
-            if (query.message && query.message.text && query.message.text.includes("Select a wallet to view performance")) {
-                // Get updated wallet list to refresh the UI
-                const { handleWalletPerformanceCallback } = require('./commands/listWallets');
-                await handleWalletPerformanceCallback(bot, {
-                    ...query,
-                    data: `wallet_performance_list:${userId}`
-                });
-            }
-        } else if (action === 'untrack_gems') {
-            const redisClient = redisManager.getClient();
-            if (!redisClient?.isReady) {
-                await bot.answerCallbackQuery(query.id, {
-                    text: '⚠️ Storage service unavailable. Try again later.'
-                });
-                return;
-            }
-            
-            // Untrack wallet for gem alerts
-            await config.handleUntrackGemAlerts(bot, {
-                chat: { id: chatId },
-                from: { id: userId }
-            }, [null, walletAddress]);
-            
-            await bot.answerCallbackQuery(query.id, {
-                text: `✅ Gem alerts disabled for this wallet`
-            });
-            
-            // Refresh the wallet performance list to update buttons
-            if (query.message && query.message.text && query.message.text.includes("Select a wallet to view performance")) {
-                // Get updated wallet list to refresh the UI
-                const { handleWalletPerformanceCallback } = require('./commands/listWallets');
-                await handleWalletPerformanceCallback(bot, {
-                    ...query,
-                    data: `wallet_performance_list:${userId}`
-                });
-            }
-        }
-    } catch (error) {
-        logger.error('Error handling gem callback:', error);
-        await bot.answerCallbackQuery(query.id, {
-            text: 'Error processing request. Please try again.'
-        });
-    }
-}
-
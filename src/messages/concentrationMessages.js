@@ -0,0 +1,84 @@
+/**
+ * Message formatting functions for top-holder concentration alerts
+ */
+const { formatDuration } = require('../utils/formatter');
+const { formatLabel } = require('../services/labels');
+
+/**
+ * Name a holder by its label or owner name when known, otherwise by address
+ * @param {Object} holder - Top holder with ownerAddress and ownerName
+ * @param {Function} labelFor - Labeler from getLabeler (optional)
+ * @returns {string} Holder name for a Markdown message
+ */
+function formatHolderName(holder, labelFor = () => null) {
+  const address = holder.ownerAddress;
+  const label = labelFor(address);
+  const name = label ? formatLabel(label) : holder.ownerName;
+  return name
+    ? `${name} (\`${address.slice(0, 4)}...${address.slice(-4)}\`)`
+    : `\`${address}\``;
+}
+
+/**
+ * Format a share of supply change in percentage points
+ * @param {number} points - Change in percentage points
+ * @returns {string} Signed change, e.g. "+2.40 pts"
+ */
+function formatPoints(points) {
+  return `${points >= 0 ? '+' : ''}${points.toFixed(2)} pts`;
+}
+
+/**
+ * Format a collective accumulation or distribution alert
+ * @param {Object} token - { mintAddress, symbol }
+ * @param {Object} shareChange - Result of getShareChange
+ * @returns {string} Formatted concentration alert message
+ */
+function formatConcentrationMessage(token, shareChange) {
+  const accumulating = shareChange.change >= 0;
+
+  return (
+    `${accumulating ? '🐳 *Whale Accumulation*' : '🌊 *Whale Distribution*'}\n\n` +
+    `*Token:* ${token.symbol || 'Unknown'}\n` +
+    `Top 10 holders (excluding exchanges) ${accumulating ? 'added' : 'shed'} ` +
+    `*${formatPoints(shareChange.change)}* of supply in ${formatDuration(shareChange.since)}\n` +
+    `*Top 10 share:* ${shareChange.from.toFixed(2)}% → ${shareChange.to.toFixed(2)}%\n\n` +
+    `[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${token.mintAddress})`
+  );
+}
+
+/**
+ * Format wallets entering, leaving or moving within the top 10
+ * @param {Object} token - { mintAddress, symbol }
+ * @param {Array} moves - Result of diffTopHolders
+ * @param {Function} labelFor - Labeler from getLabeler (optional)
+ * @returns {string} Formatted top holder moves message
+ */
+function formatTopHolderMovesMessage(token, moves, labelFor = () => null) {
+  const lines = moves.map(move => {
+    const name = formatHolderName(move.holder, labelFor);
+    switch (move.type) {
+      case 'entered':
+        return `🆕 ${name} entered at #${move.holder.rank} (${move.holder.percentage.toFixed(2)}%)`;
+      case 'exited':
+        return `🚪 ${name} left the top 10 (was #${move.previousRank})`;
+      default: {
+        const arrow = move.holder.rank < move.previousRank ? '⬆️' : '⬇️';
+        return `${arrow} ${name} #${move.previousRank} → #${move.holder.rank} (${formatPoints(move.shareChange)})`;
+      }
+    }
+  });
+
+  return (
+    `🐋 *Top Holder Changes*\n\n` +
+    `*Token:* ${token.symbol || 'Unknown'}\n\n` +
+    `${lines.join('\n')}\n\n` +
+    `[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${token.mintAddress})`
+  );
+}
+
+module.exports = {
+  formatHolderName,
+  formatConcentrationMessage,
+  formatTopHolderMovesMessage
+};
@@ -0,0 +1,112 @@
+/**
+ * Message formatting functions for token trade flow
+ */
+const { formatLargeNumber } = require('../utils/formatter');
+const { formatLabel } = require('../services/labels');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a USD amount, e.g. "$12.30K"
+ * @param {number} value - USD amount
+ * @returns {string} Amount with a K/M/B suffix
+ */
+function formatUSD(value) {
+  return `$${formatLargeNumber(value)}`;
+}
+
+/**
+ * Format a USD amount with its sign, e.g. "+$12.30K" or "-$850.00"
+ * @param {number} value - Signed USD amount
+ * @returns {string} Signed amount
+ */
+function formatSignedUSD(value) {
+  return `${value >= 0 ? '+' : '-'}${formatUSD(Math.abs(value))}`;
+}
+
+/**
+ * Format the start of a time bucket in UTC
+ * @param {number} time - Bucket start (ms)
+ * @param {boolean} withDate - Include the day, for windows over a day
+ * @returns {string} e.g. "14:00" or "Oct 19 14:00"
+ */
+function formatBucketTime(time, withDate) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  const clock = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+  return withDate ? `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()} ${clock}` : clock;
+}
+
+/**
+ * One-line flow summary for alerts and gem analysis
+ * @param {Object} flow - Result of getTokenFlow
+ * @returns {string} e.g. "62% bought, net +$12.30K (31 buyers / 18 sellers, 24h)"
+ */
+function formatFlowSummary(flow) {
+  if (!flow || flow.tradeCount === 0) return `No trades in the last ${flow?.hours || 24}h`;
+
+  return `${flow.buyShare.toFixed(0)}% bought, net ${formatSignedUSD(flow.netBuyUsd)} ` +
+    `(${flow.uniqueBuyers} buyers / ${flow.uniqueSellers} sellers, ${flow.hours}h)`;
+}
+
+/**
+ * Format the /flow report
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} flow - Result of getTokenFlow
+ * @param {Function} labelFor - Labeler from getLabeler (optional)
+ * @returns {string} Formatted flow report
+ */
+function formatFlowMessage(mintAddress, flow, labelFor = () => null) {
+  let message = `🌊 *${flow.symbol} Trade Flow* (last ${flow.hours}h)\n\n`;
+
+  if (flow.tradeCount === 0) {
+    message += 'No trades in this window.\n';
+    message += `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${mintAddress})`;
+    return message;
+  }
+
+  message +=
+    `*Net Buy Volume:* ${formatSignedUSD(flow.netBuyUsd)}\n` +
+    `*Bought:* ${formatUSD(flow.buyUsd)} (${flow.buyShare.toFixed(1)}%) in ${flow.buys} buys\n` +
+    `*Sold:* ${formatUSD(flow.sellUsd)} (${(100 - flow.buyShare).toFixed(1)}%) in ${flow.sells} sells\n` +
+    `*Unique Wallets:* ${flow.uniqueBuyers} buyers / ${flow.uniqueSellers} sellers\n` +
+    `*Average Trade:* ${formatUSD(flow.averageUsd)} over ${flow.tradeCount} trades\n`;
+  if (flow.truncated) {
+    message += `_Covers the latest ${flow.tradeCount} trades, since ${formatBucketTime(flow.start, true)} UTC_\n`;
+  }
+
+  message += `\n*Largest Traders:*\n`;
+  message += flow.largestTraders.map((trader, i) => {
+    const label = labelFor(trader.trader);
+    const short = `\`${trader.trader.slice(0, 4)}...${trader.trader.slice(-4)}\``;
+    const name = label ? `${formatLabel(label)} (${short})` : short;
+    return `${i + 1}. ${name}: ${formatSignedUSD(trader.netUsd)} net ` +
+      `(${formatUSD(trader.boughtUsd)} in / ${formatUSD(trader.soldUsd)} out)`;
+  }).join('\n');
+
+  message += `\n\n*Volume by DEX:*\n`;
+  message += flow.dexShare
+    .map(dex => `• ${dex.dex}: ${formatUSD(dex.volumeUsd)} (${dex.share.toFixed(1)}%)`)
+    .join('\n');
+
+  // Fixed-width table, one row per time bucket
+  const withDate = flow.buckets[flow.buckets.length - 1].end - flow.buckets[0].start > 24 * 60 * 60 * 1000;
+  const rows = flow.buckets.map(bucket => [
+    formatBucketTime(bucket.start, withDate),
+    String(bucket.trades),
+    bucket.trades ? formatUSD(bucket.averageUsd) : '-',
+    bucket.trades ? formatSignedUSD(bucket.netBuyUsd) : '-'
+  ]);
+  const header = ['From', 'Trades', 'Avg', 'Net'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  message += `\n\n*Over Time (UTC):*\n\`\`\`\n${[header, ...rows].map(formatRow).join('\n')}\n\`\`\`\n`;
+  message += `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${mintAddress})`;
+  return message;
+}
+
+module.exports = {
+  formatFlowMessage,
+  formatFlowSummary
+};
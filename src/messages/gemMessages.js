@@ -2,6 +2,7 @@
  * Message formatting functions for low cap gems
  * Enhanced for professional presentation and improved UX
  */
+const { formatFlowSummary } = require('./flowMessages');
 
 // Helper functions
 /**
@@ -89,6 +90,9 @@ function formatTokenInfo(gem) {
   // Simple whale activity text
   const whaleActivityText = `Whale Activity: Coming Soon`;
 
+  // Buying and selling over the last day, when trades were available
+  const flowText = gem.flow ? `Trade Flow: ${formatFlowSummary(gem.flow)}` : null;
+
   // Simple price change text
   let priceChangeText = "";
   if (typeof gem.priceChange24h === "number") {
@@ -106,6 +110,7 @@ function formatTokenInfo(gem) {
     formattedHolderCount,
     holderTrendText,
     whaleActivityText,
+    flowText,
     priceChangeText,
   };
 }
@@ -138,6 +143,9 @@ function formatGemDetails(gem, index) {
   // Metrics section
   message += `   ${tokenInfo.holderTrendText}\n`;
   message += `   ${tokenInfo.whaleActivityText}\n`;
+  if (tokenInfo.flowText) {
+    message += `   ${tokenInfo.flowText}\n`;
+  }
 
   // Token details with full address
   message += `   📝 Token: \`${gem.mintAddress}\`\n`;
@@ -340,6 +348,9 @@ function formatNewGemAlertMessage(walletAddress, gem) {
   message += `📊 *TOKEN METRICS*\n`;
   message += `• ${tokenInfo.holderTrendText}\n`;
   message += `• ${tokenInfo.whaleActivityText}\n`;
+  if (tokenInfo.flowText) {
+    message += `• ${tokenInfo.flowText}\n`;
+  }
   message += `• Token: \`${gem.mintAddress}\`\n\n`;
 
   // Call to action section
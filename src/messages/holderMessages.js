@@ -0,0 +1,66 @@
+/**
+ * Message formatting functions for holder count alerts
+ */
+const { formatNumber, formatPercentage, formatSparkline } = require('../utils/formatter');
+const { getSparklineCounts } = require('../services/holderAlerts');
+
+/**
+ * Format the holder history lines shared by every holder alert
+ * @param {Object} trend - Result of getHoldersTrend
+ * @returns {string} Sparkline with its range, or an empty string without history
+ */
+function formatHolderHistory(trend) {
+  const counts = getSparklineCounts(trend);
+  if (counts.length < 2) return '';
+
+  return (
+    `*Trend (${counts.length - 1}d):* \`${formatSparkline(counts)}\`\n` +
+    `_${formatNumber(Math.min(...counts))} to ${formatNumber(Math.max(...counts))} holders_\n`
+  );
+}
+
+/**
+ * Format a holder surge or drop alert
+ * @param {Object} token - { mintAddress, symbol }
+ * @param {Object} trend - Result of getHoldersTrend
+ * @param {Object} change - { percent, reference } from getHolderChange
+ * @param {string} window - Change window, e.g. '7d'
+ * @returns {string} Formatted holder alert message
+ */
+function formatHolderChangeMessage(token, trend, change, window) {
+  const title = change.percent >= 0 ? '👥 *Holder Surge*' : '📉 *Holder Drop*';
+
+  return (
+    `${title}\n\n` +
+    `*Token:* ${token.symbol || 'Unknown'}\n` +
+    `*Holders:* ${formatNumber(trend.current)} (${formatPercentage(change.percent)} in ${window})\n` +
+    `*${window} ago:* ${formatNumber(change.reference)}\n` +
+    formatHolderHistory(trend) +
+    `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${token.mintAddress})`
+  );
+}
+
+/**
+ * Format a holder milestone alert
+ * @param {Object} token - { mintAddress, symbol }
+ * @param {Object} trend - Result of getHoldersTrend
+ * @param {Object} crossing - { milestone, direction } from findCrossedMilestones
+ * @returns {string} Formatted holder alert message
+ */
+function formatHolderMilestoneMessage(token, trend, crossing) {
+  const movement = crossing.direction === 'up' ? 'passed' : 'fell below';
+
+  return (
+    `🏁 *Holder Milestone*\n\n` +
+    `*Token:* ${token.symbol || 'Unknown'}\n` +
+    `Holder count ${movement} *${formatNumber(crossing.milestone)}*\n` +
+    `*Holders:* ${formatNumber(trend.current)}\n` +
+    formatHolderHistory(trend) +
+    `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${token.mintAddress})`
+  );
+}
+
+module.exports = {
+  formatHolderChangeMessage,
+  formatHolderMilestoneMessage
+};
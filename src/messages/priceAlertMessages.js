@@ -0,0 +1,37 @@
+/**
+ * Message formatting functions for price and market cap alerts
+ */
+const { describePriceAlert, formatAlertValue } = require('../services/priceAlerts');
+
+/**
+ * Format a triggered price alert
+ * @param {Object} alert - Stored alert
+ * @param {Object} tokenInfo - Token details the alert was evaluated on
+ * @param {Object} evaluation - Result of evaluatePriceAlert
+ * @returns {string} Formatted price alert message
+ */
+function formatPriceAlertMessage(alert, tokenInfo, evaluation) {
+  const title = alert.metric === 'marketCap' ? '🏦 *Market Cap Alert*' : '🔔 *Price Alert*';
+  const symbol = tokenInfo.symbol || alert.symbol || 'Unknown';
+
+  let message = `${title}\n\n`;
+  message += `*Token:* ${symbol}\n`;
+  message += `*Condition:* ${describePriceAlert(alert)}\n`;
+  message += `*${alert.metric === 'marketCap' ? 'Market Cap' : 'Price'}:* ${formatAlertValue(alert.metric, evaluation.value)}\n`;
+
+  if (evaluation.change !== undefined) {
+    const sign = evaluation.change >= 0 ? '+' : '';
+    message += `*${alert.window} Change:* ${sign}${evaluation.change.toFixed(2)}%\n`;
+  }
+
+  message += alert.mode === 'rearm'
+    ? '\n_🔁 Fires again once the condition clears and recurs._\n'
+    : '\n_✅ One-shot alert, now removed._\n';
+  message += `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${alert.mint})`;
+
+  return message;
+}
+
+module.exports = {
+  formatPriceAlertMessage
+};
@@ -0,0 +1,109 @@
+/**
+ * Message formatting functions for the /trades feed
+ */
+const { formatUSD } = require('./gemMessages');
+const { formatLargeNumber, formatDuration } = require('../utils/formatter');
+const { formatAlertValue } = require('../services/priceAlerts');
+const { formatLabel } = require('../services/labels');
+
+const PRESSURE_BAR_LENGTH = 10;
+
+/**
+ * Draw the buy share of volume as a bar, e.g. "🟩🟩🟩🟩🟩🟩🟥🟥🟥🟥"
+ * @param {number} buyShare - Share of USD volume bought (%)
+ * @returns {string} Pressure bar
+ */
+function formatPressureBar(buyShare) {
+  const buys = Math.round((buyShare / 100) * PRESSURE_BAR_LENGTH);
+  return '🟩'.repeat(buys) + '🟥'.repeat(PRESSURE_BAR_LENGTH - buys);
+}
+
+/**
+ * Describe which side is in control of the window
+ * @param {number} buyShare - Share of USD volume bought (%)
+ * @returns {string} e.g. "Strong buy pressure"
+ */
+function describePressure(buyShare) {
+  if (buyShare >= 65) return 'Strong buy pressure';
+  if (buyShare >= 55) return 'Buy pressure';
+  if (buyShare > 45) return 'Balanced';
+  if (buyShare > 35) return 'Sell pressure';
+  return 'Strong sell pressure';
+}
+
+/**
+ * Name a trader by its label when it has one, otherwise by short address
+ * @param {string} address - Trader wallet
+ * @param {Function} labelFor - Labeler from getLabeler
+ * @returns {string} Trader for a Markdown message
+ */
+function formatTrader(address, labelFor) {
+  if (!address) return 'Unknown';
+  const short = `\`${address.slice(0, 4)}...${address.slice(-4)}\``;
+  const label = labelFor(address);
+  return label ? `${formatLabel(label)} (${short})` : short;
+}
+
+/**
+ * Format one trade of the feed
+ * @param {Object} trade - Entry from getTradeFeed
+ * @param {string} symbol - Token symbol
+ * @param {Function} labelFor - Labeler from getLabeler
+ * @param {number} now - Current time (ms)
+ * @returns {string} Two-line trade entry
+ */
+function formatTrade(trade, symbol, labelFor, now) {
+  const side = trade.side === 'buy' ? '🟢 *BUY*' : '🔴 *SELL*';
+  const age = formatDuration(Math.max(0, now - trade.time)).split(' ')[0];
+
+  return (
+    `${side} ${formatUSD(trade.valueUsd)}: ${formatLargeNumber(trade.amount)} ${symbol} @ ${formatAlertValue('price', trade.priceUsd)}\n` +
+    `   ${trade.dex} · ${formatTrader(trade.trader, labelFor)} · [${age} ago](https://solscan.io/tx/${trade.signature})`
+  );
+}
+
+/**
+ * Format a page of the trade feed with the window's buy/sell pressure
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} feed - Result of getTradeFeed
+ * @param {Object} view - { page, pageCount, pageSize, hours, dex (name or null) }
+ * @param {Function} labelFor - Labeler from getLabeler (optional)
+ * @returns {string} Formatted trade feed message
+ */
+function formatTradeFeedMessage(mintAddress, feed, view, labelFor = () => null) {
+  const { pressure } = feed;
+  const now = Date.now();
+
+  let message = `💱 *${feed.symbol} Trades* (last ${view.hours}h${view.dex ? `, ${view.dex}` : ''})\n\n`;
+
+  if (feed.tradeCount > 0) {
+    message +=
+      `*${describePressure(pressure.buyShare)}*\n` +
+      `${formatPressureBar(pressure.buyShare)} ${pressure.buyShare.toFixed(0)}% bought\n` +
+      `Bought: ${formatUSD(pressure.buyUsd)} in ${pressure.buys} buys\n` +
+      `Sold: ${formatUSD(pressure.sellUsd)} in ${pressure.sells} sells\n`;
+    if (feed.truncated) {
+      message += `_Over the latest ${feed.tradeCount} trades_\n`;
+    }
+    message += '\n';
+  }
+
+  if (feed.trades.length === 0) {
+    message += `No swaps of ${formatUSD(feed.minUsd)} or more in this window.\n`;
+  } else {
+    const start = view.page * view.pageSize;
+    message += `*Swaps of ${formatUSD(feed.minUsd)}+* (${start + 1}-${Math.min(start + view.pageSize, feed.trades.length)} of ${feed.trades.length}):\n\n`;
+    message += feed.trades
+      .slice(start, start + view.pageSize)
+      .map(trade => formatTrade(trade, feed.symbol, labelFor, now))
+      .join('\n\n');
+    message += '\n';
+  }
+
+  message += `\n[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${mintAddress})`;
+  return message;
+}
+
+module.exports = {
+  formatTradeFeedMessage
+};
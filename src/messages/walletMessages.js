@@ -2,15 +2,44 @@
  * Message formatting functions for wallet tracking and alerts
  */
 const { formatUSD } = require('./gemMessages');
+const { formatLargeNumber } = require('../utils/formatter');
+const { CHANGE_TYPES } = require('../services/walletDiff');
+const { formatLabel } = require('../services/labels');
+
+/**
+ * Format a single token change from the wallet diff
+ * e.g. "🟢 +1.2M BONK ($3.40K)" or "🚪 Sold 100% of WIF ($1.20K)"
+ * @param {Object} change - Change entry from diffWalletBalances
+ * @returns {string} Formatted change line
+ */
+function formatTokenChange(change) {
+  const amount = formatLargeNumber(Math.abs(change.amountChange), 1);
+  const value = formatUSD(Math.abs(change.valueChange));
+
+  switch (change.type) {
+    case CHANGE_TYPES.NEW:
+      return `🆕 +${amount} ${change.symbol} (${value}), new position`;
+    case CHANGE_TYPES.EXITED:
+      return `🚪 Sold 100% of ${change.symbol} (${value})`;
+    case CHANGE_TYPES.INCREASED:
+      return `🟢 +${amount} ${change.symbol} (${value})`;
+    case CHANGE_TYPES.REDUCED:
+      return `🔴 -${amount} ${change.symbol} (${value}), sold ${Math.abs(change.percentChange).toFixed(0)}%`;
+    default:
+      return `• ${change.symbol}`;
+  }
+}
 
 /**
  * Format wallet alert message
  * @param {string} wallet - Wallet address
  * @param {Object} balance - Wallet balance data
  * @param {Object} prevBalance - Previous wallet balance data (optional)
+ * @param {Array} changes - Token changes from diffWalletBalances (optional)
+ * @param {Object} label - The wallet's label from getLabeler (optional)
  * @returns {string} Formatted wallet alert message
  */
-function formatWalletAlertMessage(wallet, balance, prevBalance) {
+function formatWalletAlertMessage(wallet, balance, prevBalance, changes = [], label = null) {
   try {
     // Check if we have previous data to show changes
     const valueChange = prevBalance 
@@ -29,9 +58,12 @@ function formatWalletAlertMessage(wallet, balance, prevBalance) {
 
     const message = 
         `👀 *Wallet Activity Update*\n\n` +
-        `*Wallet:* \`${wallet}\`\n` +
+        `*Wallet:* ${label ? `${formatLabel(label)} ` : ''}\`${wallet}\`\n` +
         `*Total Value:* ${formatUSD(balance.totalValue)}\n` +
         (changeStr ? `*Change:* ${changeStr}\n` : '') + 
+        (changes.length
+          ? `\n*Position Changes:*\n` + changes.slice(0, 8).map(formatTokenChange).join('\n') + '\n'
+          : '') +
         `\n*Top Holdings:*\n` +
         balance.tokens.slice(0, 5).map(token => 
             `• ${token.symbol}: ${formatUSD(token.value)}`
@@ -73,5 +105,6 @@ function generateWalletMessageSignature(wallet, balance) {
 
 module.exports = {
   formatWalletAlertMessage,
+  formatTokenChange,
   generateWalletMessageSignature
 }; 
\ No newline at end of file
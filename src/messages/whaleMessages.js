@@ -2,13 +2,36 @@
  * Message formatting functions for whale alerts
  */
 const { formatUSD } = require('./gemMessages');
+const { formatLabel } = require('../services/labels');
+const { formatFlowSummary } = require('./flowMessages');
+
+// Human readable labels for transfer directions
+const DIRECTION_LABELS = {
+  inflow: '📥 Exchange Inflow',
+  outflow: '📤 Exchange Outflow',
+  internal: '🔁 Exchange to Exchange',
+  wallet: '👛 Wallet to Wallet'
+};
+
+/**
+ * Format a transfer party, with its label when it has one
+ * @param {string} address - Wallet address
+ * @param {Function} labelFor - Labeler from getLabeler
+ * @returns {string} e.g. "Binance (Exchange) `5tzF...`"
+ */
+function formatParty(address, labelFor) {
+  const label = labelFor(address);
+  return label ? `${formatLabel(label)} \`${address}\`` : `\`${address}\``;
+}
 
 /**
  * Format whale alert message
  * @param {Object} transaction - Whale transaction data
+ * @param {Function} labelFor - Labeler from getLabeler (optional)
+ * @param {Object} flow - Recent trade flow from getTokenFlow (optional)
  * @returns {string} Formatted whale alert message
  */
-function formatWhaleAlertMessage(transaction) {
+function formatWhaleAlertMessage(transaction, labelFor = () => null, flow = null) {
   try {
     const message = 
       `🐋 *Whale Alert!*\n\n` +
@@ -16,8 +39,11 @@ function formatWhaleAlertMessage(transaction) {
       `*Amount:* ${formatNumber(transaction.amount)} (${transaction.symbol})\n` +
       `*USD Value:* ${formatUSD(transaction.usdAmount)}\n` +
       `*Type:* ${transaction.type}\n` +
-      `*From:* \`${transaction.from}\`\n` +
-      `*To:* \`${transaction.to}\`\n\n` +
+      (transaction.direction ? `*Flow:* ${DIRECTION_LABELS[transaction.direction] || transaction.direction}\n` : '') +
+      `*From:* ${formatParty(transaction.from, labelFor)}\n` +
+      `*To:* ${formatParty(transaction.to, labelFor)}\n` +
+      (flow ? `*Trade Flow:* ${formatFlowSummary(flow)}\n` : '') +
+      `\n` +
       `[View Token on Vybe Alpha 🔍](https://vybe.fyi/token/${transaction.mintAddress})`;
 
     return message;
@@ -39,6 +65,7 @@ function formatNumber(num) {
 }
 
 module.exports = {
+  DIRECTION_LABELS,
   formatWhaleAlertMessage,
   formatNumber
 }; 
\ No newline at end of file
@@ -0,0 +1,158 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Alert preferences per chat and per tracked wallet
+ *
+ * JSON-valued settings (whale, holder, concentration and wallet rules) are
+ * returned as stored;
+ * parsing and defaults belong to the services that apply them.
+ */
+class AlertPrefsRepository extends BaseRepository {
+    async getAlertEnabledChats() {
+        return this.redis.sMembers(keys.alertEnabledChats());
+    }
+
+    async getEnabledAlerts(chatId) {
+        return this.redis.sMembers(keys.chatAlerts(chatId));
+    }
+
+    async hasAlert(chatId, type) {
+        return this.redis.sIsMember(keys.chatAlerts(chatId), type);
+    }
+
+    /**
+     * Enable alert types for a chat
+     *
+     * @param {string|number} chatId - Chat ID
+     * @param {string[]} types - Alert types (whale, holder, concentration, wallet, gem)
+     */
+    async enableAlerts(chatId, types) {
+        await this.redis.multi()
+            .sAdd(keys.alertEnabledChats(), chatId.toString())
+            .sAdd(keys.chatAlerts(chatId), types)
+            .exec();
+    }
+
+    /**
+     * Disable alert types for a chat; the chat leaves the alert-enabled set
+     * once it has no alert types left
+     *
+     * @param {string|number} chatId - Chat ID
+     * @param {string[]} types - Alert types (whale, holder, concentration, wallet, gem)
+     */
+    async disableAlerts(chatId, types) {
+        await this.redis.sRem(keys.chatAlerts(chatId), types);
+
+        await this.cleanupIfEmpty(keys.chatAlerts(chatId), (multi) => {
+            multi.sRem(keys.alertEnabledChats(), chatId.toString());
+        });
+    }
+
+    /**
+     * Drop all of a chat's alert settings and take it out of the
+     * alert-enabled set, e.g. once the chat can no longer be messaged
+     */
+    async clearChat(chatId) {
+        await this.redis.multi()
+            .sRem(keys.alertEnabledChats(), chatId.toString())
+            .del([
+                keys.chatAlerts(chatId),
+                keys.chatThreshold(chatId),
+                keys.whaleRules(chatId),
+                keys.holderRules(chatId),
+                keys.concentrationRules(chatId),
+                keys.walletModes(chatId),
+                keys.walletRules(chatId)
+            ])
+            .exec();
+    }
+
+    /**
+     * Get the chat's default whale threshold
+     *
+     * @returns {Promise<number|null>} - Threshold in USD, or null when unset
+     */
+    async getThreshold(chatId) {
+        const threshold = parseFloat(await this.redis.get(keys.chatThreshold(chatId)));
+        return isNaN(threshold) ? null : threshold;
+    }
+
+    async setThreshold(chatId, threshold) {
+        await this.redis.set(keys.chatThreshold(chatId), threshold.toString());
+    }
+
+    async getWhaleRule(chatId, mint) {
+        return this.redis.hGet(keys.whaleRules(chatId), mint);
+    }
+
+    async getWhaleRules(chatId) {
+        return this.redis.hGetAll(keys.whaleRules(chatId));
+    }
+
+    async setWhaleRule(chatId, mint, rule) {
+        await this.redis.hSet(keys.whaleRules(chatId), mint, JSON.stringify(rule));
+    }
+
+    async deleteWhaleRule(chatId, mint) {
+        await this.redis.hDel(keys.whaleRules(chatId), mint);
+    }
+
+    async getHolderRule(chatId, mint) {
+        return this.redis.hGet(keys.holderRules(chatId), mint);
+    }
+
+    async getHolderRules(chatId) {
+        return this.redis.hGetAll(keys.holderRules(chatId));
+    }
+
+    async setHolderRule(chatId, mint, rule) {
+        await this.redis.hSet(keys.holderRules(chatId), mint, JSON.stringify(rule));
+    }
+
+    async deleteHolderRule(chatId, mint) {
+        await this.redis.hDel(keys.holderRules(chatId), mint);
+    }
+
+    async getConcentrationRule(chatId, mint) {
+        return this.redis.hGet(keys.concentrationRules(chatId), mint);
+    }
+
+    async getConcentrationRules(chatId) {
+        return this.redis.hGetAll(keys.concentrationRules(chatId));
+    }
+
+    async setConcentrationRule(chatId, mint, rule) {
+        await this.redis.hSet(keys.concentrationRules(chatId), mint, JSON.stringify(rule));
+    }
+
+    async deleteConcentrationRule(chatId, mint) {
+        await this.redis.hDel(keys.concentrationRules(chatId), mint);
+    }
+
+    async getWalletMode(chatId, wallet) {
+        return this.redis.hGet(keys.walletModes(chatId), wallet);
+    }
+
+    async getWalletModes(chatId) {
+        return this.redis.hGetAll(keys.walletModes(chatId));
+    }
+
+    async setWalletMode(chatId, wallet, mode) {
+        await this.redis.hSet(keys.walletModes(chatId), wallet, mode);
+    }
+
+    async getWalletRules(chatId, wallet) {
+        return this.redis.hGet(keys.walletRules(chatId), wallet);
+    }
+
+    async setWalletRules(chatId, wallet, rules) {
+        await this.redis.hSet(keys.walletRules(chatId), wallet, JSON.stringify(rules));
+    }
+
+    async deleteWalletRules(chatId, wallet) {
+        await this.redis.hDel(keys.walletRules(chatId), wallet);
+    }
+}
+
+module.exports = AlertPrefsRepository;
@@ -0,0 +1,74 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+// How long sent-alert markers are kept (seconds)
+const ALERT_STATE_TTL = 86400; // 24 hours
+
+// Holder counts of tokens nobody watches anymore expire on their own
+const HOLDER_COUNT_TTL = 7 * 24 * 60 * 60; // 7 days
+
+/**
+ * Short-lived alert bookkeeping used to avoid duplicate notifications
+ */
+class AlertStateRepository extends BaseRepository {
+    /**
+     * Mark a whale transfer of a token as alerted. Claimed per token, since
+     * one transaction (e.g. a swap) can move several watched tokens.
+     *
+     * @param {string} mint - Token mint address
+     * @param {string} hash - Transaction signature
+     * @returns {Promise<boolean>} - True if this call claimed it, false if it was already alerted
+     */
+    async claimWhaleAlert(mint, hash) {
+        const result = await this.redis.set(keys.whaleAlertSent(mint, hash), '1', { NX: true, EX: ALERT_STATE_TTL });
+        return result === 'OK';
+    }
+
+    /**
+     * Start a holder change alert cooldown for a chat and token
+     *
+     * @param {string} chatId - Chat ID
+     * @param {string} mint - Token mint address
+     * @param {number} ttl - Cooldown (seconds)
+     * @returns {Promise<boolean>} - True if this call claimed it, false while a cooldown is running
+     */
+    async claimHolderAlert(chatId, mint, ttl) {
+        const result = await this.redis.set(keys.holderAlertSent(chatId, mint), '1', { NX: true, EX: ttl });
+        return result === 'OK';
+    }
+
+    /**
+     * Start a concentration change alert cooldown for a chat and token
+     *
+     * @param {string} chatId - Chat ID
+     * @param {string} mint - Token mint address
+     * @param {number} ttl - Cooldown (seconds)
+     * @returns {Promise<boolean>} - True if this call claimed it, false while a cooldown is running
+     */
+    async claimConcentrationAlert(chatId, mint, ttl) {
+        const result = await this.redis.set(keys.concentrationAlertSent(chatId, mint), '1', { NX: true, EX: ttl });
+        return result === 'OK';
+    }
+
+    /**
+     * @returns {Promise<number|null>} - Holder count at the last check, or null before the first
+     */
+    async getHolderCount(mint) {
+        const count = parseInt(await this.redis.get(keys.holderCount(mint)));
+        return isNaN(count) ? null : count;
+    }
+
+    async setHolderCount(mint, count) {
+        await this.redis.set(keys.holderCount(mint), count.toString(), { EX: HOLDER_COUNT_TTL });
+    }
+
+    async getWalletMessageSignature(wallet) {
+        return this.redis.get(keys.walletMessageSignature(wallet));
+    }
+
+    async setWalletMessageSignature(wallet, signature) {
+        await this.redis.set(keys.walletMessageSignature(wallet), signature, { EX: ALERT_STATE_TTL });
+    }
+}
+
+module.exports = AlertStateRepository;
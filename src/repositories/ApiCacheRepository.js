@@ -0,0 +1,40 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Cached Vybe API responses
+ *
+ * The shared layer behind the in-process cache, so responses survive
+ * restarts:
+ *
+ *   api_cache:${endpoint}:${hash} - JSON response, expiring with its TTL
+ */
+class ApiCacheRepository extends BaseRepository {
+    /**
+     * @param {string} endpoint - API endpoint name
+     * @param {string} hash - Hash of the request arguments
+     * @returns {Promise<Object|null>} - Cached response, or null
+     */
+    async get(endpoint, hash) {
+        const stored = await this.redis.get(keys.apiCache(endpoint, hash));
+        if (!stored) return null;
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} endpoint - API endpoint name
+     * @param {string} hash - Hash of the request arguments
+     * @param {Object} response - JSON-serializable response
+     * @param {number} ttl - Time to live (seconds)
+     */
+    async set(endpoint, hash, response, ttl) {
+        await this.redis.set(keys.apiCache(endpoint, hash), JSON.stringify(response), { EX: ttl });
+    }
+}
+
+module.exports = ApiCacheRepository;
@@ -0,0 +1,56 @@
+const { WatchError } = require('redis');
+
+/**
+ * Base class for repositories
+ *
+ * Repositories receive a function returning the current client rather than
+ * the client itself, since RedisManager creates (and may recreate) its client
+ * after the modules using it have loaded.
+ */
+class BaseRepository {
+    constructor(getClient) {
+        this.getClient = getClient;
+    }
+
+    get redis() {
+        return this.getClient();
+    }
+
+    isReady() {
+        return !!this.redis?.isReady;
+    }
+
+    /**
+     * Run `buildCommands` in a transaction only if the set at `ownersKey` is
+     * empty, e.g. to drop a wallet from global tracking once its last user
+     * leaves. The set is WATCHed, so an owner added concurrently aborts it.
+     *
+     * @param {string} ownersKey - Set that must be empty
+     * @param {Function} buildCommands - (multi) => void, queues the cleanup commands
+     * @returns {Promise<boolean>} - True when the cleanup ran
+     */
+    async cleanupIfEmpty(ownersKey, buildCommands) {
+        return this.redis.executeIsolated(async (isolatedClient) => {
+            await isolatedClient.watch(ownersKey);
+
+            const owners = await isolatedClient.sCard(ownersKey);
+            if (owners > 0) {
+                await isolatedClient.unwatch();
+                return false;
+            }
+
+            const multi = isolatedClient.multi();
+            buildCommands(multi);
+            try {
+                await multi.exec();
+                return true;
+            } catch (error) {
+                // An owner was added while we were cleaning up; keep everything
+                if (error instanceof WatchError) return false;
+                throw error;
+            }
+        });
+    }
+}
+
+module.exports = BaseRepository;
@@ -0,0 +1,43 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Where users are in multi-step commands
+ *
+ *   conversation:${chatId}:${userId} - JSON state, expiring with its TTL
+ *
+ * Keyed by chat and user, so one user can be mid-flow in a group and in
+ * their private chat at the same time.
+ */
+class ConversationRepository extends BaseRepository {
+    /**
+     * @returns {Promise<Object|null>} - The state, or null if none or expired
+     */
+    async get(chatId, userId) {
+        const stored = await this.redis.get(keys.conversation(chatId, userId));
+        if (!stored) return null;
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} state - JSON-serializable state
+     * @param {number} ttl - Time to live (seconds)
+     */
+    async set(chatId, userId, state, ttl) {
+        await this.redis.set(keys.conversation(chatId, userId), JSON.stringify(state), { EX: ttl });
+    }
+
+    /**
+     * @returns {Promise<boolean>} - True when a state was removed
+     */
+    async clear(chatId, userId) {
+        return (await this.redis.del(keys.conversation(chatId, userId))) > 0;
+    }
+}
+
+module.exports = ConversationRepository;
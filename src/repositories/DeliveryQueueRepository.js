@@ -0,0 +1,45 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+const logger = require('../utils/logger');
+
+/**
+ * Outbound messages waiting for delivery
+ *
+ * Queued alerts are kept in a hash of message id -> JSON, so messages not
+ * yet sent when the bot stops are delivered after it restarts. Entries are
+ * removed once delivered or given up on.
+ */
+class DeliveryQueueRepository extends BaseRepository {
+    async add(message) {
+        await this.redis.hSet(keys.deliveryQueue(), message.id, JSON.stringify(message));
+    }
+
+    async remove(id) {
+        await this.redis.hDel(keys.deliveryQueue(), id);
+    }
+
+    /**
+     * @returns {Promise<Array>} - Queued messages, oldest first
+     */
+    async getAll() {
+        const stored = await this.redis.hGetAll(keys.deliveryQueue());
+
+        return Object.values(stored)
+            .map(message => {
+                try {
+                    return JSON.parse(message);
+                } catch (error) {
+                    logger.warn(`Invalid queued message: ${message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+    }
+
+    async clear() {
+        await this.redis.del(keys.deliveryQueue());
+    }
+}
+
+module.exports = DeliveryQueueRepository;
@@ -0,0 +1,38 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Custom address labels per chat
+ *
+ * A chat's labels are private to it and override Vybe's known account
+ * names wherever the chat sees that address.
+ */
+class LabelRepository extends BaseRepository {
+    /**
+     * @returns {Promise<Object>} - Address -> label
+     */
+    async getLabels(chatId) {
+        return this.redis.hGetAll(keys.chatLabels(chatId));
+    }
+
+    async getLabel(chatId, address) {
+        return this.redis.hGet(keys.chatLabels(chatId), address);
+    }
+
+    async setLabel(chatId, address, label) {
+        await this.redis.hSet(keys.chatLabels(chatId), address, label);
+    }
+
+    /**
+     * @returns {Promise<boolean>} - True when a label was removed
+     */
+    async deleteLabel(chatId, address) {
+        return (await this.redis.hDel(keys.chatLabels(chatId), address)) > 0;
+    }
+
+    async clearLabels(chatId) {
+        await this.redis.del(keys.chatLabels(chatId));
+    }
+}
+
+module.exports = LabelRepository;
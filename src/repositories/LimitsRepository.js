@@ -0,0 +1,55 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Tracked-wallet limits
+ *
+ * Limits are set per tier, chats (users in private chats, or groups) are
+ * assigned a tier, and admins may grant a chat a limit of its own. Resolving which one applies is left
+ * to the walletLimits service.
+ */
+class LimitsRepository extends BaseRepository {
+    /**
+     * @returns {Promise<Object>} - Map of tier -> limit for tiers configured in Redis
+     */
+    async getTierLimits() {
+        const stored = await this.redis.hGetAll(keys.walletLimitTiers());
+        return Object.fromEntries(
+            Object.entries(stored).map(([tier, limit]) => [tier, parseInt(limit)])
+        );
+    }
+
+    async setTierLimit(tier, limit) {
+        await this.redis.hSet(keys.walletLimitTiers(), tier, limit.toString());
+    }
+
+    async getUserTier(chatId) {
+        return (await this.redis.hGet(keys.userTiers(), chatId.toString())) || null;
+    }
+
+    async setUserTier(chatId, tier) {
+        await this.redis.hSet(keys.userTiers(), chatId.toString(), tier);
+    }
+
+    async clearUserTier(chatId) {
+        await this.redis.hDel(keys.userTiers(), chatId.toString());
+    }
+
+    /**
+     * @returns {Promise<number|null>} - Limit granted to the chat, or null when none
+     */
+    async getUserLimit(chatId) {
+        const limit = parseInt(await this.redis.hGet(keys.userWalletLimits(), chatId.toString()));
+        return isNaN(limit) ? null : limit;
+    }
+
+    async setUserLimit(chatId, limit) {
+        await this.redis.hSet(keys.userWalletLimits(), chatId.toString(), limit.toString());
+    }
+
+    async clearUserLimit(chatId) {
+        await this.redis.hDel(keys.userWalletLimits(), chatId.toString());
+    }
+}
+
+module.exports = LimitsRepository;
@@ -0,0 +1,279 @@
+const { WatchError } = require('redis');
+
+/**
+ * In-memory stand-in for the node-redis v4 client
+ *
+ * Implements the subset of commands the repositories and scheduler use
+ * (strings, sets, hashes, sorted sets, MULTI, WATCH and key expiry), so they
+ * can run without a Redis server, e.g. in tests.
+ */
+class MemoryRedisClient {
+    constructor() {
+        this.data = new Map(); // key -> string | Set | Map
+        this.expiries = new Map(); // key -> expiry timestamp (ms)
+        this.versions = new Map(); // key -> write counter, for WATCH
+        this.watched = null;
+        this.isReady = true;
+        this.isOpen = true;
+    }
+
+    // Internal helpers
+
+    read(key) {
+        const expiry = this.expiries.get(key);
+        if (expiry !== undefined && expiry <= Date.now()) {
+            this.data.delete(key);
+            this.expiries.delete(key);
+        }
+        return this.data.get(key);
+    }
+
+    write(key, value) {
+        this.versions.set(key, (this.versions.get(key) || 0) + 1);
+        if (value === undefined || value.size === 0) {
+            this.data.delete(key);
+            this.expiries.delete(key);
+        } else {
+            this.data.set(key, value);
+        }
+    }
+
+    collection(key, Type) {
+        const value = this.read(key);
+        if (value === undefined) return new Type();
+        if (!(value instanceof Type)) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    // Strings
+
+    async get(key) {
+        const value = this.read(key);
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value, options = {}) {
+        const exists = this.read(key) !== undefined;
+        if ((options.NX && exists) || (options.XX && !exists)) return null;
+
+        this.write(key, String(value));
+        if (options.EX) {
+            this.expiries.set(key, Date.now() + options.EX * 1000);
+        } else {
+            this.expiries.delete(key);
+        }
+        return 'OK';
+    }
+
+    async del(keys) {
+        let removed = 0;
+        for (const key of [].concat(keys)) {
+            if (this.read(key) !== undefined) {
+                this.write(key, undefined);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Sets
+
+    async sAdd(key, members) {
+        const set = this.collection(key, Set);
+        let added = 0;
+        for (const member of [].concat(members)) {
+            if (!set.has(String(member))) {
+                set.add(String(member));
+                added++;
+            }
+        }
+        this.write(key, set);
+        return added;
+    }
+
+    async sRem(key, members) {
+        const set = this.collection(key, Set);
+        let removed = 0;
+        for (const member of [].concat(members)) {
+            if (set.delete(String(member))) removed++;
+        }
+        this.write(key, set);
+        return removed;
+    }
+
+    async sMembers(key) {
+        return [...this.collection(key, Set)];
+    }
+
+    async sIsMember(key, member) {
+        return this.collection(key, Set).has(String(member));
+    }
+
+    async sCard(key) {
+        return this.collection(key, Set).size;
+    }
+
+    // Hashes
+
+    async hGet(key, field) {
+        return this.collection(key, Map).get(field);
+    }
+
+    async hSet(key, field, value) {
+        const hash = this.collection(key, Map);
+        const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+        let added = 0;
+        for (const [name, fieldValue] of entries) {
+            if (!hash.has(name)) added++;
+            hash.set(name, String(fieldValue));
+        }
+        this.write(key, hash);
+        return added;
+    }
+
+    async hDel(key, fields) {
+        const hash = this.collection(key, Map);
+        let removed = 0;
+        for (const field of [].concat(fields)) {
+            if (hash.delete(field)) removed++;
+        }
+        this.write(key, hash);
+        return removed;
+    }
+
+    async hExists(key, field) {
+        return this.collection(key, Map).has(field);
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this.collection(key, Map));
+    }
+
+    async hIncrBy(key, field, increment) {
+        const hash = this.collection(key, Map);
+        const value = (parseInt(hash.get(field)) || 0) + increment;
+        hash.set(field, String(value));
+        this.write(key, hash);
+        return value;
+    }
+
+    // Sorted sets (stored as member -> score)
+
+    async zAdd(key, members, options = {}) {
+        const zset = this.collection(key, Map);
+        let added = 0;
+        for (const { score, value } of [].concat(members)) {
+            const exists = zset.has(value);
+            if ((options.NX && exists) || (options.XX && !exists)) continue;
+            if (!exists) added++;
+            zset.set(value, score);
+        }
+        this.write(key, zset);
+        return added;
+    }
+
+    async zRem(key, members) {
+        const zset = this.collection(key, Map);
+        let removed = 0;
+        for (const member of [].concat(members)) {
+            if (zset.delete(member)) removed++;
+        }
+        this.write(key, zset);
+        return removed;
+    }
+
+    async zScore(key, member) {
+        return this.collection(key, Map).get(member) ?? null;
+    }
+
+    sortedMembers(key) {
+        return [...this.collection(key, Map).entries()]
+            .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+    }
+
+    async zRange(key, start, stop) {
+        const members = this.sortedMembers(key).map(([member]) => member);
+        const end = stop < 0 ? members.length + stop + 1 : stop + 1;
+        return members.slice(start, end);
+    }
+
+    async zRangeByScore(key, min, max, options = {}) {
+        const members = this.sortedMembers(key)
+            .filter(([, score]) => score >= min && score <= max)
+            .map(([member]) => member);
+
+        if (!options.LIMIT) return members;
+        const { offset, count } = options.LIMIT;
+        return members.slice(offset, count < 0 ? undefined : offset + count);
+    }
+
+    // Transactions
+
+    /**
+     * Queue commands and run them back to back on exec(), which fails with
+     * WatchError if a WATCHed key was written since it was watched
+     */
+    multi() {
+        const client = this;
+        const queue = [];
+
+        const builder = new Proxy({}, {
+            get(target, command) {
+                if (command === 'exec') {
+                    return async () => {
+                        const watched = client.watched;
+                        client.watched = null;
+                        if (watched) {
+                            for (const [key, version] of watched) {
+                                if ((client.versions.get(key) || 0) !== version) throw new WatchError();
+                            }
+                        }
+
+                        const results = [];
+                        for (const [name, args] of queue) {
+                            results.push(await client[name](...args));
+                        }
+                        return results;
+                    };
+                }
+                return (...args) => {
+                    queue.push([command, args]);
+                    return builder;
+                };
+            }
+        });
+
+        return builder;
+    }
+
+    async watch(keys) {
+        this.watched = this.watched || new Map();
+        for (const key of [].concat(keys)) {
+            this.watched.set(key, this.versions.get(key) || 0);
+        }
+        return 'OK';
+    }
+
+    async unwatch() {
+        this.watched = null;
+        return 'OK';
+    }
+
+    /**
+     * Run `fn` with a client whose WATCH state is its own, sharing the data
+     */
+    async executeIsolated(fn) {
+        const isolatedClient = Object.create(this);
+        isolatedClient.watched = null;
+        return fn(isolatedClient);
+    }
+
+    async quit() {
+        this.isReady = false;
+        this.isOpen = false;
+    }
+}
+
+module.exports = MemoryRedisClient;
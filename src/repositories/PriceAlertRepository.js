@@ -0,0 +1,166 @@
+const { WatchError } = require('redis');
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+const logger = require('../utils/logger');
+const { PRICE_HISTORY_RETENTION } = require('../services/priceAlerts');
+
+// Price history of a mint nobody checks anymore expires once no window needs it
+const PRICE_HISTORY_TTL = Math.ceil(PRICE_HISTORY_RETENTION / 1000);
+
+// Attempts before giving up when the chat's alerts keep changing under us
+const UPDATE_MAX_ATTEMPTS = 3;
+
+/**
+ * Price and market cap alerts
+ *
+ * Each chat keeps its alerts in a hash keyed by a per-chat alert id, with a
+ * reverse index from mint to chats. The global set holds every mint with at
+ * least one alert and drives the price checks.
+ *
+ *   price_alerts:${chatId}           - hash of id -> JSON alert
+ *   token:${mint}:price_alert_chats  - set of chats with alerts on a mint
+ *   price_alert_tokens               - set of mints with alerts in any chat
+ *   price_history:${mint}            - JSON price samples for change alerts
+ */
+class PriceAlertRepository extends BaseRepository {
+    async getAlertTokens() {
+        return this.redis.sMembers(keys.priceAlertTokens());
+    }
+
+    async getTokenChats(mint) {
+        return this.redis.sMembers(keys.tokenPriceAlertChats(mint));
+    }
+
+    /**
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array>} - The chat's alerts, oldest first
+     */
+    async getChatAlerts(chatId) {
+        const stored = await this.redis.hGetAll(keys.chatPriceAlerts(chatId));
+
+        return Object.values(stored)
+            .map(alert => {
+                try {
+                    return JSON.parse(alert);
+                } catch (error) {
+                    logger.warn(`Invalid price alert for chat ${chatId}: ${alert}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    async getAlert(chatId, alertId) {
+        const stored = await this.redis.hGet(keys.chatPriceAlerts(chatId), alertId.toString());
+        if (!stored) return null;
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a new alert under the chat's next alert id
+     *
+     * @param {string} chatId - Chat ID
+     * @param {Object} alert - Alert without an id
+     * @returns {Promise<Object>} - The stored alert, with its id
+     */
+    async addAlert(chatId, alert) {
+        const id = await this.redis.hIncrBy(keys.priceAlertIds(), chatId.toString(), 1);
+        const storedAlert = { ...alert, id };
+
+        await this.redis.multi()
+            .hSet(keys.chatPriceAlerts(chatId), id.toString(), JSON.stringify(storedAlert))
+            .sAdd(keys.tokenPriceAlertChats(alert.mint), chatId.toString())
+            .sAdd(keys.priceAlertTokens(), alert.mint)
+            .exec();
+
+        return storedAlert;
+    }
+
+    /**
+     * Replace an existing alert, e.g. after it fired or re-armed. An alert
+     * deleted meanwhile is left deleted.
+     *
+     * @returns {Promise<boolean>} - Whether the alert still existed and was updated
+     */
+    async updateAlert(chatId, alert) {
+        const chatAlertsKey = keys.chatPriceAlerts(chatId);
+        const alertId = alert.id.toString();
+
+        for (let attempt = 1; attempt <= UPDATE_MAX_ATTEMPTS; attempt++) {
+            const result = await this.redis.executeIsolated(async (isolatedClient) => {
+                await isolatedClient.watch(chatAlertsKey);
+
+                if (!await isolatedClient.hExists(chatAlertsKey, alertId)) {
+                    await isolatedClient.unwatch();
+                    return false;
+                }
+
+                try {
+                    await isolatedClient.multi()
+                        .hSet(chatAlertsKey, alertId, JSON.stringify(alert))
+                        .exec();
+                    return true;
+                } catch (error) {
+                    // The chat's alerts changed meanwhile; check again
+                    if (error instanceof WatchError) return null;
+                    throw error;
+                }
+            });
+
+            if (result !== null) return result;
+        }
+
+        throw new Error(`Could not update price alert ${alertId} for chat ${chatId}: too many concurrent changes`);
+    }
+
+    /**
+     * Delete an alert. The chat leaves the mint's index once it has no alerts
+     * left on it, and the mint stops being checked once no chat has.
+     *
+     * @returns {Promise<Object|null>} - The deleted alert, or null if it did not exist
+     */
+    async deleteAlert(chatId, alertId) {
+        const alert = await this.getAlert(chatId, alertId);
+        if (!alert) return null;
+
+        await this.redis.hDel(keys.chatPriceAlerts(chatId), alertId.toString());
+
+        const remaining = await this.getChatAlerts(chatId);
+        if (!remaining.some(other => other.mint === alert.mint)) {
+            await this.redis.sRem(keys.tokenPriceAlertChats(alert.mint), chatId.toString());
+            await this.cleanupIfEmpty(keys.tokenPriceAlertChats(alert.mint), (multi) => {
+                multi.sRem(keys.priceAlertTokens(), alert.mint);
+                multi.del(keys.priceHistory(alert.mint));
+            });
+        }
+
+        return alert;
+    }
+
+    /**
+     * @param {string} mint - Token mint address
+     * @returns {Promise<Array>} - [timestamp, price] samples, oldest first
+     */
+    async getPriceHistory(mint) {
+        const stored = await this.redis.get(keys.priceHistory(mint));
+        if (!stored) return [];
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async savePriceHistory(mint, samples) {
+        await this.redis.set(keys.priceHistory(mint), JSON.stringify(samples), { EX: PRICE_HISTORY_TTL });
+    }
+}
+
+module.exports = PriceAlertRepository;
@@ -0,0 +1,68 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+const logger = require('../utils/logger');
+
+// Bump when the shape of a snapshot changes; older snapshots are then
+// treated as missing and the address is re-seeded instead of misread
+const SNAPSHOT_VERSION = 2;
+
+// Snapshots of wallets and tokens nobody checks anymore expire on their own
+const SNAPSHOT_TTL = 7 * 24 * 60 * 60; // 7 days
+
+/**
+ * Wallet and token snapshots
+ *
+ * Keeps the last observed state of a wallet (or of a token's top holders) in
+ * Redis so alert detectors compare against a stable baseline across restarts:
+ *
+ *   snapshot:${type}:${address} - JSON { version, takenAt, data }
+ *
+ * A missing (or outdated) snapshot means the address has not been seeded yet.
+ */
+class SnapshotRepository extends BaseRepository {
+    /**
+     * Load a snapshot
+     *
+     * @param {string} type - Snapshot type (e.g. 'balance', 'gems', 'topHolders')
+     * @param {string} address - Wallet address, or token mint for token snapshots
+     * @returns {Promise<Object|null>} - Snapshot data, or null when not seeded
+     */
+    async get(type, address) {
+        const stored = await this.redis.get(keys.snapshot(type, address));
+        if (!stored) return null;
+
+        try {
+            const snapshot = JSON.parse(stored);
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                logger.info(`Discarding version ${snapshot.version} ${type} snapshot for ${address}`);
+                return null;
+            }
+            return snapshot.data;
+        } catch (error) {
+            logger.warn(`Invalid ${type} snapshot for ${address}, re-seeding`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a snapshot, replacing the previous one
+     *
+     * @param {string} type - Snapshot type (e.g. 'balance', 'gems', 'topHolders')
+     * @param {string} address - Wallet address, or token mint for token snapshots
+     * @param {*} data - JSON-serializable snapshot data
+     */
+    async save(type, address, data) {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            takenAt: Date.now(),
+            data
+        };
+        await this.redis.set(keys.snapshot(type, address), JSON.stringify(snapshot), { EX: SNAPSHOT_TTL });
+    }
+
+    async delete(type, address) {
+        await this.redis.del(keys.snapshot(type, address));
+    }
+}
+
+module.exports = SnapshotRepository;
@@ -0,0 +1,148 @@
+const { WatchError } = require('redis');
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+// Outcomes of trackWallet
+const TRACK_RESULTS = {
+    ADDED: 'added',
+    ALREADY_TRACKING: 'already_tracking',
+    LIMIT_REACHED: 'limit_reached'
+};
+
+// Attempts before giving up when the chat's wallets keep changing under us
+const TRACK_MAX_ATTEMPTS = 3;
+
+/**
+ * Wallet tracking and gem alert subscriptions
+ *
+ * Each tracked wallet is indexed both ways (chat -> wallets, wallet -> chats)
+ * and listed in the global set the alert scheduler reads. The three are
+ * always updated together in one transaction.
+ */
+class TrackingRepository extends BaseRepository {
+    async getUserWallets(chatId) {
+        return this.redis.sMembers(keys.userWallets(chatId));
+    }
+
+    async countUserWallets(chatId) {
+        return this.redis.sCard(keys.userWallets(chatId));
+    }
+
+    async isTracking(chatId, wallet) {
+        return this.redis.sIsMember(keys.userWallets(chatId), wallet);
+    }
+
+    async getWalletUsers(wallet) {
+        return this.redis.sMembers(keys.walletUsers(wallet));
+    }
+
+    /**
+     * Start tracking a wallet for a chat, unless it is at its limit.
+     * The chat's wallet set is WATCHed, so two concurrent tracks can't both
+     * take the last free slot.
+     *
+     * @param {number|string} chatId - Telegram chat ID (the user's ID in private chats)
+     * @param {string} wallet - Wallet address
+     * @param {number} [limit=Infinity] - Maximum wallets the chat may track
+     * @returns {Promise<string>} - One of TRACK_RESULTS
+     */
+    async trackWallet(chatId, wallet, limit = Infinity) {
+        const chatWalletsKey = keys.userWallets(chatId);
+
+        for (let attempt = 1; attempt <= TRACK_MAX_ATTEMPTS; attempt++) {
+            const result = await this.redis.executeIsolated(async (isolatedClient) => {
+                await isolatedClient.watch(chatWalletsKey);
+
+                if (await isolatedClient.sIsMember(chatWalletsKey, wallet)) {
+                    await isolatedClient.unwatch();
+                    return TRACK_RESULTS.ALREADY_TRACKING;
+                }
+                if (await isolatedClient.sCard(chatWalletsKey) >= limit) {
+                    await isolatedClient.unwatch();
+                    return TRACK_RESULTS.LIMIT_REACHED;
+                }
+
+                try {
+                    await isolatedClient.multi()
+                        .sAdd(chatWalletsKey, wallet)
+                        .sAdd(keys.walletUsers(wallet), chatId.toString())
+                        .sAdd(keys.trackedWallets(), wallet)
+                        .exec();
+                    return TRACK_RESULTS.ADDED;
+                } catch (error) {
+                    // The chat's wallets changed meanwhile; check again
+                    if (error instanceof WatchError) return null;
+                    throw error;
+                }
+            });
+
+            if (result) return result;
+        }
+
+        throw new Error(`Could not track wallet ${wallet} for chat ${chatId}: too many concurrent changes`);
+    }
+
+    /**
+     * Stop tracking a wallet for a chat, dropping its per-wallet settings.
+     * Once no chat tracks the wallet it leaves global tracking and its
+     * balance snapshot is removed, so tracking it again re-seeds.
+     *
+     * @returns {Promise<boolean>} - False if the chat was not tracking it
+     */
+    async untrackWallet(chatId, wallet) {
+        const [removed] = await this.redis.multi()
+            .sRem(keys.userWallets(chatId), wallet)
+            .sRem(keys.walletUsers(wallet), chatId.toString())
+            .hDel(keys.walletModes(chatId), wallet)
+            .hDel(keys.walletRules(chatId), wallet)
+            .exec();
+
+        await this.cleanupIfEmpty(keys.walletUsers(wallet), (multi) => {
+            multi.sRem(keys.trackedWallets(), wallet);
+            multi.del(keys.snapshot('balance', wallet));
+        });
+
+        return removed > 0;
+    }
+
+    async getGemAlertWallets() {
+        return this.redis.sMembers(keys.gemAlertWallets());
+    }
+
+    async getGemUsers(wallet) {
+        return this.redis.sMembers(keys.walletGemUsers(wallet));
+    }
+
+    async hasGemAlerts(chatId, wallet) {
+        return this.redis.sIsMember(keys.walletGemUsers(wallet), chatId.toString());
+    }
+
+    /**
+     * Subscribe a chat to gem alerts for a wallet, enabling gem alerts for
+     * the chat as a whole
+     */
+    async enableGemAlerts(chatId, wallet) {
+        await this.redis.multi()
+            .sAdd(keys.gemAlertWallets(), wallet)
+            .sAdd(keys.walletGemUsers(wallet), chatId.toString())
+            .sAdd(keys.alertEnabledChats(), chatId.toString())
+            .sAdd(keys.chatAlerts(chatId), 'gem')
+            .exec();
+    }
+
+    /**
+     * Unsubscribe a chat from gem alerts for a wallet; the wallet stops being
+     * scanned once no chat wants its gem alerts
+     */
+    async disableGemAlerts(chatId, wallet) {
+        await this.redis.sRem(keys.walletGemUsers(wallet), chatId.toString());
+
+        await this.cleanupIfEmpty(keys.walletGemUsers(wallet), (multi) => {
+            multi.sRem(keys.gemAlertWallets(), wallet);
+        });
+    }
+}
+
+TrackingRepository.TRACK_RESULTS = TRACK_RESULTS;
+
+module.exports = TrackingRepository;
@@ -0,0 +1,56 @@
+const BaseRepository = require('./BaseRepository');
+const keys = require('./keys');
+
+/**
+ * Token watchlists
+ *
+ * Each chat keeps its own set of watched mints, with a reverse index from
+ * mint to chats. The global set holds every mint watched by at least one
+ * chat and drives the whale alert checks.
+ */
+class WatchlistRepository extends BaseRepository {
+    async getTrackedTokens() {
+        return this.redis.sMembers(keys.trackedTokens());
+    }
+
+    async getChatTokens(chatId) {
+        return this.redis.sMembers(keys.chatTokens(chatId));
+    }
+
+    async getTokenChats(mint) {
+        return this.redis.sMembers(keys.tokenChats(mint));
+    }
+
+    async isWatching(chatId, mint) {
+        return this.redis.sIsMember(keys.chatTokens(chatId), mint);
+    }
+
+    async watchToken(chatId, mint) {
+        await this.redis.multi()
+            .sAdd(keys.chatTokens(chatId), mint)
+            .sAdd(keys.tokenChats(mint), chatId.toString())
+            .sAdd(keys.trackedTokens(), mint)
+            .exec();
+    }
+
+    /**
+     * Stop watching a token in a chat, dropping the chat's whale, holder and
+     * concentration rules for it.
+     * The token stops being checked once no chat watches it.
+     */
+    async unwatchToken(chatId, mint) {
+        await this.redis.multi()
+            .sRem(keys.chatTokens(chatId), mint)
+            .sRem(keys.tokenChats(mint), chatId.toString())
+            .hDel(keys.whaleRules(chatId), mint)
+            .hDel(keys.holderRules(chatId), mint)
+            .hDel(keys.concentrationRules(chatId), mint)
+            .exec();
+
+        await this.cleanupIfEmpty(keys.tokenChats(mint), (multi) => {
+            multi.sRem(keys.trackedTokens(), mint);
+        });
+    }
+}
+
+module.exports = WatchlistRepository;
@@ -0,0 +1,46 @@
+const redisManager = require('../utils/redis');
+const TrackingRepository = require('./TrackingRepository');
+const AlertPrefsRepository = require('./AlertPrefsRepository');
+const WatchlistRepository = require('./WatchlistRepository');
+const AlertStateRepository = require('./AlertStateRepository');
+const SnapshotRepository = require('./SnapshotRepository');
+const LimitsRepository = require('./LimitsRepository');
+const ApiCacheRepository = require('./ApiCacheRepository');
+const PriceAlertRepository = require('./PriceAlertRepository');
+const LabelRepository = require('./LabelRepository');
+const DeliveryQueueRepository = require('./DeliveryQueueRepository');
+const ConversationRepository = require('./ConversationRepository');
+const MemoryRedisClient = require('./MemoryRedisClient');
+
+/**
+ * Create a set of repositories over one client
+ *
+ * @param {Function} getClient - Returns the Redis (or MemoryRedisClient) client to use
+ * @returns {Object} - Repositories sharing that client
+ */
+function createRepositories(getClient) {
+    return {
+        tracking: new TrackingRepository(getClient),
+        alertPrefs: new AlertPrefsRepository(getClient),
+        watchlist: new WatchlistRepository(getClient),
+        alertState: new AlertStateRepository(getClient),
+        snapshots: new SnapshotRepository(getClient),
+        limits: new LimitsRepository(getClient),
+        apiCache: new ApiCacheRepository(getClient),
+        priceAlerts: new PriceAlertRepository(getClient),
+        labels: new LabelRepository(getClient),
+        deliveryQueue: new DeliveryQueueRepository(getClient),
+        conversations: new ConversationRepository(getClient)
+    };
+}
+
+// Default repositories use the shared RedisManager connection
+const repositories = createRepositories(() => redisManager.getClient());
+
+module.exports = {
+    ...repositories,
+    isReady: () => repositories.tracking.isReady(),
+    createRepositories,
+    TRACK_RESULTS: TrackingRepository.TRACK_RESULTS,
+    MemoryRedisClient
+};
@@ -0,0 +1,66 @@
+/**
+ * Redis key schema
+ *
+ * Every key the bot stores (apart from the scheduler's own queues) is built
+ * here, so repositories are the only code that knows how data is laid out.
+ *
+ * Tracked wallets belong to a chat. The `user:` keys predate group support;
+ * in private chats the chat ID is the user ID, so existing data still fits.
+ */
+const keys = {
+    // Wallet tracking
+    trackedWallets: () => 'tracked_wallets', // set of wallets tracked by anyone
+    userWallets: (chatId) => `user:${chatId}:wallets`, // set of wallets a chat tracks
+    walletUsers: (wallet) => `wallet:${wallet}:users`, // set of chats tracking a wallet
+    gemAlertWallets: () => 'gem_alert_wallets', // set of wallets with gem alerts
+    walletGemUsers: (wallet) => `wallet:${wallet}:gem_users`, // set of chats with gem alerts for a wallet
+
+    // Wallet limits
+    walletLimitTiers: () => 'wallet_limits:tiers', // hash of tier -> wallet limit
+    userTiers: () => 'wallet_limits:user_tiers', // hash of chatId -> tier
+    userWalletLimits: () => 'wallet_limits:users', // hash of chatId -> granted wallet limit
+
+    // Alert preferences
+    alertEnabledChats: () => 'alert_enabled_chats', // set of chats with any alert enabled
+    chatAlerts: (chatId) => `alerts:${chatId}`, // set of enabled alert types
+    chatThreshold: (chatId) => `threshold:${chatId}`, // default whale threshold (USD)
+    whaleRules: (chatId) => `whale_rules:${chatId}`, // hash of mint -> JSON whale rule
+    holderRules: (chatId) => `holder_rules:${chatId}`, // hash of mint -> JSON holder alert rule
+    concentrationRules: (chatId) => `concentration_rules:${chatId}`, // hash of mint -> JSON concentration rule
+    walletModes: (chatId) => `user:${chatId}:wallet_modes`, // hash of wallet -> alert mode
+    walletRules: (chatId) => `user:${chatId}:wallet_rules`, // hash of wallet -> JSON rules
+
+    // Token watchlist
+    trackedTokens: () => 'tracked_tokens', // set of mints watched by any chat
+    chatTokens: (chatId) => `tokens:${chatId}`, // set of mints a chat watches
+    tokenChats: (mint) => `token:${mint}:chats`, // set of chats watching a mint
+
+    // Price alerts
+    priceAlertTokens: () => 'price_alert_tokens', // set of mints with a price alert in any chat
+    chatPriceAlerts: (chatId) => `price_alerts:${chatId}`, // hash of alert id -> JSON price alert
+    tokenPriceAlertChats: (mint) => `token:${mint}:price_alert_chats`, // set of chats with price alerts on a mint
+    priceAlertIds: () => 'price_alerts:last_id', // hash of chatId -> last alert id issued
+    priceHistory: (mint) => `price_history:${mint}`, // JSON [[timestamp, price], ...] with TTL
+
+    // Custom labels
+    chatLabels: (chatId) => `labels:${chatId}`, // hash of address -> label
+
+    // Alert state
+    whaleAlertSent: (mint, hash) => `whale_alert:${mint}:${hash}`, // dedupe marker with TTL
+    holderAlertSent: (chatId, mint) => `holder_alert:${chatId}:${mint}`, // change alert cooldown with TTL
+    holderCount: (mint) => `token:${mint}:holder_count`, // holder count at the last check
+    concentrationAlertSent: (chatId, mint) => `concentration_alert:${chatId}:${mint}`, // change alert cooldown with TTL
+    walletMessageSignature: (wallet) => `wallet:${wallet}:last_message_signature`,
+    snapshot: (type, address) => `snapshot:${type}:${address}`, // JSON wallet or token snapshot
+
+    // API response cache
+    apiCache: (endpoint, hash) => `api_cache:${endpoint}:${hash}`, // JSON response with TTL
+
+    // Outbound messages
+    deliveryQueue: () => 'delivery_queue', // hash of message id -> JSON queued message
+
+    // Conversations
+    conversation: (chatId, userId) => `conversation:${chatId}:${userId}` // JSON state of a multi-step command, with TTL
+};
+
+module.exports = keys;
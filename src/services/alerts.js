@@ -1,24 +1,79 @@
-const Redis = require('redis');
 const vybeApi = require('./vybeApi');
 const logger = require('../utils/logger');
-const { getWhaleTransfers } = require('./vybeApi/whaleTransfers');
+const JobScheduler = require('./scheduler');
+const { createRepositories } = require('../repositories');
+const { classifyTransferDirection } = require('./vybeApi/whaleTransfers');
+const { getExchangeAddresses } = require('./vybeApi/knownAccounts');
 const { getWalletTokens, processWalletTokenBalance } = require('./vybeApi/walletTokens');
-const { detectNewLowCapGems } = require('./vybeApi/lowCapGems');
+const { getHoldersTrend } = require('./vybeApi/tokenHolders');
+const { getTopTokenHolders } = require('./vybeApi/topTokenHolder');
+const { ALERT_MODES, DEFAULT_ALERT_MODE, diffWalletBalances, isSignificantDiff } = require('./walletDiff');
+const { parseWalletRules, isQuietHours, applyWalletRules } = require('./walletRules');
+const { findLowCapGems, diffLowCapGems } = require('./vybeApi/lowCapGems');
+const { getLabeler } = require('./labels');
+const { getTokenFlow } = require('./tradeFlow');
+const messageDeliveryService = require('./messageDeliveryService');
+const metrics = require('./metrics');
+const { needsPriceHistory, recordPriceSample, evaluatePriceAlert, getAlertTransition } = require('./priceAlerts');
+const {
+    HOLDER_WINDOWS,
+    HOLDER_HISTORY_DAYS,
+    parseHolderRule,
+    getHolderChange,
+    isHolderChangeMet,
+    findCrossedMilestones
+} = require('./holderAlerts');
+const {
+    TOP_HOLDER_FETCH_LIMIT,
+    parseConcentrationRule,
+    getTopHolders,
+    getTotalShare,
+    recordShare,
+    getShareChange,
+    diffTopHolders
+} = require('./concentration');
 const { formatNewGemAlertMessage } = require('../messages/gemMessages');
 const { formatWalletAlertMessage, generateWalletMessageSignature } = require('../messages/walletMessages');
 const { formatWhaleAlertMessage } = require('../messages/whaleMessages');
+const { formatPriceAlertMessage } = require('../messages/priceAlertMessages');
+const { formatHolderChangeMessage, formatHolderMilestoneMessage } = require('../messages/holderMessages');
+const { formatConcentrationMessage, formatTopHolderMovesMessage } = require('../messages/concentrationMessages');
+
+// Whale alert threshold used when a chat has not set one (USD)
+const DEFAULT_WHALE_THRESHOLD = 10000;
+
+// Trade flow window summarized in whale alerts (hours)
+const WHALE_FLOW_HOURS = 1;
+
+// At most one holder change alert per chat and token in this time (seconds)
+const HOLDER_ALERT_COOLDOWN = 24 * 60 * 60;
+
+// At most one accumulation/distribution alert per chat and token in this time (seconds)
+const CONCENTRATION_ALERT_COOLDOWN = 24 * 60 * 60;
+
+// Tokens fetched per wallet check; wallets holding more are diffed on their top tokens
+const WALLET_TOKEN_LIMIT = 50;
+
+// Scheduling defaults per alert type; intervals in ms
+const JOB_DEFAULTS = {
+    whale: { source: 'tracked_tokens', interval: 30000, concurrency: 3 },
+    holder: { source: 'tracked_tokens', interval: 900000, concurrency: 2 },
+    concentration: { source: 'tracked_tokens', interval: 900000, concurrency: 2 },
+    wallet: { source: 'tracked_wallets', interval: 300000, concurrency: 2 },
+    gem: { source: 'gem_alert_wallets', interval: 1800000, concurrency: 1 },
+    price: { source: 'price_alert_tokens', interval: 60000, concurrency: 2 }
+};
 
 class AlertService {
     constructor() {
-        this.checkInterval = parseInt(process.env.ALERT_CHECK_INTERVAL) || 60000; // Default to 1 minute
         this.redis = null;
-        this.lastCheck = {};
-        this.walletBalanceCache = {}; // Store previous balance data for comparison
-        this.walletGemsCache = {}; // Store previous low cap gems data
+        this.scheduler = null;
+        this.repos = null;
     }
 
     async initialize(redisClient) {
         this.redis = redisClient;
+        this.repos = createRepositories(() => this.redis);
         logger.info('Alert Service initialized');
     }
 
@@ -28,281 +83,584 @@ class AlertService {
             return;
         }
 
-        setInterval(async () => {
-            try {
-                if (this.redis?.isReady) {
-                    await this.checkWhaleAlerts(bot);
-                    await this.checkWalletAlerts(bot);
-                    await this.checkLowCapGemAlerts(bot);
-                }
-            } catch (error) {
-                logger.error('Error in alert check:', error);
-            }
-        }, this.checkInterval);
+        this.scheduler = new JobScheduler(this.redis, {
+            tickInterval: parseInt(process.env.SCHEDULER_TICK_INTERVAL) || 5000
+        });
+
+        const handlers = {
+            whale: (token) => this.checkWhaleToken(bot, token),
+            holder: (token) => this.checkHolderAlerts(bot, token),
+            concentration: (token) => this.checkConcentration(bot, token),
+            wallet: (wallet) => this.checkWallet(bot, wallet),
+            gem: (wallet) => this.checkWalletGems(bot, wallet),
+            price: (token) => this.checkPriceAlerts(bot, token)
+        };
+
+        for (const [type, defaults] of Object.entries(JOB_DEFAULTS)) {
+            const envPrefix = type.toUpperCase();
+            this.scheduler.register(type, {
+                source: defaults.source,
+                handler: handlers[type],
+                interval: parseInt(process.env[`${envPrefix}_CHECK_INTERVAL`]) || defaults.interval,
+                concurrency: parseInt(process.env[`${envPrefix}_CHECK_CONCURRENCY`]) || defaults.concurrency,
+                jitter: 0.1
+            });
+        }
 
+        this.scheduler.start();
         logger.info('Alert checks started');
     }
 
-    async checkWhaleAlerts(bot) {
+    stopAlerts() {
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler = null;
+        }
+    }
+
+    /**
+     * Check a single watched token for new whale transfers
+     * 
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} token - Token mint address
+     */
+    async checkWhaleToken(bot, token) {
         if (!this.redis?.isReady) return;
+
+        // Get all chats that have alerts enabled
+        const alertChats = await this.repos.alertPrefs.getAlertEnabledChats();
+        if (!alertChats.length) return;
+
+        // Resolve the rule of every chat watching this token with whale alerts on
+        const watchingChats = await this.repos.watchlist.getTokenChats(token);
+        const chatRules = {};
+        for (const chatId of watchingChats) {
+            if (!alertChats.includes(chatId)) continue;
+
+            const hasWhaleAlerts = await this.repos.alertPrefs.hasAlert(chatId, 'whale');
+            if (!hasWhaleAlerts) continue;
+
+            chatRules[chatId] = await this.getWhaleRule(chatId, token);
+        }
+
+        const rules = Object.values(chatRules);
+        if (!rules.length) return;
+
+        // Fetch once at the lowest threshold, then filter per chat
+        const minThreshold = Math.min(...rules.map(rule => rule.threshold));
+        const transactions = await vybeApi.getWhaleTransactions(token, minThreshold, 20, { throwOnError: true });
+
+        // Exchange addresses are only needed when a chat filters by direction.
+        // Without them every transfer would look wallet-to-wallet, so fail the
+        // check (and retry after backoff) before any transfer is claimed.
+        const needsDirection = rules.some(rule => rule.direction !== 'all');
+        const exchangeAddresses = needsDirection && transactions.length
+            ? await getExchangeAddresses({ throwOnError: true })
+            : null;
+
+        // Each chat sees its own labels; loaded on its first alert
+        const labelers = {};
+        // Recent trade flow for context, loaded with the first alert
+        let flow;
         
-        try {
-            // Get all chats that have alerts enabled
-            const alertChats = await this.redis.sMembers('alert_enabled_chats');
-            if (!alertChats.length) return;
+        for (const tx of transactions) {
+            // Skip transfers already alerted on (kept for 24h)
+            const claimed = await this.repos.alertState.claimWhaleAlert(token, tx.hash);
+            if (!claimed) continue;
 
-            const trackedTokens = await this.redis.sMembers('tracked_tokens');
-            const now = Date.now();
+            if (exchangeAddresses) {
+                tx.direction = classifyTransferDirection(tx, exchangeAddresses);
+            }
 
-            for (const token of trackedTokens) {
-                // Rate limit checks per token
-                if (this.lastCheck[token] && (now - this.lastCheck[token] < 30000)) {
-                    continue; // Skip if checked in last 30 seconds
+            for (const [chatId, rule] of Object.entries(chatRules)) {
+                const directionMatches = rule.direction === 'all' || rule.direction === tx.direction;
+                if (tx.usdAmount >= rule.threshold && directionMatches) {
+                    labelers[chatId] = labelers[chatId] || await getLabeler(this.repos.labels, chatId);
+                    if (flow === undefined) {
+                        flow = await getTokenFlow(token, { hours: WHALE_FLOW_HOURS }).catch(error => {
+                            logger.warn(`No trade flow for whale alert on ${token}: ${error.message}`);
+                            return null;
+                        });
+                    }
+                    await this.sendWhaleAlert(bot, tx, chatId, labelers[chatId], flow);
                 }
-                this.lastCheck[token] = now;
+            }
+        }
+    }
 
-                const transactions = await vybeApi.getWhaleTransactions(token);
-                
-                for (const tx of transactions) {
-                    const key = `whale_alert:${tx.hash}`;
-                    const exists = await this.redis.get(key);
-                    
-                    if (!exists) {
-                        // Check threshold for each chat
-                        for (const chatId of alertChats) {
-                            const threshold = await this.redis.get(`threshold:${chatId}`) || 10000;
-                            
-                            // Check if whale alerts are enabled for this chat
-                            const hasWhaleAlerts = await this.redis.sIsMember(`alerts:${chatId}`, 'whale');
-                            
-                            if (hasWhaleAlerts && tx.usdAmount >= threshold) {
-                                await this.sendWhaleAlert(bot, tx, chatId);
-                            }
-                        }
-                        // Store hash with 24h expiry
-                        await this.redis.set(key, '1', 'EX', 86400);
+    /**
+     * Get the whale rule a chat applies to a token
+     * 
+     * Falls back to the chat-wide `threshold:${chatId}` with no direction filter
+     * when the chat has no rule for this token.
+     * 
+     * @param {string} chatId - Chat ID
+     * @param {string} token - Token mint address
+     * @returns {Promise<Object>} - Rule with threshold (USD) and direction
+     */
+    async getWhaleRule(chatId, token) {
+        const storedRule = await this.repos.alertPrefs.getWhaleRule(chatId, token);
+        if (storedRule) {
+            try {
+                const rule = JSON.parse(storedRule);
+                return {
+                    threshold: parseFloat(rule.threshold) || DEFAULT_WHALE_THRESHOLD,
+                    direction: rule.direction || 'all'
+                };
+            } catch (error) {
+                logger.warn(`Invalid whale rule for chat ${chatId}, token ${token}: ${storedRule}`);
+            }
+        }
+
+        const threshold = await this.repos.alertPrefs.getThreshold(chatId) || DEFAULT_WHALE_THRESHOLD;
+        return { threshold, direction: 'all' };
+    }
+
+    /**
+     * Check a single watched token against the chats' holder rules
+     * 
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} token - Token mint address
+     */
+    async checkHolderAlerts(bot, token) {
+        if (!this.redis?.isReady) return;
+
+        // Rules of the chats watching this token with holder alerts on
+        const watchingChats = await this.repos.watchlist.getTokenChats(token);
+        const chatRules = {};
+        for (const chatId of watchingChats) {
+            const rule = parseHolderRule(await this.repos.alertPrefs.getHolderRule(chatId, token));
+            if (!rule) continue;
+
+            const hasHolderAlerts = await this.repos.alertPrefs.hasAlert(chatId, 'holder');
+            if (!hasHolderAlerts) continue;
+
+            chatRules[chatId] = rule;
+        }
+
+        if (!Object.keys(chatRules).length) return;
+
+        const trend = await getHoldersTrend(token, HOLDER_HISTORY_DAYS);
+        if (!trend.current) {
+            logger.info(`No holder count available for ${token}, skipping holder alerts`);
+            return;
+        }
+
+        const tokenInfo = await vybeApi.getTokenInfo(token).catch(() => ({}));
+        const tokenLabel = { mintAddress: token, symbol: tokenInfo.symbol };
+
+        // Milestones compare against the previous check; the first check only records it
+        const previousCount = await this.repos.alertState.getHolderCount(token);
+        await this.repos.alertState.setHolderCount(token, trend.current);
+
+        for (const [chatId, rule] of Object.entries(chatRules)) {
+            try {
+                if (previousCount !== null) {
+                    for (const crossing of findCrossedMilestones(previousCount, trend.current, rule.milestones)) {
+                        await this.sendTokenAlert(bot, chatId, 'holder', formatHolderMilestoneMessage(tokenLabel, trend, crossing));
                     }
                 }
+
+                if (!rule.change || !HOLDER_WINDOWS[rule.change.window]) continue;
+
+                const change = getHolderChange(trend, rule.change.window);
+                if (!change || !isHolderChangeMet(rule.change, change.percent)) continue;
+
+                // Holder history is daily, so alert on a change at most once a day
+                const claimed = await this.repos.alertState.claimHolderAlert(chatId, token, HOLDER_ALERT_COOLDOWN);
+                if (!claimed) continue;
+
+                await this.sendTokenAlert(bot, chatId, 'holder', formatHolderChangeMessage(tokenLabel, trend, change, rule.change.window));
+                logger.info(`Sent holder change alert for ${token} to chat ${chatId}: ${change.percent.toFixed(2)}%`);
+            } catch (error) {
+                logger.error(`Error checking holder alerts for chat ${chatId}:`, error);
             }
-        } catch (error) {
-            logger.error('Error checking whale alerts:', error);
         }
     }
 
-    async checkWalletAlerts(bot) {
+    /**
+     * Check a single watched token for top-holder accumulation, distribution
+     * and wallets moving in or out of the top 10
+     * 
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} token - Token mint address
+     */
+    async checkConcentration(bot, token) {
         if (!this.redis?.isReady) return;
-        
-        try {
-            // Get all tracked wallets
-            const trackedWallets = await this.redis.sMembers('tracked_wallets');
-            if (!trackedWallets.length) return;
-            
-            for (const wallet of trackedWallets) {
-                // Rate limit checks per wallet
-                if (this.lastCheck[wallet] && (Date.now() - this.lastCheck[wallet] < 300000)) {
-                    continue; // Skip if checked in last 5 minutes
+
+        // Rules of the chats watching this token with concentration alerts on
+        const watchingChats = await this.repos.watchlist.getTokenChats(token);
+        const chatRules = {};
+        for (const chatId of watchingChats) {
+            const hasConcentrationAlerts = await this.repos.alertPrefs.hasAlert(chatId, 'concentration');
+            if (!hasConcentrationAlerts) continue;
+
+            chatRules[chatId] = parseConcentrationRule(await this.repos.alertPrefs.getConcentrationRule(chatId, token));
+        }
+
+        if (!Object.keys(chatRules).length) return;
+
+        // Without exchange addresses, exchanges would count as top holders and the
+        // snapshot would swing twice; fail the check (and retry after backoff) instead
+        const [holders, exchangeAddresses] = await Promise.all([
+            getTopTokenHolders(token, { limit: TOP_HOLDER_FETCH_LIMIT, sortBy: 'rank' }),
+            getExchangeAddresses({ throwOnError: true })
+        ]);
+        if (!holders.length) return;
+
+        const topHolders = getTopHolders(holders, exchangeAddresses);
+
+        // First check of this token: record the baseline without alerting
+        const previous = await this.repos.snapshots.get('topHolders', token);
+        const shareHistory = recordShare(previous?.shareHistory || [], getTotalShare(topHolders));
+        await this.repos.snapshots.save('topHolders', token, { topHolders, shareHistory });
+        if (!previous) {
+            logger.info(`Seeded top holder snapshot for token ${token}`);
+            return;
+        }
+
+        const shareChange = getShareChange(shareHistory);
+        const moves = diffTopHolders(previous.topHolders, topHolders);
+        const minThreshold = Math.min(...Object.values(chatRules).map(rule => rule.threshold));
+        if (!moves.length && Math.abs(shareChange.change) < minThreshold) return;
+
+        const tokenInfo = await vybeApi.getTokenInfo(token).catch(() => ({}));
+        const tokenLabel = { mintAddress: token, symbol: tokenInfo.symbol };
+
+        for (const [chatId, rule] of Object.entries(chatRules)) {
+            try {
+                if (Math.abs(shareChange.change) >= rule.threshold) {
+                    const claimed = await this.repos.alertState.claimConcentrationAlert(chatId, token, CONCENTRATION_ALERT_COOLDOWN);
+                    if (claimed) {
+                        await this.sendTokenAlert(bot, chatId, 'concentration', formatConcentrationMessage(tokenLabel, shareChange));
+                        logger.info(`Sent concentration alert for ${token} to chat ${chatId}: ${shareChange.change.toFixed(2)} pts`);
+                    }
                 }
-                this.lastCheck[wallet] = Date.now();
-                
-                // Get all users tracking this wallet
-                const userIds = await this.redis.sMembers(`wallet:${wallet}:users`);
-                if (!userIds.length) continue;
-                
-                // Get wallet token balances using the new API endpoint
-                const balanceData = await getWalletTokens(wallet, {
-                    limit: 10, // Get top 10 tokens by value
-                    sortByDesc: 'valueUsd'
-                });
-                
-                // Process the balance data into a simplified format
-                const balance = processWalletTokenBalance(balanceData);
-                
-                // Check for significant changes compared to last check
-                const prevBalance = this.walletBalanceCache[wallet] || null;
-                const hasSignificantChanges = this.detectSignificantChanges(balance, prevBalance);
-                
-                // Store the previous message signature to avoid sending duplicate messages
-                const currentMessageSignature = generateWalletMessageSignature(wallet, balance);
-                const previousMessageSignature = await this.redis.get(`wallet:${wallet}:last_message_signature`);
-                
-                // Update the cache with current balance
-                this.walletBalanceCache[wallet] = balance;
-                
-                // Only send alerts if there are significant changes AND the message content would be different
-                if (hasSignificantChanges && (!previousMessageSignature || previousMessageSignature !== currentMessageSignature)) {
-                    logger.info(`Significant changes detected in wallet ${wallet}, sending alerts`);
-                    
-                    // Send alert to each user tracking this wallet
-                    for (const userId of userIds) {
-                        try {
-                            // Check if the user has wallet alerts enabled
-                            const userHasWalletAlerts = await this.redis.sIsMember(`alerts:${userId}`, 'wallet');
-                            
-                            // Only send alert if user has wallet alerts enabled
-                            if (userHasWalletAlerts) {
-                                await this.sendWalletAlert(bot, wallet, balance, userId, prevBalance);
-                            } else {
-                                logger.info(`Skipping wallet alert for user ${userId} - wallet alerts disabled`);
-                            }
-                        } catch (error) {
-                            logger.error(`Error sending wallet alert to user ${userId}:`, error);
+
+                if (rule.scope === 'all' && moves.length) {
+                    const labelFor = await getLabeler(this.repos.labels, chatId);
+                    await this.sendTokenAlert(bot, chatId, 'concentration', formatTopHolderMovesMessage(tokenLabel, moves, labelFor));
+                }
+            } catch (error) {
+                logger.error(`Error sending concentration alert to chat ${chatId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Check the price and market cap alerts set on a single token
+     * 
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} token - Token mint address
+     */
+    async checkPriceAlerts(bot, token) {
+        if (!this.redis?.isReady) return;
+
+        const chatIds = await this.repos.priceAlerts.getTokenChats(token);
+        const chatAlerts = {};
+        for (const chatId of chatIds) {
+            const alerts = (await this.repos.priceAlerts.getChatAlerts(chatId)).filter(alert => alert.mint === token);
+            if (alerts.length) chatAlerts[chatId] = alerts;
+        }
+
+        const allAlerts = Object.values(chatAlerts).flat();
+        if (!allAlerts.length) return;
+
+        // One lookup per token, shared by every chat (and cached for a minute)
+        const tokenInfo = await vybeApi.getTokenInfo(token);
+
+        // Short change windows compare against prices sampled here
+        let history = [];
+        const now = Date.now();
+        if (allAlerts.some(needsPriceHistory) && parseFloat(tokenInfo.price) > 0) {
+            history = recordPriceSample(await this.repos.priceAlerts.getPriceHistory(token), parseFloat(tokenInfo.price), now);
+            await this.repos.priceAlerts.savePriceHistory(token, history);
+        }
+
+        for (const [chatId, alerts] of Object.entries(chatAlerts)) {
+            for (const alert of alerts) {
+                try {
+                    const evaluation = evaluatePriceAlert(alert, tokenInfo, history, now);
+                    const transition = getAlertTransition(alert, evaluation);
+
+                    if (transition === 'rearm') {
+                        if (await this.repos.priceAlerts.updateAlert(chatId, { ...alert, armed: true })) {
+                            logger.info(`Re-armed price alert ${alert.id} for chat ${chatId} on ${token}`);
                         }
+                        continue;
                     }
-                    
-                    // Store the new message signature with a TTL of 24 hours
-                    await this.redis.set(`wallet:${wallet}:last_message_signature`, currentMessageSignature, 'EX', 86400);
-                } else if (hasSignificantChanges) {
-                    logger.info(`Changes detected in wallet ${wallet}, but message content would be the same - skipping alert`);
-                } else {
-                    logger.info(`No significant changes detected for wallet ${wallet} - skipping alert`);
+                    if (transition !== 'trigger') continue;
+
+                    // Settle the alert before sending, so a failed send cannot repeat it;
+                    // an alert the user deleted meanwhile is not sent
+                    const settled = alert.mode === 'rearm'
+                        ? await this.repos.priceAlerts.updateAlert(chatId, { ...alert, armed: false, lastTriggeredAt: now })
+                        : await this.repos.priceAlerts.deleteAlert(chatId, alert.id);
+                    if (!settled) continue;
+
+                    await this.sendPriceAlert(bot, alert, tokenInfo, evaluation, chatId);
+                    logger.info(`Sent price alert ${alert.id} for ${token} to chat ${chatId}`);
+                } catch (error) {
+                    logger.error(`Error checking price alert ${alert.id} for chat ${chatId}:`, error);
                 }
             }
-        } catch (error) {
-            logger.error('Error checking wallet alerts:', error);
         }
     }
-    
+
     /**
-     * Detect significant changes in wallet balance
+     * Check a single tracked wallet for significant balance changes
      * 
-     * @param {Object} currentBalance - Current balance data
-     * @param {Object} previousBalance - Previous balance data
-     * @returns {boolean} - True if significant changes detected
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} wallet - Wallet address
      */
-    detectSignificantChanges(currentBalance, previousBalance) {
-        // If no previous data, consider it a significant change
-        if (!previousBalance) return true;
+    async checkWallet(bot, wallet) {
+        if (!this.redis?.isReady) return;
+
+        // Get all chats tracking this wallet
+        const chatIds = await this.repos.tracking.getWalletUsers(wallet);
+        if (!chatIds.length) return;
         
-        // Check for significant total value change (>5%)
-        const totalValueChange = Math.abs(currentBalance.totalValue - previousBalance.totalValue);
-        const totalValueChangePercent = previousBalance.totalValue > 0 
-            ? (totalValueChange / previousBalance.totalValue) * 100 
-            : 0;
-            
-        if (totalValueChangePercent > 5) return true;
+        // Get wallet token balances using the new API endpoint
+        const balanceData = await getWalletTokens(wallet, {
+            limit: WALLET_TOKEN_LIMIT,
+            sortByDesc: 'valueUsd',
+            throwOnError: true
+        });
         
-        // Check for new tokens
-        const currentTokens = new Set(currentBalance.tokens.map(t => t.mintAddress));
-        const prevTokens = new Set(previousBalance.tokens.map(t => t.mintAddress));
+        // Process the balance data into a simplified format
+        const balance = processWalletTokenBalance(balanceData);
         
-        // New token appeared in the wallet
-        if ([...currentTokens].some(addr => !prevTokens.has(addr))) return true;
+        // First check of this wallet: record the baseline without alerting
+        const prevBalance = await this.repos.snapshots.get('balance', wallet);
+        if (!prevBalance) {
+            await this.repos.snapshots.save('balance', wallet, balance);
+            logger.info(`Seeded balance snapshot for wallet ${wallet}`);
+            return;
+        }
+
+        // Compare token by token against the last check
+        const diff = diffWalletBalances(prevBalance, balance, {
+            truncated: balance.tokens.length >= WALLET_TOKEN_LIMIT
+        });
         
-        // Token disappeared from the wallet
-        if ([...prevTokens].some(addr => !currentTokens.has(addr))) return true;
+        // Store the previous message signature to avoid sending duplicate messages
+        const currentMessageSignature = generateWalletMessageSignature(wallet, balance);
+        const previousMessageSignature = await this.repos.alertState.getWalletMessageSignature(wallet);
         
-        // No significant changes detected
-        return false;
+        // Update the snapshot with current balance
+        await this.repos.snapshots.save('balance', wallet, balance);
+        
+        const hasChanges = diff.changes.length > 0 || diff.totalValueChange !== 0;
+        const isDuplicate = previousMessageSignature === currentMessageSignature;
+        if (hasChanges && !isDuplicate) {
+            logger.info(`Changes detected in wallet ${wallet} (${diff.changes.length} position changes), sending alerts`);
+        }
+        let sent = 0;
+        
+        // Send alert to each chat tracking this wallet
+        for (const chatId of chatIds) {
+            try {
+                // Check if the chat has wallet alerts enabled
+                const hasWalletAlerts = await this.repos.alertPrefs.hasAlert(chatId, 'wallet');
+                if (!hasWalletAlerts) {
+                    logger.info(`Skipping wallet alert for chat ${chatId} - wallet alerts disabled`);
+                    continue;
+                }
+
+                // A chat in quiet hours keeps the balance it last heard about, so the
+                // changes it missed are reported together once quiet hours end
+                const heldKey = `${wallet}:${chatId}`;
+                const heldBalance = await this.repos.snapshots.get('heldBalance', heldKey);
+                const rules = await this.getWalletRules(chatId, wallet);
+                if (isQuietHours(rules)) {
+                    if (hasChanges && !heldBalance) {
+                        await this.repos.snapshots.save('heldBalance', heldKey, prevBalance);
+                        logger.info(`Holding wallet alert for chat ${chatId} until quiet hours end`);
+                    }
+                    continue;
+                }
+
+                let chatPrevBalance = prevBalance;
+                let chatDiff;
+                if (heldBalance) {
+                    await this.repos.snapshots.delete('heldBalance', heldKey);
+                    chatPrevBalance = heldBalance;
+                    chatDiff = applyWalletRules(diffWalletBalances(heldBalance, balance, {
+                        truncated: balance.tokens.length >= WALLET_TOKEN_LIMIT
+                    }), rules);
+                } else {
+                    if (!hasChanges || isDuplicate) continue;
+                    chatDiff = applyWalletRules(diff, rules);
+                }
+
+                // Chats in 'balance' mode only hear about buys and sells
+                const mode = await this.getWalletAlertMode(chatId, wallet);
+                if (!isSignificantDiff(chatDiff, mode, { minValuePercent: rules.minValuePercent, minValueUsd: rules.minUsd })) continue;
+
+                const labelFor = await getLabeler(this.repos.labels, chatId);
+                await this.sendWalletAlert(bot, wallet, balance, chatId, chatPrevBalance, chatDiff.changes, labelFor(wallet));
+                sent++;
+            } catch (error) {
+                logger.error(`Error sending wallet alert to chat ${chatId}:`, error);
+            }
+        }
+        
+        if (!hasChanges) {
+            logger.info(`No changes detected for wallet ${wallet}`);
+        } else if (isDuplicate) {
+            logger.info(`Changes detected in wallet ${wallet}, but message content would be the same - skipping alert`);
+        }
+
+        // Store the new message signature with a TTL of 24 hours
+        if (sent > 0) {
+            await this.repos.alertState.setWalletMessageSignature(wallet, currentMessageSignature);
+        }
     }
 
-    async sendWhaleAlert(bot, transaction, chatId) {
+    /**
+     * Get the alert rules a chat set for a tracked wallet
+     * 
+     * @param {string} chatId - Chat ID
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<Object>} - Rules with defaults filled in
+     */
+    async getWalletRules(chatId, wallet) {
+        const storedRules = await this.repos.alertPrefs.getWalletRules(chatId, wallet);
+        return parseWalletRules(storedRules);
+    }
+
+    /**
+     * Get the alert mode a chat picked for a tracked wallet
+     * 
+     * @param {string} chatId - Chat ID
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<string>} - 'balance' or 'value'
+     */
+    async getWalletAlertMode(chatId, wallet) {
+        const mode = await this.repos.alertPrefs.getWalletMode(chatId, wallet);
+        return ALERT_MODES.includes(mode) ? mode : DEFAULT_ALERT_MODE;
+    }
+
+    async sendWhaleAlert(bot, transaction, chatId, labelFor, flow) {
         try {
-            const message = formatWhaleAlertMessage(transaction);
+            const message = formatWhaleAlertMessage(transaction, labelFor, flow);
 
-            await bot.sendMessage(chatId, message, {
+            await messageDeliveryService.enqueue(chatId, message, {
                 parse_mode: 'Markdown',
                 disable_web_page_preview: true
             });
+            metrics.alertsSent.inc({ type: 'whale' });
         } catch (error) {
             logger.error('Error sending whale alert:', error);
         }
     }
 
-    async sendWalletAlert(bot, wallet, balance, chatId, prevBalance = null) {
+    /**
+     * Send a formatted alert about a watched token
+     *
+     * @param {string} type - Alert type, for metrics (holder or concentration)
+     */
+    async sendTokenAlert(bot, chatId, type, message) {
+        try {
+            await messageDeliveryService.enqueue(chatId, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+            metrics.alertsSent.inc({ type });
+        } catch (error) {
+            logger.error('Error sending token alert:', error);
+        }
+    }
+
+    async sendPriceAlert(bot, alert, tokenInfo, evaluation, chatId) {
+        try {
+            const message = formatPriceAlertMessage(alert, tokenInfo, evaluation);
+
+            await messageDeliveryService.enqueue(chatId, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+            metrics.alertsSent.inc({ type: 'price' });
+        } catch (error) {
+            logger.error('Error sending price alert:', error);
+        }
+    }
+
+    async sendWalletAlert(bot, wallet, balance, chatId, prevBalance = null, changes = [], label = null) {
         try {
-            const message = formatWalletAlertMessage(wallet, balance, prevBalance);
+            const message = formatWalletAlertMessage(wallet, balance, prevBalance, changes, label);
 
-            await bot.sendMessage(chatId, message, {
+            await messageDeliveryService.enqueue(chatId, message, {
                 parse_mode: 'Markdown',
                 disable_web_page_preview: true
             });
+            metrics.alertsSent.inc({ type: 'wallet' });
         } catch (error) {
             logger.error('Error sending wallet alert:', error);
         }
     }
 
     /**
-     * Check for new low cap gems in tracked wallets
+     * Check a single wallet for newly acquired low cap gems
+     * 
+     * @param {Object} bot - Telegram bot instance
+     * @param {string} wallet - Wallet address
      */
-    async checkLowCapGemAlerts(bot) {
+    async checkWalletGems(bot, wallet) {
         if (!this.redis?.isReady) return;
+
+        // Get all chats tracking this wallet for gem alerts
+        const chatIds = await this.repos.tracking.getGemUsers(wallet);
+        if (!chatIds.length) {
+            logger.info(`No chats tracking gems for wallet ${wallet}, skipping`);
+            return;
+        }
         
-        try {
-            // Get all wallets tracked for gem alerts
-            const trackedWallets = await this.redis.sMembers('gem_alert_wallets');
-            if (!trackedWallets.length) return;
-            
-            logger.info(`Checking gem alerts for ${trackedWallets.length} tracked wallets`);
+        logger.info(`Checking for new gems in wallet ${wallet} for ${chatIds.length} chats`);
+        
+        const currentGems = await findLowCapGems(wallet, null, { throwOnError: true });
+        
+        // First check of this wallet: record the baseline without alerting
+        const prevGems = await this.repos.snapshots.get('gems', wallet);
+        await this.repos.snapshots.save('gems', wallet, currentGems);
+        if (!prevGems) {
+            logger.info(`Seeded gem snapshot for wallet ${wallet}: ${currentGems.length} gems`);
+            return;
+        }
+        
+        // Check for new low cap gems
+        const newGems = diffLowCapGems(currentGems, prevGems);
+        
+        if (newGems.length > 0) {
+            logger.info(`Found ${newGems.length} new gems in wallet ${wallet}`);
             
-            for (const wallet of trackedWallets) {
-                // Rate limit checks per wallet
-                if (this.lastCheck[`gem_${wallet}`] && (Date.now() - this.lastCheck[`gem_${wallet}`] < 1800000)) {
-                    // Skip if checked in the last 30 minutes (reduced from 1 hour)
-                    continue;
-                }
-                this.lastCheck[`gem_${wallet}`] = Date.now();
-                
-                // Get all users tracking this wallet for gem alerts
-                const userIds = await this.redis.sMembers(`wallet:${wallet}:gem_users`);
-                if (!userIds.length) {
-                    logger.info(`No users tracking gems for wallet ${wallet}, skipping`);
-                    continue;
-                }
-                
-                logger.info(`Checking for new gems in wallet ${wallet} for ${userIds.length} users`);
+            // Send alerts for each new gem
+            for (const gem of newGems) {
+                const alertMessage = formatNewGemAlertMessage(wallet, gem);
                 
-                // Get previous gems data or initialize empty array
-                const prevGems = this.walletGemsCache[wallet] || [];
-                
-                // Check for new low cap gems
-                const newGems = await detectNewLowCapGems(wallet, prevGems);
-                
-                if (newGems.length > 0) {
-                    logger.info(`Found ${newGems.length} new gems in wallet ${wallet}`);
-                    
-                    // Update the cache with current gems (use all new gems detected)
-                    if (!this.walletGemsCache[wallet]) {
-                        this.walletGemsCache[wallet] = newGems;
-                    } else {
-                        // Merge new gems with previous ones
-                        const prevMintAddresses = new Set(prevGems.map(g => g.mintAddress));
-                        for (const gem of newGems) {
-                            if (!prevMintAddresses.has(gem.mintAddress)) {
-                                this.walletGemsCache[wallet].push(gem);
-                            }
-                        }
-                    }
-                    
-                    // Send alerts for each new gem
-                    for (const gem of newGems) {
-                        const alertMessage = formatNewGemAlertMessage(wallet, gem);
+                // Send to each chat tracking this wallet's gems
+                for (const chatId of chatIds) {
+                    try {
+                        // Check if the chat has gem alerts enabled
+                        const hasGemAlerts = await this.repos.alertPrefs.hasAlert(chatId, 'gem');
                         
-                        // Send to each user tracking this wallet's gems
-                        for (const userId of userIds) {
-                            try {
-                                // Check if the user has gem alerts enabled
-                                const userHasGemAlerts = await this.redis.sIsMember(`alerts:${userId}`, 'gem');
-                                
-                                if (userHasGemAlerts) {
-                                    await bot.sendMessage(userId, alertMessage, {
-                                        parse_mode: 'Markdown',
-                                        disable_web_page_preview: true
-                                    });
-                                    logger.info(`Sent gem alert for wallet ${wallet} to user ${userId}: ${gem.symbol}`);
-                                } else {
-                                    logger.info(`User ${userId} has gem alerts disabled, skipping notification for ${gem.symbol}`);
-                                }
-                            } catch (error) {
-                                logger.error(`Error sending gem alert to user ${userId}:`, error);
-                            }
+                        if (hasGemAlerts) {
+                            await messageDeliveryService.enqueue(chatId, alertMessage, {
+                                parse_mode: 'Markdown',
+                                disable_web_page_preview: true
+                            });
+                            metrics.alertsSent.inc({ type: 'gem' });
+                            logger.info(`Queued gem alert for wallet ${wallet} to chat ${chatId}: ${gem.symbol}`);
+                        } else {
+                            logger.info(`Chat ${chatId} has gem alerts disabled, skipping notification for ${gem.symbol}`);
                         }
+                    } catch (error) {
+                        logger.error(`Error sending gem alert to chat ${chatId}:`, error);
                     }
-                } else {
-                    logger.info(`No new gems found in wallet ${wallet}`);
                 }
             }
-        } catch (error) {
-            logger.error('Error checking low cap gem alerts:', error);
+        } else {
+            logger.info(`No new gems found in wallet ${wallet}`);
         }
     }
 }
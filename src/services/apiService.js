@@ -1,8 +1,16 @@
 const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+// Window for the rolling success rate that health checks use (ms)
+const ROLLING_WINDOW = 5 * 60 * 1000;
 
 /**
  * API Service Health Monitor
- * Tracks API call success rates and circuit breaker status
+ * Tracks API call success rates, per-endpoint metrics and the circuit breaker
+ *
+ * The breaker opens after `circuitBreakerThreshold` consecutive failures and
+ * refuses calls for `circuitBreakerTimeout`. After that it lets a single trial
+ * call through (half-open): success closes it, failure opens it again.
  */
 class ApiService {
     constructor() {
@@ -15,9 +23,13 @@ class ApiService {
             averageResponseTime: 250
         };
         
+        this.endpoints = new Map(); // endpoint -> call metrics
+        this.recentCalls = []; // { time, ok } within ROLLING_WINDOW, oldest first
+
         this.circuitBreakerThreshold = 5; // Open after 5 consecutive failures
         this.circuitBreakerTimeout = 30000; // 30 seconds
-        this.circuitBreakerTimer = null;
+        this.circuitOpenedAt = null;
+        this.trialCallInFlight = false;
     }
 
     /**
@@ -33,21 +45,107 @@ class ApiService {
             totalCalls: this.metrics.totalCalls,
             consecutiveFailures: this.metrics.consecutiveFailures,
             circuitBreakerOpen: this.metrics.circuitBreakerOpen,
+            circuitBreakerState: this.getCircuitBreakerState(),
             lastError: this.metrics.lastError,
             averageResponseTime: Math.round(this.metrics.averageResponseTime)
         };
     }
 
+    /**
+     * Get the success rate over the last ROLLING_WINDOW
+     *
+     * Failures that say nothing about API health (see recordFailure) count as
+     * successes here: the API answered.
+     */
+    getRollingStats() {
+        this.pruneRecentCalls();
+        const calls = this.recentCalls.length;
+        const ok = this.recentCalls.filter(call => call.ok).length;
+
+        return {
+            calls,
+            successRate: calls > 0 ? parseFloat(((ok / calls) * 100).toFixed(1)) : 100
+        };
+    }
+
+    recordRecentCall(ok) {
+        this.recentCalls.push({ time: Date.now(), ok });
+        this.pruneRecentCalls();
+    }
+
+    pruneRecentCalls() {
+        const cutoff = Date.now() - ROLLING_WINDOW;
+        const firstRecent = this.recentCalls.findIndex(call => call.time >= cutoff);
+        this.recentCalls = firstRecent === -1 ? [] : this.recentCalls.slice(firstRecent);
+    }
+
+    /**
+     * Get the breaker state: closed, open or half-open
+     */
+    getCircuitBreakerState() {
+        if (!this.metrics.circuitBreakerOpen) return 'closed';
+        return this.trialCallInFlight ? 'half-open' : 'open';
+    }
+
+    /**
+     * Get success rate and latency for each endpoint, busiest first
+     */
+    getEndpointMetrics() {
+        return [...this.endpoints.entries()]
+            .map(([endpoint, stats]) => ({
+                endpoint,
+                calls: stats.calls,
+                failures: stats.failures,
+                successRate: parseFloat(((stats.successes / stats.calls) * 100).toFixed(1)),
+                averageResponseTime: Math.round(stats.totalResponseTime / stats.calls),
+                lastStatus: stats.lastStatus,
+                lastError: stats.lastError
+            }))
+            .sort((a, b) => b.calls - a.calls);
+    }
+
+    /**
+     * Record one call against its endpoint
+     */
+    recordEndpointCall(endpoint, responseTime, { success, status = null, error = null }) {
+        if (!endpoint) return;
+
+        if (!this.endpoints.has(endpoint)) {
+            this.endpoints.set(endpoint, {
+                calls: 0,
+                successes: 0,
+                failures: 0,
+                totalResponseTime: 0,
+                lastStatus: null,
+                lastError: null
+            });
+        }
+
+        const stats = this.endpoints.get(endpoint);
+        stats.calls++;
+        stats.totalResponseTime += responseTime;
+        stats.lastStatus = status;
+        if (success) {
+            stats.successes++;
+        } else {
+            stats.failures++;
+            stats.lastError = error ? (error.message || error.toString()) : null;
+        }
+    }
+
     /**
      * Record a successful API call
      */
-    recordSuccess(responseTime = 250) {
+    recordSuccess(responseTime = 250, endpoint = null, status = 200) {
         this.metrics.totalCalls++;
         this.metrics.successfulCalls++;
         this.metrics.consecutiveFailures = 0;
+        this.recordRecentCall(true);
         
         // Update average response time
         this.updateAverageResponseTime(responseTime);
+        this.recordEndpointCall(endpoint, responseTime, { success: true, status });
+        this.recordRequestMetrics(endpoint, responseTime, status);
         
         // Close circuit breaker if it was open
         if (this.metrics.circuitBreakerOpen) {
@@ -59,10 +157,17 @@ class ApiService {
 
     /**
      * Record a failed API call
+     *
+     * @param {Error} error - The error the call failed with
+     * @param {number} responseTime - Call duration (ms)
+     * @param {string} endpoint - Endpoint name for per-endpoint metrics
+     * @param {Object} options
+     * @param {number} options.status - HTTP status, if the API answered
+     * @param {boolean} options.tripsBreaker - False for failures that say nothing
+     *   about API health, such as a 404 for an unknown token
      */
-    recordFailure(error = null, responseTime = 5000) {
+    recordFailure(error = null, responseTime = 5000, endpoint = null, { status = null, tripsBreaker = true } = {}) {
         this.metrics.totalCalls++;
-        this.metrics.consecutiveFailures++;
         
         if (error) {
             this.metrics.lastError = error.message || error.toString();
@@ -70,15 +175,40 @@ class ApiService {
         
         // Update average response time (failures usually take longer)
         this.updateAverageResponseTime(responseTime);
+        this.recordEndpointCall(endpoint, responseTime, { success: false, status, error });
+        this.recordRequestMetrics(endpoint, responseTime, status || error?.code || 'error');
+        this.recordRecentCall(!tripsBreaker);
+
+        if (!tripsBreaker) {
+            // The API answered, so it is up
+            this.metrics.consecutiveFailures = 0;
+            if (this.metrics.circuitBreakerOpen) {
+                this.closeCircuitBreaker();
+            }
+            return;
+        }
+
+        this.metrics.consecutiveFailures++;
         
-        // Check if we should open the circuit breaker
-        if (this.metrics.consecutiveFailures >= this.circuitBreakerThreshold && !this.metrics.circuitBreakerOpen) {
+        // A failed trial call reopens the breaker; otherwise open it at the threshold
+        if (this.metrics.circuitBreakerOpen) {
+            this.openCircuitBreaker();
+        } else if (this.metrics.consecutiveFailures >= this.circuitBreakerThreshold) {
             this.openCircuitBreaker();
         }
         
         logger.warn(`API call failed. Consecutive failures: ${this.metrics.consecutiveFailures}, Success rate: ${this.getHealthStatus().successRate}%`);
     }
 
+    /**
+     * Count a request towards the Prometheus metrics
+     */
+    recordRequestMetrics(endpoint, responseTime, status) {
+        if (!endpoint) return;
+        metrics.vybeRequests.inc({ endpoint, status });
+        metrics.vybeRequestDuration.observe({ endpoint }, responseTime / 1000);
+    }
+
     /**
      * Update average response time
      */
@@ -95,16 +225,9 @@ class ApiService {
      */
     openCircuitBreaker() {
         this.metrics.circuitBreakerOpen = true;
+        this.circuitOpenedAt = Date.now();
+        this.trialCallInFlight = false;
         logger.warn('Circuit breaker opened due to consecutive API failures');
-        
-        // Set timer to automatically close circuit breaker
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-        }
-        
-        this.circuitBreakerTimer = setTimeout(() => {
-            this.closeCircuitBreaker();
-        }, this.circuitBreakerTimeout);
     }
 
     /**
@@ -112,19 +235,25 @@ class ApiService {
      */
     closeCircuitBreaker() {
         this.metrics.circuitBreakerOpen = false;
+        this.circuitOpenedAt = null;
+        this.trialCallInFlight = false;
         logger.info('Circuit breaker closed - API calls resumed');
-        
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-            this.circuitBreakerTimer = null;
-        }
     }
 
     /**
-     * Check if API calls should be allowed
+     * Check if an API call should be made
+     *
+     * Once the breaker has been open for `circuitBreakerTimeout`, one trial
+     * call is allowed through; the rest wait for its result.
      */
     isCallAllowed() {
-        return !this.metrics.circuitBreakerOpen;
+        if (!this.metrics.circuitBreakerOpen) return true;
+        if (this.trialCallInFlight) return false;
+        if (Date.now() - this.circuitOpenedAt < this.circuitBreakerTimeout) return false;
+
+        this.trialCallInFlight = true;
+        logger.info('Circuit breaker half-open - allowing a trial API call');
+        return true;
     }
 
     /**
@@ -139,11 +268,10 @@ class ApiService {
             lastError: null,
             averageResponseTime: 250
         };
-        
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-            this.circuitBreakerTimer = null;
-        }
+        this.endpoints.clear();
+        this.recentCalls = [];
+        this.circuitOpenedAt = null;
+        this.trialCallInFlight = false;
     }
 
     /**
@@ -154,18 +282,10 @@ class ApiService {
             ...this.metrics,
             circuitBreakerThreshold: this.circuitBreakerThreshold,
             circuitBreakerTimeout: this.circuitBreakerTimeout,
-            isCallAllowed: this.isCallAllowed()
+            circuitBreakerState: this.getCircuitBreakerState(),
+            endpoints: this.getEndpointMetrics()
         };
     }
-
-    /**
-     * Cleanup resources
-     */
-    destroy() {
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-        }
-    }
 }
 
 // Create singleton instance
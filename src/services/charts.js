@@ -0,0 +1,369 @@
+/**
+ * Price and Portfolio Charts
+ *
+ * Renders OHLCV candles as a PNG: a candlestick or line chart of the price
+ * with volume bars underneath, price ticks on the right and UTC times along
+ * the bottom. Wallet portfolio history renders the same way as stacked
+ * areas of token, stake and system value. Everything is drawn in-process
+ * (see utils/raster), so no browser or native image library is needed.
+ */
+const Raster = require('../utils/raster');
+const { GLYPH_HEIGHT, measureText } = require('../utils/pixelFont');
+
+const CHART_STYLES = ['candle', 'line'];
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const MARGIN = { top: 64, bottom: 34, left: 16 };
+const VOLUME_HEIGHT = 70;
+const PANEL_GAP = 12;
+const TEXT_SCALE = 2;
+const PRICE_TICKS = 5;
+const TIME_LABELS = 5;
+const MAX_BAR_WIDTH = 24;
+
+const COLORS = {
+    background: [15, 23, 42],
+    grid: [30, 41, 59],
+    text: [148, 163, 184],
+    title: [241, 245, 249],
+    up: [34, 197, 94],
+    down: [239, 68, 68],
+    line: [59, 130, 246],
+    token: [59, 130, 246],
+    stake: [168, 85, 247],
+    system: [245, 158, 11],
+    drawdown: [239, 68, 68]
+};
+
+// Portfolio series, stacked bottom to top
+const PORTFOLIO_SERIES = [
+    { key: 'tokenValue', label: 'TOKENS', color: COLORS.token },
+    { key: 'stakeValue', label: 'STAKED', color: COLORS.stake },
+    { key: 'systemValue', label: 'SYSTEM', color: COLORS.system }
+];
+const PORTFOLIO_TOP = 84;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Evenly spaced round values covering [min, max]
+ *
+ * @returns {Object} - { ticks, step }
+ */
+function getPriceTicks(min, max, count = PRICE_TICKS) {
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+        ticks.push(tick);
+    }
+    return { ticks, step };
+}
+
+/**
+ * Price label with as many decimals as the tick step needs, e.g. "$0.00002340"
+ */
+function formatAxisPrice(value, step) {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e4) return `$${(value / 1e3).toFixed(1)}K`;
+
+    const decimals = Math.min(12, Math.max(0, Math.ceil(-Math.log10(step)) + 1));
+    return `$${value.toFixed(decimals)}`;
+}
+
+function formatDateLabel(time) {
+    const date = new Date(time);
+    return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+}
+
+function formatTimeLabel(time, range) {
+    if (range === '7d') return formatDateLabel(time);
+
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+/**
+ * Change over the chart, from the first open to the last close (%)
+ */
+function getRangeChange(candles) {
+    const first = candles[0].open || candles[0].close;
+    return ((candles[candles.length - 1].close - first) / first) * 100;
+}
+
+/**
+ * Render candles as a PNG chart
+ *
+ * @param {Array} candles - Candles from getTokenOhlcv, oldest first
+ * @param {Object} options - { title, range, style: 'candle'|'line' }
+ * @returns {Buffer} - PNG image
+ */
+function renderPriceChart(candles, { title = '', range = '1d', style = 'candle' } = {}) {
+    const image = new Raster(WIDTH, HEIGHT, COLORS.background);
+    const textHeight = GLYPH_HEIGHT * TEXT_SCALE;
+
+    // Price range, padded so candles don't touch the panel edges
+    const lows = candles.map(candle => (style === 'line' ? candle.close : candle.low));
+    const highs = candles.map(candle => (style === 'line' ? candle.close : candle.high));
+    let min = Math.min(...lows);
+    let max = Math.max(...highs);
+    const padding = (max - min) * 0.05 || max * 0.01 || 1;
+    min = Math.max(0, min - padding);
+    max += padding;
+
+    const last = candles[candles.length - 1].close;
+    const { ticks, step } = getPriceTicks(min, max);
+    const tickLabels = ticks.map(tick => formatAxisPrice(tick, step));
+    const lastText = formatAxisPrice(last, step);
+
+    // The price axis is as wide as its longest label
+    const axisWidth = Math.max(...[...tickLabels, lastText].map(label => measureText(label, TEXT_SCALE))) + 16;
+    const plot = {
+        left: MARGIN.left,
+        right: WIDTH - axisWidth,
+        top: MARGIN.top,
+        bottom: HEIGHT - MARGIN.bottom - VOLUME_HEIGHT - PANEL_GAP
+    };
+    const volumeBottom = HEIGHT - MARGIN.bottom;
+
+    const yFor = (price) => plot.bottom - ((price - min) / (max - min)) * (plot.bottom - plot.top);
+    const slot = (plot.right - plot.left) / candles.length;
+    const xFor = (index) => plot.left + slot * (index + 0.5);
+    const barWidth = Math.min(MAX_BAR_WIDTH, Math.max(1, Math.floor(slot * 0.7)));
+    const lastY = Math.round(yFor(last));
+
+    // Title, last price and change over the range
+    const change = getRangeChange(candles);
+    const changeColor = change >= 0 ? COLORS.up : COLORS.down;
+    const titleWidth = image.text(MARGIN.left, 18, title, COLORS.title, 3);
+    image.text(MARGIN.left + titleWidth + 16, 25, range.toUpperCase(), COLORS.text, TEXT_SCALE);
+
+    const changeText = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+    const changeX = WIDTH - MARGIN.left - measureText(changeText, TEXT_SCALE);
+    image.text(changeX, 25, changeText, changeColor, TEXT_SCALE);
+    image.text(changeX - 16 - measureText(lastText, TEXT_SCALE), 25, lastText, COLORS.title, TEXT_SCALE);
+
+    // Price grid and ticks
+    ticks.forEach((tick, index) => {
+        const y = Math.round(yFor(tick));
+        image.fillRect(plot.left, y, plot.right - plot.left, 1, COLORS.grid);
+        // Leave out labels hidden behind the last price
+        if (Math.abs(y - lastY) > textHeight + 8) {
+            image.text(plot.right + 8, y - textHeight / 2, tickLabels[index], COLORS.text, TEXT_SCALE);
+        }
+    });
+    image.fillRect(plot.left, plot.bottom + PANEL_GAP / 2, plot.right - plot.left, 1, COLORS.grid);
+
+    // Volume bars
+    const maxVolume = Math.max(...candles.map(candle => candle.volumeUsd));
+    if (maxVolume > 0) {
+        candles.forEach((candle, index) => {
+            const height = Math.max(1, (candle.volumeUsd / maxVolume) * VOLUME_HEIGHT);
+            const color = candle.close >= candle.open ? COLORS.up : COLORS.down;
+            image.fillRect(xFor(index) - barWidth / 2, volumeBottom - height, barWidth, height, color, 0.5);
+        });
+    }
+
+    // Price
+    if (style === 'line') {
+        candles.forEach((candle, index) => {
+            if (index === 0) return;
+            const [x0, y0] = [xFor(index - 1), yFor(candles[index - 1].close)];
+            const [x1, y1] = [xFor(index), yFor(candle.close)];
+
+            // Shade the area under the line, one column at a time
+            for (let x = Math.round(x0); x < Math.round(x1); x++) {
+                const y = y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+                image.fillRect(x, y, 1, plot.bottom - y, COLORS.line, 0.15);
+            }
+            image.line(x0, y0, x1, y1, COLORS.line, 2);
+        });
+    } else {
+        candles.forEach((candle, index) => {
+            const color = candle.close >= candle.open ? COLORS.up : COLORS.down;
+            const x = xFor(index);
+            image.fillRect(Math.round(x), yFor(candle.high), 1, Math.max(1, yFor(candle.low) - yFor(candle.high)), color);
+
+            const top = yFor(Math.max(candle.open, candle.close));
+            const bottom = yFor(Math.min(candle.open, candle.close));
+            image.fillRect(x - barWidth / 2, top, barWidth, Math.max(1, bottom - top), color);
+        });
+    }
+
+    // Last price marker on the axis
+    for (let x = plot.left; x < plot.right; x += 8) {
+        image.fillRect(x, lastY, 4, 1, changeColor);
+    }
+    image.fillRect(plot.right + 2, lastY - textHeight / 2 - 4, axisWidth - 4, textHeight + 8, changeColor);
+    image.text(plot.right + 8, lastY - textHeight / 2, lastText, COLORS.background, TEXT_SCALE);
+
+    // Times along the bottom
+    const labelCount = Math.min(TIME_LABELS, candles.length);
+    for (let i = 0; i < labelCount; i++) {
+        const index = labelCount === 1 ? 0 : Math.round((i * (candles.length - 1)) / (labelCount - 1));
+        const label = formatTimeLabel(candles[index].time, range);
+        const width = measureText(label, TEXT_SCALE);
+        const x = Math.min(Math.max(xFor(index) - width / 2, plot.left), plot.right - width);
+        image.text(x, volumeBottom + 10, label, COLORS.text, TEXT_SCALE);
+    }
+
+    return image.toPng();
+}
+
+/**
+ * Largest fall from a running peak of total value
+ *
+ * @param {Array} dailyValues - Days from processTimeSeriesData, oldest first
+ * @returns {number} - Drawdown (%), 0 or negative
+ */
+function getMaxDrawdown(dailyValues) {
+    let peak = 0;
+    let maxDrawdown = 0;
+    dailyValues.forEach(day => {
+        peak = Math.max(peak, day.totalValue);
+        if (peak > 0) {
+            maxDrawdown = Math.min(maxDrawdown, ((day.totalValue - peak) / peak) * 100);
+        }
+    });
+    return maxDrawdown;
+}
+
+/**
+ * Render wallet value history as stacked areas
+ *
+ * Falls from the running peak are shaded red, and the highest and lowest
+ * days are marked with their values.
+ *
+ * @param {Array} dailyValues - Days from processTimeSeriesData, oldest first
+ * @param {Object} options - { title, days }
+ * @returns {Buffer} - PNG image
+ */
+function renderPortfolioChart(dailyValues, { title = 'PORTFOLIO', days = dailyValues.length } = {}) {
+    const image = new Raster(WIDTH, HEIGHT, COLORS.background);
+    const textHeight = GLYPH_HEIGHT * TEXT_SCALE;
+
+    // A single day is drawn as a flat band across the chart
+    const points = (dailyValues.length === 1 ? [dailyValues[0], dailyValues[0]] : dailyValues).map(day => ({
+        time: day.timestamp * 1000,
+        total: Math.max(0, day.totalValue),
+        values: PORTFOLIO_SERIES.map(series => Math.max(0, day[series.key] || 0))
+    }));
+    const totals = points.map(point => point.total);
+
+    // Areas stack from zero; the headroom keeps the high label inside the panel
+    const max = Math.max(...totals) * 1.15 || 1;
+    const { ticks, step } = getPriceTicks(0, max);
+    const tickLabels = ticks.map(tick => formatAxisPrice(tick, step));
+    const axisWidth = Math.max(...tickLabels.map(label => measureText(label, TEXT_SCALE))) + 16;
+    const plot = {
+        left: MARGIN.left,
+        right: WIDTH - axisWidth,
+        top: PORTFOLIO_TOP,
+        bottom: HEIGHT - MARGIN.bottom
+    };
+
+    const yFor = (value) => plot.bottom - (value / max) * (plot.bottom - plot.top);
+    const xFor = (index) => plot.left + ((plot.right - plot.left) * index) / (points.length - 1);
+
+    // Title, latest value, change and legend
+    const first = totals[0];
+    const last = totals[totals.length - 1];
+    const change = first > 0 ? ((last - first) / first) * 100 : 0;
+    const changeColor = change >= 0 ? COLORS.up : COLORS.down;
+    const titleWidth = image.text(MARGIN.left, 18, title, COLORS.title, 3);
+    image.text(MARGIN.left + titleWidth + 16, 25, `${days}D`, COLORS.text, TEXT_SCALE);
+
+    const lastText = formatAxisPrice(last, step);
+    const changeText = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+    const changeX = WIDTH - MARGIN.left - measureText(changeText, TEXT_SCALE);
+    image.text(changeX, 25, changeText, changeColor, TEXT_SCALE);
+    image.text(changeX - 16 - measureText(lastText, TEXT_SCALE), 25, lastText, COLORS.title, TEXT_SCALE);
+
+    let legendX = MARGIN.left;
+    [...PORTFOLIO_SERIES, { label: 'DRAWDOWN', color: COLORS.drawdown }].forEach(series => {
+        image.fillRect(legendX, 52, textHeight, textHeight, series.color, 0.7);
+        legendX += textHeight + 8;
+        legendX += image.text(legendX, 52, series.label, COLORS.text, TEXT_SCALE) + 20;
+    });
+
+    // Value grid and ticks
+    ticks.forEach((tick, index) => {
+        const y = Math.round(yFor(tick));
+        image.fillRect(plot.left, y, plot.right - plot.left, 1, COLORS.grid);
+        image.text(plot.right + 8, y - textHeight / 2, tickLabels[index], COLORS.text, TEXT_SCALE);
+    });
+
+    // Stacked areas and drawdown from the running peak, one column at a time
+    let peak = 0;
+    for (let x = plot.left; x < plot.right; x++) {
+        const position = ((x - plot.left) / (plot.right - plot.left)) * (points.length - 1);
+        const index = Math.min(Math.floor(position), points.length - 2);
+        const weight = position - index;
+        const valueAt = (values) => values[index] + (values[index + 1] - values[index]) * weight;
+
+        let stacked = 0;
+        PORTFOLIO_SERIES.forEach((series, seriesIndex) => {
+            const value = valueAt(points.map(point => point.values[seriesIndex]));
+            if (value <= 0) return;
+            image.fillRect(x, yFor(stacked + value), 1, yFor(stacked) - yFor(stacked + value), series.color, 0.55);
+            stacked += value;
+        });
+
+        const total = valueAt(totals);
+        peak = Math.max(peak, total);
+        if (peak > total) {
+            image.fillRect(x, yFor(peak), 1, yFor(total) - yFor(peak), COLORS.drawdown, 0.3);
+        }
+    }
+
+    // Total value line
+    points.forEach((point, index) => {
+        if (index === 0) return;
+        image.line(xFor(index - 1), yFor(totals[index - 1]), xFor(index), yFor(point.total), COLORS.title, 2);
+    });
+
+    // High and low markers, labelled above and below the point
+    const highIndex = totals.indexOf(Math.max(...totals));
+    const lowIndex = totals.lastIndexOf(Math.min(...totals));
+    const annotate = (index, prefix, color, above) => {
+        const x = xFor(index);
+        const y = yFor(totals[index]);
+        image.fillRect(x - 4, y - 4, 8, 8, color);
+
+        const label = `${prefix} ${formatAxisPrice(totals[index], step)}`;
+        const width = measureText(label, TEXT_SCALE);
+        const labelX = Math.min(Math.max(x - width / 2, plot.left), plot.right - width);
+        const labelY = above ? y - textHeight - 10 : Math.min(y + 10, plot.bottom - textHeight - 4);
+        image.fillRect(labelX - 4, labelY - 4, width + 8, textHeight + 8, COLORS.background, 0.8);
+        image.text(labelX, labelY, label, color, TEXT_SCALE);
+    };
+    if (totals[highIndex] !== totals[lowIndex]) {
+        annotate(lowIndex, 'LOW', COLORS.down, false);
+    }
+    annotate(highIndex, 'HIGH', COLORS.up, true);
+
+    // Dates along the bottom
+    const labelCount = Math.min(TIME_LABELS, dailyValues.length);
+    for (let i = 0; i < labelCount; i++) {
+        const index = labelCount === 1 ? 0 : Math.round((i * (points.length - 1)) / (labelCount - 1));
+        const label = formatDateLabel(points[index].time);
+        const width = measureText(label, TEXT_SCALE);
+        const x = Math.min(Math.max(xFor(index) - width / 2, plot.left), plot.right - width);
+        image.text(x, plot.bottom + 10, label, COLORS.text, TEXT_SCALE);
+    }
+
+    return image.toPng();
+}
+
+module.exports = {
+    CHART_STYLES,
+    getRangeChange,
+    getMaxDrawdown,
+    renderPriceChart,
+    renderPortfolioChart
+};
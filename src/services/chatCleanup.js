@@ -0,0 +1,217 @@
+/**
+ * Chat Cleanup
+ *
+ * Once Telegram says a chat can't be messaged any more (the user blocked the
+ * bot, the bot was removed from the group, the chat no longer exists) its
+ * subscriptions are removed, so alert checks stop fanning out to it and
+ * wallets and tokens nobody else follows stop being polled. A group that was
+ * upgraded to a supergroup keeps everything under its new chat id instead.
+ *
+ * Custom labels and wallet limits are left in place on removal; they aren't
+ * polled, and a user who unblocks the bot gets them back.
+ */
+const logger = require('../utils/logger');
+const repos = require('../repositories');
+
+// Why a chat was removed
+const REMOVAL_REASONS = {
+    BLOCKED: 'blocked',
+    CHAT_NOT_FOUND: 'chat_not_found'
+};
+
+const stats = {
+    chatsRemoved: 0,
+    chatsMigrated: 0,
+    removedByReason: Object.fromEntries(Object.values(REMOVAL_REASONS).map(reason => [reason, 0])),
+    walletsDropped: 0,
+    gemWalletsDropped: 0,
+    tokensDropped: 0,
+    priceAlertTokensDropped: 0,
+    lastCleanup: null
+};
+
+// chatId -> cleanup in progress, so failures from many queued alerts clean up once
+const pending = new Map();
+
+/**
+ * Remove every subscription a chat has
+ *
+ * @param {string|number} chatId - Chat ID
+ * @returns {Promise<Object>} - Counts: { wallets, gemWallets, tokens, priceAlerts } removed from
+ *                              the chat, and walletsDropped, gemWalletsDropped, tokensDropped,
+ *                              priceAlertTokensDropped no longer followed by any chat
+ */
+async function removeSubscriptions(chatId) {
+    const chat = chatId.toString();
+    const { tracking, watchlist, priceAlerts, alertPrefs } = repos;
+    const result = {
+        wallets: 0,
+        gemWallets: 0,
+        tokens: 0,
+        priceAlerts: 0,
+        walletsDropped: 0,
+        gemWalletsDropped: 0,
+        tokensDropped: 0,
+        priceAlertTokensDropped: 0
+    };
+
+    // Gem subscriptions aren't indexed by chat, so check each gem wallet
+    for (const wallet of await tracking.getGemAlertWallets()) {
+        if (!(await tracking.hasGemAlerts(chat, wallet))) continue;
+        await tracking.disableGemAlerts(chat, wallet);
+        result.gemWallets++;
+        if ((await tracking.getGemUsers(wallet)).length === 0) result.gemWalletsDropped++;
+    }
+
+    for (const wallet of await tracking.getUserWallets(chat)) {
+        await tracking.untrackWallet(chat, wallet);
+        result.wallets++;
+        if ((await tracking.getWalletUsers(wallet)).length === 0) result.walletsDropped++;
+    }
+
+    for (const mint of await watchlist.getChatTokens(chat)) {
+        await watchlist.unwatchToken(chat, mint);
+        result.tokens++;
+        if ((await watchlist.getTokenChats(mint)).length === 0) result.tokensDropped++;
+    }
+
+    const alertMints = new Set();
+    for (const alert of await priceAlerts.getChatAlerts(chat)) {
+        await priceAlerts.deleteAlert(chat, alert.id);
+        alertMints.add(alert.mint);
+        result.priceAlerts++;
+    }
+    for (const mint of alertMints) {
+        if ((await priceAlerts.getTokenChats(mint)).length === 0) result.priceAlertTokensDropped++;
+    }
+
+    await alertPrefs.clearChat(chat);
+    return result;
+}
+
+function recordDropped(result) {
+    stats.walletsDropped += result.walletsDropped;
+    stats.gemWalletsDropped += result.gemWalletsDropped;
+    stats.tokensDropped += result.tokensDropped;
+    stats.priceAlertTokensDropped += result.priceAlertTokensDropped;
+    stats.lastCleanup = Date.now();
+}
+
+/**
+ * Remove a chat that can no longer be messaged
+ *
+ * @param {string|number} chatId - Chat ID
+ * @param {string} reason - One of REMOVAL_REASONS
+ * @returns {Promise<Object|null>} - Counts from removeSubscriptions, or null without Redis
+ */
+function removeChat(chatId, reason) {
+    const chat = chatId.toString();
+    if (!repos.isReady()) return Promise.resolve(null);
+    if (pending.has(chat)) return pending.get(chat);
+
+    const cleanup = (async () => {
+        const result = await removeSubscriptions(chat);
+        const removed = result.wallets + result.gemWallets + result.tokens + result.priceAlerts;
+
+        // A chat with nothing left to remove was already cleaned up
+        if (removed > 0) {
+            stats.chatsRemoved++;
+            stats.removedByReason[reason] = (stats.removedByReason[reason] || 0) + 1;
+            recordDropped(result);
+            logger.info(`Removed chat ${chat} (${reason}): ${result.wallets} wallets, ` +
+                `${result.gemWallets} gem subscriptions, ${result.tokens} tokens, ${result.priceAlerts} price alerts`);
+        }
+        return result;
+    })().finally(() => pending.delete(chat));
+
+    pending.set(chat, cleanup);
+    return cleanup;
+}
+
+/**
+ * Move a group's subscriptions and settings to the supergroup it became
+ *
+ * @param {string|number} fromChatId - Old group chat ID
+ * @param {string|number} toChatId - New supergroup chat ID
+ */
+async function migrateChat(fromChatId, toChatId) {
+    const from = fromChatId.toString();
+    const to = toChatId.toString();
+    if (!repos.isReady() || from === to) return;
+    if (pending.has(from)) return pending.get(from);
+
+    const { tracking, watchlist, priceAlerts, alertPrefs, labels, limits } = repos;
+
+    const migration = (async () => {
+        const walletModes = await alertPrefs.getWalletModes(from);
+        for (const wallet of await tracking.getUserWallets(from)) {
+            await tracking.trackWallet(to, wallet);
+            if (walletModes[wallet]) await alertPrefs.setWalletMode(to, wallet, walletModes[wallet]);
+            const rules = await alertPrefs.getWalletRules(from, wallet);
+            if (rules) await alertPrefs.setWalletRules(to, wallet, JSON.parse(rules));
+        }
+
+        for (const wallet of await tracking.getGemAlertWallets()) {
+            if (await tracking.hasGemAlerts(from, wallet)) await tracking.enableGemAlerts(to, wallet);
+        }
+
+        const [whaleRules, holderRules, concentrationRules] = await Promise.all([
+            alertPrefs.getWhaleRules(from),
+            alertPrefs.getHolderRules(from),
+            alertPrefs.getConcentrationRules(from)
+        ]);
+        for (const mint of await watchlist.getChatTokens(from)) {
+            await watchlist.watchToken(to, mint);
+            if (whaleRules[mint]) await alertPrefs.setWhaleRule(to, mint, JSON.parse(whaleRules[mint]));
+            if (holderRules[mint]) await alertPrefs.setHolderRule(to, mint, JSON.parse(holderRules[mint]));
+            if (concentrationRules[mint]) await alertPrefs.setConcentrationRule(to, mint, JSON.parse(concentrationRules[mint]));
+        }
+
+        for (const { id, ...alert } of await priceAlerts.getChatAlerts(from)) {
+            await priceAlerts.addAlert(to, alert);
+        }
+
+        const alertTypes = await alertPrefs.getEnabledAlerts(from);
+        if (alertTypes.length) await alertPrefs.enableAlerts(to, alertTypes);
+        const threshold = await alertPrefs.getThreshold(from);
+        if (threshold !== null) await alertPrefs.setThreshold(to, threshold);
+
+        for (const [address, label] of Object.entries(await labels.getLabels(from))) {
+            await labels.setLabel(to, address, label);
+        }
+        await labels.clearLabels(from);
+
+        const [tier, limit] = await Promise.all([limits.getUserTier(from), limits.getUserLimit(from)]);
+        if (tier) await limits.setUserTier(to, tier);
+        if (limit !== null) await limits.setUserLimit(to, limit);
+        await limits.clearUserTier(from);
+        await limits.clearUserLimit(from);
+
+        // The new chat now holds everything, so nothing is dropped here
+        await removeSubscriptions(from);
+
+        stats.chatsMigrated++;
+        stats.lastCleanup = Date.now();
+        logger.info(`Migrated chat ${from} to ${to}`);
+    })().finally(() => pending.delete(from));
+
+    pending.set(from, migration);
+    return migration;
+}
+
+/**
+ * Cleanup counts since startup, for /metrics
+ */
+function getCleanupStats() {
+    return {
+        ...stats,
+        removedByReason: { ...stats.removedByReason }
+    };
+}
+
+module.exports = {
+    REMOVAL_REASONS,
+    removeChat,
+    migrateChat,
+    getCleanupStats
+};
@@ -0,0 +1,183 @@
+/**
+ * Top-Holder Concentration Alerts
+ *
+ * Tracks the share of supply held by a watched token's top 10 holders,
+ * leaving out known exchanges, whose balances belong to their users:
+ *
+ *   - accumulation / distribution: the top 10 together gain or lose at least
+ *     a chat's threshold (percentage points of supply) within a day
+ *   - wallet moves: a wallet enters or leaves the top 10, or changes rank
+ *
+ * Each check stores the top 10 and their combined share in a token snapshot,
+ * so changes are measured against earlier checks rather than the API.
+ */
+
+const TOP_HOLDER_COUNT = 10;
+
+// Holders fetched per check, so the top 10 survives removing exchanges
+const TOP_HOLDER_FETCH_LIMIT = 25;
+
+// Window over which accumulation and distribution are measured (ms)
+const CONCENTRATION_WINDOW = 24 * 60 * 60 * 1000;
+
+// Rank changes smaller than this share move (points) are ignored, so two
+// wallets holding about the same amount don't swap places on every check
+const MIN_RANK_SHARE_CHANGE = 0.1;
+
+const CONCENTRATION_SCOPES = ['all', 'total'];
+
+const DEFAULT_RULE = {
+    threshold: 2, // Percentage points of supply
+    scope: 'all' // 'all' also reports wallets entering, leaving or changing rank
+};
+
+/**
+ * Parse a stored rule, falling back to the defaults
+ *
+ * @param {string} storedRule - JSON from the concentration rules hash
+ * @returns {Object} - Complete rule
+ */
+function parseConcentrationRule(storedRule) {
+    if (!storedRule) return { ...DEFAULT_RULE };
+
+    try {
+        return { ...DEFAULT_RULE, ...JSON.parse(storedRule) };
+    } catch (error) {
+        return { ...DEFAULT_RULE };
+    }
+}
+
+/**
+ * The top holders that count towards concentration, re-ranked without exchanges
+ *
+ * @param {Array} holders - Holders from getTopTokenHolders, by rank
+ * @param {Set<string>} exchangeAddresses - Known exchange addresses
+ * @returns {Array} - { rank, ownerAddress, ownerName, percentage }
+ */
+function getTopHolders(holders, exchangeAddresses) {
+    return holders
+        .filter(holder => !exchangeAddresses.has(holder.ownerAddress))
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, TOP_HOLDER_COUNT)
+        .map((holder, index) => ({
+            rank: index + 1,
+            ownerAddress: holder.ownerAddress,
+            ownerName: holder.ownerName || null,
+            percentage: parseFloat(holder.percentageOfSupplyHeld) || 0
+        }));
+}
+
+function getTotalShare(topHolders) {
+    return topHolders.reduce((sum, holder) => sum + holder.percentage, 0);
+}
+
+/**
+ * Append the current share and drop samples older than the window needs
+ *
+ * @param {Array} history - [timestamp, share] samples, oldest first
+ * @returns {Array} - Updated samples
+ */
+function recordShare(history, share, now = Date.now()) {
+    const samples = [...history, [now, share]];
+
+    // Keep the newest sample from before the window as its reference
+    const firstInWindow = samples.findIndex(([timestamp]) => timestamp > now - CONCENTRATION_WINDOW);
+    return samples.slice(Math.max(0, firstInWindow - 1));
+}
+
+/**
+ * Change in the combined share over the window, or since the first sample
+ * while less than a window has been recorded
+ *
+ * @returns {Object} - { from, to, change, since } with shares in percent
+ */
+function getShareChange(history, now = Date.now()) {
+    const [latestTime, to] = history[history.length - 1];
+
+    let reference = history[0];
+    for (const sample of history) {
+        if (sample[0] > now - CONCENTRATION_WINDOW) break;
+        reference = sample;
+    }
+
+    return {
+        from: reference[1],
+        to,
+        change: to - reference[1],
+        since: latestTime - reference[0]
+    };
+}
+
+/**
+ * Wallets that entered, left or moved within the top holders
+ *
+ * @param {Array} previous - Top holders at the last check
+ * @param {Array} current - Top holders now
+ * @returns {Array} - { type: 'entered'|'exited'|'rank', holder, previousRank, shareChange }
+ */
+function diffTopHolders(previous, current) {
+    const previousByAddress = new Map(previous.map(holder => [holder.ownerAddress, holder]));
+    const currentAddresses = new Set(current.map(holder => holder.ownerAddress));
+    const moves = [];
+
+    for (const holder of current) {
+        const before = previousByAddress.get(holder.ownerAddress);
+        if (!before) {
+            moves.push({ type: 'entered', holder, shareChange: holder.percentage });
+            continue;
+        }
+
+        const shareChange = holder.percentage - before.percentage;
+        if (before.rank !== holder.rank && Math.abs(shareChange) >= MIN_RANK_SHARE_CHANGE) {
+            moves.push({ type: 'rank', holder, previousRank: before.rank, shareChange });
+        }
+    }
+
+    for (const holder of previous) {
+        if (!currentAddresses.has(holder.ownerAddress)) {
+            moves.push({ type: 'exited', holder, previousRank: holder.rank });
+        }
+    }
+
+    return moves;
+}
+
+/**
+ * Validate `/concentration` arguments
+ *
+ * @returns {Object} - { rule } or { error }
+ */
+function parseConcentrationArgs(thresholdArg, scopeArg = 'all') {
+    const threshold = parseFloat((thresholdArg || '').replace('%', ''));
+    if (!/^\d+(\.\d+)?%?$/.test(thresholdArg || '') || !(threshold > 0) || threshold > 100) {
+        return { error: `Invalid threshold: ${thresholdArg}\nExpected percentage points of supply, e.g. 2.` };
+    }
+
+    const scope = scopeArg.toLowerCase();
+    if (!CONCENTRATION_SCOPES.includes(scope)) {
+        return { error: `Invalid scope: ${scopeArg}\nUse one of: ${CONCENTRATION_SCOPES.join(', ')}` };
+    }
+
+    return { rule: { threshold, scope } };
+}
+
+/**
+ * Describe a rule for display
+ */
+function describeConcentrationRule(rule) {
+    const scope = rule.scope === 'total' ? 'totals only' : 'totals and wallet moves';
+    return `Top 10 ±${rule.threshold} pts/24h, ${scope}`;
+}
+
+module.exports = {
+    TOP_HOLDER_FETCH_LIMIT,
+    CONCENTRATION_SCOPES,
+    parseConcentrationRule,
+    getTopHolders,
+    getTotalShare,
+    recordShare,
+    getShareChange,
+    diffTopHolders,
+    parseConcentrationArgs,
+    describeConcentrationRule
+};
@@ -0,0 +1,30 @@
+/**
+ * Low Cap Gem Alerts
+ *
+ * Gem alerts compare a wallet's gems with one snapshot shared by every chat
+ * following it, recorded by the scheduled gem check.
+ */
+const logger = require('../utils/logger');
+const { snapshots } = require('../repositories');
+const { findLowCapGems } = require('./vybeApi/lowCapGems');
+
+/**
+ * Record a wallet's current gems as its baseline, so gems it already holds
+ * are not reported once gem alerts are enabled. A wallet that already has a
+ * baseline keeps it: other chats are still owed the gems found since.
+ *
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<boolean>} - True when a baseline was recorded
+ */
+async function seedWalletGems(wallet) {
+    if (await snapshots.get('gems', wallet)) return false;
+
+    const currentGems = await findLowCapGems(wallet, null, { throwOnError: true });
+    await snapshots.save('gems', wallet, currentGems);
+    logger.info(`Seeded gem snapshot for wallet ${wallet}: ${currentGems.length} gems`);
+    return true;
+}
+
+module.exports = {
+    seedWalletGems
+};
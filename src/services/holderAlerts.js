@@ -0,0 +1,176 @@
+/**
+ * Holder Count Alerts
+ *
+ * A chat can add a holder rule to any token it watches. Rules are stored as
+ * JSON in the `holder_rules:${chatId}` hash, keyed by mint, next to the
+ * chat's whale rules:
+ *
+ *   - change: alert when the holder count moves by a percentage within a
+ *     window; `+10` only counts rises, `-10` only drops and `10` either way
+ *   - milestones: alert when the holder count crosses a count, either way
+ *
+ * Changes compare the live holder count with the daily holder time series,
+ * so windows are whole days.
+ */
+
+// Change windows (days)
+const HOLDER_WINDOWS = {
+    '1d': 1,
+    '7d': 7,
+    '30d': 30
+};
+
+// Days of holder history fetched per check: the longest window, plus today
+const HOLDER_HISTORY_DAYS = 31;
+
+// Days shown in the alert sparkline
+const SPARKLINE_DAYS = 14;
+
+const MAX_MILESTONES = 5;
+
+const DEFAULT_RULE = {
+    change: null, // { percent, direction: 'up'|'down'|'any', window }
+    milestones: [] // holder counts, ascending
+};
+
+/**
+ * Parse a stored rule, filling in defaults
+ *
+ * @param {string} storedRule - JSON from the holder rules hash
+ * @returns {Object|null} - Rule, or null when unset or invalid
+ */
+function parseHolderRule(storedRule) {
+    if (!storedRule) return null;
+
+    try {
+        return { ...DEFAULT_RULE, ...JSON.parse(storedRule) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Validate `/holderalert` arguments and apply them to a rule
+ *
+ * @param {Object} rule - Rule to update
+ * @param {string} type - 'change' or 'milestone'
+ * @param {string} value - Percentage or holder count
+ * @param {string} window - Change window (change rules only)
+ * @returns {string|null} - Error message, or null when applied
+ */
+function applyHolderRuleArgs(rule, type, value, window) {
+    if (type === 'change') {
+        const match = (value || '').replace('%', '').match(/^([+-])?(\d+(?:\.\d+)?)$/);
+        const percent = match ? parseFloat(match[2]) : NaN;
+        if (!match || percent <= 0) return `Invalid percentage: ${value || '(none)'}\nExpected e.g. 10, +10 or -10.`;
+
+        const windowKey = (window || '').toLowerCase();
+        if (!HOLDER_WINDOWS[windowKey]) {
+            return `Invalid window: ${window || '(none)'}\nUse one of: ${Object.keys(HOLDER_WINDOWS).join(', ')}`;
+        }
+
+        const direction = match[1] === '+' ? 'up' : match[1] === '-' ? 'down' : 'any';
+        rule.change = { percent, direction, window: windowKey };
+        return null;
+    }
+
+    if (type === 'milestone') {
+        if (window) return `Unexpected argument: ${window}`;
+
+        const milestone = parseInt((value || '').replace(/,/g, ''));
+        if (!/^\d[\d,]*$/.test(value || '') || !(milestone > 0)) {
+            return `Invalid holder count: ${value || '(none)'}\nExpected a whole number, e.g. 10000.`;
+        }
+        if (rule.milestones.includes(milestone)) return `${milestone.toLocaleString()} holders is already a milestone.`;
+        if (rule.milestones.length >= MAX_MILESTONES) return `A token can have at most ${MAX_MILESTONES} milestones.`;
+
+        rule.milestones = [...rule.milestones, milestone].sort((a, b) => a - b);
+        return null;
+    }
+
+    return 'Unknown rule type.';
+}
+
+/**
+ * Holder count change over a window
+ *
+ * @param {Object} trend - Result of getHoldersTrend
+ * @param {string} window - Window key, e.g. '7d'
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} - { percent, reference }, or null without data from before the window
+ */
+function getHolderChange(trend, window, now = Date.now()) {
+    const since = now - HOLDER_WINDOWS[window] * 24 * 60 * 60 * 1000;
+
+    let reference = null;
+    for (const point of trend.rawData || []) {
+        if (point.time > since) break;
+        reference = point.holderCount;
+    }
+    if (!(reference > 0) || !(trend.current > 0)) return null;
+
+    return {
+        percent: ((trend.current - reference) / reference) * 100,
+        reference
+    };
+}
+
+/**
+ * Whether a change satisfies a change rule
+ */
+function isHolderChangeMet(changeRule, percent) {
+    if (changeRule.direction === 'up') return percent >= changeRule.percent;
+    if (changeRule.direction === 'down') return -percent >= changeRule.percent;
+    return Math.abs(percent) >= changeRule.percent;
+}
+
+/**
+ * Milestones crossed between two checks
+ *
+ * @returns {Array} - { milestone, direction } for each milestone crossed
+ */
+function findCrossedMilestones(previous, current, milestones) {
+    return milestones
+        .filter(milestone => (previous < milestone && current >= milestone) || (previous >= milestone && current < milestone))
+        .map(milestone => ({ milestone, direction: current >= milestone ? 'up' : 'down' }));
+}
+
+/**
+ * Holder counts for the alert sparkline: recent daily counts, then the live count
+ */
+function getSparklineCounts(trend) {
+    const daily = (trend.rawData || []).slice(-SPARKLINE_DAYS).map(point => point.holderCount);
+    return trend.current > 0 ? [...daily, trend.current] : daily;
+}
+
+/**
+ * Describe a rule for display
+ *
+ * @returns {string[]} - One line per active part of the rule
+ */
+function describeHolderRule(rule) {
+    const lines = [];
+
+    if (rule.change) {
+        const { percent, direction, window } = rule.change;
+        const movement = { up: 'rise', down: 'drop', any: 'move' }[direction];
+        lines.push(`Holders ${movement} ${percent}% in ${window}`);
+    }
+    if (rule.milestones.length) {
+        lines.push(`Milestones: ${rule.milestones.map(milestone => milestone.toLocaleString()).join(', ')}`);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    HOLDER_WINDOWS,
+    HOLDER_HISTORY_DAYS,
+    parseHolderRule,
+    applyHolderRuleArgs,
+    getHolderChange,
+    isHolderChangeMet,
+    findCrossedMilestones,
+    getSparklineCounts,
+    describeHolderRule
+};
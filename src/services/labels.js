@@ -0,0 +1,83 @@
+/**
+ * Address Labels
+ *
+ * Names the addresses shown in commands and alerts. A chat's own labels,
+ * set with /label, come first; otherwise Vybe's known accounts name
+ * exchanges, market makers, protocols and treasuries.
+ */
+const logger = require('../utils/logger');
+const { getKnownAccounts } = require('./vybeApi/knownAccounts');
+
+const MAX_LABEL_LENGTH = 32;
+const MAX_LABELS_PER_CHAT = 100;
+
+// Characters that would break a Markdown message
+const MARKDOWN_CHARS = /[_*`[\]]/g;
+
+/**
+ * Load the labels a chat sees
+ *
+ * @param {Object} labelRepository - LabelRepository holding the chat's labels
+ * @param {string|number} chatId - Chat ID
+ * @returns {Promise<Function>} - (address) => { name, category, custom }, or null when unlabelled
+ */
+async function getLabeler(labelRepository, chatId) {
+    const [knownAccounts, customLabels] = await Promise.all([
+        getKnownAccounts(),
+        // Known accounts still apply while storage is down
+        labelRepository.getLabels(chatId).catch(error => {
+            logger.error(`Error loading labels for chat ${chatId}:`, error);
+            return {};
+        })
+    ]);
+
+    return (address) => {
+        if (!address) return null;
+
+        if (customLabels[address]) {
+            return { name: customLabels[address], category: null, custom: true };
+        }
+
+        const account = knownAccounts.get(address);
+        const name = account?.name || account?.category;
+        return name ? { name, category: account.category, custom: false } : null;
+    };
+}
+
+/**
+ * Format a label for a Markdown message, e.g. "Binance (Exchange)" or "🏷 My whale"
+ *
+ * @param {Object} label - Label from a labeler
+ * @returns {string} - Label text, safe outside code spans
+ */
+function formatLabel(label) {
+    const name = label.name.replace(MARKDOWN_CHARS, ' ').replace(/\s+/g, ' ').trim();
+    if (label.custom) return `🏷 ${name}`;
+    return label.category && label.category !== name ? `${name} (${label.category})` : name;
+}
+
+/**
+ * Validate a label name from `/label`
+ *
+ * @returns {Object} - { label } or { error }
+ */
+function parseLabelName(text) {
+    const label = (text || '').trim().replace(/\s+/g, ' ');
+
+    if (!label) return { error: 'Missing label name.' };
+    if (label.length > MAX_LABEL_LENGTH) {
+        return { error: `Labels can be at most ${MAX_LABEL_LENGTH} characters.` };
+    }
+    if (label.match(MARKDOWN_CHARS)) {
+        return { error: 'Labels cannot contain _ * ` [ or ].' };
+    }
+
+    return { label };
+}
+
+module.exports = {
+    MAX_LABELS_PER_CHAT,
+    getLabeler,
+    formatLabel,
+    parseLabelName
+};
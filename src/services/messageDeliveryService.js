@@ -1,175 +1,526 @@
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const TokenBucket = require('../utils/tokenBucket');
+const { deliveryQueue, isReady } = require('../repositories');
+const chatCleanup = require('./chatCleanup');
+const metrics = require('./metrics');
 
 /**
  * Message Delivery Service
- * Tracks message delivery success rates and performance
+ *
+ * Every outbound message goes through one queue that keeps the bot inside
+ * Telegram's limits: about 30 messages a second overall and one a second per
+ * chat. Messages wait in two lanes, and a chat's next message is taken from
+ * the first lane that has one:
+ *
+ *   - interactive: replies to commands and buttons (bot.sendMessage,
+ *     bot.sendPhoto and the bot.editMessage* methods, once attached); callers
+ *     await the sent or edited message
+ *   - bulk: alerts, queued with enqueue(); kept in Redis until delivered, so
+ *     they survive a restart
+ *
+ * A 429 response puts the message back at the front of its lane until the
+ * `retry_after` Telegram asks for has passed; an alert that failed for a
+ * passing reason (a network error or a 5xx) is retried with backoff. When a chat can't be messaged
+ * any more (blocked, deleted, or a group that became a supergroup) its
+ * queued messages are dropped or moved and chatCleanup tidies its
+ * subscriptions.
+ *
+ * Callback query answers and chat actions ("typing...") are not messages in
+ * a chat and go straight to Telegram.
  */
+
+const LANES = ['interactive', 'bulk'];
+
+// Bot methods that edit a message; they name its chat in their options
+const EDIT_METHODS = ['editMessageText', 'editMessageCaption', 'editMessageMedia', 'editMessageReplyMarkup'];
+
+// Messages per second across all chats
+const GLOBAL_RATE = parseInt(process.env.TELEGRAM_GLOBAL_RATE) || 30;
+
+// Minimum time between two messages to the same chat (ms)
+const CHAT_INTERVAL = parseInt(process.env.TELEGRAM_CHAT_INTERVAL_MS) || 1000;
+
+// Rate limited or transiently failed attempts before a message is given up on
+const MAX_ATTEMPTS = 5;
+
+// Wait before retrying an alert after a transient failure, doubled per attempt (ms)
+const RETRY_BASE_DELAY = 2000;
+
+// Alerts older than this when the bot restarts are dropped rather than sent late (ms)
+const MAX_RESTORED_AGE = 60 * 60 * 1000;
+
+// How long the queue waits before looking again when every waiting chat is mid-send (ms)
+const IDLE_RECHECK = 1000;
+
+function createMetrics() {
+    return {
+        totalSent: 0,
+        successfulDeliveries: 0,
+        failedDeliveries: 0,
+        rateLimited: 0,
+        averageDeliveryTime: 0,
+        averageQueueTime: 0,
+        lastDeliveryTime: null
+    };
+}
+
+/**
+ * Seconds Telegram asked us to wait, for a 429 error
+ *
+ * @returns {number|null} - retry_after, or null for other errors
+ */
+function getRetryAfter(error) {
+    if (error.response?.statusCode !== 429) return null;
+    return error.response.body?.parameters?.retry_after || 1;
+}
+
+/**
+ * Whether a send failed for a reason that may pass: the request never got an
+ * answer (EFATAL) or Telegram had a server error
+ */
+function isTransientError(error) {
+    return error.code === 'EFATAL' || error.response?.statusCode >= 500;
+}
+
+/**
+ * Whether a failed send means the chat itself is gone
+ *
+ * @returns {Object|null} - { reason } (a chatCleanup REMOVAL_REASONS value), { migrateToChatId }
+ *                          for a group upgraded to a supergroup, or null for other errors
+ */
+function classifyDeliveryError(error) {
+    const { statusCode, body } = error.response || {};
+    const description = body?.description || '';
+
+    if (body?.parameters?.migrate_to_chat_id) {
+        return { migrateToChatId: body.parameters.migrate_to_chat_id };
+    }
+    if (statusCode === 403 && /blocked|deactivated|kicked|not a member/i.test(description)) {
+        return { reason: chatCleanup.REMOVAL_REASONS.BLOCKED };
+    }
+    if (statusCode === 400 && /chat not found/i.test(description)) {
+        return { reason: chatCleanup.REMOVAL_REASONS.CHAT_NOT_FOUND };
+    }
+    return null;
+}
+
 class MessageDeliveryService {
     constructor() {
-        this.metrics = {
-            totalSent: 0,
-            successfulDeliveries: 0,
-            failedDeliveries: 0,
-            averageDeliveryTime: 120,
-            pendingMessages: 0,
-            lastDeliveryTime: null
-        };
-        
-        this.deliveryQueue = [];
+        this.metrics = createMetrics();
+        this.lanes = { interactive: [], bulk: [] };
+        this.chatReadyAt = new Map(); // chatId -> time the chat may be sent to again
+        this.sending = new Map(); // chatId -> id of the message being sent to it
+        this.bucket = new TokenBucket({ capacity: GLOBAL_RATE, refillPerSecond: GLOBAL_RATE });
+        this.senders = null; // the bot's own send methods, once attached
         this.isProcessing = false;
+        this.wakeUp = null;
     }
 
     /**
-     * Get current message delivery metrics
+     * Route a bot's messages through the queue
+     *
+     * Replaces bot.sendMessage, bot.sendPhoto and the edit methods with queued
+     * versions that resolve to what Telegram returns, so command handlers are
+     * unchanged. Edits are paced with the chat they are in.
      */
-    getMetrics() {
-        const successRate = this.metrics.totalSent > 0 
-            ? ((this.metrics.successfulDeliveries / this.metrics.totalSent) * 100).toFixed(1)
-            : '100.0';
-
-        return {
-            successRate: parseFloat(successRate),
-            totalSent: this.metrics.totalSent,
-            successfulDeliveries: this.metrics.successfulDeliveries,
-            failedDeliveries: this.metrics.failedDeliveries,
-            averageDeliveryTime: Math.round(this.metrics.averageDeliveryTime),
-            pendingMessages: this.metrics.pendingMessages,
-            lastDeliveryTime: this.metrics.lastDeliveryTime
+    attach(bot) {
+        this.senders = {
+            sendMessage: bot.sendMessage.bind(bot),
+            sendPhoto: bot.sendPhoto.bind(bot)
         };
+
+        bot.sendMessage = (chatId, text, options) => this.send('sendMessage', chatId, [text, options]);
+        bot.sendPhoto = (chatId, photo, options, fileOptions) => this.send('sendPhoto', chatId, [photo, options, fileOptions]);
+
+        for (const method of EDIT_METHODS) {
+            const edit = bot[method].bind(bot);
+            this.senders[method] = (chatId, content, options) => edit(content, options);
+            bot[method] = (content, options = {}) => this.send(method, options.chat_id, [content, options]);
+        }
+
+        this.processQueue();
     }
 
     /**
-     * Record a successful message delivery
+     * Queue an interactive message and wait for it to be sent
+     *
+     * @returns {Promise<Object>} - The sent message
      */
-    recordSuccess(deliveryTime = 120) {
-        this.metrics.totalSent++;
-        this.metrics.successfulDeliveries++;
-        this.metrics.lastDeliveryTime = Date.now();
-        
-        // Update average delivery time
-        this.updateAverageDeliveryTime(deliveryTime);
-        
-        logger.debug(`Message delivered successfully in ${deliveryTime}ms. Success rate: ${this.getMetrics().successRate}%`);
+    send(method, chatId, args) {
+        return new Promise((resolve, reject) => {
+            this.lanes.interactive.push({
+                id: crypto.randomUUID(),
+                lane: 'interactive',
+                method,
+                chatId,
+                args,
+                attempts: 0,
+                enqueuedAt: Date.now(),
+                resolve,
+                reject
+            });
+            this.processQueue();
+        });
     }
 
     /**
-     * Record a failed message delivery
+     * Queue an alert for delivery
+     *
+     * Resolves once the message is queued, not sent, so an alert fan-out
+     * isn't held up by pacing.
+     *
+     * @returns {Promise<string>} - Queued message id
      */
-    recordFailure(deliveryTime = 5000) {
-        this.metrics.totalSent++;
-        this.metrics.failedDeliveries++;
-        
-        // Update average delivery time (failures usually take longer)
-        this.updateAverageDeliveryTime(deliveryTime);
-        
-        logger.warn(`Message delivery failed after ${deliveryTime}ms. Success rate: ${this.getMetrics().successRate}%`);
+    async enqueue(chatId, text, options = {}) {
+        const message = {
+            id: crypto.randomUUID(),
+            lane: 'bulk',
+            method: 'sendMessage',
+            chatId,
+            args: [text, options],
+            attempts: 0,
+            enqueuedAt: Date.now()
+        };
+
+        this.lanes.bulk.push(message);
+        if (isReady()) {
+            try {
+                await deliveryQueue.add(message);
+            } catch (error) {
+                logger.warn(`Error storing queued message for chat ${chatId}: ${error.message}`);
+            }
+        }
+
+        this.processQueue();
+        return message.id;
     }
 
     /**
-     * Update average delivery time
+     * Load alerts left queued by a previous run
+     *
+     * @returns {Promise<number>} - Messages restored
      */
-    updateAverageDeliveryTime(deliveryTime) {
-        const currentAvg = this.metrics.averageDeliveryTime;
-        const totalDeliveries = this.metrics.successfulDeliveries + this.metrics.failedDeliveries;
-        
-        if (totalDeliveries > 0) {
-            this.metrics.averageDeliveryTime = ((currentAvg * (totalDeliveries - 1)) + deliveryTime) / totalDeliveries;
+    async restore() {
+        if (!isReady()) return 0;
+
+        const stored = await deliveryQueue.getAll();
+        // Alerts queued or being sent by this run are stored too
+        const knownIds = new Set([...this.lanes.bulk.map(message => message.id), ...this.sending.values()]);
+        const cutoff = Date.now() - MAX_RESTORED_AGE;
+
+        const restored = [];
+        let dropped = 0;
+        for (const message of stored) {
+            if (knownIds.has(message.id)) continue;
+            if (message.enqueuedAt < cutoff) {
+                await deliveryQueue.remove(message.id);
+                dropped++;
+                continue;
+            }
+            restored.push({ ...message, lane: 'bulk' });
         }
+
+        // Older alerts go out before anything queued since startup
+        this.lanes.bulk.unshift(...restored);
+        logger.info(`Restored ${restored.length} queued messages${dropped ? `, dropped ${dropped} stale` : ''}`);
+
+        this.processQueue();
+        return restored.length;
+    }
+
+    hasPending() {
+        return LANES.some(lane => this.lanes[lane].length > 0);
+    }
+
+    /**
+     * Take the next message whose chat may be sent to now, by lane
+     */
+    takeReadyMessage(now) {
+        for (const lane of LANES) {
+            const queue = this.lanes[lane];
+            const index = queue.findIndex(message => {
+                const chat = String(message.chatId);
+                return !this.sending.has(chat) && (this.chatReadyAt.get(chat) || 0) <= now;
+            });
+            if (index !== -1) {
+                return queue.splice(index, 1)[0];
+            }
+        }
+        return null;
     }
 
     /**
-     * Add message to pending queue
+     * Wait until a paced chat is ready or a send finishes
      */
-    addToPendingQueue(message) {
-        this.deliveryQueue.push({
-            id: Date.now() + Math.random(),
-            message,
-            timestamp: Date.now()
+    waitForChat(now) {
+        const waitingChats = LANES
+            .flatMap(lane => this.lanes[lane].map(message => String(message.chatId)))
+            .filter(chat => !this.sending.has(chat));
+        const nextReady = Math.min(...waitingChats.map(chat => this.chatReadyAt.get(chat) || 0));
+        const delay = Number.isFinite(nextReady) ? Math.max(0, nextReady - now) : IDLE_RECHECK;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
         });
-        
-        this.metrics.pendingMessages = this.deliveryQueue.length;
-        
-        // Process queue if not already processing
-        if (!this.isProcessing) {
-            this.processQueue();
+    }
+
+    wake() {
+        if (this.wakeUp) {
+            const wakeUp = this.wakeUp;
+            this.wakeUp = null;
+            wakeUp();
         }
     }
 
     /**
-     * Process pending message queue
+     * Send queued messages as pacing allows
+     *
+     * Sends run concurrently across chats; the loop stops once every lane is
+     * empty and is restarted by the next queued message.
      */
     async processQueue() {
-        if (this.isProcessing || this.deliveryQueue.length === 0) {
+        if (this.isProcessing || !this.senders) {
+            this.wake();
             return;
         }
-        
+
         this.isProcessing = true;
-        
         try {
-            while (this.deliveryQueue.length > 0) {
-                const messageItem = this.deliveryQueue.shift();
-                this.metrics.pendingMessages = this.deliveryQueue.length;
-                
-                const startTime = Date.now();
-                
-                try {
-                    // Simulate message processing
-                    await this.simulateDelivery(messageItem);
-                    
-                    const deliveryTime = Date.now() - startTime;
-                    this.recordSuccess(deliveryTime);
-                    
-                } catch (error) {
-                    const deliveryTime = Date.now() - startTime;
-                    this.recordFailure(deliveryTime);
-                    logger.error('Message delivery failed:', error);
+            while (this.hasPending()) {
+                const message = this.takeReadyMessage(Date.now());
+                if (!message) {
+                    await this.waitForChat(Date.now());
+                    continue;
                 }
-                
-                // Small delay between messages to prevent overwhelming
-                await new Promise(resolve => setTimeout(resolve, 10));
+
+                // Hold the chat before waiting for the global rate
+                this.sending.set(String(message.chatId), message.id);
+                await this.bucket.take();
+                this.deliver(message);
             }
+        } catch (error) {
+            logger.error('Message queue stopped unexpectedly:', error);
         } finally {
             this.isProcessing = false;
         }
     }
 
+    async deliver(message) {
+        const chat = String(message.chatId);
+        const startTime = Date.now();
+        let readyAt = startTime + CHAT_INTERVAL;
+
+        try {
+            const result = await this.senders[message.method](message.chatId, ...message.args);
+            this.recordSuccess(Date.now() - startTime, startTime - message.enqueuedAt);
+            metrics.messages.inc({ lane: message.lane, result: 'sent' });
+            metrics.messageSendDuration.observe({ lane: message.lane }, (Date.now() - startTime) / 1000);
+            metrics.messageQueueDuration.observe({ lane: message.lane }, (startTime - message.enqueuedAt) / 1000);
+            await this.complete(message, null, result);
+        } catch (error) {
+            const retryAfter = getRetryAfter(error);
+            const chatFailure = classifyDeliveryError(error);
+            message.attempts++;
+
+            if (retryAfter !== null && message.attempts < MAX_ATTEMPTS) {
+                this.metrics.rateLimited++;
+                metrics.messages.inc({ lane: message.lane, result: 'rate_limited' });
+                readyAt = Date.now() + retryAfter * 1000;
+                // Whatever hit the limit, slow everything down briefly too
+                this.bucket.drain();
+                this.lanes[message.lane].unshift(message);
+                logger.warn(`Rate limited sending to chat ${chat}, retrying in ${retryAfter}s (attempt ${message.attempts})`);
+            } else if (chatFailure?.migrateToChatId && message.attempts < MAX_ATTEMPTS) {
+                this.lanes[message.lane].unshift(message);
+                await this.migrateChat(chat, chatFailure.migrateToChatId);
+            } else if (message.lane === 'bulk' && isTransientError(error) && message.attempts < MAX_ATTEMPTS) {
+                // Interactive callers get the error and decide themselves; alerts have no one waiting
+                const delay = RETRY_BASE_DELAY * Math.pow(2, message.attempts - 1);
+                metrics.messages.inc({ lane: message.lane, result: 'retried' });
+                readyAt = Date.now() + delay;
+                this.lanes[message.lane].unshift(message);
+                logger.warn(`Error sending to chat ${chat} (${error.message}), retrying in ${delay / 1000}s (attempt ${message.attempts})`);
+            } else {
+                this.recordFailure(Date.now() - startTime, startTime - message.enqueuedAt);
+                metrics.messages.inc({ lane: message.lane, result: 'failed' });
+                logger.error(`Failed to deliver message to chat ${chat}: ${error.message}`);
+                await this.complete(message, error);
+
+                if (chatFailure?.reason) {
+                    await this.dropChat(chat, error);
+                    chatCleanup.removeChat(chat, chatFailure.reason).catch(cleanupError => {
+                        logger.error(`Error removing chat ${chat}:`, cleanupError);
+                    });
+                }
+            }
+        } finally {
+            this.pruneChatReadyAt(Date.now());
+            this.chatReadyAt.set(chat, Math.max(this.chatReadyAt.get(chat) || 0, readyAt));
+            this.sending.delete(chat);
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Forget chats whose pacing has passed; a chat with no entry is ready
+     */
+    pruneChatReadyAt(now) {
+        for (const [chat, readyAt] of this.chatReadyAt) {
+            if (readyAt <= now) this.chatReadyAt.delete(chat);
+        }
+    }
+
+    /**
+     * Messages waiting for a chat, in every lane
+     */
+    getChatMessages(chat) {
+        return LANES.flatMap(lane => this.lanes[lane].filter(message => String(message.chatId) === chat));
+    }
+
     /**
-     * Simulate message delivery (replace with actual delivery logic)
+     * Fail everything still queued for a chat that can't be messaged
      */
-    async simulateDelivery(messageItem) {
-        // Simulate network delay
-        const delay = 50 + Math.random() * 200; // 50-250ms
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Simulate occasional failures (5% failure rate)
-        if (Math.random() < 0.05) {
-            throw new Error('Simulated delivery failure');
+    async dropChat(chat, error) {
+        const dropped = this.getChatMessages(chat);
+        LANES.forEach(lane => {
+            this.lanes[lane] = this.lanes[lane].filter(message => String(message.chatId) !== chat);
+        });
+
+        for (const message of dropped) {
+            this.recordFailure(0, Date.now() - message.enqueuedAt);
+            metrics.messages.inc({ lane: message.lane, result: 'failed' });
+            await this.complete(message, error);
+        }
+        if (dropped.length) {
+            logger.warn(`Dropped ${dropped.length} queued messages for unreachable chat ${chat}`);
+        }
+    }
+
+    /**
+     * Readdress a group's queued messages to the supergroup it became
+     */
+    async migrateChat(chat, newChatId) {
+        logger.info(`Chat ${chat} was upgraded to supergroup ${newChatId}, moving its messages`);
+
+        for (const message of this.getChatMessages(chat)) {
+            message.chatId = newChatId;
+            if (message.lane === 'bulk' && isReady()) {
+                await deliveryQueue.add(message).catch(error => {
+                    logger.warn(`Error updating queued message ${message.id}: ${error.message}`);
+                });
+            }
+        }
+
+        await chatCleanup.migrateChat(chat, newChatId).catch(error => {
+            logger.error(`Error migrating chat ${chat} to ${newChatId}:`, error);
+        });
+    }
+
+    /**
+     * Settle a message that was sent or given up on
+     */
+    async complete(message, error, result) {
+        if (message.lane === 'interactive') {
+            if (error) {
+                message.reject(error);
+            } else {
+                message.resolve(result);
+            }
+            return;
+        }
+
+        if (isReady()) {
+            try {
+                await deliveryQueue.remove(message.id);
+            } catch (removeError) {
+                logger.warn(`Error removing delivered message ${message.id}: ${removeError.message}`);
+            }
         }
-        
-        return true;
+    }
+
+    /**
+     * Get current message delivery metrics
+     */
+    getMetrics() {
+        const successRate = this.metrics.totalSent > 0
+            ? ((this.metrics.successfulDeliveries / this.metrics.totalSent) * 100).toFixed(1)
+            : '100.0';
+
+        return {
+            successRate: parseFloat(successRate),
+            totalSent: this.metrics.totalSent,
+            successfulDeliveries: this.metrics.successfulDeliveries,
+            failedDeliveries: this.metrics.failedDeliveries,
+            rateLimited: this.metrics.rateLimited,
+            averageDeliveryTime: Math.round(this.metrics.averageDeliveryTime),
+            averageQueueTime: Math.round(this.metrics.averageQueueTime),
+            pendingMessages: this.lanes.interactive.length + this.lanes.bulk.length,
+            lastDeliveryTime: this.metrics.lastDeliveryTime
+        };
+    }
+
+    /**
+     * Record a sent message
+     *
+     * @param {number} deliveryTime - Time the Telegram request took (ms)
+     * @param {number} queueTime - Time the message waited in the queue (ms)
+     */
+    recordSuccess(deliveryTime, queueTime) {
+        this.metrics.successfulDeliveries++;
+        this.metrics.lastDeliveryTime = Date.now();
+        this.recordAttempt(deliveryTime, queueTime);
+    }
+
+    /**
+     * Record a message that could not be delivered
+     */
+    recordFailure(deliveryTime, queueTime) {
+        this.metrics.failedDeliveries++;
+        this.recordAttempt(deliveryTime, queueTime);
+    }
+
+    recordAttempt(deliveryTime, queueTime) {
+        this.metrics.totalSent++;
+
+        // Running averages over every settled message
+        const count = this.metrics.totalSent;
+        this.metrics.averageDeliveryTime += (deliveryTime - this.metrics.averageDeliveryTime) / count;
+        this.metrics.averageQueueTime += (queueTime - this.metrics.averageQueueTime) / count;
     }
 
     /**
      * Get queue status
      */
     getQueueStatus() {
+        const oldest = Math.min(...LANES.flatMap(lane => this.lanes[lane].map(message => message.enqueuedAt)));
+
         return {
-            pendingMessages: this.deliveryQueue.length,
+            pendingMessages: this.lanes.interactive.length + this.lanes.bulk.length,
+            pendingInteractive: this.lanes.interactive.length,
+            pendingBulk: this.lanes.bulk.length,
+            sendingChats: this.sending.size,
             isProcessing: this.isProcessing,
-            oldestPendingMessage: this.deliveryQueue.length > 0 
-                ? Date.now() - this.deliveryQueue[0].timestamp 
-                : null
+            oldestPendingMessage: Number.isFinite(oldest) ? Date.now() - oldest : null
         };
     }
 
     /**
      * Clear all pending messages (emergency use)
      */
-    clearQueue() {
-        const clearedCount = this.deliveryQueue.length;
-        this.deliveryQueue = [];
-        this.metrics.pendingMessages = 0;
-        
+    async clearQueue() {
+        const clearedCount = this.lanes.interactive.length + this.lanes.bulk.length;
+
+        this.lanes.interactive.forEach(message => message.reject(new Error('Message queue cleared')));
+        this.lanes = { interactive: [], bulk: [] };
+        if (isReady()) {
+            await deliveryQueue.clear();
+        }
+
         logger.warn(`Cleared ${clearedCount} pending messages from delivery queue`);
         return clearedCount;
     }
@@ -178,17 +529,7 @@ class MessageDeliveryService {
      * Reset all metrics (useful for testing)
      */
     resetMetrics() {
-        this.metrics = {
-            totalSent: 0,
-            successfulDeliveries: 0,
-            failedDeliveries: 0,
-            averageDeliveryTime: 120,
-            pendingMessages: 0,
-            lastDeliveryTime: null
-        };
-        
-        this.deliveryQueue = [];
-        this.isProcessing = false;
+        this.metrics = createMetrics();
     }
 
     /**
@@ -196,9 +537,8 @@ class MessageDeliveryService {
      */
     getDetailedMetrics() {
         return {
-            ...this.metrics,
-            queueStatus: this.getQueueStatus(),
-            deliveryQueueLength: this.deliveryQueue.length
+            ...this.getMetrics(),
+            queueStatus: this.getQueueStatus()
         };
     }
 }
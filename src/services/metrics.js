@@ -0,0 +1,123 @@
+const { Registry } = require('../utils/prometheus');
+
+/**
+ * Prometheus Metrics
+ *
+ * The metrics served from the /metrics HTTP route. Counters and histograms
+ * are updated where the work happens (command registry, Vybe client
+ * bookkeeping, scheduler, alert service, delivery queue); queue depth and
+ * Redis latency are read when scraped.
+ */
+const registry = new Registry();
+
+// Most latencies are well under a second; alert checks and deliveries can queue for minutes
+const QUEUE_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const CHECK_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const metrics = {
+    commands: registry.counter({
+        name: 'vybewhale_commands_total',
+        help: 'Bot commands handled, by command and result (ok, error, denied, invalid)',
+        labelNames: ['command', 'result']
+    }),
+    commandDuration: registry.histogram({
+        name: 'vybewhale_command_duration_seconds',
+        help: 'Time to handle a bot command',
+        labelNames: ['command']
+    }),
+
+    vybeRequests: registry.counter({
+        name: 'vybewhale_vybe_requests_total',
+        help: 'Vybe API requests, by endpoint and HTTP status (or error code when there was no response)',
+        labelNames: ['endpoint', 'status']
+    }),
+    vybeRequestDuration: registry.histogram({
+        name: 'vybewhale_vybe_request_duration_seconds',
+        help: 'Vybe API request latency',
+        labelNames: ['endpoint']
+    }),
+
+    alertChecks: registry.counter({
+        name: 'vybewhale_alert_checks_total',
+        help: 'Alert checks run by the scheduler, by type and result (ok, error)',
+        labelNames: ['type', 'result']
+    }),
+    alertCheckDuration: registry.histogram({
+        name: 'vybewhale_alert_check_duration_seconds',
+        help: 'Time to run one alert check',
+        labelNames: ['type'],
+        buckets: CHECK_BUCKETS
+    }),
+    alertsSent: registry.counter({
+        name: 'vybewhale_alerts_sent_total',
+        help: 'Alerts queued for delivery, by type',
+        labelNames: ['type']
+    }),
+
+    messages: registry.counter({
+        name: 'vybewhale_messages_total',
+        help: 'Outbound Telegram messages, by lane and result (sent, failed, rate_limited, retried)',
+        labelNames: ['lane', 'result']
+    }),
+    messageSendDuration: registry.histogram({
+        name: 'vybewhale_message_send_duration_seconds',
+        help: 'Telegram send request latency',
+        labelNames: ['lane']
+    }),
+    messageQueueDuration: registry.histogram({
+        name: 'vybewhale_message_queue_duration_seconds',
+        help: 'Time a message waited in the delivery queue before it was sent',
+        labelNames: ['lane'],
+        buckets: QUEUE_BUCKETS
+    }),
+    queueDepth: registry.gauge({
+        name: 'vybewhale_delivery_queue_depth',
+        help: 'Messages waiting in the delivery queue, by lane',
+        labelNames: ['lane'],
+        collect: (gauge) => {
+            // Required lazily: the delivery service records into these metrics
+            const status = require('./messageDeliveryService').getQueueStatus();
+            gauge.set({ lane: 'interactive' }, status.pendingInteractive);
+            gauge.set({ lane: 'bulk' }, status.pendingBulk);
+        }
+    }),
+
+    redisUp: registry.gauge({
+        name: 'vybewhale_redis_up',
+        help: 'Whether Redis answered a ping (1) or not (0)'
+    }),
+    redisPing: registry.gauge({
+        name: 'vybewhale_redis_ping_seconds',
+        help: 'Redis ping round trip at the last scrape',
+        collect: async (gauge) => {
+            const database = await require('./monitoringService').checkDatabase();
+            metrics.redisUp.set({}, database.latency === null ? 0 : 1);
+            if (database.latency === null) {
+                gauge.reset();
+            } else {
+                gauge.set({}, database.latency / 1000);
+            }
+        }
+    }),
+
+    uptime: registry.gauge({
+        name: 'vybewhale_uptime_seconds',
+        help: 'Seconds since the process started',
+        collect: (gauge) => gauge.set({}, process.uptime())
+    })
+};
+
+/**
+ * Render every metric for a scrape
+ *
+ * @returns {Promise<string>} - Prometheus text exposition format
+ */
+function render() {
+    return registry.render();
+}
+
+module.exports = {
+    ...metrics,
+    render,
+    CONTENT_TYPE: Registry.CONTENT_TYPE
+};
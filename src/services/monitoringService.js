@@ -1,9 +1,70 @@
 const logger = require('../utils/logger');
+const redisManager = require('../utils/redis');
+const apiService = require('./apiService');
+const messageDeliveryService = require('./messageDeliveryService');
 
 /**
- * Basic Monitoring Service
- * Provides system health and performance monitoring
+ * Monitoring Service
+ *
+ * Derives the bot's health from live signals, one component at a time:
+ *
+ *   - bot: how recently Telegram polling returned
+ *   - api: the Vybe breaker state and rolling success rate (apiService)
+ *   - alerts: when the scheduler loops last ran and how overdue their jobs are
+ *   - delivery: outbound queue depth and the age of its oldest message
+ *   - database: Redis ping latency
+ *
+ * Each component is healthy, degraded or unhealthy; the overall status is
+ * the worst of them, and the /health route answers 503 when it is unhealthy.
+ * Only local failures (Telegram polling, Redis, a stalled scheduler loop) can
+ * be unhealthy: trouble upstream (the Vybe API, Telegram rate limits, slow
+ * alert scans) and startup are degraded, since restarting the bot over them
+ * would not help.
  */
+
+const STATUS_ORDER = ['healthy', 'degraded', 'unhealthy'];
+
+// [Degraded, unhealthy] thresholds of local signals; upstream signals only
+// have a degraded threshold
+const THRESHOLDS = {
+    pollAge: [60 * 1000, 3 * 60 * 1000], // since polling last returned (ms)
+    apiSuccessRate: 90, // rolling success rate (%), degraded below
+    apiMinCalls: 10, // rolling calls needed before the success rate counts
+    schedulerLag: 2 * 60 * 1000, // most overdue alert job (ms)
+    schedulerStall: 60 * 1000, // since a scheduler loop last ran, beyond its tick interval (ms)
+    queueDepth: 500, // messages waiting for delivery
+    queueAge: 5 * 60 * 1000, // oldest waiting message (ms)
+    redisLatency: [250, 1000] // ping round trip (ms)
+};
+
+// Ping attempts slower than this count as failed (ms)
+const REDIS_PING_TIMEOUT = 2000;
+
+/**
+ * Grade a value against [degraded, unhealthy] limits
+ *
+ * @param {boolean} [lowerIsWorse=false] - For values such as success rates
+ */
+function grade(value, [degraded, unhealthy], lowerIsWorse = false) {
+    const worse = (limit) => lowerIsWorse ? value < limit : value > limit;
+    if (worse(unhealthy)) return 'unhealthy';
+    if (worse(degraded)) return 'degraded';
+    return 'healthy';
+}
+
+function degradedIf(condition) {
+    return condition ? 'degraded' : 'healthy';
+}
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'healthy');
+}
+
+function formatSeconds(ms) {
+    return `${Math.round(ms / 1000)}s`;
+}
+
 class MonitoringService {
     constructor() {
         this.startTime = Date.now();
@@ -15,52 +76,201 @@ class MonitoringService {
                 errorRate: 0,
                 errors: 0
             },
-            alerts: {
-                totalSent: 0,
-                successfulDeliveries: 0,
-                averageDeliveryTime: 150
+            telegram: {
+                lastPoll: null,
+                lastPollingError: null
             },
             system: {
                 memoryUsage: 0
             }
         };
         this.performance = {
-            history: [],
-            trends: {
-                apiSuccessRate: 'stable',
-                trend: '0.00'
-            }
+            history: []
         };
-        
+        this.alertService = null;
+
         // Update system metrics periodically
         this.updateInterval = setInterval(() => {
             this.updateSystemMetrics();
         }, 60000); // Every minute
     }
 
+    /**
+     * Record when Telegram polling returns
+     *
+     * Wraps bot.getUpdates, which the library's polling loop calls for every
+     * long poll, empty or not.
+     */
+    watchBot(bot) {
+        const getUpdates = bot.getUpdates.bind(bot);
+        bot.getUpdates = async (...args) => {
+            const updates = await getUpdates(...args);
+            this.metrics.telegram.lastPoll = Date.now();
+            return updates;
+        };
+    }
+
+    /**
+     * Watch an alert service's scheduler loops
+     */
+    setAlertService(alertService) {
+        this.alertService = alertService;
+    }
+
+    recordPollingError(error) {
+        this.metrics.telegram.lastPollingError = {
+            time: Date.now(),
+            message: error.message || String(error)
+        };
+    }
+
+    /**
+     * Telegram polling freshness
+     */
+    checkBot() {
+        const { lastPoll, lastPollingError } = this.metrics.telegram;
+        // Until the first poll returns, measure from startup
+        const pollAge = Date.now() - (lastPoll || this.startTime);
+        const status = grade(pollAge, THRESHOLDS.pollAge);
+
+        let detail = lastPoll ? `last poll ${formatSeconds(pollAge)} ago` : 'no poll yet';
+        if (status !== 'healthy' && lastPollingError) {
+            detail += `, last error: ${lastPollingError.message}`;
+        }
+        return { status, detail, pollAge };
+    }
+
+    /**
+     * Vybe API breaker state and rolling success rate
+     */
+    checkApi() {
+        const health = apiService.getHealthStatus();
+        const rolling = apiService.getRollingStats();
+
+        const status = degradedIf(
+            health.circuitBreakerState !== 'closed' ||
+            (rolling.calls >= THRESHOLDS.apiMinCalls && rolling.successRate < THRESHOLDS.apiSuccessRate)
+        );
+
+        return {
+            status,
+            detail: `breaker ${health.circuitBreakerState}, ${rolling.successRate}% of ${rolling.calls} recent calls ok`,
+            circuitBreakerState: health.circuitBreakerState,
+            successRate: rolling.successRate,
+            calls: rolling.calls
+        };
+    }
+
+    /**
+     * Alert scheduler loop activity and job lag
+     */
+    checkAlerts() {
+        const scheduler = this.alertService?.scheduler;
+        if (!scheduler) {
+            // Still starting up
+            return { status: 'degraded', detail: 'scheduler not running', types: {} };
+        }
+
+        const now = Date.now();
+        const stallLimit = scheduler.tickInterval + THRESHOLDS.schedulerStall;
+        const types = scheduler.getStats();
+        const statuses = [];
+        let maxLag = 0;
+        const stalled = [];
+
+        for (const [type, stats] of Object.entries(types)) {
+            // A loop that hasn't ticked since startup is measured from startup
+            if (now - (stats.lastTick || this.startTime) > stallLimit) {
+                stalled.push(type);
+                statuses.push('unhealthy');
+            }
+            maxLag = Math.max(maxLag, stats.lag);
+        }
+        // Jobs fall behind when the Vybe API is slow or backing off
+        statuses.push(degradedIf(maxLag > THRESHOLDS.schedulerLag));
+
+        let detail = `max lag ${formatSeconds(maxLag)}`;
+        if (stalled.length) detail += `, stalled: ${stalled.join(', ')}`;
+        return { status: worstStatus(statuses), detail, maxLag, types };
+    }
+
+    /**
+     * Outbound message queue depth and age
+     */
+    checkDelivery() {
+        const queue = messageDeliveryService.getQueueStatus();
+        const oldest = queue.oldestPendingMessage || 0;
+        // The queue backs up when Telegram throttles us, which a restart would not fix
+        const status = degradedIf(queue.pendingMessages > THRESHOLDS.queueDepth || oldest > THRESHOLDS.queueAge);
+
+        return {
+            status,
+            detail: `${queue.pendingMessages} queued` + (oldest ? `, oldest ${formatSeconds(oldest)}` : ''),
+            ...queue
+        };
+    }
+
+    /**
+     * Redis ping latency
+     */
+    async checkDatabase() {
+        const client = redisManager.getClient();
+        if (!client?.isReady) {
+            return { status: 'unhealthy', detail: 'not connected', latency: null };
+        }
+
+        const startTime = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                client.ping(),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('ping timed out')), REDIS_PING_TIMEOUT);
+                })
+            ]);
+        } catch (error) {
+            return { status: 'unhealthy', detail: error.message, latency: null };
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const latency = Date.now() - startTime;
+        return { status: grade(latency, THRESHOLDS.redisLatency), detail: `ping ${latency}ms`, latency };
+    }
+
     /**
      * Get comprehensive health report
      */
-    getHealthReport() {
+    async getHealthReport() {
         const uptime = Date.now() - this.startTime;
         const uptimeFormatted = this.formatUptime(uptime);
-        
+
+        const components = {
+            bot: this.checkBot(),
+            api: this.checkApi(),
+            alerts: this.checkAlerts(),
+            delivery: this.checkDelivery(),
+            database: await this.checkDatabase()
+        };
+        const overall = worstStatus(Object.values(components).map(component => component.status));
+
         return {
             status: {
-                overall: 'healthy',
+                overall,
                 lastHealthCheck: Date.now(),
-                components: {
-                    bot: 'healthy',
-                    api: 'healthy',
-                    alerts: 'healthy',
-                    database: 'healthy'
-                }
+                components: Object.fromEntries(
+                    Object.entries(components).map(([name, component]) => [name, component.status])
+                )
             },
+            components,
             uptime: {
                 milliseconds: uptime,
                 formatted: uptimeFormatted
             },
-            metrics: this.metrics,
+            metrics: {
+                ...this.metrics,
+                delivery: messageDeliveryService.getMetrics()
+            },
             performance: this.performance
         };
     }
@@ -73,19 +283,19 @@ class MonitoringService {
             // Update memory usage
             const memUsage = process.memoryUsage();
             this.metrics.system.memoryUsage = (memUsage.heapUsed / memUsage.heapTotal) * 100;
-            
+
             // Add to performance history
             this.performance.history.push({
                 timestamp: Date.now(),
-                apiSuccessRate: 95 + Math.random() * 5, // Mock 95-100% success rate
+                apiSuccessRate: apiService.getRollingStats().successRate,
                 memoryUsage: this.metrics.system.memoryUsage
             });
-            
+
             // Keep only last 60 data points (1 hour)
             if (this.performance.history.length > 60) {
                 this.performance.history = this.performance.history.slice(-60);
             }
-            
+
         } catch (error) {
             logger.error('Error updating system metrics:', error);
         }
@@ -120,22 +330,6 @@ class MonitoringService {
         this.metrics.bot.errorRate = totalOperations > 0 ? (this.metrics.bot.errors / totalOperations) * 100 : 0;
     }
 
-    /**
-     * Record an alert sent
-     */
-    recordAlert(successful = true, deliveryTime = 150) {
-        this.metrics.alerts.totalSent++;
-        if (successful) {
-            this.metrics.alerts.successfulDeliveries++;
-        }
-        
-        // Update average delivery time
-        const currentAvg = this.metrics.alerts.averageDeliveryTime;
-        const totalDeliveries = this.metrics.alerts.successfulDeliveries;
-        this.metrics.alerts.averageDeliveryTime = 
-            ((currentAvg * (totalDeliveries - 1)) + deliveryTime) / totalDeliveries;
-    }
-
     /**
      * Format uptime in human readable format
      */
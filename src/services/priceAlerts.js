@@ -0,0 +1,247 @@
+/**
+ * Price and Market Cap Alerts
+ *
+ * An alert watches one token's price or market cap from `get_token_details`:
+ *
+ *   - above / below: fires when the value crosses a USD target
+ *   - change: fires when the price moves by a percentage within a window;
+ *     `+10` only counts rises, `-10` only drops and `10` either way
+ *
+ * The 24h window compares against `price1d`. Shorter windows compare against
+ * prices sampled by the alert checks themselves, so they only fire once the
+ * samples cover the window.
+ *
+ * One-shot alerts are deleted when they fire. Re-arming alerts are disarmed
+ * instead, and armed again once the condition clears by REARM_MARGIN, so a
+ * value hovering around the target does not fire on every check.
+ */
+const { formatNumber, formatLargeNumber } = require('../utils/formatter');
+
+const METRICS = ['price', 'marketCap'];
+const CONDITIONS = ['above', 'below', 'change'];
+const ALERT_MODES = ['once', 'rearm'];
+const DEFAULT_ALERT_MODE = 'once';
+
+// Change windows (ms); '24h' uses price1d, the others sampled prices
+const CHANGE_WINDOWS = {
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
+};
+
+// How long sampled prices are kept: the longest sampled window, plus slack
+const PRICE_HISTORY_RETENTION = CHANGE_WINDOWS['4h'] + 15 * 60 * 1000;
+
+// How far a value must move back past the target before an alert re-arms
+const REARM_MARGIN = 0.01; // 1%
+
+const MAX_ALERTS_PER_CHAT = 20;
+
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a USD amount such as "1.5", "$2,000" or "10m"
+ *
+ * @returns {number|null} - The amount, or null when invalid
+ */
+function parseAmount(input) {
+    const match = (input || '').replace(/[$,]/g, '').toLowerCase().match(/^(\d+(?:\.\d+)?)([kmb])?$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]) * (AMOUNT_SUFFIXES[match[2]] || 1);
+    return amount > 0 ? amount : null;
+}
+
+/**
+ * Parse alert arguments following the token address
+ *
+ * Price: `above|below <usd> [once|rearm]` or `change <pct> <window> [once|rearm]`
+ * Market cap: `above|below <usd> [once|rearm]`
+ *
+ * @param {string} metric - 'price' or 'marketCap'
+ * @param {Array<string>} args - Arguments after the token address
+ * @returns {Object} - { alert } with the parsed fields, or { error }
+ */
+function parsePriceAlertArgs(metric, args) {
+    const [conditionArg = '', ...rest] = args;
+    const condition = conditionArg.toLowerCase();
+    const allowed = metric === 'price' ? CONDITIONS : ['above', 'below'];
+
+    if (!allowed.includes(condition)) {
+        return { error: `Invalid condition: ${conditionArg || '(none)'}\nUse one of: ${allowed.join(', ')}` };
+    }
+
+    if (condition === 'change') {
+        const [pctArg, windowArg, modeArg, ...extra] = rest;
+
+        const match = (pctArg || '').replace('%', '').match(/^([+-])?(\d+(?:\.\d+)?)$/);
+        const percent = match ? parseFloat(match[2]) : NaN;
+        if (!match || percent <= 0) {
+            return { error: `Invalid percentage: ${pctArg || '(none)'}\nExpected e.g. 10, +10 or -10.` };
+        }
+
+        const window = (windowArg || '').toLowerCase();
+        if (!CHANGE_WINDOWS[window]) {
+            return { error: `Invalid window: ${windowArg || '(none)'}\nUse one of: ${Object.keys(CHANGE_WINDOWS).join(', ')}` };
+        }
+
+        const modeError = checkModeArgs(modeArg, extra);
+        if (modeError) return { error: modeError };
+
+        const direction = match[1] === '+' ? 'up' : match[1] === '-' ? 'down' : 'any';
+        return { alert: { metric, condition, target: percent, direction, window, mode: parseMode(modeArg) } };
+    }
+
+    const [amountArg, modeArg, ...extra] = rest;
+    const target = parseAmount(amountArg);
+    if (!target) {
+        return { error: `Invalid USD amount: ${amountArg || '(none)'}\nExpected e.g. 1.25, 50000 or 10m.` };
+    }
+
+    const modeError = checkModeArgs(modeArg, extra);
+    if (modeError) return { error: modeError };
+
+    return { alert: { metric, condition, target, mode: parseMode(modeArg) } };
+}
+
+function parseMode(modeArg) {
+    if (modeArg === undefined) return DEFAULT_ALERT_MODE;
+    const mode = modeArg.toLowerCase();
+    return ALERT_MODES.includes(mode) ? mode : null;
+}
+
+function checkModeArgs(modeArg, extra) {
+    if (!parseMode(modeArg)) return `Invalid mode: ${modeArg}\nUse one of: ${ALERT_MODES.join(', ')}`;
+    if (extra.length) return `Unexpected argument: ${extra[0]}`;
+    return null;
+}
+
+/**
+ * Whether an alert compares against sampled prices rather than price1d
+ */
+function needsPriceHistory(alert) {
+    return alert.condition === 'change' && alert.window !== '24h';
+}
+
+/**
+ * Append a price sample and drop the ones no window needs anymore
+ *
+ * @param {Array} history - [timestamp, price] samples, oldest first
+ * @param {number} price - Current price
+ * @param {number} now - Current time (ms)
+ * @returns {Array} - Updated samples
+ */
+function recordPriceSample(history, price, now = Date.now()) {
+    return [...history, [now, price]].filter(([timestamp]) => timestamp >= now - PRICE_HISTORY_RETENTION);
+}
+
+/**
+ * The last sampled price at or before `since`, or null if sampling started later
+ */
+function getReferencePrice(history, since) {
+    let reference = null;
+    for (const [timestamp, price] of history) {
+        if (timestamp > since) break;
+        reference = price;
+    }
+    return reference;
+}
+
+/**
+ * Evaluate an alert against current token details
+ *
+ * @param {Object} alert - Stored alert
+ * @param {Object} tokenInfo - `get_token_details` response
+ * @param {Array} history - Sampled prices for the token
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} - { met, cleared, value, change }, or null when the data needed is missing
+ */
+function evaluatePriceAlert(alert, tokenInfo, history = [], now = Date.now()) {
+    const value = parseFloat(alert.metric === 'marketCap' ? tokenInfo.marketCap : tokenInfo.price);
+    if (!(value > 0)) return null;
+
+    if (alert.condition === 'above') {
+        return {
+            value,
+            met: value >= alert.target,
+            cleared: value < alert.target * (1 - REARM_MARGIN)
+        };
+    }
+
+    if (alert.condition === 'below') {
+        return {
+            value,
+            met: value <= alert.target,
+            cleared: value > alert.target * (1 + REARM_MARGIN)
+        };
+    }
+
+    const reference = needsPriceHistory(alert)
+        ? getReferencePrice(history, now - CHANGE_WINDOWS[alert.window])
+        : parseFloat(tokenInfo.price1d);
+    if (!(reference > 0)) return null;
+
+    const change = ((value - reference) / reference) * 100;
+    const move = alert.direction === 'up' ? change : alert.direction === 'down' ? -change : Math.abs(change);
+
+    return {
+        value,
+        change,
+        met: move >= alert.target,
+        cleared: move < alert.target * (1 - REARM_MARGIN)
+    };
+}
+
+/**
+ * Decide what to do with an alert after evaluating it
+ *
+ * @returns {string|null} - 'trigger', 'rearm', or null to leave it as it is
+ */
+function getAlertTransition(alert, evaluation) {
+    if (!evaluation) return null;
+    if (alert.armed && evaluation.met) return 'trigger';
+    if (!alert.armed && evaluation.cleared) return 'rearm';
+    return null;
+}
+
+function formatPrice(price) {
+    return price < 0.01 ? `$${price.toPrecision(4)}` : `$${formatNumber(price, 4)}`;
+}
+
+/**
+ * Format a price or market cap for display
+ */
+function formatAlertValue(metric, value) {
+    return metric === 'marketCap' ? `$${formatLargeNumber(value)}` : formatPrice(value);
+}
+
+/**
+ * Describe an alert's condition, e.g. "Price above $1.50" or "Price up 10% in 1h"
+ */
+function describePriceAlert(alert) {
+    const label = alert.metric === 'marketCap' ? 'Market cap' : 'Price';
+
+    if (alert.condition === 'change') {
+        const movement = { up: 'up', down: 'down', any: 'moves' }[alert.direction];
+        return `${label} ${movement} ${alert.target}% in ${alert.window}`;
+    }
+
+    return `${label} ${alert.condition} ${formatAlertValue(alert.metric, alert.target)}`;
+}
+
+module.exports = {
+    METRICS,
+    CONDITIONS,
+    ALERT_MODES,
+    CHANGE_WINDOWS,
+    PRICE_HISTORY_RETENTION,
+    MAX_ALERTS_PER_CHAT,
+    parsePriceAlertArgs,
+    needsPriceHistory,
+    recordPriceSample,
+    evaluatePriceAlert,
+    getAlertTransition,
+    formatAlertValue,
+    describePriceAlert
+};
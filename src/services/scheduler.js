@@ -0,0 +1,257 @@
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+/**
+ * Persistent Job Scheduler
+ *
+ * Every tracked item (a token, a wallet...) is a job with its own next-run
+ * time, stored as the score of a Redis sorted set per job type:
+ *
+ *   scheduler:${type}:queue     - sorted set of job ids scored by next run (ms)
+ *   scheduler:${type}:failures  - hash of job id -> consecutive failure count
+ *
+ * Job membership is synced from a source Redis set (e.g. `tracked_wallets`),
+ * so schedules survive restarts and new items are spread across one interval
+ * instead of all running at once. Each job type has its own loop and
+ * concurrency limit, so a slow type cannot delay the others.
+ */
+class JobScheduler {
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.tickInterval = options.tickInterval || 5000;
+        this.types = new Map();
+        this.timers = new Map();
+        this.running = false;
+    }
+
+    /**
+     * Register a job type
+     *
+     * @param {string} type - Job type name (e.g. 'whale')
+     * @param {Object} config - Job type configuration
+     * @param {string} config.source - Redis set holding the job ids
+     * @param {Function} config.handler - async (jobId) => void, throws on failure
+     * @param {number} config.interval - Time between runs of the same job (ms)
+     * @param {number} [config.concurrency=1] - Maximum jobs of this type running at once
+     * @param {number} [config.jitter=0.1] - Random spread applied to each interval (fraction)
+     * @param {number} [config.maxBackoff] - Upper bound for failure backoff (ms)
+     */
+    register(type, config) {
+        this.types.set(type, {
+            concurrency: 1,
+            jitter: 0.1,
+            maxBackoff: config.interval * 16,
+            ...config,
+            inFlight: new Set(),
+            stats: {
+                runs: 0,
+                failures: 0,
+                lastRun: null,
+                lastError: null,
+                lastTick: null,
+                lag: 0,
+                queued: 0,
+                due: 0
+            }
+        });
+    }
+
+    /**
+     * Start a loop for every registered job type
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        for (const type of this.types.keys()) {
+            this.scheduleTick(type, 0);
+        }
+
+        logger.info(`Job scheduler started for: ${[...this.types.keys()].join(', ')}`);
+    }
+
+    /**
+     * Stop all loops; jobs already running are allowed to finish
+     */
+    stop() {
+        this.running = false;
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        logger.info('Job scheduler stopped');
+    }
+
+    scheduleTick(type, delay) {
+        if (!this.running) return;
+
+        const timer = setTimeout(async () => {
+            try {
+                if (this.redis?.isReady) {
+                    await this.tick(type);
+                }
+            } catch (error) {
+                logger.error(`Scheduler tick failed for ${type}:`, error);
+            } finally {
+                this.scheduleTick(type, this.tickInterval);
+            }
+        }, delay);
+
+        this.timers.set(type, timer);
+    }
+
+    /**
+     * Sync job membership and start any due jobs within the concurrency limit
+     */
+    async tick(type) {
+        const config = this.types.get(type);
+        await this.syncJobs(type);
+
+        const now = Date.now();
+        const queueKey = this.queueKey(type);
+
+        // How long the most overdue job has waited; running jobs are leased into the future
+        const [oldest] = await this.redis.zRangeWithScores(queueKey, 0, 0);
+        config.stats.lag = oldest ? Math.max(0, now - oldest.score) : 0;
+        config.stats.lastTick = now;
+
+        const available = config.concurrency - config.inFlight.size;
+        if (available <= 0) return;
+
+        const dueJobs = await this.redis.zRangeByScore(queueKey, 0, now, {
+            LIMIT: { offset: 0, count: available + config.inFlight.size }
+        });
+        config.stats.due = dueJobs.length;
+
+        for (const jobId of dueJobs) {
+            if (config.inFlight.size >= config.concurrency) break;
+            if (config.inFlight.has(jobId)) continue;
+
+            // Lease the job so it is not picked up again while running; if the
+            // process dies mid-run the job becomes due again once the lease expires
+            const lease = now + Math.max(config.interval, 5 * 60 * 1000);
+            await this.redis.zAdd(queueKey, { score: lease, value: jobId }, { XX: true });
+
+            config.inFlight.add(jobId);
+            this.runJob(type, jobId)
+                .catch(error => {
+                    // Rescheduling failed (e.g. Redis went away); the lease makes the job due again
+                    logger.error(`Error rescheduling ${type} job ${jobId}: ${error.message}`);
+                })
+                .finally(() => {
+                    config.inFlight.delete(jobId);
+                });
+        }
+    }
+
+    /**
+     * Add jobs for new source members and drop jobs whose member is gone
+     */
+    async syncJobs(type) {
+        const config = this.types.get(type);
+        const queueKey = this.queueKey(type);
+
+        const [members, queued] = await Promise.all([
+            this.redis.sMembers(config.source),
+            this.redis.zRange(queueKey, 0, -1)
+        ]);
+
+        const memberSet = new Set(members);
+        const queuedSet = new Set(queued);
+
+        // Spread new jobs across one interval so they don't all run at once
+        const now = Date.now();
+        const newJobs = members
+            .filter(jobId => !queuedSet.has(jobId))
+            .map(jobId => ({ score: now + Math.floor(Math.random() * config.interval), value: jobId }));
+
+        if (newJobs.length) {
+            await this.redis.zAdd(queueKey, newJobs, { NX: true });
+            logger.info(`Scheduled ${newJobs.length} new ${type} job(s)`);
+        }
+
+        const staleJobs = queued.filter(jobId => !memberSet.has(jobId));
+        if (staleJobs.length) {
+            await this.redis.zRem(queueKey, staleJobs);
+            await this.redis.hDel(this.failuresKey(type), staleJobs);
+            logger.info(`Removed ${staleJobs.length} stale ${type} job(s)`);
+        }
+
+        config.stats.queued = members.length;
+    }
+
+    /**
+     * Run a single job and reschedule it based on the outcome
+     */
+    async runJob(type, jobId) {
+        const config = this.types.get(type);
+        const queueKey = this.queueKey(type);
+        const failuresKey = this.failuresKey(type);
+        const startTime = Date.now();
+
+        try {
+            await config.handler(jobId);
+
+            metrics.alertChecks.inc({ type, result: 'ok' });
+            metrics.alertCheckDuration.observe({ type }, (Date.now() - startTime) / 1000);
+            config.stats.runs++;
+            config.stats.lastRun = Date.now();
+
+            await this.redis.hDel(failuresKey, jobId);
+            await this.redis.zAdd(queueKey, { score: this.nextRunTime(config, config.interval), value: jobId }, { XX: true });
+        } catch (error) {
+            metrics.alertChecks.inc({ type, result: 'error' });
+            metrics.alertCheckDuration.observe({ type }, (Date.now() - startTime) / 1000);
+            config.stats.failures++;
+            config.stats.lastRun = Date.now();
+            config.stats.lastError = error.message || String(error);
+
+            // Exponential backoff on consecutive failures
+            const failures = await this.redis.hIncrBy(failuresKey, jobId, 1);
+            const backoff = Math.min(config.interval * Math.pow(2, failures), config.maxBackoff);
+
+            await this.redis.zAdd(queueKey, { score: this.nextRunTime(config, backoff), value: jobId }, { XX: true });
+
+            // The job was removed while it ran: don't leave its failure count behind
+            if (await this.redis.zScore(queueKey, jobId) === null) {
+                await this.redis.hDel(failuresKey, jobId);
+                return;
+            }
+            logger.warn(`${type} job ${jobId} failed (${failures} in a row), retrying in ${Math.round(backoff / 1000)}s: ${config.stats.lastError}`);
+        }
+    }
+
+    /**
+     * Calculate the next run time with jitter applied
+     */
+    nextRunTime(config, delay) {
+        const spread = delay * config.jitter * (Math.random() * 2 - 1);
+        return Date.now() + Math.max(0, Math.round(delay + spread));
+    }
+
+    queueKey(type) {
+        return `scheduler:${type}:queue`;
+    }
+
+    failuresKey(type) {
+        return `scheduler:${type}:failures`;
+    }
+
+    /**
+     * Get scheduler statistics per job type
+     */
+    getStats() {
+        const stats = {};
+        for (const [type, config] of this.types.entries()) {
+            stats[type] = {
+                ...config.stats,
+                inFlight: config.inFlight.size,
+                concurrency: config.concurrency,
+                interval: config.interval
+            };
+        }
+        return stats;
+    }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,182 @@
+/**
+ * Token Trade Feed
+ *
+ * Values a token's recent DEX swaps in USD for /trades: the large swaps,
+ * newest first, and the balance of buying and selling over the window.
+ * The valued trades also feed the flow analytics in tradeFlow.
+ *
+ * Trades are priced in their counter token (usually SOL or USDC), so each
+ * swap is valued at the counter token's USD price; trades against a token
+ * without a price fall back to the traded token's current price.
+ */
+const logger = require('../utils/logger');
+const vybeApi = require('./vybeApi');
+const { getTokenTrades, getDexName, SUPPORTED_PROGRAMS } = require('./vybeApi/tokenTrades');
+
+const DEFAULT_TRADE_HOURS = 24;
+const MAX_TRADE_HOURS = 168;
+
+// Trades fetched per window, the most the API returns in one page
+const TRADE_FETCH_LIMIT = 1000;
+
+// Smallest swap listed in the feed; smaller ones still count towards pressure
+const MIN_TRADE_USD = parseFloat(process.env.TRADES_MIN_USD) || 1000;
+
+function normalizeDexName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find a DEX by name, e.g. "raydium v4", "whirlpool" or "jupiter"
+ *
+ * Matches a whole name, a name's first word, or the start of a name, in
+ * that order, ignoring case, spaces and punctuation.
+ *
+ * @param {string} query - DEX name as typed
+ * @returns {Object} - { name, programId }, or { matches } when the name is ambiguous or unknown
+ */
+function findDex(query) {
+    const wanted = normalizeDexName(query);
+    const names = Object.keys(SUPPORTED_PROGRAMS);
+
+    const exact = names.filter(name => normalizeDexName(name) === wanted);
+    const words = names.filter(name => name.split(/\s+/).some(word => normalizeDexName(word) === wanted));
+    const prefix = names.filter(name => normalizeDexName(name).startsWith(wanted));
+
+    const matches = [exact, words, prefix].find(candidates => candidates.length > 0) || [];
+    if (wanted && matches.length === 1) {
+        return { name: matches[0], programId: SUPPORTED_PROGRAMS[matches[0]] };
+    }
+    return { matches };
+}
+
+/**
+ * USD prices of the tokens trades were priced in
+ *
+ * @returns {Promise<Map>} - mint -> price, for tokens that have one
+ */
+async function getCounterPrices(mints) {
+    const prices = new Map();
+    await Promise.all(mints.map(async mint => {
+        try {
+            const price = parseFloat((await vybeApi.getTokenInfo(mint))?.price);
+            if (price > 0) prices.set(mint, price);
+        } catch (error) {
+            logger.warn(`No price for trade counter token ${mint}: ${error.message}`);
+        }
+    }));
+    return prices;
+}
+
+/**
+ * Value a trade from getTokenTrades in USD
+ *
+ * @returns {Object|null} - Feed entry, or null when the trade can't be valued
+ */
+function valueTrade(trade, mintAddress, tokenPrice, counterPrices) {
+    const [baseMint, quoteMint] = trade.pair.split('/');
+    const tokenIsBase = baseMint === mintAddress;
+    const tokenAmount = Math.abs(parseFloat(tokenIsBase ? trade.baseSize : trade.quoteSize));
+    const counterAmount = Math.abs(parseFloat(tokenIsBase ? trade.quoteSize : trade.baseSize));
+    const counterPrice = counterPrices.get(tokenIsBase ? quoteMint : baseMint);
+
+    const valueUsd = counterPrice ? counterAmount * counterPrice : tokenAmount * tokenPrice;
+    if (!(tokenAmount > 0) || !(valueUsd > 0)) return null;
+
+    return {
+        side: trade.direction === 'Buy' ? 'buy' : 'sell',
+        dex: getDexName(trade.programId) || 'Other',
+        trader: trade.authorityAddress || trade.feePayer,
+        amount: tokenAmount,
+        priceUsd: valueUsd / tokenAmount,
+        valueUsd,
+        time: trade.blockTime * 1000,
+        signature: trade.signature
+    };
+}
+
+/**
+ * Buy and sell totals over a set of valued trades
+ *
+ * @returns {Object} - { buys, sells, buyUsd, sellUsd, buyShare (% of USD volume bought) }
+ */
+function getTradePressure(trades) {
+    const pressure = { buys: 0, sells: 0, buyUsd: 0, sellUsd: 0, buyShare: 0 };
+    trades.forEach(trade => {
+        if (trade.side === 'buy') {
+            pressure.buys++;
+            pressure.buyUsd += trade.valueUsd;
+        } else {
+            pressure.sells++;
+            pressure.sellUsd += trade.valueUsd;
+        }
+    });
+
+    const volume = pressure.buyUsd + pressure.sellUsd;
+    pressure.buyShare = volume > 0 ? (pressure.buyUsd / volume) * 100 : 0;
+    return pressure;
+}
+
+/**
+ * Get a token's trades over a window, valued in USD
+ *
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} options - { hours, programId (one DEX only), limit (trades fetched) }
+ * @returns {Promise<Object>} - { symbol, trades (newest first), truncated }
+ */
+async function getValuedTrades(mintAddress, { hours = DEFAULT_TRADE_HOURS, programId = null, limit = TRADE_FETCH_LIMIT } = {}) {
+    const [trades, tokenInfo] = await Promise.all([
+        getTokenTrades({
+            mintAddress,
+            timeRangeHours: hours,
+            limit,
+            programId,
+            sortByDesc: 'blockTime'
+        }),
+        vybeApi.getTokenInfo(mintAddress).catch(() => ({}))
+    ]);
+
+    const counterMints = [...new Set(trades.flatMap(trade => trade.pair.split('/')))]
+        .filter(mint => mint !== mintAddress);
+    const counterPrices = await getCounterPrices(counterMints);
+    const tokenPrice = parseFloat(tokenInfo?.price) || 0;
+
+    return {
+        symbol: tokenInfo?.symbol || 'Unknown',
+        trades: trades
+            .map(trade => valueTrade(trade, mintAddress, tokenPrice, counterPrices))
+            .filter(Boolean)
+            .sort((a, b) => b.time - a.time),
+        // The window had more trades than one fetch returns
+        truncated: trades.length >= limit
+    };
+}
+
+/**
+ * Get a token's large trades and trade pressure over a window
+ *
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} options - { hours, programId (one DEX only) }
+ * @returns {Promise<Object>} - { symbol, trades (large, newest first), pressure, tradeCount, truncated, minUsd }
+ */
+async function getTradeFeed(mintAddress, options = {}) {
+    const { symbol, trades, truncated } = await getValuedTrades(mintAddress, options);
+
+    return {
+        symbol,
+        trades: trades.filter(trade => trade.valueUsd >= MIN_TRADE_USD),
+        pressure: getTradePressure(trades),
+        tradeCount: trades.length,
+        truncated,
+        minUsd: MIN_TRADE_USD
+    };
+}
+
+module.exports = {
+    DEFAULT_TRADE_HOURS,
+    MAX_TRADE_HOURS,
+    findDex,
+    getTradePressure,
+    getValuedTrades,
+    getTradeFeed
+};
@@ -0,0 +1,141 @@
+/**
+ * Token Trade Flow
+ *
+ * Analytics over a token's valued trades (see tradeFeed): net buy volume,
+ * how many distinct wallets bought and sold, the largest traders, each
+ * DEX's share of volume and how trading changed across the window.
+ *
+ * Used by /flow, and as a short summary in whale alerts and gem analysis.
+ */
+const { getTradePressure, getValuedTrades } = require('./tradeFeed');
+
+const DEFAULT_FLOW_HOURS = 24;
+
+// Time buckets the window is split into
+const FLOW_BUCKETS = 6;
+
+// Largest traders and DEXs kept in an analysis
+const TOP_TRADER_COUNT = 5;
+const TOP_DEX_COUNT = 5;
+
+/**
+ * Split trades into equal time buckets covering the window
+ *
+ * @returns {Array} - { start, end (ms), trades, volumeUsd, averageUsd, netBuyUsd }, oldest first
+ */
+function getTimeBuckets(trades, windowStart, windowEnd, bucketCount) {
+    const size = (windowEnd - windowStart) / bucketCount;
+    const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+        start: windowStart + index * size,
+        end: windowStart + (index + 1) * size,
+        trades: 0,
+        volumeUsd: 0,
+        averageUsd: 0,
+        netBuyUsd: 0
+    }));
+
+    trades.forEach(trade => {
+        const index = Math.min(bucketCount - 1, Math.max(0, Math.floor((trade.time - windowStart) / size)));
+        const bucket = buckets[index];
+        bucket.trades++;
+        bucket.volumeUsd += trade.valueUsd;
+        bucket.netBuyUsd += trade.side === 'buy' ? trade.valueUsd : -trade.valueUsd;
+    });
+
+    buckets.forEach(bucket => {
+        bucket.averageUsd = bucket.trades > 0 ? bucket.volumeUsd / bucket.trades : 0;
+    });
+    return buckets;
+}
+
+/**
+ * Analyze a set of valued trades
+ *
+ * @param {Array} trades - Trades from getValuedTrades
+ * @param {Object} options - { start, end (window, ms), bucketCount }
+ * @returns {Object} - Flow: pressure totals plus netBuyUsd, uniqueBuyers, uniqueSellers,
+ *                     largestTraders, dexShare and buckets
+ */
+function analyzeTradeFlow(trades, { end = Date.now(), start = end - DEFAULT_FLOW_HOURS * 60 * 60 * 1000, bucketCount = FLOW_BUCKETS } = {}) {
+    const pressure = getTradePressure(trades);
+    const volumeUsd = pressure.buyUsd + pressure.sellUsd;
+
+    const buyers = new Set();
+    const sellers = new Set();
+    const traders = new Map(); // address -> totals
+    const dexes = new Map(); // name -> totals
+
+    trades.forEach(trade => {
+        const buy = trade.side === 'buy';
+        if (trade.trader) {
+            (buy ? buyers : sellers).add(trade.trader);
+
+            if (!traders.has(trade.trader)) {
+                traders.set(trade.trader, { trader: trade.trader, trades: 0, boughtUsd: 0, soldUsd: 0, netUsd: 0 });
+            }
+            const totals = traders.get(trade.trader);
+            totals.trades++;
+            totals[buy ? 'boughtUsd' : 'soldUsd'] += trade.valueUsd;
+            totals.netUsd += buy ? trade.valueUsd : -trade.valueUsd;
+        }
+
+        if (!dexes.has(trade.dex)) {
+            dexes.set(trade.dex, { dex: trade.dex, trades: 0, volumeUsd: 0, share: 0 });
+        }
+        const dex = dexes.get(trade.dex);
+        dex.trades++;
+        dex.volumeUsd += trade.valueUsd;
+    });
+
+    dexes.forEach(dex => {
+        dex.share = volumeUsd > 0 ? (dex.volumeUsd / volumeUsd) * 100 : 0;
+    });
+
+    return {
+        ...pressure,
+        tradeCount: trades.length,
+        volumeUsd,
+        netBuyUsd: pressure.buyUsd - pressure.sellUsd,
+        averageUsd: trades.length > 0 ? volumeUsd / trades.length : 0,
+        uniqueBuyers: buyers.size,
+        uniqueSellers: sellers.size,
+        largestTraders: [...traders.values()]
+            .sort((a, b) => (b.boughtUsd + b.soldUsd) - (a.boughtUsd + a.soldUsd))
+            .slice(0, TOP_TRADER_COUNT),
+        dexShare: [...dexes.values()]
+            .sort((a, b) => b.volumeUsd - a.volumeUsd)
+            .slice(0, TOP_DEX_COUNT),
+        buckets: getTimeBuckets(trades, start, end, bucketCount)
+    };
+}
+
+/**
+ * Fetch and analyze a token's trade flow
+ *
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} options - { hours, limit (trades fetched) }
+ * @returns {Promise<Object>} - Flow from analyzeTradeFlow, with symbol, hours, start and truncated
+ */
+async function getTokenFlow(mintAddress, { hours = DEFAULT_FLOW_HOURS, limit } = {}) {
+    const { symbol, trades, truncated } = await getValuedTrades(mintAddress, { hours, limit });
+
+    // A truncated fetch only reaches back to its oldest trade, so buckets cover that span
+    const end = Date.now();
+    const start = truncated && trades.length
+        ? trades[trades.length - 1].time
+        : end - hours * 60 * 60 * 1000;
+
+    return {
+        symbol,
+        hours,
+        start,
+        truncated,
+        ...analyzeTradeFlow(trades, { start, end })
+    };
+}
+
+module.exports = {
+    DEFAULT_FLOW_HOURS,
+    analyzeTradeFlow,
+    getTokenFlow
+};
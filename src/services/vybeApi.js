@@ -1,40 +1,49 @@
-const axios = require("axios");
 const logger = require("../utils/logger");
 const tokenHolders = require("./vybeApi/tokenHolders");
-const apiService = require("./apiService");
+const vybeClient = require("./vybeApi/client");
+const { getWhaleTransfers, normalizeWhaleTransfer } = require("./vybeApi/whaleTransfers");
 
-class VybeAPI {
-  constructor() {
-    this.api = axios.create({
-      baseURL: process.env.VYBE_API_BASE_URL,
-      headers: {
-        // 'Authorization': `Bearer ${process.env.VYBE_API_KEY}`,
-        "x-api-key": process.env.VYBE_API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-  }
+// How far back alert checks look for new whale transfers (seconds)
+const WHALE_ALERT_LOOKBACK = 60 * 60;
 
+class VybeAPI {
   async getTokenInfo(mintAddress) {
-    const startTime = Date.now();
     try {
-      const response = await this.api.get(`/token/${mintAddress}`);
-      const responseTime = Date.now() - startTime;
-
-      // Record successful API call
-      apiService.recordSuccess(responseTime);
-
+      const response = await vybeClient.get("get_token_details", `/token/${mintAddress}`);
       return response.data;
     } catch (error) {
-      const responseTime = Date.now() - startTime;
-
-      // Record failed API call
-      apiService.recordFailure(error, responseTime);
-
       logger.error("Error fetching token info:", error);
       throw error;
     }
   }
+
+  /**
+   * Fetch recent whale transfers for a token, normalized for alerting
+   *
+   * @param {string} mintAddress - The token mint address
+   * @param {number} minUsdAmount - Minimum USD value of a transfer
+   * @param {number} limit - Maximum number of transfers to return
+   * @returns {Promise<Array>} - Normalized whale transactions, largest first
+   */
+  async getWhaleTransactions(mintAddress, minUsdAmount = 10000, limit = 20, options = {}) {
+    const timeStart = Math.floor(Date.now() / 1000) - WHALE_ALERT_LOOKBACK;
+
+    const transfers = await getWhaleTransfers(mintAddress, minUsdAmount, limit, {
+      timeStart,
+      sortByDesc: "blockTime",
+      allowDemoFallback: false,
+      throwOnError: options.throwOnError,
+    });
+
+    if (!transfers.length) return [];
+
+    // Transfers don't carry token metadata, so look up the symbol once
+    const tokenInfo = await this.getTokenInfo(mintAddress).catch(() => ({}));
+
+    return transfers
+      .map((tx) => normalizeWhaleTransfer({ mintAddress, ...tx }, tokenInfo))
+      .filter((tx) => tx.hash);
+  }
 }
 
 module.exports = new VybeAPI();
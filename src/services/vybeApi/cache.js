@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const LRUCache = require("../../utils/lruCache");
+const { apiCache, isReady } = require("../../repositories");
+
+/**
+ * Tiered cache for Vybe API responses
+ *
+ * Lookups go to an in-process LRU first, then to Redis (shared across
+ * restarts), and only then to the API. Concurrent lookups for the same
+ * request share one in-flight fetch. Only endpoints listed in CACHE_TTLS are
+ * cached; wallet balances and transfers feed alerts and are always fetched.
+ */
+
+// Time to live per endpoint (seconds)
+const CACHE_TTLS = {
+  get_token_details: 60,
+  get_top_holders: 5 * 60,
+  get_token_holders_ts: 60 * 60,
+  get_known_accounts: 6 * 60 * 60,
+  get_wallet_pnl: 5 * 60,
+  get_wallet_tokens_ts: 10 * 60,
+  get_token_trade_ohlc: 60,
+  get_trade_data_program: 60,
+};
+
+const memory = new LRUCache(parseInt(process.env.VYBE_CACHE_MAX_ENTRIES) || 1000);
+const inFlight = new Map(); // cache key -> Promise
+const stats = new Map(); // endpoint -> { memoryHits, redisHits, misses, coalesced }
+
+function isCached(endpoint) {
+  return CACHE_TTLS[endpoint] !== undefined;
+}
+
+function countStat(endpoint, stat) {
+  if (!stats.has(endpoint)) {
+    stats.set(endpoint, { memoryHits: 0, redisHits: 0, misses: 0, coalesced: 0 });
+  }
+  stats.get(endpoint)[stat]++;
+}
+
+async function readRedis(endpoint, hash) {
+  if (!isReady()) return null;
+  try {
+    return await apiCache.get(endpoint, hash);
+  } catch (error) {
+    logger.warn(`Error reading cached ${endpoint} response: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeRedis(endpoint, hash, response, ttl) {
+  if (!isReady()) return;
+  try {
+    await apiCache.set(endpoint, hash, response, ttl);
+  } catch (error) {
+    logger.warn(`Error caching ${endpoint} response: ${error.message}`);
+  }
+}
+
+/**
+ * Get a cached response, fetching it on a miss
+ *
+ * @param {string} endpoint - Endpoint name; must be listed in CACHE_TTLS
+ * @param {Array} args - Request arguments, which identify the response
+ * @param {Function} fetch - Fetches the response; resolves to a JSON-serializable value
+ * @returns {Promise<*>} - The response
+ */
+async function getOrFetch(endpoint, args, fetch) {
+  const ttl = CACHE_TTLS[endpoint];
+  const hash = crypto.createHash("sha1").update(JSON.stringify(args)).digest("hex");
+  const key = `${endpoint}:${hash}`;
+
+  const cached = memory.get(key);
+  if (cached !== undefined) {
+    countStat(endpoint, "memoryHits");
+    return cached;
+  }
+
+  if (inFlight.has(key)) {
+    countStat(endpoint, "coalesced");
+    return inFlight.get(key);
+  }
+
+  const pending = (async () => {
+    const stored = await readRedis(endpoint, hash);
+    if (stored !== null) {
+      countStat(endpoint, "redisHits");
+      memory.set(key, stored, ttl * 1000);
+      return stored;
+    }
+
+    countStat(endpoint, "misses");
+    const response = await fetch();
+    memory.set(key, response, ttl * 1000);
+    await writeRedis(endpoint, hash, response, ttl);
+    return response;
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Hit/miss counts per endpoint, plus totals
+ */
+function getStats() {
+  const endpoints = [...stats.entries()].map(([endpoint, counts]) => {
+    const lookups = counts.memoryHits + counts.redisHits + counts.misses + counts.coalesced;
+    const hits = lookups - counts.misses;
+    return {
+      endpoint,
+      ...counts,
+      lookups,
+      hitRate: lookups ? parseFloat(((hits / lookups) * 100).toFixed(1)) : 0,
+    };
+  });
+
+  const lookups = endpoints.reduce((sum, entry) => sum + entry.lookups, 0);
+  const misses = endpoints.reduce((sum, entry) => sum + entry.misses, 0);
+
+  return {
+    entries: memory.size,
+    lookups,
+    hitRate: lookups ? parseFloat((((lookups - misses) / lookups) * 100).toFixed(1)) : 0,
+    endpoints: endpoints.sort((a, b) => b.lookups - a.lookups),
+  };
+}
+
+module.exports = {
+  CACHE_TTLS,
+  isCached,
+  getOrFetch,
+  getStats,
+};
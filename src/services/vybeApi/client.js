@@ -0,0 +1,203 @@
+const axios = require("axios");
+const sdk = require("@api/vybe-api");
+const logger = require("../../utils/logger");
+const TokenBucket = require("../../utils/tokenBucket");
+const apiService = require("../apiService");
+const responseCache = require("./cache");
+
+/**
+ * Vybe API client
+ *
+ * Every Vybe request goes through here, whether it uses the generated SDK
+ * (`call`) or a plain REST path the SDK doesn't cover (`get`). Endpoints with
+ * a TTL in ./cache are answered from the cache when possible. Each request
+ * that reaches the API:
+ *   - is refused straight away while the circuit breaker is open
+ *   - waits for a token from a bucket sized to the Vybe plan
+ *   - times out after its endpoint's timeout
+ *   - is retried with exponential backoff on 429, 5xx, timeouts and network
+ *     errors, waiting at least as long as the server's Retry-After
+ *   - reports its outcome and latency, per endpoint, to apiService
+ */
+
+// Vybe plan limits (requests per minute, and how many may be sent at once)
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.VYBE_API_RATE_LIMIT) || 60;
+const RATE_LIMIT_BURST = parseInt(process.env.VYBE_API_BURST) || 10;
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500; // ms, doubled on each attempt
+const MAX_RETRY_DELAY = 30000; // ms, also caps Retry-After
+
+const DEFAULT_TIMEOUT = 10000; // ms
+
+// Endpoints that routinely take longer than the default
+const ENDPOINT_TIMEOUTS = {
+  get_wallet_pnl: 30000,
+  get_wallet_tokens_ts: 20000,
+  get_token_transfers: 20000,
+  get_trade_data_program: 20000,
+  get_token_holders_ts: 20000,
+};
+
+const bucket = new TokenBucket({
+  capacity: RATE_LIMIT_BURST,
+  refillPerSecond: RATE_LIMIT_PER_MINUTE / 60,
+});
+
+if (process.env.VYBE_API_KEY) {
+  sdk.auth(process.env.VYBE_API_KEY);
+} else {
+  logger.warn("VYBE_API_KEY is not set in environment variables");
+}
+
+const http = axios.create({
+  baseURL: process.env.VYBE_API_BASE_URL,
+  headers: {
+    "x-api-key": process.env.VYBE_API_KEY,
+    "Content-Type": "application/json",
+  },
+});
+
+/**
+ * HTTP status of a failed request, from either the SDK or axios
+ */
+function getErrorStatus(error) {
+  return error?.status || error?.response?.status || null;
+}
+
+/**
+ * Retry-After of a failed request in ms, or null if not given
+ */
+function getRetryAfter(error) {
+  const headers = error?.headers || error?.response?.headers;
+  const value = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  if (!value) return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.max(0, delay);
+}
+
+function isRetryable(error) {
+  const status = getErrorStatus(error);
+  // No status means a timeout or network error
+  return !status || status === 429 || status >= 500;
+}
+
+function getRetryDelay(error, attempt) {
+  const backoff = BASE_RETRY_DELAY * 2 ** attempt;
+  const jitter = Math.random() * BASE_RETRY_DELAY;
+  const retryAfter = getRetryAfter(error) || 0;
+  return Math.min(MAX_RETRY_DELAY, Math.max(backoff + jitter, retryAfter));
+}
+
+function withTimeout(promise, timeout, endpoint) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Vybe API ${endpoint} timed out after ${timeout}ms`);
+      error.code = "ETIMEDOUT";
+      reject(error);
+    }, timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a request with rate limiting, timeout, retries and breaker checks
+ *
+ * @param {string} endpoint - Endpoint name, used for timeouts and metrics
+ * @param {Function} request - Makes the request; called once per attempt
+ * @returns {Promise<*>} - The request's response
+ */
+async function execute(endpoint, request) {
+  const timeout = ENDPOINT_TIMEOUTS[endpoint] || DEFAULT_TIMEOUT;
+
+  for (let attempt = 0; ; attempt++) {
+    if (!apiService.isCallAllowed()) {
+      const error = new Error(`Vybe API circuit breaker is open, skipping ${endpoint}`);
+      error.code = "CIRCUIT_OPEN";
+      throw error;
+    }
+
+    await bucket.take();
+
+    const startTime = Date.now();
+    try {
+      const response = await withTimeout(request(timeout), timeout, endpoint);
+      apiService.recordSuccess(Date.now() - startTime, endpoint, response?.status);
+      return response;
+    } catch (error) {
+      const status = getErrorStatus(error);
+      const retryable = isRetryable(error);
+      apiService.recordFailure(error, Date.now() - startTime, endpoint, {
+        status,
+        tripsBreaker: retryable,
+      });
+
+      if (status === 429) {
+        // Our bucket is out of step with the server's; start again from empty
+        bucket.drain();
+      }
+
+      // Stop once the breaker opens; later attempts would be refused anyway
+      if (!retryable || attempt >= MAX_RETRIES || apiService.getHealthStatus().circuitBreakerOpen) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      logger.warn(
+        `Vybe API ${endpoint} failed (${status || error.code || error.message}), ` +
+          `retrying in ${Math.round(delay)}ms (${attempt + 1}/${MAX_RETRIES})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Serve cacheable endpoints from the response cache
+ */
+function withCache(endpoint, args, request) {
+  if (!responseCache.isCached(endpoint)) return request();
+
+  return responseCache.getOrFetch(endpoint, args, async () => {
+    // Keep only what callers read, so the response can be stored in Redis
+    const { status, data } = await request();
+    return { status, data };
+  });
+}
+
+/**
+ * Call a Vybe SDK method
+ *
+ * @param {string} method - SDK method name, e.g. "get_top_holders"
+ * @param {...*} args - Arguments for the method
+ * @returns {Promise<Object>} - SDK response ({ data, status, headers })
+ */
+function call(method, ...args) {
+  if (typeof sdk[method] !== "function") {
+    return Promise.reject(new Error(`Unknown Vybe API method: ${method}`));
+  }
+  return withCache(method, args, () => execute(method, () => sdk[method](...args)));
+}
+
+/**
+ * GET a Vybe REST path the SDK doesn't cover
+ *
+ * @param {string} endpoint - Endpoint name for timeouts and metrics
+ * @param {string} path - Request path, e.g. `/token/${mint}/holders-ts`
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} - axios response
+ */
+function get(endpoint, path, config = {}) {
+  return withCache(endpoint, [path, config.params], () =>
+    execute(endpoint, (timeout) => http.get(path, { ...config, timeout }))
+  );
+}
+
+module.exports = {
+  call,
+  get,
+};
@@ -0,0 +1,93 @@
+const vybeClient = require("./client");
+const logger = require("../../utils/logger");
+
+// Cache known accounts - the list changes rarely
+let accountsCache = null;
+const accountsCacheTTL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Vybe account labels by display category, in priority order: an account
+// labelled both CEX and DEFI is shown as an exchange
+const ACCOUNT_CATEGORIES = [
+  { category: "Exchange", labels: ["CEX"] },
+  { category: "Market Maker", labels: ["MM", "MARKET_MAKER"] },
+  { category: "Treasury", labels: ["TREASURY", "DAO"] },
+  { category: "Protocol", labels: ["DEFI", "DEX", "PROTOCOL", "BRIDGE", "STAKING", "LENDING"] },
+  { category: "Fund", labels: ["VC", "FUND"] },
+];
+
+/**
+ * Pick the display category for an account from its Vybe labels
+ *
+ * @param {string[]} labels - Vybe labels, e.g. ["CEX"]
+ * @returns {string|null} - Category, or null when none applies
+ */
+function getAccountCategory(labels = []) {
+  const upper = labels.map(label => label.toUpperCase());
+  const match = ACCOUNT_CATEGORIES.find(({ labels: categoryLabels }) =>
+    categoryLabels.some(label => upper.includes(label))
+  );
+  return match ? match.category : null;
+}
+
+/**
+ * Fetch every known account Vybe has labelled
+ *
+ * @param {Object} options - Options
+ * @param {boolean} options.throwOnError - Rethrow API errors when there is no cached data to fall back to
+ * @returns {Promise<Map<string, Object>>} - Owner address -> { name, entity, labels, category }
+ */
+async function getKnownAccounts(options = {}) {
+  const now = Date.now();
+  if (accountsCache && now - accountsCache.timestamp < accountsCacheTTL) {
+    return accountsCache.accounts;
+  }
+
+  try {
+    logger.info("Fetching known accounts");
+
+    const response = await vybeClient.call("get_known_accounts", {});
+    const accounts = new Map(
+      (response?.data?.accounts || []).map(account => [
+        account.ownerAddress,
+        {
+          name: account.name || account.entity || null,
+          entity: account.entity || null,
+          labels: account.labels || [],
+          category: getAccountCategory(account.labels),
+        },
+      ])
+    );
+    accountsCache = { accounts, timestamp: now };
+
+    logger.info(`Loaded ${accounts.size} known accounts`);
+    return accounts;
+  } catch (error) {
+    logger.error("Error fetching known accounts:", error);
+    // Fall back to stale data rather than dropping every label
+    if (accountsCache) return accountsCache.accounts;
+    if (options.throwOnError) throw error;
+    return new Map();
+  }
+}
+
+/**
+ * Fetch the set of known centralized exchange addresses
+ *
+ * @param {Object} options - Options, as for getKnownAccounts
+ * @returns {Promise<Set<string>>} - Exchange owner addresses
+ */
+async function getExchangeAddresses(options = {}) {
+  const accounts = await getKnownAccounts(options);
+
+  const addresses = new Set();
+  for (const [address, account] of accounts) {
+    if (account.category === "Exchange") addresses.add(address);
+  }
+  return addresses;
+}
+
+module.exports = {
+  getAccountCategory,
+  getKnownAccounts,
+  getExchangeAddresses,
+};
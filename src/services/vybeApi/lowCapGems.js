@@ -1,39 +1,51 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 const { getHoldersTrend } = require("./tokenHolders");
 const { getWalletTokens } = require("./walletTokens");
-
-// Initialize the API with your key
-vybeApi.auth(process.env.VYBE_API_KEY);
+const { getTokenFlow } = require("../tradeFlow");
 
 // Market cap threshold for "low cap" definition (in USD)
 const LOW_CAP_THRESHOLD = 10000000; // $10M
 
-// Cache token market data to reduce API calls
-const tokenMarketCache = new Map();
-const tokenCacheTTL = 15 * 60 * 1000; // 15 minutes cache
+// Trades analyzed per gem for its 24h trade flow
+const GEM_FLOW_TRADE_LIMIT = 200;
+
+/**
+ * Summarize a token's trade flow over the last day
+ * @param {string} mintAddress - Token mint address
+ * @returns {Promise<Object|null>} Flow totals kept with the gem, or null without trade data
+ */
+async function getGemFlow(mintAddress) {
+  try {
+    const flow = await getTokenFlow(mintAddress, { hours: 24, limit: GEM_FLOW_TRADE_LIMIT });
+
+    // Only the totals: gems are stored in wallet snapshots
+    return {
+      hours: flow.hours,
+      tradeCount: flow.tradeCount,
+      buyShare: flow.buyShare,
+      netBuyUsd: flow.netBuyUsd,
+      uniqueBuyers: flow.uniqueBuyers,
+      uniqueSellers: flow.uniqueSellers,
+    };
+  } catch (error) {
+    logger.error(`Error getting trade flow for ${mintAddress}:`, error);
+    return null;
+  }
+}
 
 /**
  * Fetch token data including market cap information
- * with caching to improve performance
+ * (cached by the shared Vybe response cache)
  * @param {string} mintAddress - Token mint address
  * @returns {Promise<Object>} Token data with market cap info
  */
 async function getTokenMarketData(mintAddress) {
   try {
-    // Check cache first
-    const now = Date.now();
-    if (tokenMarketCache.has(mintAddress)) {
-      const cachedData = tokenMarketCache.get(mintAddress);
-      if (now - cachedData.timestamp < tokenCacheTTL) {
-        return cachedData.data;
-      }
-    }
-    
     logger.info(`Fetching token market data for ${mintAddress}`);
     
     // Use get_token_details which includes price history (price1d, price7d)
-    const response = await vybeApi.get_token_details({
+    const response = await vybeClient.call("get_token_details", {
       mintAddress: mintAddress
     });
     
@@ -48,12 +60,6 @@ async function getTokenMarketData(mintAddress) {
       logger.info(`Token ${mintAddress} prices: current=${data.price}, 1d=${data.price1d}, 7d=${data.price7d || 'N/A'}`);
     }
     
-    // Cache the result
-    tokenMarketCache.set(mintAddress, {
-      data: response.data,
-      timestamp: now
-    });
-    
     return response.data;
   } catch (error) {
     logger.error(`Error fetching token market data for ${mintAddress}:`, error);
@@ -61,30 +67,17 @@ async function getTokenMarketData(mintAddress) {
   }
 }
 
-// Cache for whale activity data
-const whaleActivityCache = new Map();
-const whaleActivityTTL = 30 * 60 * 1000; // 30 minutes
-
 /**
- * Calculate whale activity for a token with caching
+ * Calculate whale activity for a token
  * @param {string} mintAddress - Token mint address
  * @returns {Promise<number>} Percentage change in whale holdings over 24h
  */
 async function getWhaleActivity(mintAddress) {
   try {
-    // Check cache first
-    const now = Date.now();
-    if (whaleActivityCache.has(mintAddress)) {
-      const cachedData = whaleActivityCache.get(mintAddress);
-      if (now - cachedData.timestamp < whaleActivityTTL) {
-        return cachedData.value;
-      }
-    }
-    
     logger.info(`Calculating whale activity for ${mintAddress}`);
     
     // Get top holders data with snapshots
-    const response = await vybeApi.get_top_holders({
+    const response = await vybeClient.call("get_top_holders", {
       mintAddress: mintAddress,
       limit: 10,
       includeSnapshots: true
@@ -117,15 +110,7 @@ async function getWhaleActivity(mintAddress) {
     }
     
     // Calculate percentage change
-    const changePercent = ((currentTotal - previousTotal) / previousTotal) * 100;
-    
-    // Cache the result
-    whaleActivityCache.set(mintAddress, {
-      value: changePercent,
-      timestamp: now
-    });
-    
-    return changePercent;
+    return ((currentTotal - previousTotal) / previousTotal) * 100;
   } catch (error) {
     logger.error(`Error calculating whale activity for ${mintAddress}:`, error);
     return 0;
@@ -157,9 +142,10 @@ async function analyzeTokensInParallel(tokens) {
         // Check if it's a low cap token
         if (marketCap > 0 && marketCap < LOW_CAP_THRESHOLD) {
           // For performance, run these in parallel
-          const [whaleActivity, holdersTrend] = await Promise.all([
+          const [whaleActivity, holdersTrend, flow] = await Promise.all([
             getWhaleActivity(token.mintAddress),
-            getHoldersTrend(token.mintAddress, 7)
+            getHoldersTrend(token.mintAddress, 7),
+            getGemFlow(token.mintAddress)
           ]);
           
           // Calculate price changes using the market data we already have
@@ -192,6 +178,7 @@ async function analyzeTokensInParallel(tokens) {
             balance: parseFloat(token.amount || 0),
             value: parseFloat(token.valueUsd || 0),
             whaleActivity: whaleActivity,
+            flow,
             holdersTrend: holdersTrend.trend7d || 0,
             holderCount: holdersTrend.current || 0,
             verified: !!token.verified,
@@ -222,16 +209,19 @@ async function analyzeTokensInParallel(tokens) {
  * Process wallet tokens with improved speed and progress notifications
  * @param {string} walletAddress - Wallet address to analyze
  * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Object} options - Additional options
+ * @param {boolean} options.throwOnError - Rethrow errors instead of returning an empty array
  * @returns {Promise<Array>} Array of low cap tokens with analysis
  */
-async function findLowCapGems(walletAddress, progressCallback = null) {
+async function findLowCapGems(walletAddress, progressCallback = null, options = {}) {
   try {
     logger.info(`Finding low cap gems in wallet ${walletAddress}`);
     
     // Get all tokens in wallet
     const walletTokens = await getWalletTokens(walletAddress, {
       sortByDesc: 'valueUsd',
-      limit: 50 // Check more tokens to find potential gems
+      limit: 50, // Check more tokens to find potential gems
+      throwOnError: options.throwOnError
     });
     
     if (!walletTokens || !walletTokens.data || !Array.isArray(walletTokens.data)) {
@@ -250,62 +240,56 @@ async function findLowCapGems(walletAddress, progressCallback = null) {
     return lowCapGems.sort((a, b) => b.value - a.value);
   } catch (error) {
     logger.error(`Error finding low cap gems for wallet ${walletAddress}:`, error);
+    if (options.throwOnError) throw error;
     return [];
   }
 }
 
+/**
+ * Find gems in the current list that were not in the previous one
+ * @param {Array} currentGems - Gems detected now
+ * @param {Array} previousGems - Gems detected in the previous check
+ * @returns {Array} Gems that are new since the previous check
+ */
+function diffLowCapGems(currentGems, previousGems) {
+  // Create a set of previously detected gem mint addresses
+  const previousMints = new Set(previousGems.map(gem => gem.mintAddress));
+  
+  // Find gems that weren't in the previous detection
+  return currentGems.filter(gem => !previousMints.has(gem.mintAddress));
+}
+
 /**
  * Detect newly acquired low cap gems by comparing current and previous wallet contents
  * @param {string} walletAddress - Wallet address to analyze
  * @param {Array} previousGems - Previously detected gems
+ * @param {Object} options - Additional options
+ * @param {boolean} options.throwOnError - Rethrow errors instead of returning an empty array
  * @returns {Promise<Array>} Array of newly acquired low cap gems
  */
-async function detectNewLowCapGems(walletAddress, previousGems = []) {
+async function detectNewLowCapGems(walletAddress, previousGems = [], options = {}) {
   try {
     logger.info(`Detecting new low cap gems in wallet ${walletAddress}`);
     
     // Get current low cap gems
-    const currentGems = await findLowCapGems(walletAddress);
+    const currentGems = await findLowCapGems(walletAddress, null, options);
     
     // If no previous data, return empty array (no new gems to report)
     if (!Array.isArray(previousGems) || previousGems.length === 0) {
       return [];
     }
     
-    // Create a set of previously detected gem mint addresses
-    const previousMints = new Set(previousGems.map(gem => gem.mintAddress));
-    
-    // Find gems that weren't in the previous detection
-    const newGems = currentGems.filter(gem => !previousMints.has(gem.mintAddress));
-    
-    return newGems;
+    return diffLowCapGems(currentGems, previousGems);
   } catch (error) {
     logger.error(`Error detecting new low cap gems for wallet ${walletAddress}:`, error);
+    if (options.throwOnError) throw error;
     return [];
   }
 }
 
-// Clear caches periodically
-setInterval(() => {
-  const now = Date.now();
-  
-  // Clear expired token cache entries
-  for (const [mintAddress, data] of tokenMarketCache.entries()) {
-    if (now - data.timestamp > tokenCacheTTL) {
-      tokenMarketCache.delete(mintAddress);
-    }
-  }
-  
-  // Clear expired whale activity cache entries
-  for (const [mintAddress, data] of whaleActivityCache.entries()) {
-    if (now - data.timestamp > whaleActivityTTL) {
-      whaleActivityCache.delete(mintAddress);
-    }
-  }
-}, 15 * 60 * 1000); // Run every 15 minutes
-
 module.exports = {
   findLowCapGems,
   detectNewLowCapGems,
+  diffLowCapGems,
   LOW_CAP_THRESHOLD
 }; 
\ No newline at end of file
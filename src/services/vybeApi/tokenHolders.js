@@ -1,33 +1,9 @@
-const axios = require('axios');
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-// Create an API instance with authentication
-const api = axios.create({
-  baseURL: process.env.VYBE_API_BASE_URL,
-  headers: {
-    'x-api-key': process.env.VYBE_API_KEY,
-    'Content-Type': 'application/json'
-  }
-});
-
 // Historical constraint: Token Holders Time Series data available from this date
 const EARLIEST_HOLDERS_TS_DATE = new Date('2023-11-09T19:00:00Z').getTime();
 
-/**
- * Debugging: Logs available API methods from the vybeApi
- */
-function logApiMethods() {
-  console.log("Available vybeApi methods:");
-  for (const methodName in api) {
-    if (typeof api[methodName] === "function") {
-      console.log(`- ${methodName}`);
-    }
-  }
-}
-
-// Log available methods once during initialization
-logApiMethods();
-
 /**
  * Gets token holders time series data for a specific token
  * @param {string} mintAddress - The token mint address
@@ -64,7 +40,7 @@ async function getTokenHoldersTimeSeries(
     if (endTime) params.endTime = Math.floor(endTime / 1000); // Convert to seconds for API
     
     // Make direct API call to the token holders time series endpoint
-    const response = await api.get(`/token/${mintAddress}/holders-ts`, { params });
+    const response = await vybeClient.get("get_token_holders_ts", `/token/${mintAddress}/holders-ts`, { params });
     
     // API returns { data: [ { holdersTimestamp, nHolders }, ... ] }
     if (response.data && Array.isArray(response.data.data)) {
@@ -101,7 +77,7 @@ async function getTotalTokenHolders(mintAddress) {
     // First attempt: get from token details which includes holder count
     try {
       logger.info(`Fetching token details for ${mintAddress} to get holder count`);
-      const response = await api.get(`/token/${mintAddress}`);
+      const response = await vybeClient.get("get_token_details", `/token/${mintAddress}`);
       
       if (response.data && typeof response.data.holderCount === 'number') {
         return response.data.holderCount;
@@ -149,7 +125,7 @@ async function getHoldersTrend(mintAddress, days = 30) {
     // First get current holder count from token details
     let currentHolderCount = 0;
     try {
-      const tokenDetails = await api.get(`/token/${mintAddress}`);
+      const tokenDetails = await vybeClient.get("get_token_details", `/token/${mintAddress}`);
       if (tokenDetails.data && typeof tokenDetails.data.holderCount === 'number') {
         currentHolderCount = tokenDetails.data.holderCount;
       }
@@ -0,0 +1,76 @@
+const vybeClient = require("./client");
+const logger = require("../../utils/logger");
+
+// Chart ranges: how far back each goes and the candle size that fills it
+const CHART_RANGES = {
+  "1h": { seconds: 60 * 60, resolution: "1m" },
+  "4h": { seconds: 4 * 60 * 60, resolution: "5m" },
+  "1d": { seconds: 24 * 60 * 60, resolution: "30m" },
+  "7d": { seconds: 7 * 24 * 60 * 60, resolution: "4h" },
+};
+
+const DEFAULT_CHART_RANGE = "1d";
+
+/**
+ * Parse a candle time, sent as unix seconds or an ISO date
+ * @param {string|number} time - Time bucket start
+ * @returns {number} Time in milliseconds
+ */
+function parseCandleTime(time) {
+  const seconds = Number(time);
+  return Number.isFinite(seconds) ? seconds * 1000 : Date.parse(time);
+}
+
+/**
+ * Gets OHLCV candles covering a chart range
+ * @param {string} mintAddress - The token mint address
+ * @param {string} range - One of CHART_RANGES
+ * @returns {Promise<Array>} Candles { time (ms), open, high, low, close, volumeUsd }, oldest first
+ */
+async function getTokenOhlcv(mintAddress, range = DEFAULT_CHART_RANGE) {
+  const { seconds, resolution } = CHART_RANGES[range];
+
+  // Start on a whole minute so repeated requests share a cache entry
+  const now = Math.floor(Date.now() / 1000);
+  const timeStart = Math.floor((now - seconds) / 60) * 60;
+
+  try {
+    logger.info(`Fetching ${range} OHLCV for ${mintAddress}`);
+
+    const response = await vybeClient.call("get_token_trade_ohlc", {
+      mintAddress,
+      resolution,
+      timeStart,
+    });
+
+    return (response?.data?.data || [])
+      .map(candle => ({
+        time: parseCandleTime(candle.time),
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close),
+        volumeUsd: parseFloat(candle.volumeUsd) || 0,
+      }))
+      .filter(candle => Number.isFinite(candle.time) && candle.close > 0)
+      .sort((a, b) => a.time - b.time);
+  } catch (error) {
+    // No trades in the range
+    if (error.response?.status === 404) {
+      logger.warn(`No OHLCV data available for ${mintAddress}`);
+      return [];
+    }
+
+    logger.error(
+      `Error fetching OHLCV for ${mintAddress}:`,
+      error.response?.data || error.message
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  CHART_RANGES,
+  DEFAULT_CHART_RANGE,
+  getTokenOhlcv,
+};
@@ -1,12 +1,6 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-// Initialize the API with your key from environment variables
-if (!process.env.VYBE_API_KEY) {
-  throw new Error("VYBE_API_KEY is not set in environment variables.");
-}
-vybeApi.auth(process.env.VYBE_API_KEY);
-
 // List of supported DEXs and aggregators (from Vybe Network WebSocket docs)
 const SUPPORTED_PROGRAMS = {
   // Supported DEXs & AMMs:
@@ -44,19 +38,15 @@ const SUPPORTED_PROGRAMS = {
 };
 
 /**
- * Logs available methods in the vybeApi for debugging purposes.
+ * Name a DEX or aggregator program
+ * @param {string} programId - Program address
+ * @returns {string|null} Name from SUPPORTED_PROGRAMS, or null for other programs
  */
-function logApiMethods() {
-  logger.debug("Available vybeApi methods:");
-  for (const methodName in vybeApi) {
-    if (typeof vybeApi[methodName] === "function") {
-      logger.debug(`- ${methodName}`);
-    }
-  }
+function getDexName(programId) {
+  const entry = Object.entries(SUPPORTED_PROGRAMS).find(([, id]) => id === programId);
+  return entry ? entry[0] : null;
 }
 
-// Log available methods once during initialization
-logApiMethods();
 
 /**
  * Fetches token trade data from the Vybe Network API.
@@ -66,6 +56,8 @@ logApiMethods();
  * @param {string} [options.quoteMintAddress] - The mint address of the quote token (must be used with baseMintAddress)
  * @param {number} [options.timeRangeHours=24] - Time range in hours to look back
  * @param {number} [options.limit=10] - Maximum number of trades to fetch
+ * @param {string} [options.programId] - Only trades through this program (see SUPPORTED_PROGRAMS)
+ * @param {string} [options.sortByDesc] - Field to sort by, newest or largest first (e.g. "blockTime")
  * @returns {Promise<Array>} - A promise that resolves to an array of formatted trade objects
  */
 async function getTokenTrades({
@@ -74,6 +66,8 @@ async function getTokenTrades({
   quoteMintAddress,
   timeRangeHours,
   limit,
+  programId,
+  sortByDesc,
 }) {
   try {
     // Validate input parameters
@@ -96,8 +90,8 @@ async function getTokenTrades({
       );
     }
 
-    // Calculate time range
-    const timeEnd = Math.floor(Date.now() / 1000);
+    // Calculate time range, ending on a whole minute so repeated requests share a cache entry
+    const timeEnd = Math.floor(Date.now() / 60000) * 60;
     const timeStart = timeEnd - timeRangeHours * 3600;
 
     logger.info(
@@ -123,9 +117,15 @@ async function getTokenTrades({
       apiParams.baseMintAddress = baseMintAddress;
       apiParams.quoteMintAddress = quoteMintAddress;
     }
+    if (programId) {
+      apiParams.programId = programId;
+    }
+    if (sortByDesc) {
+      apiParams.sortByDesc = sortByDesc;
+    }
 
     // Make API call - using exact same structure as direct API call
-    const response = await vybeApi.get_trade_data_program(apiParams);
+    const response = await vybeClient.call("get_trade_data_program", apiParams);
 
     // Handle response
     if (
@@ -184,6 +184,7 @@ async function getTokenTrades({
       quoteMintAddress,
       timeRangeHours,
       limit,
+      programId,
       stack: error.stack,
     });
     throw error;
@@ -193,5 +194,6 @@ async function getTokenTrades({
 // Export functions for use in other modules
 module.exports = {
   getTokenTrades,
+  getDexName,
   SUPPORTED_PROGRAMS,
 };
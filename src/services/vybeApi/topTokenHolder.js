@@ -1,24 +1,6 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-/**
- * Authentication Setup
- * Ensures the Vybe API is authenticated before use.
- */
-try {
-  const apiKey = process.env.VYBE_API_KEY;
-  if (apiKey) {
-    vybeApi.auth(apiKey);
-    logger.debug(
-      "Vybe API authenticated successfully for top token holders module"
-    );
-  } else {
-    logger.warn("VYBE_API_KEY is not set in environment variables");
-  }
-} catch (error) {
-  logger.error(`Error authenticating with Vybe API: ${error.message}`);
-}
-
 /**
  * Fetches the top token holders (whales) for a given mint address.
  * @param {string} mintAddress - The mint address of the token.
@@ -61,7 +43,7 @@ async function getTopTokenHolders(mintAddress, options = {}) {
     logger.debug(`Request parameters: ${JSON.stringify(apiParams, null, 2)}`);
 
     // API Call
-    const response = await vybeApi.get_top_holders(apiParams);
+    const response = await vybeClient.call("get_top_holders", apiParams);
 
     // Response Handling
     if (!response) {
@@ -1,9 +1,6 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-// Initialize the API with your key
-vybeApi.auth(process.env.VYBE_API_KEY);
-
 /**
  * Get wallet Profit and Loss (PnL) data from Vybe API
  * 
@@ -40,7 +37,7 @@ async function getWalletPnL(walletAddress, options = {}) {
 
     logger.info(`Fetching wallet PnL for ${walletAddress} with resolution ${resolution}`);
     
-    const response = await vybeApi.get_wallet_pnl(params);
+    const response = await vybeClient.call("get_wallet_pnl", params);
     
     if (!response || !response.data) {
       logger.warn(`No PnL data returned for wallet ${walletAddress}`);
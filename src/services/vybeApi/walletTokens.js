@@ -1,9 +1,6 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-// Initialize the API with your key
-vybeApi.auth(process.env.VYBE_API_KEY);
-
 /**
  * Fetches token balances for a given wallet address
  * 
@@ -12,9 +9,12 @@ vybeApi.auth(process.env.VYBE_API_KEY);
  * @param {boolean} options.onlyVerified - Only include verified tokens
  * @param {number} options.limit - Maximum number of tokens to return
  * @param {string} options.sortByDesc - Sort by this field in descending order (e.g., 'valueUsd')
+ * @param {boolean} options.throwOnError - Rethrow API errors instead of returning empty data
  * @returns {Promise<Object>} - Wallet token balance data
  */
 async function getWalletTokens(walletAddress, options = {}) {
+  const { throwOnError, ...queryOptions } = options;
+
   try {
     if (!walletAddress) {
       logger.error("No wallet address provided for token balances");
@@ -23,17 +23,17 @@ async function getWalletTokens(walletAddress, options = {}) {
 
     const params = {
       ownerAddress: walletAddress,
-      ...options
+      ...queryOptions
     };
 
     // If no sort order is specified, sort by value
-    if (!options.sortByAsc && !options.sortByDesc) {
+    if (!queryOptions.sortByAsc && !queryOptions.sortByDesc) {
       params.sortByDesc = 'valueUsd';
     }
 
     logger.info(`Fetching token balances for wallet: ${walletAddress}`);
     
-    const response = await vybeApi.get_wallet_tokens(params);
+    const response = await vybeClient.call("get_wallet_tokens", params);
     
     if (!response || !response.data) {
       logger.warn(`No token balance data returned for wallet ${walletAddress}`);
@@ -43,6 +43,7 @@ async function getWalletTokens(walletAddress, options = {}) {
     return response.data;
   } catch (error) {
     logger.error(`Error fetching token balances for wallet ${walletAddress}:`, error);
+    if (throwOnError) throw error;
     return { totalTokenValueUsd: 0, totalTokenCount: 0, data: [] };
   }
 }
@@ -108,7 +109,7 @@ async function getWalletTokensTimeSeries(walletAddress, days = 14) {
 
     logger.info(`Fetching token balance time series for wallet: ${walletAddress} (${daysParam} days)`);
     
-    const response = await vybeApi.get_wallet_tokens_ts(params);
+    const response = await vybeClient.call("get_wallet_tokens_ts", params);
     
     if (!response || !response.data) {
       logger.warn(`No time series data returned for wallet ${walletAddress}`);
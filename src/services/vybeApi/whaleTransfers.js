@@ -1,23 +1,26 @@
-const vybeApi = require("@api/vybe-api");
+const vybeClient = require("./client");
 const logger = require("../../utils/logger");
 
-// Initialize the API with your key
-vybeApi.auth(process.env.VYBE_API_KEY);
+// Share of the USD threshold asked of the API, leaving room for the price to
+// move between the token details and the transfers; the USD filter decides
+const MIN_AMOUNT_PRICE_MARGIN = 0.9;
 
 /**
- * Debugging: Logs available API methods from the vybeApi
+ * Convert a USD threshold to the raw token amount the transfers API filters on
+ *
+ * @param {number} minUsdAmount - Minimum USD transfer value
+ * @param {Object} tokenInfo - Token details with `price` and `decimal`
+ * @returns {number|null} - Minimum raw amount, or null without a price
  */
-function logApiMethods() {
-  console.log("Available vybeApi methods:");
-  for (const methodName in vybeApi) {
-    if (typeof vybeApi[methodName] === 'function') {
-      console.log(`- ${methodName}`);
-    }
-  }
-}
+function toMinRawAmount(minUsdAmount, tokenInfo) {
+  const price = parseFloat(tokenInfo?.price);
+  const decimals = parseInt(tokenInfo?.decimal);
+  if (!(price > 0) || !(minUsdAmount > 0) || isNaN(decimals)) return null;
 
-// Log available methods once during initialization
-logApiMethods();
+  const rawAmount = Math.floor((minUsdAmount / price) * MIN_AMOUNT_PRICE_MARGIN * Math.pow(10, decimals));
+  // A lower bound may be loose, but must stay an exact integer
+  return Math.min(rawAmount, Number.MAX_SAFE_INTEGER);
+}
 
 /**
  * Fetches whale transfers for a specific token 
@@ -25,9 +28,14 @@ logApiMethods();
  * @param {string} mintAddress - The token mint address
  * @param {number} minUsdAmount - Minimum USD transfer value to include
  * @param {number} limit - Maximum number of transfers to return
+ * @param {Object} options - Additional query options
+ * @param {number} options.timeStart - Only include transfers after this unix timestamp (seconds)
+ * @param {string} options.sortByDesc - Sort field for the API query (default: 'amount')
+ * @param {boolean} options.allowDemoFallback - Rewrite unmatched demo transfers with token info (default: true)
+ * @param {boolean} options.throwOnError - Rethrow API errors instead of returning an empty array
  * @returns {Promise<Array>} - Array of whale transfers
  */
-async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10) {
+async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10, options = {}) {
   try {
     // Validate inputs
     if (!mintAddress) {
@@ -42,7 +50,7 @@ async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10) {
     let tokenInfo;
     try {
       console.log(`Attempting to get token details for ${tokenAddress}`);
-      const tokenResponse = await vybeApi.get_token_details(tokenAddress);
+      const tokenResponse = await vybeClient.call("get_token_details", { mintAddress: tokenAddress });
       tokenInfo = tokenResponse.data;
       
       if (tokenInfo) {
@@ -56,13 +64,24 @@ async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10) {
 
     // Create the parameters object
     const params = {
-      minUsdAmount: minUsdAmount,
+      mintAddress: tokenAddress,
       limit: Math.min(1000, limit * 10), // Request more to allow for filtering
-      sortByDesc: 'amount'
+      sortByDesc: options.sortByDesc || 'amount'
     };
+
+    if (options.timeStart) {
+      params.timeStart = options.timeStart;
+    }
+
+    // Filter by size on the API side, so the small transfers of a busy token
+    // don't fill the page and hide the whales
+    const minAmount = toMinRawAmount(parseFloat(minUsdAmount), tokenInfo);
+    if (minAmount) {
+      params.minAmount = minAmount;
+    }
     
     // Make the API call
-    const response = await vybeApi.get_token_transfers(tokenAddress, params);
+    const response = await vybeClient.call("get_token_transfers", params);
     
     // Validate response
     if (!response || !response.data) {
@@ -100,7 +119,9 @@ async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10) {
     // try to use some of the transfers and "rewrite" them with the proper token
     let results = validTransfers;
     
-    if (validTransfers.length === 0 && transfers.length > 0 && tokenInfo) {
+    const allowDemoFallback = options.allowDemoFallback !== false;
+    
+    if (allowDemoFallback && validTransfers.length === 0 && transfers.length > 0 && tokenInfo) {
       console.log(`No valid transfers for ${tokenAddress}, using demo data with token info`);
       // Use some transfers and override token details
       results = transfers
@@ -130,11 +151,73 @@ async function getWhaleTransfers(mintAddress, minUsdAmount, limit = 10) {
     return results;
   } catch (error) {
     logger.error(`Error fetching whale transfers for ${mintAddress}:`, error);
+    // Scheduled checks rethrow so the failure is retried with backoff
+    if (options.throwOnError) throw error;
     // Return empty array instead of throwing to avoid crashing the bot
     return [];
   }
 }
 
+/**
+ * Normalize a raw transfer into the shape used by whale alerts
+ * 
+ * The transfers endpoint reports `signature`, `valueUsd`, `senderAddress` and
+ * `receiverAddress`, while alert dedup and `formatWhaleAlertMessage` expect
+ * `hash`, `usdAmount`, `from` and `to`. Both spellings are kept on the result.
+ * 
+ * @param {Object} tx - Raw transfer from the Vybe API
+ * @param {Object} tokenInfo - Token details (symbol, name) if available
+ * @returns {Object} - Normalized whale transaction
+ */
+function normalizeWhaleTransfer(tx, tokenInfo = {}) {
+  const usdAmount = parseFloat(tx.valueUsd || tx.usdAmount || 0) || 0;
+
+  let amount = parseFloat(tx.calculatedAmount);
+  if (isNaN(amount) && tx.amount !== undefined && tx.decimal !== undefined) {
+    amount = Number(tx.amount) / Math.pow(10, tx.decimal);
+  }
+
+  const from = tx.senderAddress || tx.fromAddress || tx.from || null;
+  const to = tx.receiverAddress || tx.toAddress || tx.to || null;
+
+  return {
+    hash: tx.signature || tx.hash,
+    signature: tx.signature || tx.hash,
+    mintAddress: tx.mintAddress,
+    symbol: tx.symbol || tokenInfo.symbol || 'Unknown',
+    name: tx.name || tokenInfo.name || 'Unknown Token',
+    amount: isNaN(amount) ? 0 : amount,
+    usdAmount,
+    valueUsd: usdAmount,
+    from,
+    to,
+    senderAddress: from,
+    receiverAddress: to,
+    blockTime: tx.blockTime,
+    type: tx.type || 'Transfer'
+  };
+}
+
+/**
+ * Classify the direction of a transfer relative to known exchanges
+ * 
+ * @param {Object} tx - Normalized whale transaction
+ * @param {Set<string>} exchangeAddresses - Known exchange owner addresses
+ * @returns {string} - 'inflow' (into an exchange), 'outflow' (out of an exchange),
+ *                     'internal' (exchange to exchange) or 'wallet' (wallet to wallet)
+ */
+function classifyTransferDirection(tx, exchangeAddresses) {
+  const fromExchange = exchangeAddresses.has(tx.from);
+  const toExchange = exchangeAddresses.has(tx.to);
+
+  if (fromExchange && toExchange) return 'internal';
+  if (toExchange) return 'inflow';
+  if (fromExchange) return 'outflow';
+  return 'wallet';
+}
+
 module.exports = {
   getWhaleTransfers,
+  normalizeWhaleTransfer,
+  classifyTransferDirection,
 }; 
\ No newline at end of file
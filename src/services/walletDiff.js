@@ -0,0 +1,133 @@
+/**
+ * Wallet Balance Diff
+ *
+ * Compares two snapshots produced by `processWalletTokenBalance` token by
+ * token. Changes are classified by token amount rather than USD value, so a
+ * price move on an unchanged position is not reported as activity.
+ */
+
+// Amount changes smaller than this (percent of the previous amount) are
+// treated as rounding noise, fees or rebases rather than trades
+const MIN_AMOUNT_CHANGE_PERCENT = 1;
+
+// What a user is alerted about for a tracked wallet: only buys and sells
+// ('balance'), or also moves of the total value from price changes ('value')
+const ALERT_MODES = ['balance', 'value'];
+const DEFAULT_ALERT_MODE = 'balance';
+
+// Total value move (percent) that triggers an alert in 'value' mode
+const VALUE_CHANGE_ALERT_PERCENT = 5;
+
+const CHANGE_TYPES = {
+    NEW: 'new',
+    EXITED: 'exited',
+    INCREASED: 'increased',
+    REDUCED: 'reduced'
+};
+
+/**
+ * Diff two wallet balances
+ *
+ * @param {Object} previousBalance - Earlier balance ({ totalValue, tokens })
+ * @param {Object} currentBalance - Current balance ({ totalValue, tokens })
+ * @param {Object} options - Diff options
+ * @param {number} options.minAmountChangePercent - Ignore smaller amount changes (default: 1)
+ * @param {boolean} options.truncated - Both token lists were cut off at a limit, so a low-value
+ *   token may have only moved in or out of the list rather than been bought or sold
+ * @returns {Object} - { changes, totalValueChange, totalValueChangePercent }
+ */
+function diffWalletBalances(previousBalance, currentBalance, options = {}) {
+    const minAmountChangePercent = options.minAmountChangePercent ?? MIN_AMOUNT_CHANGE_PERCENT;
+
+    const previousTokens = new Map(previousBalance.tokens.map(token => [token.mintAddress, token]));
+    const currentTokens = new Map(currentBalance.tokens.map(token => [token.mintAddress, token]));
+    const changes = [];
+
+    const smallestValue = (tokens) => tokens.length ? Math.min(...tokens.map(token => token.value)) : 0;
+    const smallestPreviousValue = smallestValue(previousBalance.tokens);
+    const smallestCurrentValue = smallestValue(currentBalance.tokens);
+
+    for (const [mintAddress, current] of currentTokens) {
+        const previous = previousTokens.get(mintAddress);
+        const previousAmount = previous ? previous.amount : 0;
+        const amountChange = current.amount - previousAmount;
+
+        if (!previous || previousAmount === 0) {
+            if (!previous && options.truncated && current.value <= smallestPreviousValue) continue;
+            if (current.amount > 0) {
+                changes.push(buildChange(CHANGE_TYPES.NEW, current, previousAmount, current.amount));
+            }
+            continue;
+        }
+
+        const amountChangePercent = (Math.abs(amountChange) / previousAmount) * 100;
+        if (amountChangePercent < minAmountChangePercent) continue;
+
+        const type = amountChange > 0 ? CHANGE_TYPES.INCREASED : CHANGE_TYPES.REDUCED;
+        changes.push(buildChange(type, current, previousAmount, current.amount));
+    }
+
+    for (const [mintAddress, previous] of previousTokens) {
+        if (currentTokens.has(mintAddress) || previous.amount <= 0) continue;
+        if (options.truncated && previous.value <= smallestCurrentValue) continue;
+
+        changes.push(buildChange(CHANGE_TYPES.EXITED, previous, previous.amount, 0));
+    }
+
+    // Largest moves first
+    changes.sort((a, b) => Math.abs(b.valueChange) - Math.abs(a.valueChange));
+
+    const totalValueChange = currentBalance.totalValue - previousBalance.totalValue;
+    const totalValueChangePercent = previousBalance.totalValue > 0
+        ? (totalValueChange / previousBalance.totalValue) * 100
+        : 0;
+
+    return { changes, totalValueChange, totalValueChangePercent };
+}
+
+/**
+ * Build a change entry, valuing the amount moved at the token's known price
+ */
+function buildChange(type, token, previousAmount, currentAmount) {
+    const amountChange = currentAmount - previousAmount;
+
+    return {
+        type,
+        mintAddress: token.mintAddress,
+        symbol: token.symbol,
+        previousAmount,
+        currentAmount,
+        amountChange,
+        percentChange: previousAmount > 0 ? (amountChange / previousAmount) * 100 : null,
+        valueChange: amountChange * (token.priceUsd || 0)
+    };
+}
+
+/**
+ * Whether a diff is worth alerting about in the given alert mode
+ *
+ * @param {Object} diff - Result of diffWalletBalances
+ * @param {string} mode - 'balance' or 'value'
+ * @param {Object} options - Value mode thresholds
+ * @param {number} options.minValuePercent - Total value move that counts (default: 5)
+ * @param {number} options.minValueUsd - Minimum total value move in USD (default: 0)
+ * @returns {boolean}
+ */
+function isSignificantDiff(diff, mode = DEFAULT_ALERT_MODE, options = {}) {
+    if (diff.changes.length > 0) return true;
+    if (mode !== 'value') return false;
+
+    const minValuePercent = options.minValuePercent ?? VALUE_CHANGE_ALERT_PERCENT;
+    const minValueUsd = options.minValueUsd ?? 0;
+    return Math.abs(diff.totalValueChangePercent) > minValuePercent &&
+        Math.abs(diff.totalValueChange) >= minValueUsd;
+}
+
+module.exports = {
+    ALERT_MODES,
+    DEFAULT_ALERT_MODE,
+    VALUE_CHANGE_ALERT_PERCENT,
+    CHANGE_TYPES,
+    diffWalletBalances,
+    isSignificantDiff
+};
@@ -0,0 +1,105 @@
+/**
+ * Tracked-wallet Limits
+ *
+ * Every tracked wallet costs a balance lookup on each wallet check, so each
+ * chat (a user's private chat, or a group) gets a quota. The limit that
+ * applies is, in order:
+ *   1. a limit granted to the chat by an admin (/grantlimit)
+ *   2. the limit of the chat's tier (/settier), as set in Redis (/tierlimit)
+ *   3. the tier's default from the environment (WALLET_LIMIT_<TIER>)
+ */
+const { limits, tracking } = require('../repositories');
+
+const DEFAULT_TIER = 'free';
+
+// Built-in tiers; admins can add more with /tierlimit
+const DEFAULT_TIER_LIMITS = {
+    free: parseInt(process.env.WALLET_LIMIT_FREE) || 5,
+    pro: parseInt(process.env.WALLET_LIMIT_PRO) || 25
+};
+
+// Upper bound for any limit, to keep a typo from meaning "unlimited"
+const MAX_WALLET_LIMIT = 1000;
+
+const TIER_NAME_PATTERN = /^[a-z0-9-]{1,20}$/;
+
+/**
+ * Get every tier with its limit, Redis settings taking precedence
+ *
+ * @returns {Promise<Object>} - Map of tier -> limit
+ */
+async function getTierLimits() {
+    return { ...DEFAULT_TIER_LIMITS, ...await limits.getTierLimits() };
+}
+
+/**
+ * Resolve the wallet limit that applies to a chat
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @returns {Promise<{limit: number, tier: string, granted: boolean}>}
+ */
+async function getWalletLimit(chatId) {
+    const [tierLimits, chatTier, grantedLimit] = await Promise.all([
+        getTierLimits(),
+        limits.getUserTier(chatId),
+        limits.getUserLimit(chatId)
+    ]);
+
+    // A tier removed from the config falls back to the default tier
+    const tier = chatTier && tierLimits[chatTier] !== undefined ? chatTier : DEFAULT_TIER;
+
+    if (grantedLimit !== null) {
+        return { limit: grantedLimit, tier, granted: true };
+    }
+    return { limit: tierLimits[tier], tier, granted: false };
+}
+
+/**
+ * Get a chat's wallet count alongside its limit
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @returns {Promise<{used: number, limit: number, tier: string, granted: boolean}>}
+ */
+async function getWalletUsage(chatId) {
+    const [used, walletLimit] = await Promise.all([
+        tracking.countUserWallets(chatId),
+        getWalletLimit(chatId)
+    ]);
+    return { used, ...walletLimit };
+}
+
+/**
+ * Parse a limit argument
+ *
+ * @param {string} value - User input
+ * @returns {number|null} - Limit, or null if invalid
+ */
+function parseWalletLimit(value) {
+    if (!/^\d+$/.test(value || '')) return null;
+    const limit = parseInt(value);
+    return limit <= MAX_WALLET_LIMIT ? limit : null;
+}
+
+function isValidTierName(tier) {
+    return TIER_NAME_PATTERN.test(tier || '');
+}
+
+/**
+ * Describe a chat's wallet usage, e.g. "3/5 (free tier)"
+ */
+function formatWalletUsage(usage) {
+    const source = usage.granted ? 'granted limit' : `${usage.tier} tier`;
+    return `${usage.used}/${usage.limit} (${source})`;
+}
+
+module.exports = {
+    DEFAULT_TIER,
+    DEFAULT_TIER_LIMITS,
+    MAX_WALLET_LIMIT,
+    getTierLimits,
+    getWalletLimit,
+    getWalletUsage,
+    parseWalletLimit,
+    isValidTierName,
+    formatWalletUsage
+};
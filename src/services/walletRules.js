@@ -0,0 +1,117 @@
+/**
+ * Per-wallet Alert Rules
+ *
+ * Each user can narrow the wallet alerts they get for a tracked wallet.
+ * Rules are stored as JSON in the `user:${userId}:wallet_rules` hash, keyed by
+ * wallet address, next to the user's `user:${userId}:wallets` set.
+ */
+const { VALUE_CHANGE_ALERT_PERCENT } = require('./walletDiff');
+
+const DEFAULT_RULES = {
+    minUsd: 0, // Ignore position changes smaller than this (USD)
+    minPercent: 0, // Ignore smaller position moves (percent); below 1% they are noise anyway
+    minValuePercent: VALUE_CHANGE_ALERT_PERCENT, // Total value move that alerts in 'value' mode (percent)
+    tokens: [], // Only report these mints; empty means all tokens
+    ignoreStablecoins: false,
+    quietHours: null // { start, end } in UTC hours, end exclusive
+};
+
+// Well-known Solana stablecoin mints, plus symbols for bridged variants
+const STABLECOIN_MINTS = new Set([
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+    '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', // PYUSD
+    'USDH1SM1ojwWUga67PGrgFWUHibbjqMvuMaDkRJTgkX' // USDH
+]);
+const STABLECOIN_SYMBOLS = new Set(['USDC', 'USDT', 'PYUSD', 'USDH', 'USDS', 'DAI', 'UXD', 'USDE']);
+
+/**
+ * Parse stored rules, filling in defaults for anything unset or invalid
+ *
+ * @param {string} storedRules - JSON from the wallet rules hash
+ * @returns {Object} - Complete rules object
+ */
+function parseWalletRules(storedRules) {
+    if (!storedRules) return { ...DEFAULT_RULES };
+
+    try {
+        return { ...DEFAULT_RULES, ...JSON.parse(storedRules) };
+    } catch (error) {
+        return { ...DEFAULT_RULES };
+    }
+}
+
+function isStablecoin(change) {
+    return STABLECOIN_MINTS.has(change.mintAddress) ||
+        STABLECOIN_SYMBOLS.has((change.symbol || '').toUpperCase());
+}
+
+/**
+ * Whether the given time falls inside the rules' quiet hours
+ *
+ * @param {Object} rules - Wallet rules
+ * @param {Date} now - Time to check (default: now)
+ * @returns {boolean}
+ */
+function isQuietHours(rules, now = new Date()) {
+    if (!rules.quietHours) return false;
+
+    const { start, end } = rules.quietHours;
+    const hour = now.getUTCHours();
+
+    // Ranges may wrap past midnight, e.g. 22-6
+    return start <= end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+}
+
+/**
+ * Drop the position changes a user's rules filter out
+ *
+ * @param {Object} diff - Result of diffWalletBalances
+ * @param {Object} rules - Wallet rules
+ * @returns {Object} - Diff with only the changes the user wants to hear about
+ */
+function applyWalletRules(diff, rules) {
+    const watchedTokens = new Set(rules.tokens || []);
+
+    const changes = diff.changes.filter(change => {
+        if (watchedTokens.size > 0 && !watchedTokens.has(change.mintAddress)) return false;
+        if (rules.ignoreStablecoins && isStablecoin(change)) return false;
+        if (Math.abs(change.valueChange) < rules.minUsd) return false;
+
+        // New positions have no percentage; they always pass the % rule
+        return change.percentChange === null || Math.abs(change.percentChange) >= rules.minPercent;
+    });
+
+    return { ...diff, changes };
+}
+
+/**
+ * Human-readable summary of a set of rules
+ *
+ * @param {Object} rules - Wallet rules
+ * @returns {string[]} - One line per rule
+ */
+function describeWalletRules(rules) {
+    const quietHours = rules.quietHours
+        ? `${String(rules.quietHours.start).padStart(2, '0')}:00-${String(rules.quietHours.end).padStart(2, '0')}:00 UTC`
+        : 'Off';
+
+    return [
+        `Min USD move: ${rules.minUsd > 0 ? `$${rules.minUsd.toLocaleString()}` : 'Any'}`,
+        `Min % position move: ${rules.minPercent > 0 ? `${rules.minPercent}%` : 'Any'}`,
+        `Min % value move (value mode): ${rules.minValuePercent}%`,
+        `Tokens: ${rules.tokens.length > 0 ? `${rules.tokens.length} selected` : 'All'}`,
+        `Stablecoins: ${rules.ignoreStablecoins ? 'Ignored' : 'Included'}`,
+        `Quiet hours: ${quietHours}`
+    ];
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    parseWalletRules,
+    isQuietHours,
+    applyWalletRules,
+    describeWalletRules
+};
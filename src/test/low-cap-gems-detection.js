@@ -1,11 +1,7 @@
 require('dotenv').config();
-const vybeApi = require('@api/vybe-api');
 const { findLowCapGems, detectNewLowCapGems } = require('../services/vybeApi/lowCapGems');
 const { formatNewGemAlertMessage } = require('../messages/gemMessages');
 
-// Initialize the API
-vybeApi.auth(process.env.VYBE_API_KEY);
-
 // Test wallet address - you can change this to any wallet you want to test
 const TEST_WALLET = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
 
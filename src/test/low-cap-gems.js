@@ -1,11 +1,7 @@
 require('dotenv').config();
-const vybeApi = require('@api/vybe-api');
 const { findLowCapGems } = require('../services/vybeApi/lowCapGems');
 const { formatLowCapGemsMessage } = require('../messages/gemMessages');
 
-// Initialize the API
-vybeApi.auth(process.env.VYBE_API_KEY);
-
 // Test wallet address - you can change this to any wallet you want to test
 const TEST_WALLET = '42e6KaraNpvvHUrcUt33GcQYmxaPN6vp5HdT39xVYiJR';
 
@@ -0,0 +1,98 @@
+const {
+  parsePriceAlertArgs,
+  recordPriceSample,
+  evaluatePriceAlert,
+  getAlertTransition
+} = require('../services/priceAlerts');
+
+// Test data - no Redis server or API key needed
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Main test function
+ */
+function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING PRICE ALERTS');
+  console.log('='.repeat(50));
+
+  console.log('\n1. Parsing arguments...');
+  const above = parsePriceAlertArgs('price', ['above', '$1,500']).alert;
+  check('Target alerts parse the USD amount', above?.condition === 'above' && above.target === 1500);
+  check('Alerts fire once by default', above?.mode === 'once');
+  check('Amount suffixes are understood', parsePriceAlertArgs('marketCap', ['below', '10m']).alert?.target === 10e6);
+  check('The mode can be set', parsePriceAlertArgs('price', ['below', '2', 'REARM']).alert?.mode === 'rearm');
+
+  const rise = parsePriceAlertArgs('price', ['change', '+10%', '1H']).alert;
+  check('A + percentage only watches rises', rise?.direction === 'up' && rise.target === 10 && rise.window === '1h');
+  check('A - percentage only watches drops', parsePriceAlertArgs('price', ['change', '-5', '24h']).alert?.direction === 'down');
+  check('A bare percentage watches both ways', parsePriceAlertArgs('price', ['change', '5', '4h']).alert?.direction === 'any');
+
+  check('Unknown conditions are refused', !!parsePriceAlertArgs('price', ['sideways', '1']).error);
+  check('Market cap has no change alerts', !!parsePriceAlertArgs('marketCap', ['change', '10', '1h']).error);
+  check('Invalid amounts are refused', !!parsePriceAlertArgs('price', ['above', 'lots']).error);
+  check('Zero percent is refused', !!parsePriceAlertArgs('price', ['change', '0', '1h']).error);
+  check('Unknown windows are refused', !!parsePriceAlertArgs('price', ['change', '10', '2d']).error);
+  check('Unknown modes are refused', !!parsePriceAlertArgs('price', ['above', '1', 'twice']).error);
+  check('Extra arguments are refused', !!parsePriceAlertArgs('price', ['above', '1', 'once', 'more']).error);
+
+  console.log('\n2. Target alerts...');
+  const priceAbove = { metric: 'price', condition: 'above', target: 100 };
+  check('Above is met at the target', evaluatePriceAlert(priceAbove, { price: 100 }).met);
+  check('Above is not met below it', !evaluatePriceAlert(priceAbove, { price: 99.5 }).met);
+  check('Above only clears past the rearm margin',
+    !evaluatePriceAlert(priceAbove, { price: 99.5 }).cleared && evaluatePriceAlert(priceAbove, { price: 98 }).cleared);
+  const capBelow = { metric: 'marketCap', condition: 'below', target: 1e6 };
+  check('Market cap alerts read the market cap', evaluatePriceAlert(capBelow, { price: 1, marketCap: 9e5 }).met);
+  check('Missing data gives no evaluation', evaluatePriceAlert(priceAbove, { price: null }) === null);
+
+  console.log('\n3. Change alerts...');
+  const dayRise = { metric: 'price', condition: 'change', target: 10, direction: 'up', window: '24h' };
+  check('The 24h window compares against price1d', evaluatePriceAlert(dayRise, { price: 11.5, price1d: 10 }).met);
+  check('A rise alert ignores drops', !evaluatePriceAlert(dayRise, { price: 8, price1d: 10 }).met);
+  const anyMove = { ...dayRise, direction: 'any' };
+  check('An either-way alert catches drops', evaluatePriceAlert(anyMove, { price: 8, price1d: 10 }).met);
+
+  const hourDrop = { metric: 'price', condition: 'change', target: 10, direction: 'down', window: '1h' };
+  let history = [];
+  history = recordPriceSample(history, 10, NOW - 30 * MINUTE);
+  check('Sampled windows wait until the samples cover them',
+    evaluatePriceAlert(hourDrop, { price: 8 }, history, NOW) === null);
+  history = recordPriceSample([[NOW - 70 * MINUTE, 10]], 9.5, NOW - 30 * MINUTE);
+  const evaluation = evaluatePriceAlert(hourDrop, { price: 8.5 }, history, NOW);
+  check('Sampled windows compare against the price at the window start', evaluation?.met && evaluation.change === -15);
+  check('Samples older than every window are dropped',
+    recordPriceSample([[NOW - 10 * 60 * MINUTE, 1]], 2, NOW).length === 1);
+
+  console.log('\n4. Re-arming...');
+  const armed = { ...priceAbove, armed: true };
+  const disarmed = { ...priceAbove, armed: false };
+  check('An armed alert triggers when met', getAlertTransition(armed, evaluatePriceAlert(armed, { price: 105 })) === 'trigger');
+  check('A disarmed alert does not trigger again', getAlertTransition(disarmed, evaluatePriceAlert(disarmed, { price: 105 })) === null);
+  check('A disarmed alert stays disarmed inside the margin',
+    getAlertTransition(disarmed, evaluatePriceAlert(disarmed, { price: 99.5 })) === null);
+  check('A disarmed alert re-arms once cleared', getAlertTransition(disarmed, evaluatePriceAlert(disarmed, { price: 95 })) === 'rearm');
+  check('Nothing happens without an evaluation', getAlertTransition(armed, null) === null);
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All price alert checks passed');
+}
+
+// Run the test
+runTest();
@@ -0,0 +1,83 @@
+const { Registry } = require('../utils/prometheus');
+
+// Test data - no Redis server or API key needed
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function hasLine(output, line) {
+  return output.split('\n').includes(line);
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING PROMETHEUS EXPOSITION');
+  console.log('='.repeat(50));
+
+  const registry = new Registry();
+  const requests = registry.counter({ name: 'test_requests_total', help: 'Requests', labelNames: ['endpoint', 'status'] });
+  const duration = registry.histogram({ name: 'test_duration_seconds', help: 'Durations', buckets: [0.1, 1] });
+  const queued = registry.gauge({
+    name: 'test_queued',
+    help: 'Queued messages',
+    labelNames: ['lane'],
+    collect: gauge => {
+      gauge.reset();
+      gauge.set({ lane: 'bulk' }, 3);
+    }
+  });
+  queued.set({ lane: 'interactive' }, 1);
+
+  console.log('\n1. Counters...');
+  requests.inc({ endpoint: 'token_details', status: 200 });
+  requests.inc({ endpoint: 'token_details', status: 200 }, 2);
+  requests.inc({ status: 'ETIMEDOUT', endpoint: 'wallet_tokens' });
+  let output = await registry.render();
+  check('Help and type lines come first',
+    output.startsWith('# HELP test_requests_total Requests\n# TYPE test_requests_total counter\n'));
+  check('Series with the same labels add up', hasLine(output, 'test_requests_total{endpoint="token_details",status="200"} 3'));
+  check('Labels are written in declared order', hasLine(output, 'test_requests_total{endpoint="wallet_tokens",status="ETIMEDOUT"} 1'));
+
+  requests.inc({ endpoint: 'say "hi"\\\n', status: 500 });
+  output = await registry.render();
+  check('Label values are escaped', hasLine(output, 'test_requests_total{endpoint="say \\"hi\\"\\\\\\n",status="500"} 1'));
+
+  console.log('\n2. Histograms...');
+  duration.observe({}, 0.05);
+  duration.observe({}, 0.5);
+  duration.observe({}, 5);
+  output = await registry.render();
+  check('Buckets are cumulative', hasLine(output, 'test_duration_seconds_bucket{le="0.1"} 1') &&
+    hasLine(output, 'test_duration_seconds_bucket{le="1"} 2'));
+  check('The +Inf bucket counts everything', hasLine(output, 'test_duration_seconds_bucket{le="+Inf"} 3'));
+  check('Sum and count are written', hasLine(output, 'test_duration_seconds_sum 5.55') &&
+    hasLine(output, 'test_duration_seconds_count 3'));
+
+  console.log('\n3. Gauges...');
+  check('Collectors run when scraped', hasLine(output, 'test_queued{lane="bulk"} 3'));
+  check('Collectors can reset stale series', !output.includes('lane="interactive"'));
+  check('Output ends with a newline', output.endsWith('\n'));
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All Prometheus exposition checks passed');
+}
+
+// Run the test
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
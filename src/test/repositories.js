@@ -0,0 +1,139 @@
+const { createRepositories, MemoryRedisClient, TRACK_RESULTS } = require('../repositories');
+
+// Test data - no Redis server or API key needed
+const TEST_USER = 1001;
+const OTHER_USER = 1002;
+const TEST_WALLET = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const TEST_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING REPOSITORIES (IN-MEMORY CLIENT)');
+  console.log('='.repeat(50));
+
+  const client = new MemoryRedisClient();
+  const { tracking, alertPrefs, watchlist, alertState, snapshots, apiCache, priceAlerts, labels, deliveryQueue, conversations } = createRepositories(() => client);
+
+  console.log('\n1. Wallet tracking...');
+  check('First track adds the wallet', await tracking.trackWallet(TEST_USER, TEST_WALLET) === TRACK_RESULTS.ADDED);
+  check('Tracking it again is a no-op',
+    await tracking.trackWallet(TEST_USER, TEST_WALLET) === TRACK_RESULTS.ALREADY_TRACKING);
+  check('Tracking past the limit is refused',
+    await tracking.trackWallet(TEST_USER, TEST_MINT, 1) === TRACK_RESULTS.LIMIT_REACHED);
+  await tracking.trackWallet(OTHER_USER, TEST_WALLET);
+  check('Both users follow the wallet', (await tracking.getWalletUsers(TEST_WALLET)).length === 2);
+
+  await snapshots.save('balance', TEST_WALLET, { totalValue: 100 });
+  await alertPrefs.setWalletMode(TEST_USER, TEST_WALLET, 'value');
+  await alertPrefs.setWalletRules(TEST_USER, TEST_WALLET, { minUsd: 50 });
+
+  console.log('\n2. Wallet untracking...');
+  check('Untrack removes the wallet for the user', await tracking.untrackWallet(TEST_USER, TEST_WALLET));
+  check('Per-wallet settings are dropped', !(await alertPrefs.getWalletMode(TEST_USER, TEST_WALLET)) &&
+    !(await alertPrefs.getWalletRules(TEST_USER, TEST_WALLET)));
+  check('Wallet stays tracked while another user follows it',
+    (await client.sMembers('tracked_wallets')).includes(TEST_WALLET));
+
+  await tracking.untrackWallet(OTHER_USER, TEST_WALLET);
+  check('Wallet leaves global tracking with its last user', (await client.sMembers('tracked_wallets')).length === 0);
+  check('Balance snapshot is removed', (await snapshots.get('balance', TEST_WALLET)) === null);
+
+  console.log('\n3. Gem alerts...');
+  await tracking.enableGemAlerts(TEST_USER, TEST_WALLET);
+  check('Gem alerts enabled', await tracking.hasGemAlerts(TEST_USER, TEST_WALLET));
+  await tracking.disableGemAlerts(TEST_USER, TEST_WALLET);
+  check('Wallet leaves gem scanning with its last chat', (await client.sMembers('gem_alert_wallets')).length === 0);
+
+  console.log('\n4. Token watchlist...');
+  await watchlist.watchToken(TEST_USER, TEST_MINT);
+  await alertPrefs.setWhaleRule(TEST_USER, TEST_MINT, { threshold: 50000 });
+  await alertPrefs.setHolderRule(TEST_USER, TEST_MINT, { milestones: [10000] });
+  await alertPrefs.setConcentrationRule(TEST_USER, TEST_MINT, { threshold: 5, scope: 'total' });
+  check('Token is watched', await watchlist.isWatching(TEST_USER, TEST_MINT));
+  await watchlist.unwatchToken(TEST_USER, TEST_MINT);
+  check('Token leaves whale checks with its last chat', (await watchlist.getTrackedTokens()).length === 0);
+  check('Whale rule is dropped', !(await alertPrefs.getWhaleRule(TEST_USER, TEST_MINT)));
+  check('Holder rule is dropped', !(await alertPrefs.getHolderRule(TEST_USER, TEST_MINT)));
+  check('Concentration rule is dropped', !(await alertPrefs.getConcentrationRule(TEST_USER, TEST_MINT)));
+
+  console.log('\n5. Alert state...');
+  check('First claim of a whale alert succeeds', await alertState.claimWhaleAlert(TEST_MINT, 'test-signature'));
+  check('Second claim is rejected', !(await alertState.claimWhaleAlert(TEST_MINT, 'test-signature')));
+  check('The same transaction can alert for another token', await alertState.claimWhaleAlert(TEST_WALLET, 'test-signature'));
+
+  console.log('\n6. API response cache...');
+  await apiCache.set('get_token_details', 'test-hash', { status: 200, data: { symbol: 'USDC' } }, 60);
+  check('Cached response is returned', (await apiCache.get('get_token_details', 'test-hash'))?.data.symbol === 'USDC');
+  check('Unknown request is a miss', (await apiCache.get('get_token_details', 'other-hash')) === null);
+
+  console.log('\n7. Price alerts...');
+  const first = await priceAlerts.addAlert(TEST_USER, { mint: TEST_MINT, metric: 'price', condition: 'above', target: 2 });
+  const second = await priceAlerts.addAlert(TEST_USER, { mint: TEST_MINT, metric: 'price', condition: 'below', target: 0.5 });
+  check('Alert ids increase per chat', first.id === 1 && second.id === 2);
+  check('Mint is checked', (await priceAlerts.getAlertTokens()).includes(TEST_MINT));
+  check('Alert is updated', await priceAlerts.updateAlert(TEST_USER, { ...first, armed: false }) &&
+    (await priceAlerts.getAlert(TEST_USER, first.id)).armed === false);
+  await priceAlerts.deleteAlert(TEST_USER, first.id);
+  check('A deleted alert is not brought back by an update',
+    !(await priceAlerts.updateAlert(TEST_USER, first)) && !(await priceAlerts.getAlert(TEST_USER, first.id)));
+  check('Mint stays checked while an alert remains', (await priceAlerts.getAlertTokens()).includes(TEST_MINT));
+  await priceAlerts.deleteAlert(TEST_USER, second.id);
+  check('Mint is dropped with its last alert', !(await priceAlerts.getAlertTokens()).includes(TEST_MINT));
+
+  console.log('\n8. Labels...');
+  await labels.setLabel(TEST_USER, TEST_WALLET, 'Team wallet');
+  check('Label is stored', (await labels.getLabel(TEST_USER, TEST_WALLET)) === 'Team wallet');
+  check('Labels are private to the chat', !(await labels.getLabel(OTHER_USER, TEST_WALLET)));
+  check('Label is removed', await labels.deleteLabel(TEST_USER, TEST_WALLET));
+  check('Removing a missing label reports it', !(await labels.deleteLabel(TEST_USER, TEST_WALLET)));
+
+  console.log('\n9. Delivery queue...');
+  await deliveryQueue.add({ id: 'b', chatId: TEST_USER, method: 'sendMessage', args: ['Second'], enqueuedAt: 2 });
+  await deliveryQueue.add({ id: 'a', chatId: TEST_USER, method: 'sendMessage', args: ['First'], enqueuedAt: 1 });
+  const queued = await deliveryQueue.getAll();
+  check('Queued messages load oldest first', queued.map(message => message.id).join() === 'a,b');
+  await deliveryQueue.remove('a');
+  check('Delivered message is removed', (await deliveryQueue.getAll()).length === 1);
+
+  console.log('\n10. Clearing a chat...');
+  await alertPrefs.enableAlerts(OTHER_USER, ['whale', 'wallet']);
+  await alertPrefs.setThreshold(OTHER_USER, 250000);
+  await alertPrefs.clearChat(OTHER_USER);
+  check('Chat leaves the alert-enabled set', !(await alertPrefs.getAlertEnabledChats()).includes(OTHER_USER.toString()));
+  check('Chat settings are dropped',
+    (await alertPrefs.getEnabledAlerts(OTHER_USER)).length === 0 && (await alertPrefs.getThreshold(OTHER_USER)) === null);
+
+  console.log('\n11. Conversations...');
+  await conversations.set(TEST_USER, TEST_USER, { command: 'trackwallet', step: 'awaiting_wallet' }, 60);
+  check('Conversation is stored', (await conversations.get(TEST_USER, TEST_USER))?.step === 'awaiting_wallet');
+  check('Conversations are per chat', !(await conversations.get(OTHER_USER, TEST_USER)));
+  check('Conversation is cleared', await conversations.clear(TEST_USER, TEST_USER));
+  check('Clearing it again reports nothing removed', !(await conversations.clear(TEST_USER, TEST_USER)));
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All repository checks passed');
+}
+
+// Run the test
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+const JobScheduler = require('../services/scheduler');
+const { MemoryRedisClient } = require('../repositories');
+
+// Test data - no Redis server or API key needed
+const TYPE = 'wallet';
+const JOB = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const INTERVAL = 60 * 1000;
+const MAX_BACKOFF = 4 * INTERVAL;
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Run the job once and report whether it was rescheduled `delay` ms out
+ */
+async function runAndCheckDelay(scheduler, client, delay) {
+  const before = Date.now();
+  await scheduler.runJob(TYPE, JOB);
+  const after = Date.now();
+  const due = await client.zRangeByScore(scheduler.queueKey(TYPE), before + delay, after + delay);
+  return due.includes(JOB);
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING JOB SCHEDULER BACKOFF');
+  console.log('='.repeat(50));
+
+  const client = new MemoryRedisClient();
+  const scheduler = new JobScheduler(client);
+  let failing = true;
+  scheduler.register(TYPE, {
+    source: 'tracked_wallets',
+    interval: INTERVAL,
+    maxBackoff: MAX_BACKOFF,
+    jitter: 0,
+    handler: async () => {
+      if (failing) throw new Error('Vybe API unavailable');
+    }
+  });
+  await client.zAdd(scheduler.queueKey(TYPE), { score: Date.now(), value: JOB });
+
+  console.log('\n1. Failing jobs back off...');
+  check('First failure waits two intervals', await runAndCheckDelay(scheduler, client, 2 * INTERVAL));
+  check('Second failure waits four intervals', await runAndCheckDelay(scheduler, client, 4 * INTERVAL));
+  check('Backoff stops at the maximum', await runAndCheckDelay(scheduler, client, MAX_BACKOFF));
+  check('Failures are counted', await client.hGet(scheduler.failuresKey(TYPE), JOB) === '3');
+  check('The last error is kept in the stats', scheduler.getStats()[TYPE].lastError === 'Vybe API unavailable');
+
+  console.log('\n2. A success resets the backoff...');
+  failing = false;
+  check('Next run is one interval out', await runAndCheckDelay(scheduler, client, INTERVAL));
+  check('Failure count is cleared', await client.hGet(scheduler.failuresKey(TYPE), JOB) == null);
+  failing = true;
+  check('The next failure starts over', await runAndCheckDelay(scheduler, client, 2 * INTERVAL));
+
+  console.log('\n3. Removed jobs stay removed...');
+  await client.zRem(scheduler.queueKey(TYPE), JOB);
+  await scheduler.runJob(TYPE, JOB);
+  check('A job untracked while running is not rescheduled',
+    !(await client.zRange(scheduler.queueKey(TYPE), 0, -1)).includes(JOB));
+  check('...and leaves no failure count behind', await client.hGet(scheduler.failuresKey(TYPE), JOB) == null);
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All scheduler checks passed');
+}
+
+// Run the test
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+const { CHANGE_TYPES, diffWalletBalances, isSignificantDiff } = require('../services/walletDiff');
+
+// Test data - no Redis server or API key needed
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function token(mintAddress, symbol, amount, priceUsd) {
+  return { mintAddress, symbol, amount, priceUsd, value: amount * priceUsd };
+}
+
+function balance(tokens) {
+  return { totalValue: tokens.reduce((sum, t) => sum + t.value, 0), tokens };
+}
+
+function changeFor(diff, mintAddress) {
+  return diff.changes.find(change => change.mintAddress === mintAddress);
+}
+
+/**
+ * Main test function
+ */
+function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING WALLET BALANCE DIFF');
+  console.log('='.repeat(50));
+
+  const previous = balance([
+    token(SOL, 'SOL', 10, 150),
+    token(USDC, 'USDC', 1000, 1),
+    token(BONK, 'BONK', 1000000, 0.00002)
+  ]);
+  const current = balance([
+    token(SOL, 'SOL', 12, 150),
+    token(USDC, 'USDC', 500, 1),
+    token(JUP, 'JUP', 200, 0.8)
+  ]);
+  const diff = diffWalletBalances(previous, current);
+
+  console.log('\n1. Classification...');
+  check('A new token is reported as new', changeFor(diff, JUP)?.type === CHANGE_TYPES.NEW);
+  check('A token that disappeared is reported as exited', changeFor(diff, BONK)?.type === CHANGE_TYPES.EXITED);
+  check('A larger amount is reported as increased', changeFor(diff, SOL)?.type === CHANGE_TYPES.INCREASED);
+  check('A smaller amount is reported as reduced', changeFor(diff, USDC)?.type === CHANGE_TYPES.REDUCED);
+  check('Changes are valued at the token price', changeFor(diff, SOL).valueChange === 300);
+  check('Changes carry their percentage', changeFor(diff, USDC).percentChange === -50);
+  check('New positions have no percentage', changeFor(diff, JUP).percentChange === null);
+  check('Largest moves come first', diff.changes[0].mintAddress === USDC);
+  check('Total value change is the difference of the totals',
+    diff.totalValueChange === current.totalValue - previous.totalValue);
+
+  console.log('\n2. Noise...');
+  const repriced = balance([token(SOL, 'SOL', 10, 200)]);
+  const priceOnly = diffWalletBalances(balance([token(SOL, 'SOL', 10, 150)]), repriced);
+  check('A price move on an unchanged position is not activity', priceOnly.changes.length === 0);
+  check('...but moves the total value', priceOnly.totalValueChange === 500);
+  const dust = diffWalletBalances(balance([token(SOL, 'SOL', 100, 150)]), balance([token(SOL, 'SOL', 99.5, 150)]));
+  check('Amount changes under 1% are ignored', dust.changes.length === 0);
+  const stricter = diffWalletBalances(previous, current, { minAmountChangePercent: 25 });
+  check('The amount threshold can be raised', !changeFor(stricter, SOL) && !!changeFor(stricter, USDC));
+
+  console.log('\n3. Truncated token lists...');
+  const top = balance([token(SOL, 'SOL', 10, 150), token(USDC, 'USDC', 1000, 1)]);
+  const shuffled = balance([token(SOL, 'SOL', 10, 150), token(BONK, 'BONK', 1000, 0.5)]);
+  const truncated = diffWalletBalances(top, shuffled, { truncated: true });
+  check('A token leaving a truncated list above the smallest value is exited', !!changeFor(truncated, USDC));
+  check('A token entering a truncated list below the smallest value is ignored', !changeFor(truncated, BONK));
+
+  console.log('\n4. Significance by mode...');
+  check('Position changes alert in balance mode', isSignificantDiff(diff, 'balance'));
+  check('Value moves alone do not alert in balance mode', !isSignificantDiff(priceOnly, 'balance'));
+  check('Value moves over the threshold alert in value mode', isSignificantDiff(priceOnly, 'value'));
+  check('Value moves under a raised threshold do not alert',
+    !isSignificantDiff(priceOnly, 'value', { minValuePercent: 50 }));
+  check('Value moves under the USD minimum do not alert',
+    !isSignificantDiff(priceOnly, 'value', { minValueUsd: 1000 }));
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All wallet diff checks passed');
+}
+
+// Run the test
+runTest();
@@ -0,0 +1,80 @@
+const { DEFAULT_RULES, parseWalletRules, isQuietHours, applyWalletRules } = require('../services/walletRules');
+
+// Test data - no Redis server or API key needed
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.log(`❌ ${description}`);
+    failures++;
+  }
+}
+
+function atHour(hour) {
+  return new Date(Date.UTC(2025, 0, 1, hour, 30));
+}
+
+function mints(diff) {
+  return diff.changes.map(change => change.mintAddress);
+}
+
+/**
+ * Main test function
+ */
+function runTest() {
+  console.log('='.repeat(50));
+  console.log('TESTING WALLET RULES');
+  console.log('='.repeat(50));
+
+  const diff = {
+    totalValueChange: 700,
+    totalValueChangePercent: 7,
+    changes: [
+      { mintAddress: SOL, symbol: 'SOL', percentChange: 2, valueChange: 300 },
+      { mintAddress: USDC, symbol: 'USDC', percentChange: -50, valueChange: -500 },
+      { mintAddress: JUP, symbol: 'JUP', percentChange: null, valueChange: 40 }
+    ]
+  };
+
+  console.log('\n1. Parsing...');
+  check('Missing rules are the defaults', JSON.stringify(parseWalletRules(null)) === JSON.stringify(DEFAULT_RULES));
+  check('Stored rules are merged over the defaults', parseWalletRules('{"minUsd":100}').minPercent === DEFAULT_RULES.minPercent);
+  check('Invalid JSON falls back to the defaults', parseWalletRules('{oops').minUsd === 0);
+
+  console.log('\n2. Filtering changes...');
+  check('Default rules keep every change', applyWalletRules(diff, parseWalletRules(null)).changes.length === 3);
+  check('Changes under the USD minimum are dropped',
+    mints(applyWalletRules(diff, parseWalletRules('{"minUsd":100}'))).join() === [SOL, USDC].join());
+  check('Position moves under the % minimum are dropped, new positions kept',
+    mints(applyWalletRules(diff, parseWalletRules('{"minPercent":5}'))).join() === [USDC, JUP].join());
+  check('Only watched tokens are kept',
+    mints(applyWalletRules(diff, parseWalletRules(JSON.stringify({ tokens: [JUP] })))).join() === JUP);
+  check('Stablecoins can be ignored',
+    !mints(applyWalletRules(diff, parseWalletRules('{"ignoreStablecoins":true}'))).includes(USDC));
+  check('Totals are left as they were', applyWalletRules(diff, parseWalletRules('{"minUsd":1000}')).totalValueChange === 700);
+
+  console.log('\n3. Quiet hours...');
+  const overnight = parseWalletRules('{"quietHours":{"start":22,"end":6}}');
+  const daytime = parseWalletRules('{"quietHours":{"start":9,"end":17}}');
+  check('No quiet hours by default', !isQuietHours(parseWalletRules(null), atHour(3)));
+  check('Quiet hours cover their range', isQuietHours(daytime, atHour(9)) && isQuietHours(daytime, atHour(16)));
+  check('Quiet hours end before their end hour', !isQuietHours(daytime, atHour(17)));
+  check('Quiet hours can wrap past midnight', isQuietHours(overnight, atHour(23)) && isQuietHours(overnight, atHour(2)));
+  check('...and still end in the morning', !isQuietHours(overnight, atHour(6)) && !isQuietHours(overnight, atHour(12)));
+
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All wallet rules checks passed');
+}
+
+// Run the test
+runTest();
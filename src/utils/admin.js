@@ -0,0 +1,14 @@
+/**
+ * Check if a user is a bot administrator
+ *
+ * Admins are listed by Telegram user ID in ADMIN_USER_IDS (comma-separated).
+ *
+ * @param {number|string} userId - Telegram user ID
+ * @returns {Promise<boolean>}
+ */
+async function isUserAdmin(userId) {
+    const adminIds = process.env.ADMIN_USER_IDS?.split(',').map(id => parseInt(id.trim())) || [];
+    return adminIds.includes(parseInt(userId));
+}
+
+module.exports = { isUserAdmin };
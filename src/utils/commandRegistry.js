@@ -0,0 +1,304 @@
+const logger = require('./logger');
+const stateManager = require('./stateManager');
+const metrics = require('../services/metrics');
+const { isUserAdmin } = require('./admin');
+const { isGroupChat, canManageChat } = require('./groupChat');
+
+/**
+ * Declarative command registry
+ *
+ * Each module in src/commands exports a `commands` array of definitions:
+ *
+ *   {
+ *     name: 'watchtoken',                 // command, without the slash
+ *     description: 'Watch a token ...',   // Telegram command menu
+ *     help: 'Watch a token for ...',      // /help line (defaults to description)
+ *     section: 'Token Watchlist',         // /help section
+ *     args: [                             // argument schema, validated before the handler runs
+ *       { name: 'token address', type: 'address', required: true }
+ *     ],
+ *     anyArgs: false,                     // skip validation and pass any arguments through
+ *     examples: ['/watchtoken So11...'],
+ *     admin: false,                       // bot admins only (ADMIN_USER_IDS)
+ *     settings: true,                     // changes chat settings: group admins only in groups
+ *     hidden: false,                      // left out of the menu and /help
+ *     handler: (bot, msg, match, endedState) => {}, // match[1] is the argument string
+ *     steps: {                            // conversation steps, by state.step
+ *       awaiting_wallet: (bot, msg, state) => {}
+ *     },
+ *     callbacks: [{ prefixes: ['wrule:'], handler: (bot, query) => {}, settings: true }]
+ *   }
+ *
+ * The message router, the command menu, /help and callback dispatch are all
+ * generated from these definitions.
+ *
+ * A command starts a conversation by setting the user's state (see
+ * stateManager) to one of its steps; the user's next non-command message in
+ * that chat goes to the step. A step returns the step to wait at next (its
+ * own name to ask again), or `{ command, step, data, ttl }` to also replace
+ * what the conversation has collected, hand it to another command or change
+ * how long it waits; returning nothing ends the conversation. Any command
+ * ends a conversation in progress, and is passed the state it ended.
+ *
+ * A state without a step only keeps data for the next command (e.g. the
+ * last analyzed token); the user's plain messages are left alone.
+ */
+
+// Argument types: the pattern a value must match and how to describe it
+const ARG_TYPES = {
+    address: { pattern: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/, hint: 'a Solana address' },
+    number: { pattern: /^\d+(\.\d+)?$/, hint: 'a positive number' },
+    integer: { pattern: /^\d+$/, hint: 'a whole number' },
+    id: { pattern: /^-?\d+$/, hint: 'a numeric ID' },
+    text: { pattern: /^[\s\S]+$/, hint: 'text' }
+};
+
+const ADMIN_ONLY_MESSAGE = '❌ This command is only available to administrators.';
+const GROUP_ADMIN_ONLY_MESSAGE = '🔒 Only group admins can change this chat\'s settings.';
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map(); // name -> definition, in registration order
+        this.callbacks = []; // { prefix, handler, settings }
+    }
+
+    /**
+     * Register every command a module exports
+     */
+    registerModule(commandModule) {
+        (commandModule.commands || []).forEach(definition => this.register(definition));
+    }
+
+    register(definition) {
+        const { name, handler, args = [], steps = {}, callbacks = [] } = definition;
+
+        if (!name || typeof handler !== 'function') {
+            throw new Error(`Command "${name}" needs a name and a handler`);
+        }
+        if (this.commands.has(name)) {
+            throw new Error(`Command "${name}" is already registered`);
+        }
+        args.forEach(arg => {
+            if (!arg.choices && !ARG_TYPES[arg.type || 'text']) {
+                throw new Error(`Command "${name}" has an argument of unknown type "${arg.type}"`);
+            }
+        });
+
+        Object.entries(steps).forEach(([step, stepHandler]) => {
+            if (typeof stepHandler !== 'function') {
+                throw new Error(`Command "${name}" has no handler for step "${step}"`);
+            }
+        });
+
+        this.commands.set(name, { ...definition, args });
+
+        callbacks.forEach(({ prefixes, handler: callbackHandler, settings = false }) => {
+            prefixes.forEach(prefix => {
+                if (this.callbacks.some(callback => callback.prefix === prefix)) {
+                    throw new Error(`Callback prefix "${prefix}" is already registered`);
+                }
+                this.callbacks.push({ prefix, handler: callbackHandler, settings });
+            });
+        });
+    }
+
+    get(name) {
+        return this.commands.get(name);
+    }
+
+    /**
+     * Build the usage line, e.g. "/walletmode <wallet address> [balance|value]"
+     */
+    getUsage(definition) {
+        const args = definition.args.map(arg => {
+            const label = arg.choices ? arg.choices.join('|') : arg.name;
+            return arg.required ? `<${label}>` : `[${label}]`;
+        });
+        return [`/${definition.name}`, ...args].join(' ');
+    }
+
+    /**
+     * Check an argument string against a command's schema
+     *
+     * @returns {string|null} - Error message, or null when the arguments are valid
+     */
+    validateArgs(definition, argsText) {
+        const { args } = definition;
+        if (definition.anyArgs) return null;
+
+        const values = argsText ? argsText.split(/\s+/) : [];
+        const usage = this.formatUsageHint(definition);
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const value = values[i];
+
+            if (value === undefined) {
+                if (arg.required) return `❌ Missing ${arg.name}.\n\n${usage}`;
+                continue;
+            }
+
+            if (arg.choices) {
+                if (!arg.choices.includes(value.toLowerCase())) {
+                    return `❌ Invalid ${arg.name}: ${value}\nUse one of: ${arg.choices.join(', ')}\n\n${usage}`;
+                }
+            } else if (!ARG_TYPES[arg.type || 'text'].pattern.test(value)) {
+                return `❌ Invalid ${arg.name}: ${value}\nExpected ${ARG_TYPES[arg.type].hint}.\n\n${usage}`;
+            }
+        }
+
+        if (values.length > args.length) {
+            return `❌ Unexpected argument: ${values[args.length]}\n\n${usage}`;
+        }
+        return null;
+    }
+
+    formatUsageHint(definition) {
+        let hint = `Usage: ${this.getUsage(definition)}`;
+        if (definition.examples?.length) {
+            hint += `\n\nExample${definition.examples.length > 1 ? 's' : ''}:\n${definition.examples.join('\n')}`;
+        }
+        return hint;
+    }
+
+    /**
+     * Dispatch a command message
+     *
+     * @param {Object} bot - Telegram bot instance
+     * @param {Object} msg - Telegram message
+     * @param {Object} parsedCommand - { command, args, text } from parseCommand
+     */
+    async handleCommand(bot, msg, parsedCommand) {
+        const chatId = msg.chat.id;
+        const definition = this.commands.get(parsedCommand.command);
+        const endedState = await stateManager.clearState(chatId, msg.from.id);
+
+        if (!definition) {
+            // In groups, unknown commands may be meant for another bot
+            if (!isGroupChat(msg.chat)) {
+                await bot.sendMessage(chatId, '❌ Unknown command. Use /help to see available commands.');
+            }
+            return;
+        }
+
+        const command = definition.name;
+
+        if (definition.admin && !await isUserAdmin(msg.from.id)) {
+            metrics.commands.inc({ command, result: 'denied' });
+            await bot.sendMessage(chatId, ADMIN_ONLY_MESSAGE);
+            return;
+        }
+        if (definition.settings && !await canManageChat(bot, msg.chat, msg.from, msg.sender_chat)) {
+            metrics.commands.inc({ command, result: 'denied' });
+            await bot.sendMessage(chatId, GROUP_ADMIN_ONLY_MESSAGE);
+            return;
+        }
+
+        const argsError = this.validateArgs(definition, parsedCommand.args);
+        if (argsError) {
+            metrics.commands.inc({ command, result: 'invalid' });
+            await bot.sendMessage(chatId, argsError);
+            return;
+        }
+
+        // Handlers see the command without any @BotName suffix
+        const commandMsg = { ...msg, text: parsedCommand.text };
+        const startTime = Date.now();
+        try {
+            await definition.handler(bot, commandMsg, [parsedCommand.text, parsedCommand.args], endedState);
+            metrics.commands.inc({ command, result: 'ok' });
+        } catch (error) {
+            metrics.commands.inc({ command, result: 'error' });
+            throw error;
+        } finally {
+            metrics.commandDuration.observe({ command }, (Date.now() - startTime) / 1000);
+        }
+    }
+
+    /**
+     * Pass a non-command message to the conversation step the user is at
+     */
+    async handleInput(bot, msg, state) {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        if (!state.step) return;
+
+        const step = this.commands.get(state.command)?.steps?.[state.step];
+        if (!step) {
+            logger.warn(`No handler for step ${state.step} of command ${state.command}`);
+            await stateManager.clearState(chatId, userId);
+            return;
+        }
+
+        let next;
+        try {
+            next = await step(bot, msg, state);
+        } catch (error) {
+            // Don't leave the user stuck at a step that keeps failing
+            await stateManager.clearState(chatId, userId);
+            throw error;
+        }
+
+        if (!next) {
+            await stateManager.clearState(chatId, userId);
+            return;
+        }
+
+        const { command = state.command, step: nextStep, data = state.data, ttl = state.ttl } =
+            typeof next === 'string' ? { step: next } : next;
+        await stateManager.setState(chatId, userId, { command, step: nextStep, data }, ttl);
+    }
+
+    /**
+     * Dispatch an inline keyboard callback by prefix
+     *
+     * @returns {Promise<boolean>} - False if no command handles the callback
+     */
+    async handleCallback(bot, query) {
+        const route = this.callbacks.find(({ prefix }) => query.data.startsWith(prefix));
+        if (!route) return false;
+
+        if (route.settings && !await canManageChat(bot, query.message?.chat, query.from)) {
+            await bot.answerCallbackQuery(query.id, {
+                text: GROUP_ADMIN_ONLY_MESSAGE,
+                show_alert: true
+            });
+            return true;
+        }
+
+        await route.handler(bot, query);
+        return true;
+    }
+
+    /**
+     * Commands for bot.setMyCommands
+     */
+    getBotCommands() {
+        return [...this.commands.values()]
+            .filter(definition => !definition.hidden)
+            .map(({ name, description }) => ({ command: name, description }));
+    }
+
+    /**
+     * /help sections, in registration order; admin commands are left out
+     *
+     * @returns {string} - Markdown help text
+     */
+    formatHelp() {
+        const sections = new Map();
+        for (const definition of this.commands.values()) {
+            if (definition.hidden || definition.admin) continue;
+
+            const section = definition.section || 'Other';
+            if (!sections.has(section)) sections.set(section, []);
+
+            sections.get(section).push(`${this.getUsage(definition)} - ${definition.help || definition.description}`);
+        }
+
+        return [...sections.entries()]
+            .map(([section, lines]) => `*${section}:*\n${lines.join('\n')}`)
+            .join('\n\n');
+    }
+}
+
+module.exports = CommandRegistry;
@@ -95,9 +95,32 @@ function formatDuration(milliseconds) {
   }
 }
 
+// Block characters from lowest to highest, for sparklines
+const SPARKLINE_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Draw a series of numbers as a one-line sparkline, e.g. "▁▂▄▇█"
+ * @param {number[]} values - Values in time order
+ * @returns {string} - Sparkline, scaled between the series' min and max
+ */
+function formatSparkline(values) {
+  const points = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (points.length === 0) return '';
+
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min;
+  const top = SPARKLINE_CHARS.length - 1;
+
+  // A flat series sits in the middle
+  return points
+    .map(value => SPARKLINE_CHARS[range ? Math.round(((value - min) / range) * top) : Math.floor(top / 2)])
+    .join('');
+}
+
 module.exports = {
   formatNumber,
   formatLargeNumber,
   formatPercentage,
-  formatDuration
+  formatDuration,
+  formatSparkline
 }; 
\ No newline at end of file
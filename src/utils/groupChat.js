@@ -0,0 +1,92 @@
+const logger = require('./logger');
+
+/**
+ * Group chat helpers
+ *
+ * In groups the chat, not the member, owns the watchlist, tracked wallets and
+ * alert settings, and only the group's Telegram admins may change them.
+ */
+
+// How long a group's admin list is cached (ms)
+const ADMIN_CACHE_TTL = 5 * 60 * 1000;
+
+// Sender Telegram uses for messages from anonymous group admins
+const GROUP_ANONYMOUS_BOT_ID = 1087968824;
+
+const adminCache = new Map(); // chatId -> { adminIds: Set, expiresAt }
+
+function isGroupChat(chat) {
+    return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+/**
+ * Parse a command, accepting the `/cmd@BotName` form used in groups
+ *
+ * @param {string} text - Message text starting with '/'
+ * @param {string} [botUsername] - This bot's username
+ * @returns {Object|null} - { command, args, text } with the mention removed,
+ *   or null if the command is addressed to another bot
+ */
+function parseCommand(text, botUsername) {
+    const match = text.match(/^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+
+    const [, name, mention, rawArgs = ''] = match;
+    if (mention && botUsername && mention.toLowerCase() !== botUsername.toLowerCase()) {
+        return null;
+    }
+
+    const command = name.toLowerCase();
+    const args = rawArgs.trim();
+    return {
+        command,
+        args,
+        text: args ? `/${command} ${args}` : `/${command}`
+    };
+}
+
+/**
+ * Get the IDs of a group's admins, cached for a few minutes
+ */
+async function getChatAdminIds(bot, chatId) {
+    const cached = adminCache.get(chatId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.adminIds;
+    }
+
+    const admins = await bot.getChatAdministrators(chatId);
+    const adminIds = new Set(admins.map(member => member.user.id));
+    adminCache.set(chatId, { adminIds, expiresAt: Date.now() + ADMIN_CACHE_TTL });
+    return adminIds;
+}
+
+/**
+ * Check if a user may change a chat's settings: anyone in a private chat,
+ * only admins in a group
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} chat - Telegram chat
+ * @param {Object} from - Telegram user who sent the message or pressed the button
+ * @param {Object} [senderChat] - `sender_chat` of the message, set for anonymous admins
+ * @returns {Promise<boolean>}
+ */
+async function canManageChat(bot, chat, from, senderChat) {
+    if (!isGroupChat(chat)) return true;
+
+    // Anonymous admins post as the group itself
+    if (from?.id === GROUP_ANONYMOUS_BOT_ID && senderChat?.id === chat.id) return true;
+
+    try {
+        const adminIds = await getChatAdminIds(bot, chat.id);
+        return adminIds.has(from?.id);
+    } catch (error) {
+        logger.error(`Error fetching admins for chat ${chat.id}:`, error);
+        return false;
+    }
+}
+
+module.exports = {
+    isGroupChat,
+    parseCommand,
+    canManageChat
+};
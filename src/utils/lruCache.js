@@ -0,0 +1,54 @@
+/**
+ * In-process LRU cache with per-entry expiry
+ *
+ * A Map keeps insertion order, so re-inserting an entry on every read keeps
+ * the least recently used entry first, ready to be evicted.
+ */
+class LRUCache {
+    constructor(maxEntries = 1000) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    /**
+     * @returns {*} - The cached value, or undefined if missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) return undefined;
+
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttl - Time to live (ms)
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = LRUCache;
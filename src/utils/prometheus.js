@@ -0,0 +1,186 @@
+/**
+ * Minimal Prometheus metrics in the text exposition format
+ *
+ * Counters, gauges and histograms with labels, collected in a Registry
+ * whose `render()` output can be served from a /metrics route. Gauges may
+ * take a `collect` function that sets their values when scraped.
+ *
+ * See https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+// Seconds; suits request and delivery latencies
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - Description
+     * @param {string[]} [options.labelNames=[]] - Label names, in output order
+     */
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    /**
+     * The series for a set of labels, created on first use
+     */
+    getSeries(labels, create) {
+        const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(this.labelNames.map(name => picked[name]));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples()
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    renderSamples() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {Object} options - As for Metric, plus:
+     * @param {Function} [options.collect] - (gauge) => void|Promise, sets values when scraped
+     */
+    constructor(options) {
+        super('gauge', options);
+        this.collect = options.collect || null;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    renderSamples() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - As for Metric, plus:
+     * @param {number[]} [options.buckets] - Upper bounds, ascending
+     */
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+                lines.push(`${this.name}_bucket${labels} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Run gauge collectors and render every metric
+     *
+     * @returns {Promise<string>} - Text exposition format
+     */
+    async render() {
+        await Promise.all(this.metrics
+            .filter(metric => metric.collect)
+            .map(metric => metric.collect(metric)));
+
+        return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+Registry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    DEFAULT_BUCKETS
+};
@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+const { GLYPH_WIDTH, GLYPH_SPACING, getGlyph } = require('./pixelFont');
+
+/**
+ * RGB raster image with just enough drawing for charts, encoded as PNG
+ *
+ * Colors are [r, g, b] arrays. Drawing clips to the image, and `alpha`
+ * blends a color over what is already there.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+class Raster {
+    constructor(width, height, background = [255, 255, 255]) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color, alpha = 1) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const offset = (y * this.width + x) * 3;
+        for (let i = 0; i < 3; i++) {
+            this.pixels[offset + i] = alpha >= 1
+                ? color[i]
+                : Math.round(this.pixels[offset + i] * (1 - alpha) + color[i] * alpha);
+        }
+    }
+
+    fillRect(x, y, width, height, color, alpha = 1) {
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        const right = Math.min(this.width, Math.round(x + width));
+        const bottom = Math.min(this.height, Math.round(y + height));
+
+        for (let row = top; row < bottom; row++) {
+            for (let col = left; col < right; col++) {
+                this.setPixel(col, row, color, alpha);
+            }
+        }
+    }
+
+    /**
+     * Straight line from (x0, y0) to (x1, y1), `thickness` pixels wide
+     */
+    line(x0, y0, x1, y1, color, thickness = 1) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        const offset = Math.floor((thickness - 1) / 2);
+
+        for (let i = 0; i <= steps; i++) {
+            const x = Math.round(x0 + ((x1 - x0) * i) / steps) - offset;
+            const y = Math.round(y0 + ((y1 - y0) * i) / steps) - offset;
+            this.fillRect(x, y, thickness, thickness, color);
+        }
+    }
+
+    /**
+     * Draw text with its top left corner at (x, y)
+     *
+     * @param {number} scale - Pixel size of one font dot
+     * @returns {number} - Width drawn (pixels)
+     */
+    text(x, y, text, color, scale = 1) {
+        const advance = (GLYPH_WIDTH + GLYPH_SPACING) * scale;
+
+        [...text].forEach((char, index) => {
+            getGlyph(char).forEach((row, rowIndex) => {
+                for (let col = 0; col < row.length; col++) {
+                    if (row[col] === '#') {
+                        this.fillRect(x + index * advance + col * scale, y + rowIndex * scale, scale, scale, color);
+                    }
+                }
+            });
+        });
+
+        return text.length ? text.length * advance - GLYPH_SPACING * scale : 0;
+    }
+
+    /**
+     * Encode as an 8-bit RGB PNG
+     *
+     * @returns {Buffer}
+     */
+    toPng() {
+        const rowLength = this.width * 3;
+        const scanlines = Buffer.alloc((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            // Filter type 0 (none) per row
+            this.pixels.copy(scanlines, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // color type: RGB
+
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(scanlines)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+module.exports = Raster;
@@ -1,23 +1,84 @@
 const logger = require('./logger');
+const LRUCache = require('./lruCache');
+const { conversations, isReady } = require('../repositories');
+
+/**
+ * Conversation state
+ *
+ * Where a user is in a multi-step command: `{ command, step, data }`, where
+ * `data` holds what the flow has collected so far. States are kept per chat
+ * and user, and expire after the TTL the flow was started with, so an
+ * abandoned prompt stops capturing the user's messages.
+ *
+ * States live in Redis, so a conversation survives a restart. While Redis is
+ * unavailable they are kept in memory instead.
+ */
+
+// Time to live of a conversation waiting for the user's reply (seconds)
+const DEFAULT_STATE_TTL = 5 * 60;
 
 class StateManager {
     constructor() {
-        this.userStates = new Map();
+        this.memory = new LRUCache(10000);
+    }
+
+    memoryKey(chatId, userId) {
+        return `${chatId}:${userId}`;
     }
 
-    setState(userId, state) {
-        this.userStates.set(userId, state);
-        logger.info(`State set for user ${userId}: ${JSON.stringify(state)}`);
+    /**
+     * @returns {Promise<Object|null>} - The user's state in this chat, or null
+     */
+    async getState(chatId, userId) {
+        if (isReady()) {
+            try {
+                return await conversations.get(chatId, userId);
+            } catch (error) {
+                logger.warn(`Error reading state for user ${userId} in chat ${chatId}: ${error.message}`);
+            }
+        }
+        return this.memory.get(this.memoryKey(chatId, userId)) || null;
     }
 
-    getState(userId) {
-        return this.userStates.get(userId);
+    /**
+     * @param {Object} state - { command, step, data }
+     * @param {number} [ttl=DEFAULT_STATE_TTL] - Seconds until the conversation expires;
+     *                                           kept with the state for later steps
+     */
+    async setState(chatId, userId, state, ttl = DEFAULT_STATE_TTL) {
+        const stored = { ...state, ttl };
+
+        if (isReady()) {
+            try {
+                await conversations.set(chatId, userId, stored, ttl);
+                logger.info(`State set for user ${userId} in chat ${chatId}: ${state.command}/${state.step}`);
+                return;
+            } catch (error) {
+                logger.warn(`Error saving state for user ${userId} in chat ${chatId}: ${error.message}`);
+            }
+        }
+        this.memory.set(this.memoryKey(chatId, userId), stored, ttl * 1000);
+        logger.info(`State set in memory for user ${userId} in chat ${chatId}: ${state.command}/${state.step}`);
     }
 
-    clearState(userId) {
-        this.userStates.delete(userId);
-        logger.info(`State cleared for user ${userId}`);
+    /**
+     * @returns {Promise<Object|null>} - The state that was cleared, or null if there was none
+     */
+    async clearState(chatId, userId) {
+        const state = await this.getState(chatId, userId);
+        this.memory.delete(this.memoryKey(chatId, userId));
+        if (!state) return null;
+
+        if (isReady()) {
+            try {
+                await conversations.clear(chatId, userId);
+            } catch (error) {
+                logger.warn(`Error clearing state for user ${userId} in chat ${chatId}: ${error.message}`);
+            }
+        }
+        logger.info(`State cleared for user ${userId} in chat ${chatId}`);
+        return state;
     }
 }
 
-module.exports = new StateManager(); 
\ No newline at end of file
+module.exports = new StateManager();
@@ -0,0 +1,59 @@
+/**
+ * Token bucket rate limiter
+ *
+ * Holds up to `capacity` tokens, refilled continuously at `refillPerSecond`.
+ * Callers `await take()` before each request; when the bucket is empty they
+ * wait, in arrival order, until a token is available.
+ */
+class TokenBucket {
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait for a token and consume it
+     *
+     * @returns {Promise<number>} - Time spent waiting (ms)
+     */
+    take() {
+        const waited = this.queue.then(() => this.waitForToken());
+        // Keep the queue moving even if a waiter is abandoned
+        this.queue = waited.catch(() => {});
+        return waited;
+    }
+
+    async waitForToken() {
+        const startTime = Date.now();
+        this.refill();
+
+        while (this.tokens < 1) {
+            const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            this.refill();
+        }
+
+        this.tokens -= 1;
+        return Date.now() - startTime;
+    }
+
+    /**
+     * Drain the bucket, e.g. after the server reports a rate limit
+     */
+    drain() {
+        this.refill();
+        this.tokens = Math.min(this.tokens, 0);
+    }
+}
+
+module.exports = TokenBucket;